@@ -0,0 +1,137 @@
+import { getAllEscalations, getArchivedEscalations } from "./escalation-tracker.js";
+import { getAllFaqAnswers, getArchivedFaqAnswers } from "./answer-tracker.js";
+
+// Windows selectable on the App Home tab
+export const ANALYTICS_WINDOW_DAYS = [7, 30, 90];
+export const DEFAULT_ANALYTICS_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// addedBy values set by auto-discovery in channel threads
+const AUTO_DISCOVERED = new Set(["auto-detected", "self-identified"]);
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Merge live and archived records, preferring the live copy when an ID appears in both.
+ */
+function mergeById(live, archived) {
+  const byId = new Map();
+  for (const r of archived) byId.set(r.id, r);
+  for (const r of live) byId.set(r.id, r);
+  return [...byId.values()];
+}
+
+function emptyMetrics() {
+  return {
+    answered: 0,
+    partial: 0,
+    escalationsOpened: 0,
+    escalationsSynthesized: 0,
+    escalationsSkipped: 0,
+    skipReasons: {},
+    correctionsDetected: 0,
+    responseTimesMs: [],
+    medianFirstResponseMs: null,
+  };
+}
+
+/**
+ * Compute per-area answer/escalation metrics over the last `windowDays` days.
+ * Live tracker records are combined with archived history when the storage
+ * backend keeps it, so 90-day windows aren't cut short by the 30-day cleanup.
+ *
+ * @returns {Promise<Map<string, object>>} areaId -> metrics
+ */
+export async function computeAreaMetrics(windowDays = DEFAULT_ANALYTICS_WINDOW_DAYS) {
+  const sinceMs = Date.now() - windowDays * DAY_MS;
+  const sinceIso = new Date(sinceMs).toISOString();
+
+  const answers = mergeById(getAllFaqAnswers(), await getArchivedFaqAnswers(sinceIso))
+    .filter((a) => new Date(a.answeredAt).getTime() >= sinceMs);
+  const escalations = mergeById(getAllEscalations(), await getArchivedEscalations(sinceIso))
+    .filter((e) => new Date(e.escalatedAt).getTime() >= sinceMs);
+
+  const metricsByArea = new Map();
+  const metricsFor = (areaId) => {
+    if (!metricsByArea.has(areaId)) metricsByArea.set(areaId, emptyMetrics());
+    return metricsByArea.get(areaId);
+  };
+
+  for (const a of answers) {
+    const m = metricsFor(a.productAreaId);
+    if (a.partial) {
+      m.partial++;
+    } else {
+      m.answered++;
+    }
+    if (a.status === "corrected") m.correctionsDetected++;
+  }
+
+  for (const e of escalations) {
+    const m = metricsFor(e.productAreaId);
+    m.escalationsOpened++;
+    if (e.status === "completed" && e.faqUrl) m.escalationsSynthesized++;
+    if (e.status === "skipped") {
+      m.escalationsSkipped++;
+      const reason = e.skipReason || "unknown";
+      m.skipReasons[reason] = (m.skipReasons[reason] || 0) + 1;
+    }
+    if (e.firstResponseAt) {
+      const elapsed = new Date(e.firstResponseAt).getTime() - new Date(e.escalatedAt).getTime();
+      if (elapsed >= 0) m.responseTimesMs.push(elapsed);
+    }
+  }
+
+  for (const m of metricsByArea.values()) {
+    m.medianFirstResponseMs = median(m.responseTimesMs);
+  }
+
+  return metricsByArea;
+}
+
+/**
+ * Everything an area's weekly digest reports since `sinceIso`: questions answered,
+ * escalations still open (of any age), FAQ entries added, corrections applied,
+ * auto-discovered team members and the topics most often missing from the FAQ.
+ */
+export async function computeAreaDigest(area, sinceIso, { maxTopics = 5 } = {}) {
+  const since = new Date(sinceIso).getTime();
+  const inWindow = (iso) => !!iso && new Date(iso).getTime() >= since;
+
+  const answers = mergeById(getAllFaqAnswers(), await getArchivedFaqAnswers(sinceIso))
+    .filter((a) => a.productAreaId === area.id);
+  const escalations = mergeById(getAllEscalations(), await getArchivedEscalations(sinceIso))
+    .filter((e) => e.productAreaId === area.id);
+
+  const answered = answers.filter((a) => inWindow(a.answeredAt));
+  const recentEscalations = escalations.filter((e) => inWindow(e.escalatedAt));
+
+  const topicCounts = new Map();
+  for (const e of recentEscalations) {
+    for (const topic of new Set((e.faqTopics ?? []).map((t) => t.trim().toLowerCase()).filter(Boolean))) {
+      topicCounts.set(topic, (topicCounts.get(topic) ?? 0) + 1);
+    }
+  }
+
+  return {
+    answeredCount: answered.filter((a) => !a.partial).length,
+    partialCount: answered.filter((a) => a.partial).length,
+    escalationsOpened: recentEscalations.length,
+    openEscalations: escalations
+      .filter((e) => e.status !== "completed" && e.status !== "skipped")
+      .sort((a, b) => a.escalatedAt.localeCompare(b.escalatedAt)),
+    newFaqEntries: escalations.filter((e) => e.status === "completed" && e.faqUrl && inWindow(e.completedAt)),
+    correctionsApplied: answers.filter((a) => a.correctionProposal?.status === "applied" && inWindow(a.correctionProposal.decidedAt)),
+    newTeamMembers: (area.teamMembers ?? []).filter((m) => AUTO_DISCOVERED.has(m.addedBy) && inWindow(m.addedAt)),
+    topTopics: [...topicCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, maxTopics)
+      .map(([topic, count]) => ({ topic, count })),
+  };
+}
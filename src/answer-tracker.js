@@ -1,15 +1,12 @@
-import fs from "node:fs/promises";
-import path from "node:path";
-import { fileURLToPath } from "node:url";
 import crypto from "node:crypto";
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const DOCUMENT_NAME = "faq-answers";
+const ARCHIVE_COLLECTION = "faq_answers";
 
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
-const DATA_PATH = path.join(DATA_DIR, "faq-answers.json");
-
-let faqAnswers = { answers: [] };
+// Per-workspace tracked answers (a single entry in single-workspace mode)
+const state = workspaceState(() => ({ faqAnswers: { answers: [] } }));
 
 /**
  * Generate a unique answer ID
@@ -19,46 +16,35 @@ function generateAnswerId() {
 }
 
 /**
- * Load FAQ answers from disk
+ * Load FAQ answers from the active store
  */
 export async function loadFaqAnswers(logger = null) {
-  try {
-    const data = await fs.readFile(DATA_PATH, "utf8");
-    faqAnswers = JSON.parse(data);
-    if (!Array.isArray(faqAnswers.answers)) {
-      faqAnswers.answers = [];
+  const data = await getStore().loadDocument(DOCUMENT_NAME, null);
+  if (data) {
+    state().faqAnswers = data;
+    if (!Array.isArray(state().faqAnswers.answers)) {
+      state().faqAnswers.answers = [];
     }
     if (logger) {
-      logger.info(`[AnswerTracker] Loaded ${faqAnswers.answers.length} tracked FAQ answer(s)`);
+      logger.info(`[AnswerTracker] Loaded ${state().faqAnswers.answers.length} tracked FAQ answer(s)`);
     }
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      faqAnswers = { answers: [] };
-      await saveFaqAnswers();
-      if (logger) {
-        logger.info(`[AnswerTracker] Created new FAQ answers tracking file`);
-      }
-    } else {
-      throw err;
+  } else {
+    state().faqAnswers = { answers: [] };
+    await saveFaqAnswers();
+    if (logger) {
+      logger.info(`[AnswerTracker] Created new FAQ answers tracking store`);
     }
   }
-  return faqAnswers;
+  return state().faqAnswers;
 }
 
 /**
- * Save FAQ answers to disk
+ * Save FAQ answers to the active store
  */
 export async function saveFaqAnswers(logger = null) {
-  // Ensure data directory exists
-  const dataDir = path.dirname(DATA_PATH);
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-  } catch {
-    // Directory may already exist
-  }
-  await fs.writeFile(DATA_PATH, JSON.stringify(faqAnswers, null, 2), "utf8");
+  await getStore().saveDocument(DOCUMENT_NAME, state().faqAnswers);
   if (logger) {
-    logger.debug(`[AnswerTracker] Saved ${faqAnswers.answers.length} FAQ answer(s)`);
+    logger.debug(`[AnswerTracker] Saved ${state().faqAnswers.answers.length} FAQ answer(s)`);
   }
 }
 
@@ -76,6 +62,7 @@ export async function trackFaqAnswer(
     evidence,
     ownerUserIds,
     kbSourcePageIds,
+    partial = false,
   },
   logger = null
 ) {
@@ -90,6 +77,7 @@ export async function trackFaqAnswer(
     evidence: evidence || [],
     ownerUserIds: ownerUserIds || [],
     kbSourcePageIds: kbSourcePageIds || [],
+    partial, // true when the FAQ only partially covered the question and leads were tagged
     answeredAt: new Date().toISOString(),
     status: "active", // active, pending_correction, corrected, processed
     // Fields for delayed correction processing
@@ -98,7 +86,7 @@ export async function trackFaqAnswer(
     processAfter: null,       // when to check for corrections
   };
 
-  faqAnswers.answers.push(answer);
+  state().faqAnswers.answers.push(answer);
   await saveFaqAnswers(logger);
 
   if (logger) {
@@ -112,18 +100,40 @@ export async function trackFaqAnswer(
   return answer;
 }
 
+/**
+ * Get every tracked FAQ answer regardless of status
+ */
+export function getAllFaqAnswers() {
+  return [...state().faqAnswers.answers];
+}
+
+/**
+ * Get archived FAQ answers (removed by cleanup) since the given time.
+ * Empty unless the storage backend keeps history.
+ */
+export async function getArchivedFaqAnswers(sinceIso = "") {
+  return getStore().listArchivedRecords(ARCHIVE_COLLECTION, sinceIso);
+}
+
 /**
  * Get FAQ answer by ID
  */
 export function getFaqAnswerById(id) {
-  return faqAnswers.answers.find((a) => a.id === id) || null;
+  return state().faqAnswers.answers.find((a) => a.id === id) || null;
+}
+
+/**
+ * Get the tracked FAQ answer for a specific bot message
+ */
+export function getFaqAnswerByMessage(channel, messageTs) {
+  return state().faqAnswers.answers.find((a) => a.channel === channel && a.messageTs === messageTs) || null;
 }
 
 /**
  * Get active FAQ answer by thread (active or pending_correction)
  */
 export function getActiveFaqAnswerByThread(channel, threadTs) {
-  return faqAnswers.answers.find(
+  return state().faqAnswers.answers.find(
     (a) => a.channel === channel && a.threadTs === threadTs && 
            (a.status === "active" || a.status === "pending_correction")
   ) || null;
@@ -191,13 +201,48 @@ export async function recordCorrectionResponse(id, userId, delayMs, logger = nul
   return true;
 }
 
+/**
+ * Record a "was this helpful?" verdict on an FAQ answer.
+ * One verdict per user — a later reaction or button click replaces the earlier one.
+ *
+ * @param {string} id - The FAQ answer ID
+ * @param {string} userId - Who gave the feedback
+ * @param {"helpful"|"not_helpful"} verdict
+ * @param {"reaction"|"button"} source
+ * @param {object} logger - Optional logger
+ * @returns {Promise<boolean>} - True if recorded, false if the answer wasn't found
+ */
+export async function recordAnswerFeedback(id, userId, verdict, source, logger = null) {
+  const answer = getFaqAnswerById(id);
+  if (!answer) {
+    if (logger) {
+      logger.warn(`[AnswerTracker] Attempted to record feedback for answer ${id} but not found`);
+    }
+    return false;
+  }
+
+  if (!Array.isArray(answer.feedback)) {
+    answer.feedback = [];
+  }
+  answer.feedback = answer.feedback.filter((f) => f.userId !== userId);
+  answer.feedback.push({ userId, verdict, source, at: new Date().toISOString() });
+
+  await saveFaqAnswers(logger);
+
+  if (logger) {
+    logger.info(`[AnswerTracker] Recorded ${verdict} feedback from <@${userId}> on answer ${id} (via ${source})`);
+  }
+
+  return true;
+}
+
 /**
  * Get answers that are ready to have their corrections processed.
  * These are answers in "pending_correction" status where the delay has passed.
  */
 export function getAnswersReadyToProcess() {
   const now = new Date();
-  return faqAnswers.answers.filter(
+  return state().faqAnswers.answers.filter(
     (a) => a.status === "pending_correction" && 
            a.processAfter && 
            new Date(a.processAfter) <= now
@@ -254,34 +299,118 @@ export async function markAnswerCorrected(id, correctionInfo = {}, logger = null
   return true;
 }
 
+/**
+ * Attach the Notion update proposed for a corrected answer. Leads approve,
+ * edit or dismiss it from the DM buttons; whoever decides first settles it
+ * for everyone.
+ */
+export async function setCorrectionProposal(id, proposal, logger = null) {
+  const answer = getFaqAnswerById(id);
+  if (!answer) {
+    if (logger) {
+      logger.warn(`[AnswerTracker] Attempted to attach correction proposal to answer ${id} but not found`);
+    }
+    return null;
+  }
+
+  answer.correctionProposal = {
+    ...proposal,
+    messages: [], // DMs carrying the approval buttons: { userId, channel, ts }
+    proposedAt: new Date().toISOString(),
+    status: "pending", // pending, applied, dismissed
+  };
+
+  await saveFaqAnswers(logger);
+  return answer.correctionProposal;
+}
+
+/**
+ * Remember a DM that carries the correction buttons, so it can be updated once decided
+ */
+export async function recordCorrectionMessage(id, { userId, channel, ts }) {
+  const proposal = getFaqAnswerById(id)?.correctionProposal;
+  if (!proposal) return false;
+
+  proposal.messages.push({ userId, channel, ts });
+  await saveFaqAnswers();
+  return true;
+}
+
+/**
+ * Replace the proposed text after a lead edits it
+ */
+export async function updateCorrectionSuggestion(id, suggestedUpdate, editedBy, logger = null) {
+  const proposal = getFaqAnswerById(id)?.correctionProposal;
+  if (!proposal || proposal.status !== "pending") return null;
+
+  proposal.suggestedUpdate = suggestedUpdate;
+  proposal.editedBy = editedBy;
+  proposal.editedAt = new Date().toISOString();
+  await saveFaqAnswers(logger);
+
+  if (logger) {
+    logger.info(`[AnswerTracker] <@${editedBy}> edited the correction proposal for answer ${id}`);
+  }
+
+  return proposal;
+}
+
+/**
+ * Settle a correction proposal as applied or dismissed
+ */
+export async function resolveCorrectionProposal(id, { status, decidedBy, blockUrl = null }, logger = null) {
+  const proposal = getFaqAnswerById(id)?.correctionProposal;
+  if (!proposal || proposal.status !== "pending") return false;
+
+  proposal.status = status;
+  proposal.decidedBy = decidedBy;
+  proposal.decidedAt = new Date().toISOString();
+  if (blockUrl) {
+    proposal.blockUrl = blockUrl;
+  }
+
+  await saveFaqAnswers(logger);
+
+  if (logger) {
+    logger.info(`[AnswerTracker] Correction for answer ${id} ${status} by <@${decidedBy}>`);
+  }
+
+  return true;
+}
+
 /**
  * Cleanup old FAQ answers (older than specified days)
  */
 export async function cleanupOldFaqAnswers(maxAgeDays = 30, logger = null) {
   const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
 
-  const before = faqAnswers.answers.length;
-  faqAnswers.answers = faqAnswers.answers.filter((a) => {
+  const before = state().faqAnswers.answers.length;
+  const expired = [];
+  state().faqAnswers.answers = state().faqAnswers.answers.filter((a) => {
     // Keep active and pending_correction answers
     if (a.status === "active" || a.status === "pending_correction") return true;
     // For corrected/processed answers, check if they're old enough to remove
     const timestamp = a.correctedAt || a.processedAt || a.answeredAt;
-    return new Date(timestamp) > cutoff;
+    if (new Date(timestamp) > cutoff) return true;
+    expired.push(a);
+    return false;
   });
 
-  if (faqAnswers.answers.length !== before) {
+  if (state().faqAnswers.answers.length !== before) {
+    // Hand removed answers to the store first so history-keeping backends retain them
+    await getStore().archiveRecords(ARCHIVE_COLLECTION, expired);
     await saveFaqAnswers(logger);
     if (logger) {
-      logger.info(`[AnswerTracker] Cleaned up ${before - faqAnswers.answers.length} old FAQ answer(s)`);
+      logger.info(`[AnswerTracker] Cleaned up ${before - state().faqAnswers.answers.length} old FAQ answer(s)`);
     }
   }
 
-  return before - faqAnswers.answers.length;
+  return before - state().faqAnswers.answers.length;
 }
 
 /**
  * Get all active FAQ answers (active or pending_correction)
  */
 export function getAllActiveFaqAnswers() {
-  return faqAnswers.answers.filter((a) => a.status === "active" || a.status === "pending_correction");
+  return state().faqAnswers.answers.filter((a) => a.status === "active" || a.status === "pending_correction");
 }
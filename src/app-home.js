@@ -4,14 +4,185 @@ import {
   removeKnowledgeArea,
   updateKnowledgeArea,
   getKnowledgeAreaById,
+  getAreaSourceId,
+  getAreaSourceLabel,
+  resolveAreaSource,
 } from "./knowledge-areas.js";
-import { extractPageId, getPageTitle } from "./notion.js";
+import { getPageTitle } from "./notion.js";
+import { computeAreaMetrics, ANALYTICS_WINDOW_DAYS, DEFAULT_ANALYTICS_WINDOW_DAYS } from "./analytics.js";
+import { formatDuration } from "./formatters.js";
+import {
+  CHANNEL_MODES,
+  getAllChannelRules,
+  setChannelRule,
+  removeChannelRule,
+  getBoundArea,
+  filterAllowedAreas,
+} from "./channel-rules.js";
+
+const GENERAL_FAQ_AREA_ID = "general-faq";
+
+// Analytics window (days) each user last picked on their Home tab
+const analyticsWindowByUser = new Map();
+
+function windowOption(days) {
+  return {
+    text: { type: "plain_text", text: `Last ${days} days` },
+    value: String(days),
+  };
+}
+
+/**
+ * Build the analytics section: one block of metrics per knowledge area
+ */
+async function buildAnalyticsBlocks(areas, windowDays) {
+  const metricsByArea = await computeAreaMetrics(windowDays);
+
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "Answer Analytics",
+        emoji: true,
+      },
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "static_select",
+          action_id: "analytics_window_select",
+          options: ANALYTICS_WINDOW_DAYS.map(windowOption),
+          initial_option: windowOption(windowDays),
+        },
+      ],
+    },
+  ];
+
+  const rows = areas.map((a) => ({ id: a.id, name: a.name }));
+  if (metricsByArea.has(GENERAL_FAQ_AREA_ID)) {
+    rows.push({ id: GENERAL_FAQ_AREA_ID, name: "General FAQ" });
+  }
+
+  if (rows.length === 0) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "_No knowledge areas to report on yet._" }],
+    });
+  }
+
+  for (const row of rows) {
+    const m = metricsByArea.get(row.id);
+    if (!m) {
+      blocks.push({
+        type: "section",
+        text: { type: "mrkdwn", text: `*${row.name}*\n_No activity in the last ${windowDays} days_` },
+      });
+      continue;
+    }
+
+    const skipReasons = Object.entries(m.skipReasons)
+      .map(([reason, count]) => `${reason.replace(/_/g, " ")} (${count})`)
+      .join(", ");
+
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `*${row.name}*` },
+      fields: [
+        { type: "mrkdwn", text: `:white_check_mark: Answered from FAQ: *${m.answered}*` },
+        { type: "mrkdwn", text: `:large_yellow_circle: Partial answers: *${m.partial}*` },
+        { type: "mrkdwn", text: `:rotating_light: Escalations opened: *${m.escalationsOpened}*` },
+        { type: "mrkdwn", text: `:memo: Synthesized into FAQ: *${m.escalationsSynthesized}*` },
+        { type: "mrkdwn", text: `:fast_forward: Skipped: *${m.escalationsSkipped}*${skipReasons ? `\n_${skipReasons}_` : ""}` },
+        { type: "mrkdwn", text: `:pencil2: Corrections detected: *${m.correctionsDetected}*` },
+        { type: "mrkdwn", text: `:stopwatch: Median first owner response: *${formatDuration(m.medianFirstResponseMs)}*` },
+      ],
+    });
+  }
+
+  blocks.push({ type: "divider" });
+  return blocks;
+}
+
+const channelLabel = (key) => (/^[CG][A-Z0-9]+$/.test(key) ? `<#${key}>` : `#${key}`);
+
+/**
+ * Summarize a channel rule in one line
+ */
+function describeChannelRule(rule, areas) {
+  const parts = [rule.mode === "mention" ? "Only when @-mentioned" : "Answers questions"];
+  const bound = getBoundArea(rule);
+  if (bound) {
+    parts.push(`always *${bound.name}*`);
+  } else if (rule.allowedAreaIds.length) {
+    parts.push(`only ${filterAllowedAreas(rule, areas).map((a) => `*${a.name}*`).join(", ") || "_no existing areas_"}`);
+  }
+  if (!rule.generalFaq) parts.push("no General KB");
+  if (rule.quietHours) {
+    const { start, end, timezone } = rule.quietHours;
+    parts.push(`quiet ${start}–${end}${timezone ? ` ${timezone}` : ""}`);
+  }
+  if (rule.questionThreshold !== null) parts.push(`question threshold ${rule.questionThreshold}`);
+  return parts.join(" · ");
+}
+
+/**
+ * Build the channel rules section of the App Home
+ */
+function buildChannelRuleBlocks(areas) {
+  const rules = Object.entries(getAllChannelRules());
+  const blocks = [
+    {
+      type: "header",
+      text: { type: "plain_text", text: "Channel Rules", emoji: true },
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "Bind a channel to one knowledge area, limit which areas it can route to, answer only when @-mentioned, or set quiet hours.",
+      },
+    },
+  ];
+
+  if (rules.length === 0) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: "_No channel rules — every watched channel answers questions from any area._" } });
+  }
+  for (const [key, rule] of rules) {
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `*${channelLabel(key)}*\n${describeChannelRule(rule, areas)}` },
+      accessory: {
+        type: "overflow",
+        action_id: `channel_rule_overflow_${key}`,
+        options: [
+          { text: { type: "plain_text", text: "Edit" }, value: `edit:${key}` },
+          { text: { type: "plain_text", text: "Delete" }, value: `delete:${key}` },
+        ],
+      },
+    });
+  }
+
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: "Add Channel Rule", emoji: true },
+        action_id: "add_channel_rule",
+      },
+    ],
+  });
+  return blocks;
+}
 
 /**
  * Build the App Home view blocks
  */
-async function buildHomeView() {
+async function buildHomeView(userId = null) {
   const areas = getAllKnowledgeAreas();
+  const windowDays = analyticsWindowByUser.get(userId) ?? DEFAULT_ANALYTICS_WINDOW_DAYS;
 
   const blocks = [
     {
@@ -65,7 +236,7 @@ async function buildHomeView() {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*${area.name}*\n${description}\n:page_facing_up: Notion: \`${area.notionPageId.slice(0, 20)}...\`\n:star: Leads: ${leadsList}\n:busts_in_silhouette: Team: ${teamList}\n:label: Keywords: ${keywords}`,
+          text: `*${area.name}*\n${description}\n:page_facing_up: ${getAreaSourceLabel(area)}: \`${getAreaSourceId(area).slice(0, 20)}...\`\n:star: Leads: ${leadsList}\n:busts_in_silhouette: Team: ${teamList}\n:label: Keywords: ${keywords}${area.requireFaqApproval ? "\n:lock: New FAQ entries need a lead's approval" : ""}`,
         },
         accessory: {
           type: "overflow",
@@ -111,6 +282,12 @@ async function buildHomeView() {
     ],
   });
 
+  blocks.push({ type: "divider" });
+  blocks.push(...buildChannelRuleBlocks(areas));
+
+  blocks.push({ type: "divider" });
+  blocks.push(...(await buildAnalyticsBlocks(areas, windowDays)));
+
   return {
     type: "home",
     blocks,
@@ -120,6 +297,30 @@ async function buildHomeView() {
 /**
  * Build the modal for adding/editing a knowledge area
  */
+const REQUIRE_APPROVAL_OPTION = {
+  text: { type: "plain_text", text: "Require a lead's approval before new entries are added to the FAQ" },
+  value: "require_approval",
+};
+
+// Per-area confidence thresholds; empty fields fall back to confidencePolicy in bot-config.json
+const CONFIDENCE_FIELDS = [
+  { key: "clarifyBelow", label: "Ask which area below", hint: "Classification confidence (0-1) below which the asker picks the area from buttons" },
+  { key: "prefaceBelow", label: "Say \"I think this is about…\" below", hint: "Classification confidence (0-1) below which answers name the area they assumed and tag a lead" },
+  { key: "tagLeadsBelow", label: "Tag a lead on answers below", hint: "Answer confidence (0-1) below which a lead is asked to double-check" },
+];
+
+/**
+ * Read the confidence thresholds from a knowledge area modal submission
+ */
+function readConfidencePolicy(values) {
+  return Object.fromEntries(
+    CONFIDENCE_FIELDS
+      .map(({ key }) => [key, values[`${key}_block`]?.[`${key}_input`]?.value])
+      .filter(([, value]) => value)
+      .map(([key, value]) => [key, Number(value)])
+  );
+}
+
 function buildKnowledgeAreaModal(existingArea = null) {
   const isEdit = !!existingArea;
 
@@ -187,13 +388,13 @@ function buildKnowledgeAreaModal(existingArea = null) {
           action_id: "notion_input",
           placeholder: {
             type: "plain_text",
-            text: "https://notion.so/your-page-id or just the page ID",
+            text: "https://notion.so/your-page-id, a database URL, the ID, or docs/faq",
           },
-          initial_value: existingArea?.notionPageId || "",
+          initial_value: existingArea ? getAreaSourceId(existingArea) || "" : "",
         },
         label: {
           type: "plain_text",
-          text: "Notion Page URL or ID",
+          text: "Notion FAQ page or database URL, or Markdown path",
         },
       },
       {
@@ -244,10 +445,189 @@ function buildKnowledgeAreaModal(existingArea = null) {
         },
         optional: true,
       },
+      {
+        type: "input",
+        block_id: "approval_block",
+        element: {
+          type: "checkboxes",
+          action_id: "approval_input",
+          options: [REQUIRE_APPROVAL_OPTION],
+          ...(existingArea?.requireFaqApproval ? { initial_options: [REQUIRE_APPROVAL_OPTION] } : {}),
+        },
+        label: {
+          type: "plain_text",
+          text: "FAQ review",
+        },
+        optional: true,
+      },
+      ...CONFIDENCE_FIELDS.map(({ key, label, hint }) => ({
+        type: "input",
+        block_id: `${key}_block`,
+        element: {
+          type: "number_input",
+          action_id: `${key}_input`,
+          is_decimal_allowed: true,
+          min_value: "0",
+          max_value: "1",
+          ...(existingArea?.confidencePolicy?.[key] != null ? { initial_value: String(existingArea.confidencePolicy[key]) } : {}),
+        },
+        label: { type: "plain_text", text: label },
+        hint: { type: "plain_text", text: `${hint}. Leave empty for the default.` },
+        optional: true,
+      })),
     ],
   };
 }
 
+const GENERAL_KB_OPTION = {
+  text: { type: "plain_text", text: "Send questions that match no area to the General KB" },
+  value: "general_faq",
+};
+const MODE_OPTIONS = {
+  auto: { text: { type: "plain_text", text: "Answer questions automatically" }, value: "auto" },
+  mention: { text: { type: "plain_text", text: "Only answer when @-mentioned" }, value: "mention" },
+};
+
+/**
+ * Build the modal for adding/editing a channel rule. The channel can only be
+ * picked when adding; private_metadata carries the rule's key when editing.
+ */
+function buildChannelRuleModal(key = null, rule = null) {
+  const areas = getAllKnowledgeAreas();
+  const areaOption = (area) => ({ text: { type: "plain_text", text: area.name.slice(0, 75) }, value: area.id });
+  const boundArea = getBoundArea(rule);
+  const allowedAreas = rule?.allowedAreaIds.length ? filterAllowedAreas(rule, areas) : [];
+
+  const blocks = [
+    key
+      ? { type: "section", text: { type: "mrkdwn", text: `*Channel:* ${channelLabel(key)}` } }
+      : {
+          type: "input",
+          block_id: "channel_block",
+          element: { type: "conversations_select", action_id: "channel_input", filter: { include: ["public", "private"] } },
+          label: { type: "plain_text", text: "Channel" },
+        },
+    {
+      type: "input",
+      block_id: "mode_block",
+      element: {
+        type: "static_select",
+        action_id: "mode_input",
+        options: CHANNEL_MODES.map((mode) => MODE_OPTIONS[mode]),
+        initial_option: MODE_OPTIONS[rule?.mode ?? "auto"],
+      },
+      label: { type: "plain_text", text: "When to answer" },
+    },
+  ];
+
+  if (areas.length > 0) {
+    blocks.push(
+      {
+        type: "input",
+        block_id: "bound_block",
+        element: {
+          type: "static_select",
+          action_id: "bound_input",
+          placeholder: { type: "plain_text", text: "Classify each question" },
+          options: areas.map(areaOption),
+          ...(boundArea ? { initial_option: areaOption(boundArea) } : {}),
+        },
+        label: { type: "plain_text", text: "Always answer from" },
+        hint: { type: "plain_text", text: "Skips classification — every question here goes to this area" },
+        optional: true,
+      },
+      {
+        type: "input",
+        block_id: "allowed_block",
+        element: {
+          type: "multi_static_select",
+          action_id: "allowed_input",
+          placeholder: { type: "plain_text", text: "Any area" },
+          options: areas.map(areaOption),
+          ...(allowedAreas.length ? { initial_options: allowedAreas.map(areaOption) } : {}),
+        },
+        label: { type: "plain_text", text: "Only route to these areas" },
+        optional: true,
+      }
+    );
+  }
+
+  blocks.push(
+    {
+      type: "input",
+      block_id: "general_block",
+      element: {
+        type: "checkboxes",
+        action_id: "general_input",
+        options: [GENERAL_KB_OPTION],
+        ...(rule?.generalFaq ?? true ? { initial_options: [GENERAL_KB_OPTION] } : {}),
+      },
+      label: { type: "plain_text", text: "General KB" },
+      optional: true,
+    },
+    {
+      type: "input",
+      block_id: "quiet_start_block",
+      element: {
+        type: "timepicker",
+        action_id: "quiet_start_input",
+        ...(rule?.quietHours ? { initial_time: rule.quietHours.start } : {}),
+      },
+      label: { type: "plain_text", text: "Quiet hours start" },
+      hint: { type: "plain_text", text: "Between the start and end, the bot only answers @-mentions" },
+      optional: true,
+    },
+    {
+      type: "input",
+      block_id: "quiet_end_block",
+      element: {
+        type: "timepicker",
+        action_id: "quiet_end_input",
+        ...(rule?.quietHours ? { initial_time: rule.quietHours.end } : {}),
+      },
+      label: { type: "plain_text", text: "Quiet hours end" },
+      optional: true,
+    },
+    {
+      type: "input",
+      block_id: "timezone_block",
+      element: {
+        type: "plain_text_input",
+        action_id: "timezone_input",
+        placeholder: { type: "plain_text", text: "e.g. Europe/Berlin (defaults to the server's time zone)" },
+        initial_value: rule?.quietHours?.timezone || "",
+      },
+      label: { type: "plain_text", text: "Quiet hours time zone" },
+      optional: true,
+    },
+    {
+      type: "input",
+      block_id: "threshold_block",
+      element: {
+        type: "number_input",
+        action_id: "threshold_input",
+        is_decimal_allowed: true,
+        min_value: "0",
+        max_value: "1",
+        ...(rule?.questionThreshold != null ? { initial_value: String(rule.questionThreshold) } : {}),
+      },
+      label: { type: "plain_text", text: "Question threshold" },
+      hint: { type: "plain_text", text: "Pre-filter score (0-1) a message needs to be treated as a question here. Leave empty for the default." },
+      optional: true,
+    }
+  );
+
+  return {
+    type: "modal",
+    callback_id: "channel_rule_modal",
+    private_metadata: key ?? "",
+    title: { type: "plain_text", text: key ? "Edit Channel Rule" : "Add Channel Rule" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks,
+  };
+}
+
 /**
  * Build confirmation modal for deletion
  */
@@ -289,7 +669,7 @@ export function registerAppHomeHandlers(app, logger) {
     try {
       if (event.tab !== "home") return;
 
-      const view = await buildHomeView();
+      const view = await buildHomeView(event.user);
       await client.views.publish({
         user_id: event.user,
         view,
@@ -299,6 +679,23 @@ export function registerAppHomeHandlers(app, logger) {
     }
   });
 
+  // Handle analytics window selection (7/30/90 days)
+  app.action("analytics_window_select", async ({ ack, body, action, client }) => {
+    await ack();
+    try {
+      const days = Number(action.selected_option?.value);
+      if (ANALYTICS_WINDOW_DAYS.includes(days)) {
+        analyticsWindowByUser.set(body.user.id, days);
+      }
+      await client.views.publish({
+        user_id: body.user.id,
+        view: await buildHomeView(body.user.id),
+      });
+    } catch (error) {
+      logger.error(`Error updating analytics window: ${error?.message ?? error}`);
+    }
+  });
+
   // Handle "Add Knowledge Area" button click
   app.action("add_knowledge_area", async ({ ack, body, client }) => {
     await ack();
@@ -350,15 +747,17 @@ export function registerAppHomeHandlers(app, logger) {
     const notionUrl = values.notion_block.notion_input.value?.trim();
     const ownerUserIds = values.owners_block.owners_input.selected_users || [];
     const keywordsRaw = values.keywords_block.keywords_input.value || "";
+    const requireFaqApproval = (values.approval_block?.approval_input?.selected_options || []).length > 0;
+    const confidencePolicy = readConfidencePolicy(values);
 
-    // Validate notion page ID
-    const notionPageId = extractPageId(notionUrl);
-    if (!notionPageId) {
-      logger.warn(`[AppHome] Invalid Notion page ID provided: ${notionUrl}`);
+    // Validate the FAQ location
+    const faqSource = await resolveAreaSource(notionUrl, logger);
+    if (!faqSource) {
+      logger.warn(`[AppHome] Invalid FAQ location provided: ${notionUrl}`);
       await ack({
         response_action: "errors",
         errors: {
-          notion_block: "Invalid Notion page URL or ID",
+          notion_block: "Invalid Notion page URL or ID, or Markdown path",
         },
       });
       return;
@@ -374,9 +773,11 @@ export function registerAppHomeHandlers(app, logger) {
         {
           name,
           description,
-          notionPageId: notionUrl, // Store the original URL/ID
+          ...faqSource, // Store the original URL/ID/path
           ownerUserIds,
           keywords,
+          requireFaqApproval,
+          confidencePolicy,
         },
         logger
       );
@@ -384,7 +785,7 @@ export function registerAppHomeHandlers(app, logger) {
       await ack();
 
       // Refresh the home view
-      const homeView = await buildHomeView();
+      const homeView = await buildHomeView(body.user.id);
       await client.views.publish({
         user_id: body.user.id,
         view: homeView,
@@ -409,15 +810,20 @@ export function registerAppHomeHandlers(app, logger) {
     const notionUrl = values.notion_block.notion_input.value?.trim();
     const ownerUserIds = values.owners_block.owners_input.selected_users || [];
     const keywordsRaw = values.keywords_block.keywords_input.value || "";
-
-    // Validate notion page ID
-    const notionPageId = extractPageId(notionUrl);
-    if (!notionPageId) {
-      logger.warn(`[AppHome] Invalid Notion page ID provided: ${notionUrl}`);
+    const requireFaqApproval = (values.approval_block?.approval_input?.selected_options || []).length > 0;
+    const confidencePolicy = readConfidencePolicy(values);
+
+    // Validate the FAQ location — only re-resolved when it changed, so an area keeps its source type
+    const existingArea = getKnowledgeAreaById(areaId);
+    const faqSource = existingArea && notionUrl === getAreaSourceId(existingArea)
+      ? {}
+      : await resolveAreaSource(notionUrl, logger);
+    if (!faqSource) {
+      logger.warn(`[AppHome] Invalid FAQ location provided: ${notionUrl}`);
       await ack({
         response_action: "errors",
         errors: {
-          notion_block: "Invalid Notion page URL or ID",
+          notion_block: "Invalid Notion page URL or ID, or Markdown path",
         },
       });
       return;
@@ -434,9 +840,11 @@ export function registerAppHomeHandlers(app, logger) {
         {
           name,
           description,
-          notionPageId: notionUrl,
+          ...faqSource,
           ownerUserIds,
           keywords,
+          requireFaqApproval,
+          confidencePolicy,
         },
         logger
       );
@@ -444,7 +852,7 @@ export function registerAppHomeHandlers(app, logger) {
       await ack();
 
       // Refresh the home view
-      const homeView = await buildHomeView();
+      const homeView = await buildHomeView(body.user.id);
       await client.views.publish({
         user_id: body.user.id,
         view: homeView,
@@ -459,6 +867,90 @@ export function registerAppHomeHandlers(app, logger) {
     }
   });
 
+  app.action("add_channel_rule", async ({ ack, body, client }) => {
+    await ack();
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildChannelRuleModal(),
+      });
+    } catch (error) {
+      logger.error(`Error opening channel rule modal: ${error?.message ?? error}`);
+    }
+  });
+
+  app.action(/^channel_rule_overflow_/, async ({ ack, body, action, client }) => {
+    await ack();
+    try {
+      const value = action.selected_option.value;
+      const separator = value.indexOf(":");
+      const actionType = value.slice(0, separator);
+      const key = value.slice(separator + 1);
+
+      if (actionType === "edit") {
+        const rule = getAllChannelRules()[key];
+        if (!rule) return;
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: buildChannelRuleModal(key, rule),
+        });
+      } else if (actionType === "delete") {
+        await removeChannelRule(key, logger);
+        await client.views.publish({
+          user_id: body.user.id,
+          view: await buildHomeView(body.user.id),
+        });
+      }
+    } catch (error) {
+      logger.error(`Error handling channel rule action: ${error?.message ?? error}`);
+    }
+  });
+
+  app.view("channel_rule_modal", async ({ ack, body, view, client }) => {
+    const values = view.state.values;
+    const key = view.private_metadata || values.channel_block?.channel_input?.selected_conversation;
+    const start = values.quiet_start_block.quiet_start_input.selected_time || null;
+    const end = values.quiet_end_block.quiet_end_input.selected_time || null;
+    const timezone = values.timezone_block.timezone_input.value?.trim() || null;
+    const threshold = values.threshold_block?.threshold_input?.value;
+
+    const errors = {};
+    if (!key) errors.channel_block = "Pick a channel";
+    if (!start !== !end) errors[start ? "quiet_end_block" : "quiet_start_block"] = "Set both a start and an end for quiet hours";
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      } catch {
+        errors.timezone_block = `Unknown time zone "${timezone}"`;
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: "errors", errors });
+      return;
+    }
+
+    logger.info(`[AppHome] Channel rule for ${key} saved by user ${body.user.id}`);
+    try {
+      await setChannelRule(key, {
+        mode: values.mode_block.mode_input.selected_option?.value,
+        boundAreaId: values.bound_block?.bound_input?.selected_option?.value ?? null,
+        allowedAreaIds: (values.allowed_block?.allowed_input?.selected_options ?? []).map((o) => o.value),
+        generalFaq: (values.general_block.general_input.selected_options ?? []).length > 0,
+        quietHours: start ? { start, end, timezone } : null,
+        questionThreshold: threshold ? Number(threshold) : null,
+      }, logger);
+      await ack();
+
+      await client.views.publish({
+        user_id: body.user.id,
+        view: await buildHomeView(body.user.id),
+      });
+    } catch (error) {
+      logger.error(`Error saving channel rule: ${error?.message ?? error}`);
+      await ack();
+    }
+  });
+
   // Handle delete confirmation modal submission
   app.view(/^delete_area_modal_/, async ({ ack, body, view, client }) => {
     const areaId = view.callback_id.replace("delete_area_modal_", "");
@@ -469,7 +961,7 @@ export function registerAppHomeHandlers(app, logger) {
       await ack();
 
       // Refresh the home view
-      const homeView = await buildHomeView();
+      const homeView = await buildHomeView(body.user.id);
       await client.views.publish({
         user_id: body.user.id,
         view: homeView,
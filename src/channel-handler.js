@@ -1,5 +1,17 @@
-import { looksLikeQuestion, alreadySeen, getThreadContext, truncate } from "./slack-helpers.js";
-import { formatAnswer, formatPartialAnswer, formatEscalation } from "./formatters.js";
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
+import { alreadySeen, getThreadContext, truncate } from "./slack-helpers.js";
+import {
+  formatAnswer,
+  formatPartialAnswer,
+  formatEscalation,
+  formatAnswerBlocks,
+  formatTimeAgo,
+  formatFaqLink,
+  formatAreaGuess,
+  formatLeadCheckRequest,
+  formatAreaChoiceBlocks,
+} from "./formatters.js";
 import {
   getAllKnowledgeAreas,
   getKnowledgeAreaById,
@@ -10,9 +22,12 @@ import {
   getMember,
   touchMemberActivity,
   updateMemberDescription,
+  getAreaFaqSource,
+  getAreaConfidencePolicy,
 } from "./knowledge-areas.js";
 import {
   classifyQuestion,
+  translateQuestion,
   askClaude,
   selectKbPages,
   analyzeThreadReply,
@@ -23,15 +38,56 @@ import {
   trackEscalation,
   recordOwnerResponse,
   getActiveEscalationByThread,
+  attachDuplicateAsker,
 } from "./escalation-tracker.js";
 import {
   trackFaqAnswer,
   getActiveFaqAnswerByThread,
   recordCorrectionResponse,
 } from "./answer-tracker.js";
+import { retrievePassages } from "./retrieval.js";
+import { resolveEvidenceCitations, getSourceUrl } from "./knowledge-sources.js";
+import { findDuplicateQuestion } from "./duplicate-detector.js";
+import { recordFaqEntriesCited } from "./verification-tracker.js";
+import { getChannelRule, getBoundArea, filterAllowedAreas, isQuietHours } from "./channel-rules.js";
+import { watchChannel } from "./watch-channels.js";
+import { detectQuestion } from "./question-detection.js";
 
 const GENERAL_FAQ_AREA_ID = "general-faq";
 
+// ─── Area choices already picked, persisted so a restart can't answer twice ──
+const AREA_CHOICES_DOCUMENT = "area-choices";
+const AREA_CHOICE_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+const pickedAreaChoices = workspaceState(() => new Map()); // "<channel>:<message ts>" -> picked at (ms)
+
+export async function loadAreaChoices() {
+  try {
+    const entries = await getStore().loadDocument(AREA_CHOICES_DOCUMENT, []);
+    const cutoff = Date.now() - AREA_CHOICE_EXPIRY_MS;
+    for (const [key, pickedAt] of entries) {
+      if (pickedAt > cutoff) pickedAreaChoices().set(key, pickedAt);
+    }
+  } catch { /* start fresh */ }
+}
+
+/**
+ * Claim an area-choice message for the first click on it. Returns false if
+ * someone already picked, even before a restart.
+ */
+async function claimAreaChoice(channel, messageTs) {
+  const picked = pickedAreaChoices();
+  const key = `${channel}:${messageTs}`;
+  if (picked.has(key)) return false;
+
+  const now = Date.now();
+  picked.set(key, now);
+  for (const [oldKey, pickedAt] of picked) {
+    if (pickedAt <= now - AREA_CHOICE_EXPIRY_MS) picked.delete(oldKey);
+  }
+  await getStore().saveDocument(AREA_CHOICES_DOCUMENT, [...picked.entries()]);
+  return true;
+}
+
 /**
  * Maybe evolve a team member's expertise description based on a new response.
  * Throttled to once per throttle period per person per area.
@@ -123,10 +179,303 @@ async function handleAutoDiscovery(event, threadAreaId, text, client, ctx) {
   }
 }
 
-export function registerChannelHandler(app, ctx) {
-  const { config, anthropic } = ctx;
+/**
+ * Point a repeat question at the thread where it was already asked. Askers of a
+ * still-open escalation are attached to it and hear back when it's answered.
+ */
+async function handleDuplicateQuestion(event, duplicate, client, ctx) {
+  const logger = ctx.logger;
+  const { kind, record, askedAt } = duplicate;
+  const thread_ts = event.thread_ts ?? event.ts;
+
+  let threadLink = "in another thread";
+  try {
+    const res = await client.chat.getPermalink({ channel: record.channel, message_ts: record.threadTs });
+    if (res.permalink) threadLink = `<${res.permalink}|here>`;
+  } catch (err) {
+    logger.warn(`[Duplicate] Could not get permalink for ${record.channel}/${record.threadTs}: ${err?.message ?? err}`);
+  }
+
+  const lines = [`This looks like the same question that was asked ${threadLink} ${formatTimeAgo(askedAt)}.`];
+
+  if (kind === "answer") {
+    lines.push("");
+    lines.push(`> ${truncate(record.botAnswer || "", 600)}`);
+    lines.push("");
+    lines.push("_If that doesn't cover your case, reply here with more detail._");
+  } else if (record.status === "completed") {
+    lines.push(record.faqUrl
+      ? `The team answered it there and it's now in the FAQ: ${formatFaqLink(record.faqUrl)}`
+      : "The team answered it there.");
+  } else {
+    await attachDuplicateAsker(
+      record.id,
+      { userId: event.user, channel: event.channel, threadTs: thread_ts, messageTs: event.ts },
+      logger
+    );
+    lines.push("It's still open there — I'll post back here once it's answered.");
+  }
+
+  await client.chat.postMessage({
+    channel: event.channel,
+    thread_ts,
+    text: lines.join("\n"),
+    mrkdwn: true,
+  });
+
+  logger.info(`[Duplicate] Linked question from <@${event.user}> to earlier ${kind} ${record.id}`);
+}
+
+/**
+ * Leads to tag on a question: the most relevant of the area's leads, or its owners if it has none
+ */
+async function selectLeadsToTag(area, questionText, ctx) {
+  const { anthropic, config, logger } = ctx;
+  const leads = getLeads(area.id);
+  if (leads.length === 0) return area.ownerUserIds;
+
+  try {
+    return await selectRelevantLeads(anthropic, config.claudeSmartModel, questionText, leads, area.name);
+  } catch (err) {
+    logger.warn(`[Message] Smart lead selection failed: ${err?.message ?? err}`);
+    return leads.map((l) => l.userId);
+  }
+}
+
+/**
+ * Answer a question from one area's FAQ — fully, partially with leads tagged, or by
+ * escalating. areaConfidence is how sure classification was of the area (null when the
+ * asker picked it); below the area's prefaceBelow the answer opens with a guess at the
+ * area and a lead is tagged to double-check.
+ */
+async function answerInArea(event, area, question, client, ctx) {
+  const { anthropic, config, logger } = ctx;
+  const { cleanText, searchText, language, translation, thread_ts, isFollowUpInHandledThread, areaConfidence } = question;
+  const policy = getAreaConfidencePolicy(area, config.confidencePolicy);
+  const isUncertainArea = areaConfidence != null && areaConfidence < policy.prefaceBelow;
+
+  logger.info(`[Message] Processing question for knowledge area: "${area.name}"`);
+
+  const faqSource = getAreaFaqSource(area);
+  let faqContent = await ctx.readKnowledgeSource(faqSource);
+  if (!faqContent) {
+    logger.warn(`[Message] No FAQ content for knowledge area ${area.name}`);
+    return;
+  }
+
+  if (config.retrieval.enabled) {
+    const retrieved = await retrievePassages(
+      ctx,
+      [faqSource],
+      searchText,
+      config.retrieval
+    );
+    // Keep the whole page if nothing matched lexically — better than an empty context
+    if (retrieved.content) faqContent = retrieved.content;
+  }
+
+  const threadContext = await getThreadContext(client, event, logger);
+
+  const result = await askClaude(anthropic, config.claudeModel, {
+    questionText: cleanText,
+    threadContext,
+    faqContent,
+    areaName: area.name,
+    language,
+  });
+
+  logger.info(`[Message] Claude result: answer_found_in_faq=${result.answer_found_in_faq}, needs_escalation=${result.needs_escalation}, answer_confidence=${result.answer_confidence}`);
+
+  if (result.answer_found_in_faq) {
+    result.citations = await resolveEvidenceCitations([faqSource], result.evidence, logger, { ttlMs: config.notionCacheTtlMs });
+    await recordFaqEntriesCited(area.id, result.citations);
+  }
+
+  if (result.answer_found_in_faq && result.needs_escalation) {
+    const escalationUserIds = await selectLeadsToTag(area, searchText, ctx);
+
+    const answerText = [
+      isUncertainArea ? formatAreaGuess(area.name) : null,
+      formatPartialAnswer(result, area.name, escalationUserIds, getSourceUrl(faqSource), config.showEvidence, translation),
+    ].filter(Boolean).join("\n\n");
+    const answerMsg = await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts,
+      text: answerText,
+      ...(config.features.answerFeedback ? { blocks: formatAnswerBlocks(answerText) } : {}),
+      mrkdwn: true,
+    });
+
+    await trackFaqAnswer(
+      {
+        channel: event.channel,
+        threadTs: thread_ts,
+        messageTs: answerMsg.ts,
+        productAreaId: area.id,
+        originalQuestion: cleanText,
+        botAnswer: result.answer,
+        evidence: result.evidence || [],
+        ownerUserIds: area.ownerUserIds,
+        partial: true,
+      },
+      logger
+    );
+
+    await trackEscalation(
+      {
+        channel: event.channel,
+        threadTs: thread_ts,
+        messageTs: answerMsg.ts,
+        productAreaId: area.id,
+        originalQuestion: cleanText,
+        translatedQuestion: translation?.text,
+        ownerUserIds: area.ownerUserIds,
+        pingedUserIds: escalationUserIds,
+        faqTopics: result.faq_topics,
+      },
+      logger
+    );
+  } else if (result.answer_found_in_faq) {
+    // Unsure of the area or of the answer itself — ask a lead to double-check
+    const isLowConfidence = isUncertainArea || result.answer_confidence < policy.tagLeadsBelow;
+    const reviewerUserIds = isLowConfidence ? await selectLeadsToTag(area, searchText, ctx) : [];
+    if (isLowConfidence) {
+      logger.info(`[Message] Low-confidence answer (area ${areaConfidence ?? "picked by asker"}, answer ${result.answer_confidence}), tagging ${reviewerUserIds.length} lead(s)`);
+    }
+
+    const answerText = [
+      isUncertainArea ? formatAreaGuess(area.name) : null,
+      formatAnswer(result, area.name, config.showEvidence),
+      reviewerUserIds.length ? formatLeadCheckRequest(reviewerUserIds, translation) : null,
+    ].filter(Boolean).join("\n\n");
+    const answerMsg = await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts,
+      text: answerText,
+      ...(config.features.answerFeedback ? { blocks: formatAnswerBlocks(answerText) } : {}),
+      mrkdwn: true,
+    });
+
+    await trackFaqAnswer(
+      {
+        channel: event.channel,
+        threadTs: thread_ts,
+        messageTs: answerMsg.ts,
+        productAreaId: area.id,
+        originalQuestion: cleanText,
+        botAnswer: result.answer,
+        evidence: result.evidence || [],
+        ownerUserIds: area.ownerUserIds,
+      },
+      logger
+    );
+  } else if (isFollowUpInHandledThread) {
+    logger.info(`[Message] Follow-up FAQ miss in already-handled thread, staying silent`);
+    return;
+  } else {
+    const escalationUserIds = await selectLeadsToTag(area, searchText, ctx);
+
+    const escalationMsg = await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts,
+      text: formatEscalation({
+        questionText: cleanText,
+        followUps: result.follow_up_questions ?? [],
+        ownerUserIds: escalationUserIds,
+        areaName: area.name,
+        notionFaqUrl: getSourceUrl(faqSource),
+        translation,
+      }),
+      mrkdwn: true,
+    });
 
+    await trackEscalation(
+      {
+        channel: event.channel,
+        threadTs: thread_ts,
+        messageTs: escalationMsg.ts,
+        productAreaId: area.id,
+        originalQuestion: cleanText,
+        translatedQuestion: translation?.text,
+        ownerUserIds: area.ownerUserIds,
+        pingedUserIds: escalationUserIds,
+        faqTopics: result.faq_topics,
+      },
+      logger
+    );
+  }
+}
+
+/**
+ * Hand a question nobody could place in an area to the General FAQ admins
+ */
+async function escalateToGeneral(event, { cleanText, translation, thread_ts }, client, ctx) {
+  const { config, logger } = ctx;
+  const adminUserIds = [...config.generalFaq.adminUserIds];
+
+  const escalationMsg = await client.chat.postMessage({
+    channel: event.channel,
+    thread_ts,
+    text: formatEscalation({
+      questionText: cleanText,
+      followUps: [],
+      ownerUserIds: adminUserIds,
+      areaName: "General",
+      notionFaqUrl: config.generalFaq.kbRootPageUrl || config.generalFaq.notionPageUrl,
+      translation,
+    }),
+    mrkdwn: true,
+  });
+
+  await trackEscalation(
+    {
+      channel: event.channel,
+      threadTs: thread_ts,
+      messageTs: escalationMsg.ts,
+      productAreaId: GENERAL_FAQ_AREA_ID,
+      originalQuestion: cleanText,
+      translatedQuestion: translation?.text,
+      ownerUserIds: adminUserIds,
+      pingedUserIds: adminUserIds,
+    },
+    logger
+  );
+}
+
+const MAX_AREA_CHOICES = 3;
+
+/**
+ * Ask which area a question is about when classification isn't sure enough to answer.
+ * The buttons carry what's needed to pick the question back up (see the clarify_area_ actions).
+ */
+async function askWhichArea(event, { area, classification, knowledgeAreas, language, translation, thread_ts }, client, ctx) {
+  const candidateIds = [area.id, ...(classification.alternative_area_ids ?? []), ...knowledgeAreas.map((a) => a.id)];
+  const choices = [...new Set(candidateIds)]
+    .map((id) => knowledgeAreas.find((a) => a.id === id))
+    .filter(Boolean)
+    .slice(0, MAX_AREA_CHOICES);
+
+  const payload = {
+    questionTs: event.ts,
+    threadTs: thread_ts,
+    askerId: event.user,
+    language,
+    ...(translation ? { translation: { language: translation.language, text: truncate(translation.text, 1000) } } : {}),
+  };
+
+  await client.chat.postMessage({
+    channel: event.channel,
+    thread_ts,
+    text: "Which area is this question about?",
+    blocks: formatAreaChoiceBlocks(choices, payload),
+  });
+
+  ctx.logger.info(`[Message] Classification confidence ${classification.confidence} is below "${area.name}"'s threshold, asking <@${event.user}> to pick from ${choices.map((a) => a.name).join(", ")}`);
+}
+
+export function registerChannelHandler(app, ctx) {
   app.event("message", async ({ event, client, logger }) => {
+    const { config, anthropic } = ctx;
     try {
       if (event.channel_type === "im") return;
       if (event.subtype) return;
@@ -135,7 +484,10 @@ export function registerChannelHandler(app, ctx) {
 
       const handlerCtx = { ...ctx, logger };
 
-      if (!ctx.watchChannelIds.has(event.channel)) return;
+      // Channels get rules by name (watched via WATCH_CHANNELS) or by ID from the App Home
+      const channelName = ctx.channelIdToName.get(event.channel) || null;
+      const channelRule = getChannelRule(event.channel, channelName);
+      if (!ctx.watchChannelIds.has(event.channel) && !channelRule) return;
 
       const text = (event.text ?? "").trim();
       if (!text) return;
@@ -240,18 +592,69 @@ export function registerChannelHandler(app, ctx) {
         }
       }
 
-      if (!looksLikeQuestion(cleanText) && !isBotMention) return;
+      // Checked before question detection so the pre-filter isn't paid for messages we'd skip anyway
+      if (channelRule && !isBotMention) {
+        if (channelRule.mode === "mention") return;
+        if (isQuietHours(channelRule)) {
+          logger.debug(`[Message] Quiet hours in channel ${event.channel}, only answering @-mentions`);
+          return;
+        }
+      }
 
+      // A redelivered event must not pay for the pre-filter again
       const dedupeKey = `${event.channel}:${event.ts}`;
       if (alreadySeen(dedupeKey)) return;
 
-      const knowledgeAreas = getAllKnowledgeAreas();
+      const detection = await detectQuestion(ctx, { text: cleanText, channelName, channelRule, isBotMention }, logger);
+      if (!detection.pass) return;
+
+      const knowledgeAreas = filterAllowedAreas(channelRule, getAllKnowledgeAreas());
       if (knowledgeAreas.length === 0) return;
 
-      const channelName = ctx.channelIdToName.get(event.channel) || null;
-      logger.info(`[Message] Classifying question from <@${event.user}> in channel ${event.channel} (${channelName || "unknown"})`);
-      const classification = await classifyQuestion(anthropic, config.claudeModel, cleanText, knowledgeAreas, channelName);
-      logger.info(`[Message] Classification result: is_question=${classification.is_question}, product_area_id=${classification.product_area_id}, confidence=${classification.confidence}`);
+      // Repeat of a recently answered/escalated question — link it instead of starting over
+      if (config.duplicateDetection.enabled && !isFollowUpInHandledThread) {
+        const duplicate = await findDuplicateQuestion(handlerCtx, {
+          channel: event.channel,
+          threadTs: event.thread_ts ?? event.ts,
+          questionText: cleanText,
+        });
+        if (duplicate) {
+          await handleDuplicateQuestion(event, duplicate, client, handlerCtx);
+          return;
+        }
+      }
+
+      let classification;
+      const { faqLanguage } = config.multilingual;
+      const boundArea = getBoundArea(channelRule);
+      if (boundArea) {
+        logger.info(`[Message] Channel ${event.channel} is bound to "${boundArea.name}", skipping classification`);
+        classification = { is_question: true, product_area_id: boundArea.id, confidence: 1 };
+        // Classification would have detected the language — do just that part instead
+        try {
+          Object.assign(classification, await translateQuestion(anthropic, config.claudeModel, cleanText, faqLanguage));
+        } catch (err) {
+          logger.warn(`[Message] Language detection failed, assuming ${faqLanguage}: ${err?.message ?? err}`);
+        }
+      } else {
+        logger.info(`[Message] Classifying question from <@${event.user}> in channel ${event.channel} (${channelName || "unknown"})`);
+        classification = await classifyQuestion(anthropic, config.claudeModel, cleanText, knowledgeAreas, channelName, faqLanguage);
+        logger.info(`[Message] Classification result: is_question=${classification.is_question}, product_area_id=${classification.product_area_id}, confidence=${classification.confidence}`);
+      }
+
+      // Search the FAQ and brief leads in the FAQ's language; answer the asker in theirs
+      const language = classification.language || faqLanguage;
+      const isTranslated = language.toLowerCase() !== faqLanguage.toLowerCase() && !!classification.translated_question?.trim();
+      const searchText = isTranslated ? classification.translated_question.trim() : cleanText;
+      const translation = isTranslated ? { language, text: searchText } : null;
+      if (isTranslated) logger.info(`[Message] Question is in ${language}, searching with translation: "${searchText.substring(0, 100)}"`);
+
+      // Never route outside the areas this channel allows
+      if (classification.product_area_id && classification.product_area_id !== "general" &&
+          !knowledgeAreas.some((a) => a.id === classification.product_area_id)) {
+        logger.info(`[Message] Area ${classification.product_area_id} isn't allowed in channel ${event.channel}, treating as general`);
+        classification.product_area_id = "general";
+      }
 
       if (!classification.is_question && !isBotMention) return;
       if (!classification.product_area_id && !isBotMention) return;
@@ -266,6 +669,10 @@ export function registerChannelHandler(app, ctx) {
 
       // ── General FAQ path ──
       if (classification.product_area_id === "general") {
+        if (channelRule && !channelRule.generalFaq) {
+          logger.info(`[Message] General KB is off in channel ${event.channel}, skipping`);
+          return;
+        }
         if (!config.generalFaq.enabled || (!config.generalFaq.kbRootPageUrl && !config.generalFaq.notionPageUrl)) {
           logger.info(`[Message] General FAQ not configured, skipping`);
           return;
@@ -275,6 +682,7 @@ export function registerChannelHandler(app, ctx) {
 
         let generalFaqContent = null;
         let kbSourcePageIds = [];
+        let fallbackPageUrl = null;
 
         // Try KB hierarchy flow first
         if (config.generalFaq.kbRootPageUrl) {
@@ -283,10 +691,25 @@ export function registerChannelHandler(app, ctx) {
 
             if (hierarchy.length > 0) {
               logger.info(`[Message] KB hierarchy has ${hierarchy.length} page(s), selecting relevant ones`);
-              const selection = await selectKbPages(anthropic, config.claudeModel, cleanText, hierarchy);
+              const selection = await selectKbPages(anthropic, config.claudeModel, searchText, hierarchy);
               logger.info(`[Message] KB page selection: ${selection.selected_pages.length} page(s) selected — ${selection.rationale}`);
 
-              if (selection.selected_pages.length > 0) {
+              if (selection.selected_pages.length > 0 && config.retrieval.enabled) {
+                const pages = selection.selected_pages.map((page) => ({
+                  type: "notion-page",
+                  id: page.page_id,
+                  title: hierarchy.find((p) => p.pageId === page.page_id)?.title || "Unknown",
+                }));
+                const retrieved = await retrievePassages(handlerCtx, pages, searchText, config.retrieval);
+                if (retrieved.content) {
+                  generalFaqContent = retrieved.content;
+                  kbSourcePageIds = retrieved.pageIds;
+                  logger.info(`[Message] KB source pages for correction tracking: ${kbSourcePageIds.length} page(s) — ${kbSourcePageIds.map(id => id.slice(0, 8)).join(", ")}`);
+                }
+              }
+
+              // Whole-page fallback when retrieval is off or found no matching passages
+              if (selection.selected_pages.length > 0 && !generalFaqContent) {
                 const sections = [];
                 const selectedPageIds = [];
                 let totalLength = 0;
@@ -326,6 +749,7 @@ export function registerChannelHandler(app, ctx) {
           if (fallbackUrl) {
             logger.info(`[Message] Falling back to root page content`);
             generalFaqContent = await ctx.getNotionContent(fallbackUrl);
+            fallbackPageUrl = fallbackUrl;
           }
         }
 
@@ -341,13 +765,20 @@ export function registerChannelHandler(app, ctx) {
             threadContext,
             faqContent: generalFaqContent,
             areaName: "General",
+            language,
           });
 
           if (result.answer_found_in_faq) {
+            const citationPageIds = kbSourcePageIds.length ? kbSourcePageIds : [fallbackPageUrl];
+            result.citations = await resolveEvidenceCitations(citationPageIds, result.evidence, logger, { ttlMs: config.notionCacheTtlMs });
+            await recordFaqEntriesCited(GENERAL_FAQ_AREA_ID, result.citations);
+
+            const answerText = formatAnswer(result, "General", config.showEvidence);
             const answerMsg = await client.chat.postMessage({
               channel: event.channel,
               thread_ts,
-              text: formatAnswer(result, "General", config.showEvidence),
+              text: answerText,
+              ...(config.features.answerFeedback ? { blocks: formatAnswerBlocks(answerText) } : {}),
               mrkdwn: true,
             });
 
@@ -378,6 +809,7 @@ export function registerChannelHandler(app, ctx) {
             messageTs: event.ts,
             productAreaId: GENERAL_FAQ_AREA_ID,
             originalQuestion: cleanText,
+            translatedQuestion: translation?.text,
             ownerUserIds: [...config.generalFaq.adminUserIds],
           },
           logger
@@ -397,136 +829,111 @@ export function registerChannelHandler(app, ctx) {
         return;
       }
 
-      logger.info(`[Message] Processing question for knowledge area: "${area.name}"`);
-
-      const faqContent = await ctx.getNotionContent(area.notionPageId);
-      if (!faqContent) {
-        logger.warn(`[Message] No FAQ content for knowledge area ${area.name}`);
+      const policy = getAreaConfidencePolicy(area, config.confidencePolicy);
+      if (!isFollowUpInHandledThread && classification.confidence < policy.clarifyBelow) {
+        await askWhichArea(event, { area, classification, knowledgeAreas, language, translation, thread_ts }, client, handlerCtx);
         return;
       }
 
-      const threadContext = await getThreadContext(client, event, logger);
-
-      const result = await askClaude(anthropic, config.claudeModel, {
-        questionText: cleanText,
-        threadContext,
-        faqContent,
-        areaName: area.name,
-      });
-
-      logger.info(`[Message] Claude result: answer_found_in_faq=${result.answer_found_in_faq}, needs_escalation=${result.needs_escalation}`);
-
-      if (result.answer_found_in_faq && result.needs_escalation) {
-        const leads = getLeads(area.id);
-        let escalationUserIds;
-
-        if (leads.length > 0) {
-          try {
-            escalationUserIds = await selectRelevantLeads(anthropic, config.claudeSmartModel, cleanText, leads, area.name);
-          } catch (err) {
-            logger.warn(`[Message] Smart lead selection failed: ${err?.message ?? err}`);
-            escalationUserIds = leads.map((l) => l.userId);
-          }
-        } else {
-          escalationUserIds = area.ownerUserIds;
-        }
+      await answerInArea(event, area, {
+        cleanText,
+        searchText,
+        language,
+        translation,
+        thread_ts,
+        isFollowUpInHandledThread,
+        areaConfidence: classification.confidence,
+      }, client, handlerCtx);
+    } catch (e) {
+      logger.error(e);
+    }
+  });
 
-        const answerMsg = await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts,
-          text: formatPartialAnswer(result, area.name, escalationUserIds, area.notionPageId, config.showEvidence),
-          mrkdwn: true,
+  // The asker (or anyone on a team) picks the area for a question classification wasn't sure about
+  app.action(/^clarify_area_/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+    try {
+      const channel = body.container?.channel_id ?? body.channel?.id;
+      const messageTs = body.container?.message_ts ?? body.message?.ts;
+      const userId = body.user.id;
+      const payload = JSON.parse(action.value);
+
+      if (userId !== payload.askerId && !isTeamMemberForAnyArea(userId)) {
+        await client.chat.postEphemeral({
+          channel,
+          user: userId,
+          thread_ts: payload.threadTs,
+          text: `Only <@${payload.askerId}> or someone on a team can pick the area for this question.`,
         });
+        return;
+      }
+      if (!(await claimAreaChoice(channel, messageTs))) return;
+
+      const area = payload.areaId ? getKnowledgeAreaById(payload.areaId) : null;
+      await client.chat.update({
+        channel,
+        ts: messageTs,
+        text: area
+          ? `:point_right: <@${userId}> picked *${area.name}*.`
+          : `<@${userId}> said it's none of these — passing it to the General FAQ admins.`,
+        blocks: [],
+      });
 
-        await trackFaqAnswer(
-          {
-            channel: event.channel,
-            threadTs: thread_ts,
-            messageTs: answerMsg.ts,
-            productAreaId: area.id,
-            originalQuestion: cleanText,
-            botAnswer: result.answer,
-            evidence: result.evidence || [],
-            ownerUserIds: area.ownerUserIds,
-          },
-          logger
-        );
+      const res = await client.conversations.replies({ channel, ts: payload.threadTs, limit: 200 });
+      const original = (res.messages ?? []).find((m) => m.ts === payload.questionTs);
+      if (!original?.text) {
+        logger.warn(`[Message] Question ${payload.questionTs} for area choice not found in ${channel}`);
+        return;
+      }
 
-        await trackEscalation(
-          {
-            channel: event.channel,
-            threadTs: thread_ts,
-            messageTs: answerMsg.ts,
-            productAreaId: area.id,
-            originalQuestion: cleanText,
-            ownerUserIds: area.ownerUserIds,
-          },
-          logger
-        );
-      } else if (result.answer_found_in_faq) {
-        const answerMsg = await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts,
-          text: formatAnswer(result, area.name, config.showEvidence),
-          mrkdwn: true,
-        });
+      const mention = ctx.botUserId ? `<@${ctx.botUserId}>` : null;
+      const cleanText = mention
+        ? original.text.replaceAll(mention, "").replace(/\s{2,}/g, " ").trim()
+        : original.text.trim();
 
-        await trackFaqAnswer(
-          {
-            channel: event.channel,
-            threadTs: thread_ts,
-            messageTs: answerMsg.ts,
-            productAreaId: area.id,
-            originalQuestion: cleanText,
-            botAnswer: result.answer,
-            evidence: result.evidence || [],
-            ownerUserIds: area.ownerUserIds,
-          },
-          logger
-        );
-      } else if (isFollowUpInHandledThread) {
-        logger.info(`[Message] Follow-up FAQ miss in already-handled thread, staying silent`);
+      if (!area) {
+        logger.info(`[Message] <@${userId}> said question ${payload.questionTs} fits no area, escalating to the General FAQ`);
+        await escalateToGeneral({ ...original, channel }, {
+          cleanText,
+          translation: payload.translation ?? null,
+          thread_ts: payload.threadTs,
+        }, client, { ...ctx, logger });
         return;
-      } else {
-        const leads = getLeads(area.id);
-        let escalationUserIds;
+      }
+      logger.info(`[Message] <@${userId}> picked "${area.name}" for question ${payload.questionTs}`);
+
+      await answerInArea({ ...original, channel }, area, {
+        cleanText,
+        searchText: payload.translation?.text ?? cleanText,
+        language: payload.language,
+        translation: payload.translation ?? null,
+        thread_ts: payload.threadTs,
+        isFollowUpInHandledThread: false,
+        areaConfidence: null,
+      }, client, { ...ctx, logger });
+    } catch (e) {
+      logger.error(e);
+    }
+  });
 
-        if (leads.length > 0) {
-          try {
-            escalationUserIds = await selectRelevantLeads(anthropic, config.claudeSmartModel, cleanText, leads, area.name);
-          } catch (err) {
-            logger.warn(`[Message] Smart lead selection failed: ${err?.message ?? err}`);
-            escalationUserIds = leads.map((l) => l.userId);
-          }
-        } else {
-          escalationUserIds = area.ownerUserIds;
+  // Inviting the bot to a channel starts watching it
+  app.event("member_joined_channel", async ({ event, client, logger }) => {
+    try {
+      if (!ctx.botUserId || event.user !== ctx.botUserId) return;
+      if (!ctx.config.channelWatching.watchOnInvite) return;
+      if (ctx.watchChannelIds.has(event.channel)) return;
+
+      let name = ctx.channelIdToName.get(event.channel) || null;
+      if (!name) {
+        try {
+          const { channel } = await client.conversations.info({ channel: event.channel });
+          name = channel?.name ?? null;
+        } catch (err) {
+          logger.warn(`[Channels] Could not look up channel ${event.channel}: ${err?.message ?? err}`);
         }
-
-        const escalationMsg = await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts,
-          text: formatEscalation({
-            questionText: cleanText,
-            followUps: result.follow_up_questions ?? [],
-            ownerUserIds: escalationUserIds,
-            areaName: area.name,
-            notionFaqUrl: area.notionPageId,
-          }),
-          mrkdwn: true,
-        });
-
-        await trackEscalation(
-          {
-            channel: event.channel,
-            threadTs: thread_ts,
-            messageTs: escalationMsg.ts,
-            productAreaId: area.id,
-            originalQuestion: cleanText,
-            ownerUserIds: area.ownerUserIds,
-          },
-          logger
-        );
       }
+
+      await watchChannel(ctx, { id: event.channel, name }, event.inviter ?? "invite", logger);
     } catch (e) {
       logger.error(e);
     }
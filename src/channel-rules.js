@@ -0,0 +1,146 @@
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
+import { getKnowledgeAreaById, getKnowledgeAreaByName } from "./knowledge-areas.js";
+
+const DOCUMENT_NAME = "channel-rules";
+
+export const CHANNEL_MODES = ["auto", "mention"];
+
+// Per-workspace channel rules: the channelRules from bot-config.json, plus edits made
+// in the App Home, stored by channel ID or name (null hides a configured rule)
+const state = workspaceState(() => ({ configured: {}, edits: {} }));
+
+const isChannelId = (key) => /^[CG][A-Z0-9]+$/.test(key);
+
+/**
+ * Fill in defaults. Rules reference areas by ID or name.
+ *
+ * - mode: "auto" answers questions, "mention" only when the bot is @-mentioned
+ * - boundAreaId: answer from this area without classifying
+ * - allowedAreaIds: only classify into these areas (empty = all)
+ * - generalFaq: whether questions that match no area go to the General KB
+ * - quietHours: { start: "HH:mm", end: "HH:mm", timezone } — only answer @-mentions in between
+ * - questionThreshold: pre-filter score (0-1) a message needs here to be treated as a question
+ */
+function normalizeRule(rule) {
+  return {
+    mode: CHANNEL_MODES.includes(rule.mode) ? rule.mode : "auto",
+    boundAreaId: rule.boundAreaId || null,
+    allowedAreaIds: Array.isArray(rule.allowedAreaIds) ? rule.allowedAreaIds : [],
+    generalFaq: rule.generalFaq ?? true,
+    quietHours: rule.quietHours?.start && rule.quietHours?.end
+      ? { start: rule.quietHours.start, end: rule.quietHours.end, timezone: rule.quietHours.timezone || null }
+      : null,
+    questionThreshold: Number.isFinite(rule.questionThreshold) ? rule.questionThreshold : null,
+  };
+}
+
+/**
+ * Load App Home edits from the active store, on top of the rules in bot-config.json
+ */
+export async function loadChannelRules(configuredRules = {}, logger = null) {
+  state().configured = Object.fromEntries(
+    Object.entries(configuredRules).map(([key, rule]) => [key.replace(/^#/, ""), rule])
+  );
+  state().edits = (await getStore().loadDocument(DOCUMENT_NAME, null)) ?? {};
+
+  const count = Object.keys(getAllChannelRules()).length;
+  if (logger && count > 0) logger.info(`[ChannelRules] Loaded ${count} channel rule(s)`);
+  return getAllChannelRules();
+}
+
+async function saveEdits() {
+  await getStore().saveDocument(DOCUMENT_NAME, state().edits);
+}
+
+/**
+ * Every channel rule, keyed by channel ID or name
+ */
+export function getAllChannelRules() {
+  const merged = { ...state().configured, ...state().edits };
+  return Object.fromEntries(
+    Object.entries(merged)
+      .filter(([, rule]) => rule)
+      .map(([key, rule]) => [key, normalizeRule(rule)])
+  );
+}
+
+/**
+ * The rule for a channel, matched by ID and then name, or null
+ */
+export function getChannelRule(channelId, channelName = null) {
+  const rules = getAllChannelRules();
+  return rules[channelId] ?? (channelName ? rules[channelName] : null) ?? null;
+}
+
+/**
+ * Channel names with rules, so they can be watched alongside WATCH_CHANNELS
+ */
+export function getChannelRuleNames() {
+  return Object.keys(getAllChannelRules()).filter((key) => !isChannelId(key));
+}
+
+export async function setChannelRule(key, rule, logger = null) {
+  state().edits[key] = normalizeRule(rule);
+  await saveEdits();
+  if (logger) logger.info(`[ChannelRules] Saved rule for ${key}: ${JSON.stringify(state().edits[key])}`);
+  return state().edits[key];
+}
+
+export async function removeChannelRule(key, logger = null) {
+  if (state().configured[key]) {
+    state().edits[key] = null;
+  } else {
+    delete state().edits[key];
+  }
+  await saveEdits();
+  if (logger) logger.info(`[ChannelRules] Removed rule for ${key}`);
+}
+
+const resolveArea = (ref) => getKnowledgeAreaById(ref) ?? getKnowledgeAreaByName(ref);
+
+/**
+ * The area a rule binds its channel to, or null if none (or it no longer exists)
+ */
+export function getBoundArea(rule) {
+  return rule?.boundAreaId ? resolveArea(rule.boundAreaId) : null;
+}
+
+/**
+ * Narrow knowledge areas to the ones a rule allows
+ */
+export function filterAllowedAreas(rule, areas) {
+  if (!rule?.allowedAreaIds.length) return areas;
+  const allowed = new Set(rule.allowedAreaIds.map((ref) => resolveArea(ref)?.id).filter(Boolean));
+  return areas.filter((area) => allowed.has(area.id));
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+/**
+ * Whether it's within a rule's quiet hours. Windows may wrap past midnight.
+ */
+export function isQuietHours(rule, now = new Date()) {
+  if (!rule?.quietHours) return false;
+  const { start, end, timezone } = rule.quietHours;
+
+  let current;
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+      ...(timezone ? { timeZone: timezone } : {}),
+    }).formatToParts(now);
+    current = Number(parts.find((p) => p.type === "hour").value) * 60 + Number(parts.find((p) => p.type === "minute").value);
+  } catch {
+    current = now.getHours() * 60 + now.getMinutes(); // unknown timezone — use server time
+  }
+
+  const from = minutesOfDay(start);
+  const to = minutesOfDay(end);
+  return from <= to ? current >= from && current < to : current >= from || current < to;
+}
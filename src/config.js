@@ -2,6 +2,7 @@ import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { createRequire } from "node:module";
+import { CONFIG_DIR, getWorkspaceId, isDefaultWorkspace, getWorkspaceConfigDir } from "./workspaces.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,11 +23,11 @@ function splitCsv(v) {
     .filter(Boolean);
 }
 
-// Load bot-config.json (team-specific settings)
+// Load bot-config.json (team-specific settings, from CONFIG_DIR when set)
 let botConfig = {};
-const BOT_CONFIG_PATH = path.join(__dirname, "config", "bot-config.json");
+const BOT_CONFIG_PATH = path.join(CONFIG_DIR, "bot-config.json");
 try {
-  botConfig = require("./config/bot-config.json");
+  botConfig = JSON.parse(fs.readFileSync(BOT_CONFIG_PATH, "utf8"));
 } catch {
   // Fall back to template if bot-config.json doesn't exist
   try {
@@ -36,13 +37,24 @@ try {
   }
 }
 
-// Secrets from .env (required)
+// Multi-workspace mode: setting SLACK_CLIENT_ID installs the bot via OAuth instead of SLACK_BOT_TOKEN
+const multiWorkspace = Boolean(process.env.SLACK_CLIENT_ID?.trim());
+
+// Secrets from .env (required). In multi-workspace mode bot tokens come from installations,
+// and NOTION_API_KEY is only the fallback for workspaces without their own key.
 const secrets = {
-  SLACK_BOT_TOKEN: requireEnv("SLACK_BOT_TOKEN"),
+  SLACK_BOT_TOKEN: multiWorkspace ? (process.env.SLACK_BOT_TOKEN ?? "").trim() : requireEnv("SLACK_BOT_TOKEN"),
   SLACK_APP_TOKEN: requireEnv("SLACK_APP_TOKEN"),
   SLACK_SIGNING_SECRET: requireEnv("SLACK_SIGNING_SECRET"),
   ANTHROPIC_API_KEY: requireEnv("ANTHROPIC_API_KEY"),
-  NOTION_API_KEY: requireEnv("NOTION_API_KEY"),
+  NOTION_API_KEY: multiWorkspace ? (process.env.NOTION_API_KEY ?? "").trim() : requireEnv("NOTION_API_KEY"),
+  ...(multiWorkspace
+    ? {
+        SLACK_CLIENT_ID: requireEnv("SLACK_CLIENT_ID"),
+        SLACK_CLIENT_SECRET: requireEnv("SLACK_CLIENT_SECRET"),
+        SLACK_STATE_SECRET: requireEnv("SLACK_STATE_SECRET"),
+      }
+    : {}),
 };
 
 // .env overrides for backward compat
@@ -50,50 +62,200 @@ const envWatchChannels = process.env.WATCH_CHANNELS
   ? splitCsv(process.env.WATCH_CHANNELS)
   : null;
 
-const config = Object.freeze({
-  // Bot identity
-  botName: botConfig.botName || "Knowledge Bot",
-  slashCommand: botConfig.slashCommand || "/kbot",
-
-  // Channels to watch — .env overrides bot-config.json
-  watchChannels: envWatchChannels || botConfig.watchChannels || [],
-
-  // Display settings
-  showEvidence: process.env.SHOW_EVIDENCE
-    ? process.env.SHOW_EVIDENCE.toLowerCase() === "true"
-    : botConfig.showEvidence ?? false,
-
-  // General FAQ
-  generalFaq: Object.freeze({
-    enabled: botConfig.generalFaq?.enabled ?? false,
-    notionPageUrl: botConfig.generalFaq?.notionPageUrl || "",
-    kbRootPageUrl: botConfig.generalFaq?.kbRootPageUrl || "",
-    adminUserIds: Object.freeze([...(botConfig.generalFaq?.adminUserIds || [])]),
-  }),
-
-  // Feature flags
-  features: Object.freeze({
-    autoDiscovery: botConfig.features?.autoDiscovery ?? true,
-    faqCorrection: botConfig.features?.faqCorrection ?? true,
-  }),
-
-  // Model configuration
-  claudeModel: (process.env.CLAUDE_MODEL ?? "claude-sonnet-4-5").trim(),
-  claudeSmartModel: (process.env.CLAUDE_SMART_MODEL ?? "claude-opus-4-6").trim(),
-
-  // Timing configuration
-  escalationCheckIntervalMs: Number(process.env.ESCALATION_CHECK_INTERVAL_MS ?? 5 * 60 * 1000),
-  synthesisDelayMs: Number(process.env.SYNTHESIS_DELAY_MS ?? 30 * 60 * 1000),
-  correctionCheckDelayMs: Number(process.env.CORRECTION_CHECK_DELAY_MS ?? 10 * 1000),
-  notionCacheTtlMs: Number(process.env.NOTION_CACHE_TTL_MS ?? 10 * 60 * 1000),
-  kbHierarchyCacheTtlMs: Number(process.env.KB_HIERARCHY_CACHE_TTL_MS ?? 30 * 60 * 1000),
-  descriptionUpdateThrottleMs: 7 * 24 * 60 * 60 * 1000,
-
-  // Data directory
-  dataDir: process.env.DATA_DIR || path.join(__dirname, "..", "data"),
-
-  // Secrets — passed through from .env
-  ...secrets,
-});
+/**
+ * Build the frozen config object from a bot-config.json. Overrides replace
+ * top-level keys (used for per-workspace channels and Notion keys).
+ */
+function buildConfig(botConfig, overrides = {}) {
+  const notionChangePollMs = Number(process.env.NOTION_CHANGE_POLL_MS ?? botConfig.notionChanges?.pollIntervalMs ?? 60 * 1000);
+  const notionWebhookPort = Number(process.env.NOTION_WEBHOOK_PORT ?? botConfig.notionChanges?.webhookPort ?? 0);
+  // With change detection, edits evict pages precisely, so the TTL is only a backstop
+  const notionChangesEnabled = notionChangePollMs > 0 || notionWebhookPort > 0;
+
+  return Object.freeze({
+    // Bot identity
+    botName: botConfig.botName || "Knowledge Bot",
+    slashCommand: botConfig.slashCommand || "/kbot",
+
+    // Channels to watch — .env overrides bot-config.json
+    watchChannels: envWatchChannels || botConfig.watchChannels || [],
+
+    // Per-channel rules, keyed by channel name or ID (see channel-rules.js); App Home edits are stored separately
+    channelRules: Object.freeze({ ...botConfig.channelRules }),
+
+    // Channels added with `watch` or by inviting the bot; autoJoin lets `watch` join public channels
+    channelWatching: Object.freeze({
+      autoJoin: process.env.AUTO_JOIN_CHANNELS
+        ? process.env.AUTO_JOIN_CHANNELS.toLowerCase() === "true"
+        : botConfig.channelWatching?.autoJoin ?? false,
+      watchOnInvite: botConfig.channelWatching?.watchOnInvite ?? true,
+    }),
+
+    // Display settings
+    showEvidence: process.env.SHOW_EVIDENCE
+      ? process.env.SHOW_EVIDENCE.toLowerCase() === "true"
+      : botConfig.showEvidence ?? false,
+
+    // General FAQ
+    generalFaq: Object.freeze({
+      enabled: botConfig.generalFaq?.enabled ?? false,
+      notionPageUrl: botConfig.generalFaq?.notionPageUrl || "",
+      kbRootPageUrl: botConfig.generalFaq?.kbRootPageUrl || "",
+      adminUserIds: Object.freeze([...(botConfig.generalFaq?.adminUserIds || [])]),
+      // Hold synthesized General FAQ entries for an admin's approval before writing to Notion
+      requireApproval: botConfig.generalFaq?.requireApproval ?? false,
+    }),
+
+    // Feature flags
+    features: Object.freeze({
+      autoDiscovery: botConfig.features?.autoDiscovery ?? true,
+      faqCorrection: botConfig.features?.faqCorrection ?? true,
+      answerFeedback: botConfig.features?.answerFeedback ?? true,
+    }),
+
+    // Retrieval — hand askClaude only the top-k passages instead of whole pages
+    retrieval: Object.freeze({
+      enabled: process.env.RETRIEVAL_ENABLED
+        ? process.env.RETRIEVAL_ENABLED.toLowerCase() === "true"
+        : botConfig.retrieval?.enabled ?? true,
+      topK: Number(process.env.RETRIEVAL_TOP_K ?? botConfig.retrieval?.topK ?? 8),
+      maxPassageChars: Number(botConfig.retrieval?.maxPassageChars ?? 1200),
+    }),
+
+    // Duplicate detection — point repeat questions at the earlier thread instead of re-escalating
+    duplicateDetection: Object.freeze({
+      enabled: botConfig.duplicateDetection?.enabled ?? true,
+      windowDays: Number(process.env.DUPLICATE_WINDOW_DAYS ?? botConfig.duplicateDetection?.windowDays ?? 3),
+    }),
+
+    // Escalation SLA — hours without an owner reply before each follow-up (areas can override)
+    escalationSla: Object.freeze({
+      enabled: botConfig.escalationSla?.enabled ?? true,
+      defaultHours: Number(process.env.ESCALATION_SLA_HOURS ?? botConfig.escalationSla?.defaultHours ?? 4),
+    }),
+
+    // FAQ verification — DM leads a batch of entries not confirmed for maxAgeDays,
+    // at most once every intervalDays per area
+    faqVerification: Object.freeze({
+      enabled: botConfig.faqVerification?.enabled ?? true,
+      maxAgeDays: Number(process.env.FAQ_VERIFICATION_MAX_AGE_DAYS ?? botConfig.faqVerification?.maxAgeDays ?? 90),
+      batchSize: Number(botConfig.faqVerification?.batchSize ?? 5),
+      intervalDays: Number(botConfig.faqVerification?.intervalDays ?? 7),
+    }),
+
+    // Weekly digest — per-area roll-up posted on dayOfWeek (0 = Sunday) after hour, server
+    // time, to an area's digestChannelId, else channelId, else the leads' DMs
+    weeklyDigest: Object.freeze({
+      enabled: botConfig.weeklyDigest?.enabled ?? true,
+      channelId: process.env.WEEKLY_DIGEST_CHANNEL_ID || botConfig.weeklyDigest?.channelId || "",
+      dayOfWeek: Number(botConfig.weeklyDigest?.dayOfWeek ?? 1),
+      hour: Number(botConfig.weeklyDigest?.hour ?? 9),
+    }),
+
+    // Notion change detection — poll last_edited_time and/or accept webhook events,
+    // evicting only the pages that changed (0 disables polling / the webhook endpoint)
+    notionChanges: Object.freeze({
+      pollIntervalMs: notionChangePollMs,
+      webhookPort: notionWebhookPort,
+      webhookPath: botConfig.notionChanges?.webhookPath || "/notion/webhook",
+      webhookVerificationToken: (process.env.NOTION_WEBHOOK_VERIFICATION_TOKEN ?? "").trim(),
+    }),
+
+    // Notion request scheduling — shared per integration token, retried on 429/5xx
+    notionRequests: Object.freeze({
+      requestsPerSecond: Number(process.env.NOTION_REQUESTS_PER_SECOND ?? 3),
+      maxRetries: Number(process.env.NOTION_MAX_RETRIES ?? 5),
+    }),
+
+    // Default confidence thresholds (0-1); areas can override each one (see getAreaConfidencePolicy)
+    confidencePolicy: Object.freeze({
+      clarifyBelow: Number(botConfig.confidencePolicy?.clarifyBelow ?? 0.4),
+      prefaceBelow: Number(botConfig.confidencePolicy?.prefaceBelow ?? 0.7),
+      tagLeadsBelow: Number(botConfig.confidencePolicy?.tagLeadsBelow ?? 0.5),
+    }),
+
+    // Questions can be asked in any language; FAQs are searched and new entries written in faqLanguage,
+    // which is also the language escalations are summarized in for leads
+    multilingual: Object.freeze({
+      faqLanguage: (process.env.FAQ_LANGUAGE || botConfig.multilingual?.faqLanguage || "English").trim(),
+    }),
+
+    // Question pre-filter — a cheap model scores batches of messages before full classification
+    questionPrefilter: Object.freeze({
+      enabled: process.env.QUESTION_PREFILTER
+        ? process.env.QUESTION_PREFILTER.toLowerCase() === "true"
+        : botConfig.questionPrefilter?.enabled ?? false,
+      model: (process.env.QUESTION_PREFILTER_MODEL || botConfig.questionPrefilter?.model || "claude-haiku-4-5").trim(),
+      threshold: Number(botConfig.questionPrefilter?.threshold ?? 0.5),
+      batchWindowMs: Number(botConfig.questionPrefilter?.batchWindowMs ?? 1500),
+      maxBatchSize: Number(botConfig.questionPrefilter?.maxBatchSize ?? 10),
+    }),
+
+    // Model configuration
+    claudeModel: (process.env.CLAUDE_MODEL ?? "claude-sonnet-4-5").trim(),
+    claudeSmartModel: (process.env.CLAUDE_SMART_MODEL ?? "claude-opus-4-6").trim(),
+
+    // Timing configuration
+    escalationCheckIntervalMs: Number(process.env.ESCALATION_CHECK_INTERVAL_MS ?? 5 * 60 * 1000),
+    synthesisDelayMs: Number(process.env.SYNTHESIS_DELAY_MS ?? 30 * 60 * 1000),
+    correctionCheckDelayMs: Number(process.env.CORRECTION_CHECK_DELAY_MS ?? 10 * 1000),
+    notionCacheTtlMs: Number(process.env.NOTION_CACHE_TTL_MS ?? (notionChangesEnabled ? 60 : 10) * 60 * 1000),
+    kbHierarchyCacheTtlMs: Number(process.env.KB_HIERARCHY_CACHE_TTL_MS ?? 30 * 60 * 1000),
+    descriptionUpdateThrottleMs: 7 * 24 * 60 * 60 * 1000,
+
+    // Data directory
+    dataDir: process.env.DATA_DIR || path.join(__dirname, "..", "data"),
+
+    // Storage backend for trackers, roster and pending DMs — "json" (files in dataDir) or "sqlite"
+    storage: Object.freeze({
+      backend: (process.env.STORAGE_BACKEND || botConfig.storage?.backend || "json").trim().toLowerCase(),
+      sqlitePath: process.env.SQLITE_PATH || botConfig.storage?.sqlitePath || "",
+    }),
+
+    // Multi-workspace (OAuth) deployment — one process serving several Slack workspaces
+    multiWorkspace: Object.freeze({
+      enabled: multiWorkspace,
+      // Port for the /slack/install and /slack/oauth_redirect pages
+      installerPort: Number(process.env.OAUTH_PORT ?? process.env.PORT ?? 3000),
+    }),
+
+    // Secrets — passed through from .env
+    ...secrets,
+
+    ...overrides,
+  });
+}
+
+const config = buildConfig(botConfig);
 
 export default config;
+
+// Per-workspace configs, built on first use
+const workspaceConfigs = new Map();
+
+/**
+ * Get the config for a Slack workspace. Additional workspaces read
+ * src/config/workspaces/<teamId>/bot-config.json, whose top-level keys override
+ * the main bot-config.json. Their Notion key comes from NOTION_API_KEY_<TEAMID>,
+ * then a "notionApiKey" field in that file, then NOTION_API_KEY.
+ */
+export function getWorkspaceConfig(teamId = getWorkspaceId()) {
+  if (isDefaultWorkspace(teamId)) return config;
+
+  if (!workspaceConfigs.has(teamId)) {
+    let workspaceBotConfig = {};
+    try {
+      workspaceBotConfig = JSON.parse(fs.readFileSync(path.join(getWorkspaceConfigDir(teamId), "bot-config.json"), "utf8"));
+    } catch {
+      // No workspace file yet — inherit everything from the main bot-config.json
+    }
+    const { notionApiKey, ...workspaceSettings } = workspaceBotConfig;
+
+    workspaceConfigs.set(teamId, buildConfig({ ...botConfig, ...workspaceSettings }, {
+      // WATCH_CHANNELS only applies to the default workspace
+      watchChannels: workspaceSettings.watchChannels || [],
+      NOTION_API_KEY: process.env[`NOTION_API_KEY_${teamId}`]?.trim() || notionApiKey || secrets.NOTION_API_KEY,
+    }));
+  }
+  return workspaceConfigs.get(teamId);
+}
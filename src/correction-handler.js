@@ -0,0 +1,188 @@
+import { formatCorrectionBlocks } from "./formatters.js";
+import { getKnowledgeSource } from "./knowledge-sources.js";
+import {
+  getFaqAnswerById,
+  updateCorrectionSuggestion,
+  resolveCorrectionProposal,
+} from "./answer-tracker.js";
+import { clearPendingDmsForCorrection } from "./dm-handler.js";
+import { recordFaqEntryUpdated } from "./verification-tracker.js";
+
+// Corrections being written to the FAQ right now, so two leads can't apply one twice
+const correctionsInFlight = new Set();
+
+/**
+ * Re-render every lead's DM so they all see the current suggestion or decision.
+ */
+async function refreshCorrectionMessages(client, answerId, proposal, logger) {
+  for (const msg of proposal.messages ?? []) {
+    try {
+      await client.chat.update({
+        channel: msg.channel,
+        ts: msg.ts,
+        text: `FAQ correction for ${proposal.areaName}: ${proposal.status}`,
+        blocks: formatCorrectionBlocks(answerId, proposal),
+      });
+    } catch (err) {
+      logger.warn(`[Correction] Failed to update correction DM for <@${msg.userId}>: ${err?.message ?? err}`);
+    }
+  }
+}
+
+function buildEditModal(answerId, proposal) {
+  return {
+    type: "modal",
+    callback_id: "faq_correction_edit_modal",
+    private_metadata: answerId,
+    title: { type: "plain_text", text: "Edit FAQ correction" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "suggestion_block",
+        element: {
+          type: "plain_text_input",
+          action_id: "suggestion_input",
+          multiline: true,
+          initial_value: (proposal.suggestedUpdate ?? "").slice(0, 3000),
+        },
+        label: { type: "plain_text", text: "Updated FAQ text" },
+        hint: { type: "plain_text", text: "Saving updates the suggestion for every lead — approve it afterwards to write it to the FAQ." },
+      },
+    ],
+  };
+}
+
+/**
+ * The FAQ a proposal's entry lives in. Proposals stored before knowledge sources
+ * existed only carry notionPageId, plus faqDatabaseId for database rows.
+ */
+function getProposalSource(proposal) {
+  if (proposal.source) return proposal.source;
+  if (proposal.faqDatabaseId) {
+    return { type: "notion-database", id: proposal.faqDatabaseId, databaseProperties: proposal.databaseProperties ?? null };
+  }
+  return { type: "notion-page", id: proposal.subPageId || proposal.notionPageId };
+}
+
+/**
+ * Look up a pending proposal from a button click, telling the clicker if it's already settled.
+ */
+async function getPendingProposal(answerId, body, client) {
+  const proposal = getFaqAnswerById(answerId)?.correctionProposal;
+  if (proposal && proposal.status === "pending") return proposal;
+
+  const text = !proposal
+    ? "I couldn't find this correction anymore."
+    : proposal.status === "applied"
+      ? "This FAQ update was already applied by another lead — no action needed!"
+      : "This correction was already dismissed by another lead.";
+  await client.chat.postEphemeral({
+    channel: body.channel?.id ?? body.container?.channel_id,
+    user: body.user.id,
+    text,
+  }).catch(() => {});
+  return null;
+}
+
+export function registerCorrectionHandlers(app, ctx) {
+  app.action("faq_correction_approve", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    const answerId = action.value;
+    // Claim before the first await, so a second click arriving meanwhile sees it
+    if (correctionsInFlight.has(answerId)) return;
+    correctionsInFlight.add(answerId);
+
+    try {
+      const proposal = await getPendingProposal(answerId, body, client);
+      if (!proposal || !proposal.blockId) return;
+
+      logger.info(`[Correction] <@${body.user.id}> approved correction ${answerId} for "${proposal.areaName}"`);
+      const source = getProposalSource(proposal);
+      logger.info(`[Correction] Updating ${source.type} entry ${proposal.blockId.slice(0, 8)}... for correction ${answerId}`);
+      // Sources that keep an audit trail (Notion comments) record where the change came from
+      const blockUrl = await getKnowledgeSource(source, { ttlMs: ctx.config.notionCacheTtlMs }).updateEntry(
+        proposal.blockId,
+        proposal.suggestedUpdate,
+        logger,
+        { note: `Updated by bot based on correction from a Slack thread.\nOriginal question: ${proposal.originalQuestion}` }
+      );
+      await recordFaqEntryUpdated({
+        productAreaId: getFaqAnswerById(answerId)?.productAreaId,
+        source,
+        entryId: proposal.blockId,
+        url: blockUrl,
+        text: proposal.suggestedUpdate,
+      }, logger);
+
+      await resolveCorrectionProposal(answerId, { status: "applied", decidedBy: body.user.id, blockUrl }, logger);
+      clearPendingDmsForCorrection(answerId);
+      await refreshCorrectionMessages(client, answerId, proposal, logger);
+      logger.info(`[Correction] Correction ${answerId} applied successfully — ${blockUrl}`);
+    } catch (err) {
+      logger.error(`[Correction] Error updating FAQ entry: ${err?.message ?? err}`);
+      await client.chat.postEphemeral({
+        channel: body.channel?.id ?? body.container?.channel_id,
+        user: body.user.id,
+        text: `I ran into an error updating the FAQ: ${err?.message ?? "unknown error"}. You may need to edit it manually.`,
+      }).catch(() => {});
+    } finally {
+      correctionsInFlight.delete(answerId);
+    }
+  });
+
+  app.action("faq_correction_dismiss", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    const answerId = action.value;
+    if (correctionsInFlight.has(answerId)) return;
+    correctionsInFlight.add(answerId);
+
+    try {
+      const proposal = await getPendingProposal(answerId, body, client);
+      if (!proposal) return;
+
+      logger.info(`[Correction] <@${body.user.id}> dismissed correction ${answerId} for "${proposal.areaName}"`);
+      await resolveCorrectionProposal(answerId, { status: "dismissed", decidedBy: body.user.id }, logger);
+      clearPendingDmsForCorrection(answerId);
+      await refreshCorrectionMessages(client, answerId, proposal, logger);
+    } catch (err) {
+      logger.error(`[Correction] Error dismissing correction ${answerId}: ${err?.message ?? err}`);
+    } finally {
+      correctionsInFlight.delete(answerId);
+    }
+  });
+
+  app.action("faq_correction_edit", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    try {
+      const proposal = await getPendingProposal(action.value, body, client);
+      if (!proposal) return;
+
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildEditModal(action.value, proposal),
+      });
+    } catch (err) {
+      logger.error(`[Correction] Error opening edit modal: ${err?.message ?? err}`);
+    }
+  });
+
+  app.view("faq_correction_edit_modal", async ({ ack, body, view, client, logger }) => {
+    const answerId = view.private_metadata;
+    const suggestedUpdate = view.state.values.suggestion_block.suggestion_input.value?.trim();
+
+    if (!suggestedUpdate) {
+      await ack({ response_action: "errors", errors: { suggestion_block: "The FAQ text can't be empty" } });
+      return;
+    }
+    await ack();
+
+    try {
+      const proposal = await updateCorrectionSuggestion(answerId, suggestedUpdate, body.user.id, logger);
+      if (proposal) await refreshCorrectionMessages(client, answerId, proposal, logger);
+    } catch (err) {
+      logger.error(`[Correction] Error saving edited correction ${answerId}: ${err?.message ?? err}`);
+    }
+  });
+}
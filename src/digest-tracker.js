@@ -0,0 +1,38 @@
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
+
+const DOCUMENT_NAME = "digests";
+
+// Per-workspace record of when each area's weekly digest went out (a single entry in single-workspace mode)
+const state = workspaceState(() => ({ digests: { lastSentAt: {} } }));
+
+/**
+ * Load digest history from the active store
+ */
+export async function loadDigests(logger = null) {
+  const data = await getStore().loadDocument(DOCUMENT_NAME, null);
+  state().digests = { lastSentAt: {}, ...data };
+  if (logger && data) {
+    logger.info(`[Digest] Loaded digest history for ${Object.keys(state().digests.lastSentAt).length} area(s)`);
+  }
+  return state().digests;
+}
+
+/**
+ * Save digest history to the active store
+ */
+export async function saveDigests() {
+  await getStore().saveDocument(DOCUMENT_NAME, state().digests);
+}
+
+/**
+ * When an area's last digest went out, or null
+ */
+export function getLastDigestAt(productAreaId) {
+  return state().digests.lastSentAt[productAreaId] ?? null;
+}
+
+export async function recordDigestSent(productAreaId, sentAt = new Date().toISOString()) {
+  state().digests.lastSentAt[productAreaId] = sentAt;
+  await saveDigests();
+}
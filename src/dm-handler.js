@@ -1,8 +1,8 @@
-import fs from "node:fs";
-import path from "node:path";
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
 import { alreadySeen, resolveUsersByName, sendDmToUser } from "./slack-helpers.js";
 import { formatRosterArea } from "./formatters.js";
-import { extractPageId, updateFaqBlock, findBlockByContent, addCommentToBlock } from "./notion.js";
+import { extractPageId, findBlockByContent } from "./notion.js";
 import {
   getAllKnowledgeAreas,
   getKnowledgeAreaById,
@@ -17,52 +17,42 @@ import {
   updateMemberDescription,
   getMember,
   getLeadUserIds,
+  resolveAreaSource,
 } from "./knowledge-areas.js";
 import {
   parseDmIntent,
   evolveExpertiseDescription,
-  reviseSuggestedUpdate,
 } from "./llm.js";
 
 // ─── Pending DM conversation state for multi-turn flows ─────────────────────
-const pendingDmActions = new Map();
+const pendingDmActions = workspaceState(() => new Map());
 const PENDING_DM_EXPIRY_MS = 10 * 60 * 1000; // 10 minutes
+const PENDING_DMS_DOCUMENT = "pending-dms";
 
-let DATA_DIR = "";
-let PENDING_DMS_PATH = "";
-
-function initPaths(dataDir) {
-  DATA_DIR = dataDir;
-  PENDING_DMS_PATH = path.join(DATA_DIR, "pending-dms.json");
-}
-
-export function loadPendingDms(dataDir) {
-  initPaths(dataDir);
+export async function loadPendingDms() {
   try {
-    if (fs.existsSync(PENDING_DMS_PATH)) {
-      const entries = JSON.parse(fs.readFileSync(PENDING_DMS_PATH, "utf-8"));
-      const now = Date.now();
-      for (const [userId, data] of entries) {
-        if (data.expiresAt && data.expiresAt > now) {
-          pendingDmActions.set(userId, data);
-        }
+    const entries = await getStore().loadDocument(PENDING_DMS_DOCUMENT, []);
+    const now = Date.now();
+    for (const [userId, data] of entries) {
+      if (data.expiresAt && data.expiresAt > now) {
+        pendingDmActions().set(userId, data);
       }
     }
   } catch { /* start fresh */ }
 }
 
 function savePendingDms() {
-  try {
-    fs.mkdirSync(path.dirname(PENDING_DMS_PATH), { recursive: true });
-    fs.writeFileSync(PENDING_DMS_PATH, JSON.stringify([...pendingDmActions.entries()], null, 2));
-  } catch { /* best-effort */ }
+  // Best-effort and fire-and-forget — the store serializes overlapping writes
+  getStore()
+    .saveDocument(PENDING_DMS_DOCUMENT, [...pendingDmActions().entries()])
+    .catch(() => {});
 }
 
 function getPendingDm(userId) {
-  const pending = pendingDmActions.get(userId);
+  const pending = pendingDmActions().get(userId);
   if (!pending) return null;
   if (Date.now() > pending.expiresAt) {
-    pendingDmActions.delete(userId);
+    pendingDmActions().delete(userId);
     savePendingDms();
     return null;
   }
@@ -70,27 +60,26 @@ function getPendingDm(userId) {
 }
 
 export function setPendingDm(userId, data) {
-  pendingDmActions.set(userId, { ...data, expiresAt: Date.now() + PENDING_DM_EXPIRY_MS });
+  pendingDmActions().set(userId, { ...data, expiresAt: Date.now() + PENDING_DM_EXPIRY_MS });
   savePendingDms();
 }
 
 function clearPendingDm(userId) {
-  pendingDmActions.delete(userId);
+  pendingDmActions().delete(userId);
   savePendingDms();
 }
 
-// Tracks correction IDs that have already been applied to Notion,
-// so a second lead approving the same correction doesn't double-write.
-const processedCorrections = new Set();
-
+// Corrections used to be approved by free-text DM replies. Approval now happens
+// through buttons (correction-handler.js); this clears any pending state left
+// over from that flow once a correction is settled.
 export function clearPendingDmsForCorrection(correctionId) {
   let changed = false;
-  for (const [userId, pending] of pendingDmActions) {
+  for (const [userId, pending] of pendingDmActions()) {
     if (
       pending.intent === "faq_correction_approval" &&
       pending.partialData?.correctionId === correctionId
     ) {
-      pendingDmActions.delete(userId);
+      pendingDmActions().delete(userId);
       changed = true;
     }
   }
@@ -285,7 +274,8 @@ async function handleDmAddKnowledgeArea(event, client, result, logger) {
     leadUserIds = await resolveUsersByName(client, result.new_area_lead_names, logger);
   }
 
-  const area = await addKnowledgeArea({ name, description, notionPageId: notionUrl, ownerUserIds: leadUserIds, keywords }, logger);
+  const notionSource = await resolveAreaSource(notionUrl, logger);
+  const area = await addKnowledgeArea({ name, description, ...notionSource, ownerUserIds: leadUserIds, keywords }, logger);
   const leadsList = leadUserIds.length ? leadUserIds.map((id) => `<@${id}>`).join(", ") : "_No leads set yet_";
 
   await client.chat.postMessage({
@@ -351,7 +341,6 @@ async function handleDmSelfRegistration(event, client, text, result, ctx) {
  * Continue a pending multi-turn DM conversation.
  */
 async function continuePendingDm(event, client, text, pending, ctx) {
-  const { anthropic, config, notionCache } = ctx;
   const logger = ctx.logger;
 
   if (pending.intent === "add_knowledge_area") {
@@ -389,7 +378,8 @@ async function continuePendingDm(event, client, text, pending, ctx) {
       leadUserIds = await resolveUsersByName(client, leadNames, logger);
     }
 
-    const area = await addKnowledgeArea({ name, description, notionPageId: notionUrl, ownerUserIds: leadUserIds, keywords }, logger);
+    const notionSource = await resolveAreaSource(notionUrl, logger);
+    const area = await addKnowledgeArea({ name, description, ...notionSource, ownerUserIds: leadUserIds, keywords }, logger);
     const leadsList = leadUserIds.length ? leadUserIds.map((id) => `<@${id}>`).join(", ") : "_No leads set yet_";
 
     await client.chat.postMessage({
@@ -400,147 +390,6 @@ async function continuePendingDm(event, client, text, pending, ctx) {
     return;
   }
 
-  if (pending.intent === "faq_correction_approval") {
-    const {
-      correctionId,
-      blockId,
-      notionPageId,
-      suggestedUpdate,
-      originalQuestion,
-      areaName,
-    } = pending.partialData;
-
-    if (processedCorrections.has(correctionId)) {
-      logger.info(`[Correction] Correction ${correctionId} already processed, notifying <@${event.user}>`);
-      clearPendingDm(event.user);
-      await client.chat.postMessage({
-        channel: event.channel,
-        text: "This FAQ update was already applied by another lead — no action needed!",
-        mrkdwn: true,
-      });
-      return;
-    }
-
-    const lower = text.toLowerCase().trim();
-    const isApproval = /^(yes|yep|yeah|yea|sure|approved|lgtm|go for it|do it|go ahead|ship it|looks good|ok|okay)\b/i.test(lower);
-    const isRejection = /^(no|nope|cancel|nevermind|never mind|don't update|stop|reject|skip)\b/i.test(lower);
-
-    if (isApproval) {
-      logger.info(`[Correction] <@${event.user}> approved correction ${correctionId} for "${areaName}"`);
-
-      if (!blockId) {
-        logger.warn(`[Correction] No blockId for correction ${correctionId} — cannot auto-update Notion`);
-        clearPendingDm(event.user);
-        clearPendingDmsForCorrection(correctionId);
-        await client.chat.postMessage({
-          channel: event.channel,
-          text: "I couldn't locate the specific FAQ block in Notion, so I can't update it automatically. You'll need to edit it manually. Sorry about that!",
-          mrkdwn: true,
-        });
-        return;
-      }
-
-      try {
-        logger.info(`[Correction] Updating Notion block ${blockId.slice(0, 8)}... for correction ${correctionId}`);
-        const blockUrl = await updateFaqBlock(blockId, suggestedUpdate, logger);
-
-        logger.info(`[Correction] Invalidating cache for page ${notionPageId?.slice(0, 8) ?? "unknown"}`);
-        notionCache.delete(notionPageId);
-
-        // Also invalidate cache for the sub-page if it differs from notionPageId
-        const subPageId = pending.partialData.subPageId;
-        if (subPageId && subPageId !== notionPageId) {
-          logger.info(`[Correction] Invalidating cache for KB sub-page ${subPageId.slice(0, 8)}...`);
-          notionCache.delete(subPageId);
-        }
-
-        // Leave an audit comment on the updated block
-        try {
-          logger.info(`[Correction] Adding audit comment to block ${blockId.slice(0, 8)}...`);
-          await addCommentToBlock(
-            blockId,
-            `Updated by bot based on correction from a Slack thread.\nOriginal question: ${originalQuestion}`,
-            logger
-          );
-          logger.info(`[Correction] Audit comment added successfully`);
-        } catch (commentErr) {
-          logger.warn(`[Correction] Failed to add Notion comment (non-blocking): ${commentErr?.message ?? commentErr}`);
-        }
-
-        processedCorrections.add(correctionId);
-        clearPendingDm(event.user);
-        clearPendingDmsForCorrection(correctionId);
-        logger.info(`[Correction] Correction ${correctionId} applied successfully — ${blockUrl}`);
-
-        await client.chat.postMessage({
-          channel: event.channel,
-          text: `Done! I've updated the *${areaName}* FAQ entry.\n\n<${blockUrl}|View in Notion>`,
-          mrkdwn: true,
-        });
-      } catch (err) {
-        logger.error(`[Correction] Error updating Notion block: ${err?.message ?? err}`);
-        await client.chat.postMessage({
-          channel: event.channel,
-          text: `I ran into an error updating the FAQ in Notion: ${err?.message ?? "unknown error"}. You may need to edit it manually.`,
-          mrkdwn: true,
-        });
-        clearPendingDm(event.user);
-      }
-      return;
-    }
-
-    if (isRejection) {
-      logger.info(`[Correction] <@${event.user}> rejected correction ${correctionId} for "${areaName}"`);
-      clearPendingDm(event.user);
-      await client.chat.postMessage({
-        channel: event.channel,
-        text: "Got it, I won't update the FAQ.",
-        mrkdwn: true,
-      });
-      return;
-    }
-
-    // Treat anything else as revision feedback
-    try {
-      const revised = await reviseSuggestedUpdate(anthropic, config.claudeModel, {
-        originalQuestion,
-        currentSuggestion: suggestedUpdate,
-        feedback: text,
-      });
-
-      if (!revised) {
-        await client.chat.postMessage({
-          channel: event.channel,
-          text: "I couldn't generate a revision from that feedback. Could you try rephrasing?",
-          mrkdwn: true,
-        });
-        return;
-      }
-
-      setPendingDm(event.user, {
-        intent: "faq_correction_approval",
-        partialData: {
-          ...pending.partialData,
-          suggestedUpdate: revised,
-        },
-      });
-
-      await client.chat.postMessage({
-        channel: event.channel,
-        text: `Here's the revised version:\n\n${revised}\n\nShould I go ahead with this? Reply *yes* to approve, or tell me what else to change.`,
-        mrkdwn: true,
-      });
-    } catch (err) {
-      logger.error(`[Correction] Error revising suggested update: ${err?.message ?? err}`);
-      await client.chat.postMessage({
-        channel: event.channel,
-        text: "Sorry, I hit an error trying to revise the suggestion. Could you try again?",
-        mrkdwn: true,
-      });
-    }
-    return;
-  }
-
   // Unknown pending intent — clear and re-process
   clearPendingDm(event.user);
 }
@@ -548,9 +397,8 @@ async function continuePendingDm(event, client, text, pending, ctx) {
 // ─── Main DM handler registration ───────────────────────────────────────────
 
 export function registerDmHandler(app, ctx) {
-  const { config, anthropic } = ctx;
-
   app.event("message", async ({ event, client, logger }) => {
+    const { config, anthropic } = ctx;
     try {
       if (event.channel_type !== "im") return;
       if (event.subtype) return;
@@ -0,0 +1,83 @@
+import { getAllEscalations } from "./escalation-tracker.js";
+import { getAllFaqAnswers } from "./answer-tracker.js";
+import { checkDuplicateQuestion } from "./llm.js";
+import { tokenize } from "./retrieval.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lexical similarity needed to shortlist an earlier question for the LLM check
+const SHORTLIST_SIMILARITY = 0.35;
+// Lexical similarity that counts as a duplicate on its own if the LLM check fails
+const FALLBACK_SIMILARITY = 0.8;
+const MAX_CANDIDATES = 5;
+
+/**
+ * Cosine similarity between the token sets of two questions.
+ */
+export function questionSimilarity(a, b) {
+  const ta = new Set(tokenize(a));
+  const tb = new Set(tokenize(b));
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / Math.sqrt(ta.size * tb.size);
+}
+
+// Escalations still waiting on the team — a lead's answer in review hasn't reached the asker yet
+const OPEN_ESCALATION_STATUSES = new Set(["awaiting_response", "ready_to_synthesize", "pending_review"]);
+
+/**
+ * Recent questions the bot has already handled in this channel: open escalations,
+ * plus escalations and answers from within the window. Other channels are never
+ * searched, so a private channel's questions and answers can't surface elsewhere.
+ */
+function getRecentQuestions(windowDays, { channel, threadTs }) {
+  const sinceMs = Date.now() - windowDays * DAY_MS;
+  const isOtherThreadHere = (r) => r.channel === channel && r.threadTs !== threadTs;
+
+  const escalations = getAllEscalations()
+    .filter(isOtherThreadHere)
+    .filter((e) => e.status !== "skipped")
+    .filter((e) => OPEN_ESCALATION_STATUSES.has(e.status) || new Date(e.escalatedAt).getTime() >= sinceMs)
+    .map((e) => ({ kind: "escalation", record: e, askedAt: e.escalatedAt }));
+
+  const answers = getAllFaqAnswers()
+    .filter(isOtherThreadHere)
+    .filter((a) => a.status !== "corrected" && new Date(a.answeredAt).getTime() >= sinceMs)
+    .map((a) => ({ kind: "answer", record: a, askedAt: a.answeredAt }));
+
+  return [...escalations, ...answers];
+}
+
+/**
+ * Look for an earlier question asking the same thing as `questionText`.
+ * Candidates are shortlisted lexically, then confirmed with Claude.
+ *
+ * @returns {Promise<{ kind: "escalation"|"answer", record: object, askedAt: string, score: number } | null>}
+ */
+export async function findDuplicateQuestion(ctx, { channel, threadTs, questionText }) {
+  const { config, anthropic, logger } = ctx;
+
+  const shortlist = getRecentQuestions(config.duplicateDetection.windowDays, { channel, threadTs })
+    .map((c) => ({ ...c, score: questionSimilarity(questionText, c.record.originalQuestion) }))
+    .filter((c) => c.score >= SHORTLIST_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+
+  if (shortlist.length === 0) return null;
+
+  logger.info(`[Duplicate] ${shortlist.length} candidate(s) for duplicate check (best similarity ${shortlist[0].score.toFixed(2)})`);
+
+  try {
+    const duplicateId = await checkDuplicateQuestion(
+      anthropic,
+      config.claudeModel,
+      questionText,
+      shortlist.map((c) => ({ id: c.record.id, question: c.record.originalQuestion }))
+    );
+    return shortlist.find((c) => c.record.id === duplicateId) || null;
+  } catch (err) {
+    logger.warn(`[Duplicate] Duplicate check failed, using lexical match only: ${err?.message ?? err}`);
+    return shortlist[0].score >= FALLBACK_SIMILARITY ? shortlist[0] : null;
+  }
+}
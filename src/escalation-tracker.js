@@ -1,18 +1,15 @@
-import fs from "node:fs/promises";
-import path from "node:path";
-import { fileURLToPath } from "node:url";
 import crypto from "node:crypto";
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
-const DATA_PATH = path.join(DATA_DIR, "pending-escalations.json");
+const DOCUMENT_NAME = "pending-escalations";
+const ARCHIVE_COLLECTION = "escalations";
 
 // Default delay after first owner response before synthesizing (30 minutes)
 const DEFAULT_SYNTHESIS_DELAY_MS = 30 * 60 * 1000;
 
-let escalations = { escalations: [] };
+// Per-workspace escalations (a single entry in single-workspace mode)
+const state = workspaceState(() => ({ escalations: { escalations: [] } }));
 
 /**
  * Generate a unique escalation ID
@@ -22,38 +19,27 @@ function generateEscalationId() {
 }
 
 /**
- * Load escalations from disk
+ * Load escalations from the active store
  */
 export async function loadEscalations() {
-  try {
-    const data = await fs.readFile(DATA_PATH, "utf8");
-    escalations = JSON.parse(data);
-    if (!Array.isArray(escalations.escalations)) {
-      escalations.escalations = [];
-    }
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      escalations = { escalations: [] };
-      await saveEscalations();
-    } else {
-      throw err;
+  const data = await getStore().loadDocument(DOCUMENT_NAME, null);
+  if (data) {
+    state().escalations = data;
+    if (!Array.isArray(state().escalations.escalations)) {
+      state().escalations.escalations = [];
     }
+  } else {
+    state().escalations = { escalations: [] };
+    await saveEscalations();
   }
-  return escalations;
+  return state().escalations;
 }
 
 /**
- * Save escalations to disk
+ * Save escalations to the active store
  */
 export async function saveEscalations() {
-  // Ensure data directory exists
-  const dataDir = path.dirname(DATA_PATH);
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-  } catch {
-    // Directory may already exist
-  }
-  await fs.writeFile(DATA_PATH, JSON.stringify(escalations, null, 2), "utf8");
+  await getStore().saveDocument(DOCUMENT_NAME, state().escalations);
 }
 
 /**
@@ -66,7 +52,10 @@ export async function trackEscalation(
     messageTs,
     productAreaId,
     originalQuestion,
+    translatedQuestion,
     ownerUserIds,
+    pingedUserIds,
+    faqTopics,
   },
   logger = null
 ) {
@@ -77,12 +66,17 @@ export async function trackEscalation(
     messageTs,
     productAreaId,
     originalQuestion,
+    translatedQuestion: translatedQuestion || null, // in the FAQ's language, when asked in another
     ownerUserIds: ownerUserIds || [],
+    pingedUserIds: pingedUserIds || ownerUserIds || [], // who was tagged on the escalation
+    faqTopics: faqTopics || [], // topics Claude found missing from the FAQ, for the weekly digest
     escalatedAt: new Date().toISOString(),
     status: "awaiting_response", // waiting for owner to respond
+    reminderStage: 0, // SLA follow-ups sent so far: 1 = leads reminded, 2 = widened, 3 = marked unanswered
+    notifiedUserIds: [],
   };
 
-  escalations.escalations.push(escalation);
+  state().escalations.escalations.push(escalation);
   await saveEscalations();
 
   if (logger) {
@@ -131,12 +125,72 @@ export async function recordOwnerResponse(id, synthesisDelayMs = DEFAULT_SYNTHES
   return true;
 }
 
+/**
+ * Record that an SLA follow-up went out for an escalation still awaiting a reply
+ */
+export async function recordEscalationReminder(id, stage, notifiedUserIds = [], logger = null) {
+  const escalation = getEscalationById(id);
+  if (!escalation) {
+    if (logger) {
+      logger.warn(`[Escalation] Attempted to record reminder for escalation ${id} but not found`);
+    }
+    return false;
+  }
+
+  escalation.reminderStage = stage;
+  escalation.lastReminderAt = new Date().toISOString();
+  escalation.notifiedUserIds = [...new Set([...(escalation.notifiedUserIds || []), ...notifiedUserIds])];
+
+  await saveEscalations();
+
+  if (logger) {
+    logger.info(`[Escalation] Escalation ${id} reached reminder stage ${stage} (${notifiedUserIds.length} user(s) notified)`);
+  }
+
+  return true;
+}
+
+/**
+ * Attach someone who asked the same question elsewhere to an escalation, so
+ * they can be pointed at the answer instead of re-pinging the owners.
+ */
+export async function attachDuplicateAsker(id, { userId, channel, threadTs, messageTs }, logger = null) {
+  const escalation = getEscalationById(id);
+  if (!escalation) {
+    if (logger) {
+      logger.warn(`[Escalation] Attempted to attach duplicate asker to escalation ${id} but not found`);
+    }
+    return false;
+  }
+
+  escalation.duplicateAskers = escalation.duplicateAskers || [];
+  if (escalation.duplicateAskers.some((d) => d.channel === channel && d.threadTs === threadTs)) {
+    return false;
+  }
+
+  escalation.duplicateAskers.push({
+    userId,
+    channel,
+    threadTs,
+    messageTs,
+    askedAt: new Date().toISOString(),
+  });
+
+  await saveEscalations();
+
+  if (logger) {
+    logger.info(`[Escalation] Attached duplicate asker <@${userId}> to escalation ${id} (${escalation.duplicateAskers.length} total)`);
+  }
+
+  return true;
+}
+
 /**
  * Get escalations that are ready to synthesize (owner responded and delay has passed)
  */
 export function getEscalationsReadyToSynthesize() {
   const now = new Date();
-  return escalations.escalations.filter(
+  return state().escalations.escalations.filter(
     (e) => e.status === "ready_to_synthesize" && new Date(e.synthesizeAfter) <= now
   );
 }
@@ -145,30 +199,45 @@ export function getEscalationsReadyToSynthesize() {
  * Get all escalations awaiting owner response
  */
 export function getEscalationsAwaitingResponse() {
-  return escalations.escalations.filter((e) => e.status === "awaiting_response");
+  return state().escalations.escalations.filter((e) => e.status === "awaiting_response");
 }
 
 /**
  * Get all active escalations (not completed/skipped)
  */
 export function getAllActiveEscalations() {
-  return escalations.escalations.filter(
+  return state().escalations.escalations.filter(
     (e) => e.status === "awaiting_response" || e.status === "ready_to_synthesize"
   );
 }
 
+/**
+ * Get every tracked escalation regardless of status
+ */
+export function getAllEscalations() {
+  return [...state().escalations.escalations];
+}
+
+/**
+ * Get archived escalations (removed by cleanup) since the given time.
+ * Empty unless the storage backend keeps history.
+ */
+export async function getArchivedEscalations(sinceIso = "") {
+  return getStore().listArchivedRecords(ARCHIVE_COLLECTION, sinceIso);
+}
+
 /**
  * Get escalation by ID
  */
 export function getEscalationById(id) {
-  return escalations.escalations.find((e) => e.id === id) || null;
+  return state().escalations.escalations.find((e) => e.id === id) || null;
 }
 
 /**
  * Get escalation by thread (only active ones awaiting response)
  */
 export function getEscalationByThread(channel, threadTs) {
-  return escalations.escalations.find(
+  return state().escalations.escalations.find(
     (e) => e.channel === channel && e.threadTs === threadTs && e.status === "awaiting_response"
   ) || null;
 }
@@ -177,7 +246,7 @@ export function getEscalationByThread(channel, threadTs) {
  * Get any active escalation by thread (awaiting_response or ready_to_synthesize)
  */
 export function getActiveEscalationByThread(channel, threadTs) {
-  return escalations.escalations.find(
+  return state().escalations.escalations.find(
     (e) =>
       e.channel === channel &&
       e.threadTs === threadTs &&
@@ -185,6 +254,22 @@ export function getActiveEscalationByThread(channel, threadTs) {
   ) || null;
 }
 
+/**
+ * Hold an escalation while its synthesized FAQ entry waits for approval
+ */
+export async function markEscalationPendingReview(id, reviewId) {
+  const escalation = getEscalationById(id);
+  if (!escalation) {
+    return false;
+  }
+
+  escalation.status = "pending_review";
+  escalation.reviewId = reviewId;
+
+  await saveEscalations();
+  return true;
+}
+
 /**
  * Mark an escalation as complete
  */
@@ -222,21 +307,31 @@ export async function markEscalationSkipped(id, reason = "no_response") {
 }
 
 /**
- * Cleanup old completed/skipped escalations (older than 30 days)
+ * Cleanup old completed/skipped escalations (older than 30 days).
+ * Escalations with an answer being synthesized or reviewed are always kept; ones
+ * still awaiting a reply are kept until 30 days after the last SLA follow-up.
+ * Removed escalations are handed to the store's archive first, so backends
+ * that keep history (SQLite) retain them.
  */
 export async function cleanupOldEscalations(maxAgeDays = 30) {
   const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
 
-  const before = escalations.escalations.length;
-  escalations.escalations = escalations.escalations.filter((e) => {
-    if (e.status === "pending") return true;
-    const completedAt = e.completedAt || e.skippedAt || e.escalatedAt;
-    return new Date(completedAt) > cutoff;
+  const before = state().escalations.escalations.length;
+  const expired = [];
+  state().escalations.escalations = state().escalations.escalations.filter((e) => {
+    if (e.status === "ready_to_synthesize" || e.status === "pending_review") return true;
+    const lastActivityAt = e.status === "awaiting_response"
+      ? e.lastReminderAt || e.escalatedAt
+      : e.completedAt || e.skippedAt || e.escalatedAt;
+    if (new Date(lastActivityAt) > cutoff) return true;
+    expired.push(e);
+    return false;
   });
 
-  if (escalations.escalations.length !== before) {
+  if (state().escalations.escalations.length !== before) {
+    await getStore().archiveRecords(ARCHIVE_COLLECTION, expired);
     await saveEscalations();
   }
 
-  return before - escalations.escalations.length;
+  return before - state().escalations.escalations.length;
 }
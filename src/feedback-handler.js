@@ -0,0 +1,117 @@
+import { getKnowledgeAreaById } from "./knowledge-areas.js";
+import {
+  getFaqAnswerByMessage,
+  recordAnswerFeedback,
+  recordCorrectionResponse,
+} from "./answer-tracker.js";
+
+const GENERAL_FAQ_AREA_ID = "general-faq";
+
+const HELPFUL_REACTIONS = new Set(["white_check_mark", "heavy_check_mark", "+1", "thumbsup"]);
+const NOT_HELPFUL_REACTIONS = new Set(["x", "-1", "thumbsdown"]);
+
+/**
+ * Map a reaction name (ignoring skin-tone suffixes) to a feedback verdict, or null.
+ */
+function reactionToVerdict(reaction) {
+  const name = (reaction ?? "").split("::")[0];
+  if (HELPFUL_REACTIONS.has(name)) return "helpful";
+  if (NOT_HELPFUL_REACTIONS.has(name)) return "not_helpful";
+  return null;
+}
+
+function getCorrectionOwnerIds(trackedAnswer, config) {
+  if (trackedAnswer.productAreaId === GENERAL_FAQ_AREA_ID) {
+    return [...config.generalFaq.adminUserIds];
+  }
+  return getKnowledgeAreaById(trackedAnswer.productAreaId)?.ownerUserIds ?? [];
+}
+
+/**
+ * Record a verdict and, when an area owner says the answer wasn't helpful,
+ * start the same delayed correction check a thread reply would.
+ */
+async function handleFeedback({ channel, messageTs, userId, verdict, source }, ctx) {
+  const { config, logger } = ctx;
+
+  const trackedAnswer = getFaqAnswerByMessage(channel, messageTs);
+  if (!trackedAnswer) {
+    logger.debug(`[Feedback] No tracked answer for message ${messageTs} in ${channel}, ignoring`);
+    return null;
+  }
+
+  await recordAnswerFeedback(trackedAnswer.id, userId, verdict, source, logger);
+
+  if (verdict === "not_helpful" && config.features.faqCorrection) {
+    const ownerIds = getCorrectionOwnerIds(trackedAnswer, config);
+    if (ownerIds.includes(userId)) {
+      logger.info(`[Feedback] Owner <@${userId}> flagged answer ${trackedAnswer.id} as not helpful — starting correction check`);
+      await recordCorrectionResponse(trackedAnswer.id, userId, config.correctionCheckDelayMs, logger);
+    }
+  }
+
+  return trackedAnswer;
+}
+
+export function registerFeedbackHandler(app, ctx) {
+  const { config } = ctx;
+  if (!config.features.answerFeedback) return;
+
+  // :white_check_mark: / :x: (and thumbs) reactions on the bot's own answers
+  app.event("reaction_added", async ({ event, logger }) => {
+    try {
+      if (event.item?.type !== "message") return;
+      if (!ctx.botUserId || event.item_user !== ctx.botUserId) return;
+      if (event.user === ctx.botUserId) return;
+
+      const verdict = reactionToVerdict(event.reaction);
+      if (!verdict) return;
+
+      await handleFeedback(
+        {
+          channel: event.item.channel,
+          messageTs: event.item.ts,
+          userId: event.user,
+          verdict,
+          source: "reaction",
+        },
+        { ...ctx, logger }
+      );
+    } catch (err) {
+      logger.error(`[Feedback] Error handling reaction: ${err?.message ?? err}`);
+    }
+  });
+
+  // Thumbs-up / thumbs-down buttons attached to answers
+  app.action(/^answer_feedback_(helpful|not_helpful)$/, async ({ ack, body, action, client, logger }) => {
+    await ack();
+    try {
+      const channel = body.channel?.id ?? body.container?.channel_id;
+      const messageTs = body.message?.ts ?? body.container?.message_ts;
+      if (!channel || !messageTs) return;
+
+      const tracked = await handleFeedback(
+        {
+          channel,
+          messageTs,
+          userId: body.user.id,
+          verdict: action.value,
+          source: "button",
+        },
+        { ...ctx, logger }
+      );
+      if (!tracked) return;
+
+      await client.chat.postEphemeral({
+        channel,
+        user: body.user.id,
+        thread_ts: body.message?.thread_ts,
+        text: action.value === "helpful"
+          ? "Thanks for the feedback — glad that helped!"
+          : "Thanks for the feedback — I've noted that this answer missed the mark.",
+      });
+    } catch (err) {
+      logger.error(`[Feedback] Error handling feedback button: ${err?.message ?? err}`);
+    }
+  });
+}
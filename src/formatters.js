@@ -1,4 +1,25 @@
 import { truncate } from "./slack-helpers.js";
+import { getLastConfirmedAt } from "./verification-tracker.js";
+
+const isWebUrl = (url) => /^https?:\/\//i.test(url || "");
+
+/**
+ * Link to an FAQ entry or page. Markdown sources without a base URL only have a
+ * repo path, which Slack can't link to, so that is shown as code instead.
+ */
+export function formatFaqLink(url, label = null) {
+  if (!isWebUrl(url)) return `\`${url}\``;
+  return `<${url}|${label ?? (/notion\.(so|site)/i.test(url) ? "View in Notion" : "View source")}>`;
+}
+
+/**
+ * Render resolved evidence citations as a line of deep links.
+ */
+function formatSourceLinks(citations) {
+  if (!citations?.length) return null;
+  if (citations.length === 1) return `:link: ${formatFaqLink(citations[0].blockUrl, "Source")}`;
+  return `:link: ${citations.map((c, i) => formatFaqLink(c.blockUrl, `Source ${i + 1}`)).join(" · ")}`;
+}
 
 export function formatAnswer(result, areaName, showEvidence = false) {
   const lines = [];
@@ -15,6 +36,12 @@ export function formatAnswer(result, areaName, showEvidence = false) {
     }
   }
 
+  const sources = formatSourceLinks(result.citations);
+  if (sources) {
+    lines.push("");
+    lines.push(sources);
+  }
+
   if (result.follow_up_questions?.length) {
     lines.push("");
     lines.push("*If you want to sanity-check, I'd ask:*");
@@ -26,7 +53,14 @@ export function formatAnswer(result, areaName, showEvidence = false) {
   return lines.join("\n");
 }
 
-export function formatPartialAnswer(result, areaName, ownerUserIds, notionFaqUrl, showEvidence = false) {
+/**
+ * The question in the FAQ's language, for leads, when the asker wrote in another one
+ */
+function formatTranslationForLeads(translation) {
+  return `_Translated from ${translation.language}:_\n> ${truncate(translation.text, 1200)}`;
+}
+
+export function formatPartialAnswer(result, areaName, ownerUserIds, notionFaqUrl, showEvidence = false, translation = null) {
   const lines = [];
 
   if (result.answer && result.answer.trim()) {
@@ -41,14 +75,21 @@ export function formatPartialAnswer(result, areaName, ownerUserIds, notionFaqUrl
     }
   }
 
+  const sources = formatSourceLinks(result.citations);
+  if (sources) {
+    lines.push("");
+    lines.push(sources);
+  }
+
   const pings = ownerUserIds.length
     ? ownerUserIds.map((id) => `<@${id}>`).join(" ")
     : "(no owners configured for this area)";
-  const faqPhrase = notionFaqUrl
+  const faqPhrase = isWebUrl(notionFaqUrl)
     ? `<${notionFaqUrl}|*${areaName} FAQ*>`
     : `*${areaName} FAQ*`;
   lines.push("");
   lines.push(`${pings} — The ${faqPhrase} only partially covers this. Mind filling in the gaps?`);
+  if (translation) lines.push(formatTranslationForLeads(translation));
 
   if (result.follow_up_questions?.length) {
     lines.push("");
@@ -63,18 +104,338 @@ export function formatPartialAnswer(result, areaName, ownerUserIds, notionFaqUrl
   return lines.join("\n");
 }
 
-export function formatEscalation({ questionText, followUps, ownerUserIds, areaName, notionFaqUrl }) {
+// Slack's limit for a section block's text
+const MAX_SECTION_CHARS = 3000;
+
+/**
+ * Split text into chunks that each fit a section block, breaking at a paragraph,
+ * line or word boundary where there is one.
+ */
+function splitSectionText(text, max = MAX_SECTION_CHARS) {
+  const chunks = [];
+  let rest = text ?? "";
+  while (rest.length > max) {
+    const window = rest.slice(0, max);
+    const breakAt = [window.lastIndexOf("\n\n"), window.lastIndexOf("\n"), window.lastIndexOf(" ")]
+      .find((i) => i > max / 2) ?? max;
+    chunks.push(rest.slice(0, breakAt).trimEnd());
+    rest = rest.slice(breakAt).trimStart();
+  }
+  if (rest || chunks.length === 0) chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Wrap answer text in Block Kit with "was this helpful?" buttons. Long answers
+ * span several section blocks. The plain text is still sent as the message `text` fallback.
+ */
+export function formatAnswerBlocks(text) {
+  return [
+    ...splitSectionText(text).map((chunk) => ({
+      type: "section",
+      text: { type: "mrkdwn", text: chunk },
+    })),
+    {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "Was this helpful? React with :white_check_mark: / :x: or use the buttons." }],
+    },
+    {
+      type: "actions",
+      block_id: "answer_feedback",
+      elements: [
+        {
+          type: "button",
+          action_id: "answer_feedback_helpful",
+          text: { type: "plain_text", text: ":thumbsup: Helpful", emoji: true },
+          value: "helpful",
+        },
+        {
+          type: "button",
+          action_id: "answer_feedback_not_helpful",
+          text: { type: "plain_text", text: ":thumbsdown: Not helpful", emoji: true },
+          value: "not_helpful",
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * DM blocks asking a reviewer to approve, edit or reject a synthesized FAQ entry.
+ */
+export function formatFaqReviewBlocks(review) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:memo: A new entry is ready for the *${review.areaName}* FAQ. It won't be added until someone approves it.`,
+      },
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: truncate(`*Q:* ${review.question}\n\n*A:* ${review.answer}`, 3000) },
+    },
+  ];
+
+  if (review.editedBy) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `Revised after feedback from <@${review.editedBy}>` }],
+    });
+  }
+
+  if (review.status !== "pending") {
+    const outcome = review.status === "approved"
+      ? `:white_check_mark: Approved by <@${review.decidedBy}>${review.faqUrl ? ` — ${formatFaqLink(review.faqUrl)}` : ""}`
+      : `:no_entry_sign: Rejected by <@${review.decidedBy}> — not added to the FAQ`;
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: outcome }] });
+    return blocks;
+  }
+
+  blocks.push({
+    type: "actions",
+    block_id: "faq_review",
+    elements: [
+      {
+        type: "button",
+        action_id: "faq_review_approve",
+        text: { type: "plain_text", text: "Approve" },
+        style: "primary",
+        value: review.id,
+      },
+      {
+        type: "button",
+        action_id: "faq_review_edit",
+        text: { type: "plain_text", text: "Edit" },
+        value: review.id,
+      },
+      {
+        type: "button",
+        action_id: "faq_review_reject",
+        text: { type: "plain_text", text: "Reject" },
+        style: "danger",
+        value: review.id,
+      },
+    ],
+  });
+
+  return blocks;
+}
+
+// Word-level LCS is quadratic; past this many cells just show a full replacement
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Escape a diff word for mrkdwn. Slack has no escape for * and ~, so they're
+ * swapped for lookalikes that can't open or close the diff's own markers.
+ */
+function escapeDiffText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\*/g, "\u2217")
+    .replace(/~/g, "\u223C");
+}
+
+/**
+ * Render a word-level diff in mrkdwn: removed words ~struck~, added words *bold*.
+ */
+export function formatTextDiff(before, after) {
+  const a = (before ?? "").split(/\s+/).filter(Boolean);
+  const b = (after ?? "").split(/\s+/).filter(Boolean);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [a.length ? `~${escapeDiffText(a.join(" "))}~` : "", b.length ? `*${escapeDiffText(b.join(" "))}*` : ""].filter(Boolean).join("\n");
+  }
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (kind, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.kind === kind) last.words.push(word);
+    else parts.push({ kind, words: [word] });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return parts
+    .map(({ kind, words }) => {
+      const text = escapeDiffText(words.join(" "));
+      if (kind === "removed") return `~${text}~`;
+      if (kind === "added") return `*${text}*`;
+      return text;
+    })
+    .join(" ");
+}
+
+/**
+ * DM blocks asking a lead to approve, edit or dismiss a proposed FAQ correction.
+ * `proposal` is the correctionProposal stored on the tracked answer.
+ */
+export function formatCorrectionBlocks(answerId, proposal) {
+  const link = proposal.blockUrl
+    ? `FAQ entry: ${formatFaqLink(proposal.blockUrl)}`
+    : `FAQ page: ${formatFaqLink(proposal.pageUrl)}`;
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `A correction was flagged for the *${proposal.areaName}* FAQ based on a discussion in #${proposal.channelName || "channel"}.\n${link}`,
+      },
+    },
+  ];
+
+  if (proposal.currentText) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: truncate(`*Changes* (~removed~ / *added*):\n${formatTextDiff(proposal.currentText, proposal.suggestedUpdate)}`, 3000),
+      },
+    });
+  }
+
+  blocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: truncate(`*Suggested update:*\n${proposal.suggestedUpdate}`, 3000) },
+  });
+
+  if (proposal.editedBy) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `Edited by <@${proposal.editedBy}>` }],
+    });
+  }
+
+  if (proposal.status !== "pending") {
+    const outcome = proposal.status === "applied"
+      ? `:white_check_mark: Applied by <@${proposal.decidedBy}>${proposal.blockUrl ? ` — ${formatFaqLink(proposal.blockUrl)}` : ""}`
+      : `:no_entry_sign: Dismissed by <@${proposal.decidedBy}> — the FAQ was left unchanged`;
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: outcome }] });
+    return blocks;
+  }
+
+  const elements = [];
+  if (proposal.blockId) {
+    elements.push(
+      {
+        type: "button",
+        action_id: "faq_correction_approve",
+        text: { type: "plain_text", text: "Approve" },
+        style: "primary",
+        value: answerId,
+      },
+      {
+        type: "button",
+        action_id: "faq_correction_edit",
+        text: { type: "plain_text", text: "Edit" },
+        value: answerId,
+      }
+    );
+  } else {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "I couldn't locate the exact FAQ block, so this one needs a manual edit." }],
+    });
+  }
+  elements.push({
+    type: "button",
+    action_id: "faq_correction_dismiss",
+    text: { type: "plain_text", text: "Dismiss" },
+    value: answerId,
+  });
+  blocks.push({ type: "actions", block_id: "faq_correction", elements });
+
+  return blocks;
+}
+
+/**
+ * Opening line for an answer when classification wasn't sure of the area
+ */
+export function formatAreaGuess(areaName) {
+  return `_I think this is about *${areaName}* — let me know if it isn't._`;
+}
+
+/**
+ * Closing line tagging leads on an answer the bot isn't confident in
+ */
+export function formatLeadCheckRequest(userIds, translation = null) {
+  const lines = [`${userIds.map((id) => `<@${id}>`).join(" ")} — I'm not fully sure about this one. Mind double-checking?`];
+  if (translation) lines.push(formatTranslationForLeads(translation));
+  return lines.join("\n");
+}
+
+/**
+ * Buttons asking which area a question is about. Each carries the payload plus its
+ * area ID; "None of these" carries just the payload.
+ */
+export function formatAreaChoiceBlocks(areas, payload) {
+  return [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "I'm not sure which area this question is about. Which one fits best?" },
+    },
+    {
+      type: "actions",
+      elements: [
+        ...areas.map((area) => ({
+          type: "button",
+          action_id: `clarify_area_pick_${area.id}`,
+          text: { type: "plain_text", text: truncate(area.name, 75) },
+          value: JSON.stringify({ ...payload, areaId: area.id }),
+        })),
+        {
+          type: "button",
+          action_id: "clarify_area_none",
+          text: { type: "plain_text", text: "None of these" },
+          value: JSON.stringify(payload),
+        },
+      ],
+    },
+  ];
+}
+
+export function formatEscalation({ questionText, followUps, ownerUserIds, areaName, notionFaqUrl, translation = null }) {
   const pings = ownerUserIds.length
     ? ownerUserIds.map((id) => `<@${id}>`).join(" ")
     : "(no owners configured for this area)";
 
-  const faqPhrase = notionFaqUrl
+  const faqPhrase = isWebUrl(notionFaqUrl)
     ? `<${notionFaqUrl}|*${areaName} FAQ*>`
     : `*${areaName} FAQ*`;
   const lines = [];
   lines.push(`${pings} I couldn't find this in the ${faqPhrase} yet. Mind weighing in?`);
   lines.push("");
   lines.push(`> ${truncate(questionText, 1200)}`);
+  if (translation) {
+    lines.push("");
+    lines.push(formatTranslationForLeads(translation));
+  }
 
   if (followUps?.length) {
     lines.push("");
@@ -90,6 +451,138 @@ export function formatEscalation({ questionText, followUps, ownerUserIds, areaNa
   return lines.join("\n");
 }
 
+const VERIFICATION_OUTCOMES = {
+  verified: (userId) => `:white_check_mark: Confirmed still accurate by <@${userId}>`,
+  updated: (userId) => `:pencil2: Updated by <@${userId}>`,
+  deleted: (userId) => `:wastebasket: Deleted by <@${userId}>`,
+};
+
+/**
+ * DM blocks asking a lead whether a batch of older FAQ entries is still accurate.
+ * Each entry gets its own buttons, replaced by the outcome once someone decides.
+ */
+export function formatFaqVerificationBlocks(batch, entries) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:mag: These *${batch.areaName}* FAQ entries haven't been confirmed in a while. Are they still true?`,
+      },
+    },
+  ];
+
+  for (const entry of entries) {
+    const cited = entry.citationCount ? ` · cited ${entry.citationCount} time(s), last ${formatTimeAgo(entry.lastCitedAt)}` : "";
+    blocks.push(
+      { type: "divider" },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: truncate(`${entry.question ? `*Q:* ${entry.question}\n` : ""}${entry.text || "_(no text recorded)_"}`, 1500) },
+      },
+      {
+        type: "context",
+        elements: [{
+          type: "mrkdwn",
+          text: `${entry.url ? `${formatFaqLink(entry.url)} · ` : ""}last confirmed ${formatTimeAgo(getLastConfirmedAt(entry))}${cited}`,
+        }],
+      }
+    );
+
+    const verification = entry.verification?.batchId === batch.id ? entry.verification : null;
+    if (verification && verification.status !== "pending") {
+      blocks.push({
+        type: "context",
+        elements: [{ type: "mrkdwn", text: VERIFICATION_OUTCOMES[verification.status](verification.decidedBy) }],
+      });
+      continue;
+    }
+
+    blocks.push({
+      type: "actions",
+      block_id: `faq_verify_${entry.id}`,
+      elements: [
+        {
+          type: "button",
+          action_id: "faq_verify_confirm",
+          text: { type: "plain_text", text: "Still accurate" },
+          style: "primary",
+          value: entry.id,
+        },
+        {
+          type: "button",
+          action_id: "faq_verify_update",
+          text: { type: "plain_text", text: "Needs update" },
+          value: entry.id,
+        },
+        {
+          type: "button",
+          action_id: "faq_verify_delete",
+          text: { type: "plain_text", text: "Delete" },
+          style: "danger",
+          value: entry.id,
+          confirm: {
+            title: { type: "plain_text", text: "Delete this FAQ entry?" },
+            text: { type: "mrkdwn", text: "It will be removed from the FAQ for everyone." },
+            confirm: { type: "plain_text", text: "Delete" },
+            deny: { type: "plain_text", text: "Cancel" },
+          },
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+const DIGEST_LIST_LIMIT = 8;
+
+/**
+ * Bullet list capped at DIGEST_LIST_LIMIT items, with a count of the rest.
+ */
+function formatDigestList(items, formatItem) {
+  const lines = items.slice(0, DIGEST_LIST_LIMIT).map((item) => `• ${formatItem(item)}`);
+  if (items.length > DIGEST_LIST_LIMIT) lines.push(`_…and ${items.length - DIGEST_LIST_LIMIT} more_`);
+  return lines.join("\n");
+}
+
+/**
+ * The weekly roll-up for one knowledge area (see computeAreaDigest).
+ * threadUrls maps escalation IDs to permalinks for the open ones.
+ */
+export function formatWeeklyDigestBlocks(areaName, digest, { threadUrls = new Map() } = {}) {
+  const question = (text) => `"${truncate(text.replace(/\s+/g, " "), 120)}"`;
+  const answeredLine = `*${digest.answeredCount}* question(s) answered from the FAQ` +
+    (digest.partialCount ? `, *${digest.partialCount}* partially` : "") +
+    ` · *${digest.escalationsOpened}* escalated`;
+
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: truncate(`Weekly digest: ${areaName}`, 150) } },
+    { type: "section", text: { type: "mrkdwn", text: answeredLine } },
+  ];
+  const addSection = (title, items, formatItem) => {
+    if (items.length === 0) return;
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: truncate(`*${title}*\n${formatDigestList(items, formatItem)}`, 3000) },
+    });
+  };
+
+  addSection(`Still waiting on an answer (${digest.openEscalations.length})`, digest.openEscalations, (e) => {
+    const url = threadUrls.get(e.id);
+    return `${question(e.translatedQuestion || e.originalQuestion)} — asked ${formatTimeAgo(e.escalatedAt)}${url ? ` · <${url}|thread>` : ""}`;
+  });
+  addSection(`New FAQ entries (${digest.newFaqEntries.length})`, digest.newFaqEntries, (e) =>
+    `${question(e.originalQuestion)} · ${formatFaqLink(e.faqUrl)}`);
+  addSection(`Corrections applied (${digest.correctionsApplied.length})`, digest.correctionsApplied, (a) =>
+    `${question(a.originalQuestion)}${a.correctionProposal.blockUrl ? ` · ${formatFaqLink(a.correctionProposal.blockUrl)}` : ""} — approved by <@${a.correctionProposal.decidedBy}>`);
+  addSection(`New team members (${digest.newTeamMembers.length})`, digest.newTeamMembers, (m) =>
+    `<@${m.userId}>${m.description ? ` — ${m.description}` : ""} _(${m.addedBy})_`);
+  addSection("Top topics missing from the FAQ", digest.topTopics, (t) => `${t.topic} (${t.count})`);
+
+  return blocks;
+}
+
 export function formatTimeAgo(iso) {
   if (!iso) return "never";
   const ms = Date.now() - new Date(iso).getTime();
@@ -101,6 +594,16 @@ export function formatTimeAgo(iso) {
   return `${days}d ago`;
 }
 
+export function formatDuration(ms) {
+  if (ms == null) return "n/a";
+  const mins = Math.round(ms / 60000);
+  if (mins < 60) return `${mins}m`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `${hours}h ${mins % 60}m`;
+  const days = Math.floor(hours / 24);
+  return `${days}d ${hours % 24}h`;
+}
+
 export function formatRosterArea(area) {
   const lines = [`*Team Roster: ${area.name}*`];
   const leads = area.leads ?? [];
@@ -1,91 +1,166 @@
 import "dotenv/config";
 
+import { createRequire } from "node:module";
 import bolt from "@slack/bolt";
+import { WebClient } from "@slack/web-api";
 import Anthropic from "@anthropic-ai/sdk";
 
-import config from "./config.js";
-import { initNotion, fetchPageContent, fetchKbHierarchy } from "./notion.js";
-import { loadKnowledgeAreas, getAllKnowledgeAreas } from "./knowledge-areas.js";
+import config, { getWorkspaceConfig } from "./config.js";
+import { initStorage } from "./storage.js";
+import { runInWorkspace, workspaceState } from "./workspaces.js";
+import { createInstallationStore, listInstallations } from "./installation-store.js";
+import { initNotion, getNotionRequestMetrics } from "./notion.js";
+import {
+  loadNotionCache,
+  getNotionCache,
+  getKbHierarchyCache,
+  getCachedNotionContent,
+  getCachedKbHierarchy,
+  prewarmNotionCache,
+} from "./notion-cache.js";
+import { checkNotionChanges, evictNotionPages, startNotionWebhookServer } from "./notion-changes.js";
+import { loadKnowledgeAreas, getAllKnowledgeAreas, getAreaFaqSource } from "./knowledge-areas.js";
+import { getKnowledgeSource } from "./knowledge-sources.js";
 import { loadEscalations, cleanupOldEscalations } from "./escalation-tracker.js";
 import { loadFaqAnswers, cleanupOldFaqAnswers } from "./answer-tracker.js";
 import { resolveWatchChannels, initSlackIdentity } from "./slack-helpers.js";
 import { registerAppHomeHandlers } from "./app-home.js";
 import { registerSlashCommand } from "./slash-commands.js";
 import { registerDmHandler, loadPendingDms } from "./dm-handler.js";
-import { registerChannelHandler } from "./channel-handler.js";
+import { registerChannelHandler, loadAreaChoices } from "./channel-handler.js";
+import { registerFeedbackHandler } from "./feedback-handler.js";
+import { registerReviewHandlers } from "./review-handler.js";
+import { registerCorrectionHandlers } from "./correction-handler.js";
+import { loadFaqReviews } from "./review-tracker.js";
+import { loadFaqEntries } from "./verification-tracker.js";
+import { loadDigests } from "./digest-tracker.js";
+import { loadChannelRules, getChannelRuleNames } from "./channel-rules.js";
+import { loadWatchedChannels, applyWatchedChannels, getWatchedChannels } from "./watch-channels.js";
+import { registerVerificationHandlers } from "./verification-handler.js";
 import { checkPendingEscalations, checkPendingCorrections, runPeriodicChecks } from "./jobs.js";
 
 const { App } = bolt;
+const require = createRequire(import.meta.url);
 
-const app = new App({
-  token: config.SLACK_BOT_TOKEN,
-  signingSecret: config.SLACK_SIGNING_SECRET,
-  socketMode: true,
-  appToken: config.SLACK_APP_TOKEN,
-});
+const multiWorkspace = config.multiWorkspace.enabled;
+const installationStore = multiWorkspace ? createInstallationStore() : null;
+
+// Multi-workspace mode installs via OAuth (with the manifest's bot scopes) instead of one bot token
+const app = new App(
+  multiWorkspace
+    ? {
+        signingSecret: config.SLACK_SIGNING_SECRET,
+        socketMode: true,
+        appToken: config.SLACK_APP_TOKEN,
+        clientId: config.SLACK_CLIENT_ID,
+        clientSecret: config.SLACK_CLIENT_SECRET,
+        stateSecret: config.SLACK_STATE_SECRET,
+        scopes: require("../slack-manifest.json").oauth_config.scopes.bot,
+        installationStore,
+        installerOptions: { port: config.multiWorkspace.installerPort, directInstall: true },
+      }
+    : {
+        token: config.SLACK_BOT_TOKEN,
+        signingSecret: config.SLACK_SIGNING_SECRET,
+        socketMode: true,
+        appToken: config.SLACK_APP_TOKEN,
+      }
+);
 
 const anthropic = new Anthropic({ apiKey: config.ANTHROPIC_API_KEY });
 
-// Notion content cache
-const notionCache = new Map();
+// Per-workspace Slack identity and channels (a single entry in single-workspace mode).
+// Notion caches live in notion-cache.js and persist across restarts.
+const workspace = workspaceState(() => ({
+  ready: null, // Promise from initWorkspace()
+  watchChannelIds: new Set(),
+  channelIdToName: new Map(),
+  botUserId: null,
+}));
 
-async function getNotionContent(pageId) {
-  const cached = notionCache.get(pageId);
-  if (cached && Date.now() - cached.fetchedAt < config.notionCacheTtlMs) {
-    return cached.content;
-  }
-  try {
-    const content = await fetchPageContent(pageId, app.logger);
-    notionCache.set(pageId, { content, fetchedAt: Date.now() });
-    return content;
-  } catch (err) {
-    app.logger.error(`[Notion] Failed to fetch page ${pageId}: ${err?.message ?? err}`);
-    if (cached?.content) return cached.content;
-    return "";
-  }
+function getNotionContent(pageId) {
+  return getCachedNotionContent(pageId, { ttlMs: config.notionCacheTtlMs, logger: app.logger });
 }
 
-// KB hierarchy cache (separate from page content cache)
-const kbHierarchyCache = { data: null, fetchedAt: 0 };
-
-async function getKbHierarchy() {
-  const rootUrl = config.generalFaq.kbRootPageUrl;
-  if (!rootUrl) return [];
+/**
+ * Read an FAQ from wherever it lives — see getAreaFaqSource and knowledge-sources.js
+ */
+function readKnowledgeSource(source) {
+  return getKnowledgeSource(source, { ttlMs: config.notionCacheTtlMs }).read(app.logger);
+}
 
-  const now = Date.now();
-  if (kbHierarchyCache.data && now - kbHierarchyCache.fetchedAt < config.kbHierarchyCacheTtlMs) {
-    return kbHierarchyCache.data;
-  }
+function getKbHierarchy() {
+  return getCachedKbHierarchy(getWorkspaceConfig().generalFaq.kbRootPageUrl, {
+    ttlMs: config.kbHierarchyCacheTtlMs,
+    logger: app.logger,
+  });
+}
 
-  try {
-    const hierarchy = await fetchKbHierarchy(rootUrl, app.logger);
-    kbHierarchyCache.data = hierarchy;
-    kbHierarchyCache.fetchedAt = now;
-    return hierarchy;
-  } catch (err) {
-    app.logger.error(`[KB] Failed to fetch hierarchy: ${err?.message ?? err}`);
-    // Return stale data if available
-    if (kbHierarchyCache.data) return kbHierarchyCache.data;
-    return [];
-  }
+/**
+ * Refresh the cached FAQ pages the current workspace answers from — every
+ * knowledge area, the General FAQ and the KB hierarchy — so the first questions
+ * after a deploy don't each wait on a cold Notion fetch.
+ */
+async function prewarmWorkspaceCache() {
+  const { generalFaq } = getWorkspaceConfig();
+  const hierarchy = generalFaq.enabled ? await getKbHierarchy() : [];
+  // Markdown sources are read from disk and never cached
+  const notionSources = getAllKnowledgeAreas()
+    .map(getAreaFaqSource)
+    .filter((source) => source.type !== "markdown")
+    .map((source) => ({ pageId: source.id, database: source.type === "notion-database", databaseProperties: source.databaseProperties }));
+  const pageIds = [
+    ...notionSources,
+    ...(generalFaq.enabled ? [generalFaq.notionPageUrl, generalFaq.kbRootPageUrl] : []),
+    ...hierarchy.map((page) => page.pageId),
+  ];
+  await prewarmNotionCache(pageIds, { ttlMs: config.notionCacheTtlMs, logger: app.logger });
 }
 
-// Shared context passed to all modules
+// Shared context passed to all modules. Workspace-specific fields are getters,
+// so they resolve to the workspace being served when read (or spread) in a handler.
 const ctx = {
-  config,
+  get config() {
+    return getWorkspaceConfig();
+  },
   anthropic,
-  notionCache,
-  watchChannelIds: new Set(),
-  channelIdToName: new Map(),
-  botUserId: null,
+  get notionCache() {
+    return getNotionCache();
+  },
+  get kbHierarchyCache() {
+    return getKbHierarchyCache();
+  },
+  get watchChannelIds() {
+    return workspace().watchChannelIds;
+  },
+  get channelIdToName() {
+    return workspace().channelIdToName;
+  },
+  get botUserId() {
+    return workspace().botUserId;
+  },
   getNotionContent,
+  readKnowledgeSource,
   getKbHierarchy,
   logger: app.logger,
 };
 
-async function bootstrap() {
+async function refreshWatchChannels(client) {
+  // Channels with a rule by name are watched too, plus those watched or unwatched from Slack
+  const channelNames = [...new Set([...getWorkspaceConfig().watchChannels, ...getChannelRuleNames()])];
+  const resolved = applyWatchedChannels(await resolveWatchChannels(client, channelNames, app.logger));
+  workspace().watchChannelIds = resolved.channelIds;
+  workspace().channelIdToName = resolved.idToName;
+}
+
+/**
+ * Load the current workspace's Notion client, knowledge areas, trackers and channels.
+ */
+async function initWorkspace(client, botUserId = null) {
+  const workspaceConfig = getWorkspaceConfig();
+
   app.logger.info(`[Bootstrap] Initializing Notion client...`);
-  initNotion(config.NOTION_API_KEY);
+  initNotion(workspaceConfig.NOTION_API_KEY, { ...config.notionRequests, logger: app.logger });
 
   app.logger.info(`[Bootstrap] Loading knowledge areas...`);
   await loadKnowledgeAreas(app.logger);
@@ -97,66 +172,206 @@ async function bootstrap() {
   app.logger.info(`[Bootstrap] Loading FAQ answer tracker...`);
   await loadFaqAnswers(app.logger);
 
-  loadPendingDms(config.dataDir);
+  app.logger.info(`[Bootstrap] Loading FAQ review queue...`);
+  await loadFaqReviews(app.logger);
+
+  app.logger.info(`[Bootstrap] Loading FAQ entry history...`);
+  await loadFaqEntries(app.logger);
+
+  app.logger.info(`[Bootstrap] Loading digest history...`);
+  await loadDigests(app.logger);
+
+  await loadChannelRules(workspaceConfig.channelRules, app.logger);
+  await loadWatchedChannels(app.logger);
+
+  await loadPendingDms();
   app.logger.info(`[Bootstrap] Pending DM actions loaded`);
 
+  await loadAreaChoices();
+
+  app.logger.info(`[Bootstrap] Loading Notion cache...`);
+  await loadNotionCache(app.logger);
+
   // Resolve Slack identity and channels
-  ctx.botUserId = await initSlackIdentity(app.client);
-  const resolved = await resolveWatchChannels(app.client, config.watchChannels, app.logger);
-  ctx.watchChannelIds = resolved.channelIds;
-  ctx.channelIdToName = resolved.idToName;
+  workspace().botUserId = botUserId ?? (await initSlackIdentity(client));
+  await refreshWatchChannels(client);
+
+  app.logger.info(`Watching channels: ${workspaceConfig.watchChannels.join(", ")}`);
+  app.logger.info(`Watching from Slack: ${getWatchedChannels().map((c) => c.name ?? c.id).join(", ") || "(none)"}`);
+  app.logger.info(`Resolved watchChannelIds: ${[...ctx.watchChannelIds].join(", ") || "(none)"}`);
+  app.logger.info(`Knowledge areas configured: ${getAllKnowledgeAreas().length}`);
+}
+
+/**
+ * Initialize the current workspace once; concurrent callers share the same load.
+ */
+function ensureWorkspaceReady(client, botUserId = null) {
+  const state = workspace();
+  if (!state.ready) {
+    state.ready = initWorkspace(client, botUserId).catch((err) => {
+      state.ready = null; // retry on the next event
+      throw err;
+    });
+  }
+  return state.ready;
+}
+
+// Bot clients for installed workspaces, reused across periodic runs
+const installationClients = new Map();
+
+/**
+ * Run fn({ client, logger }) inside each served workspace — the single workspace
+ * in single-workspace mode, otherwise every OAuth installation in turn.
+ */
+async function forEachWorkspace(fn) {
+  if (!multiWorkspace) {
+    await fn(app);
+    return;
+  }
+
+  for (const installation of await listInstallations()) {
+    if (!installationClients.has(installation.teamId)) {
+      installationClients.set(installation.teamId, new WebClient(installation.botToken, { logger: app.logger }));
+    }
+    const client = installationClients.get(installation.teamId);
+
+    await runInWorkspace(installation.teamId, async () => {
+      try {
+        await ensureWorkspaceReady(client, installation.botUserId);
+        await fn({ client, logger: app.logger });
+      } catch (e) {
+        app.logger.error(`[Workspace] ${installation.teamName || installation.teamId}: ${e?.message ?? e}`);
+      }
+    });
+  }
+}
+
+async function bootstrap() {
+  app.logger.info(`[Bootstrap] Initializing storage (${config.storage.backend})...`);
+  initStorage({ ...config.storage, dataDir: config.dataDir }, app.logger);
+
+  if (multiWorkspace) {
+    // Serve every event inside the workspace it came from, loading that workspace on first contact
+    app.use(async ({ context, body, client, next }) => {
+      if (!context.teamId) return next();
+      await runInWorkspace(context.teamId, async () => {
+        if (body.event?.type !== "app_uninstalled") {
+          await ensureWorkspaceReady(client, context.botUserId);
+        }
+        await next();
+      });
+    });
+
+    app.event("app_uninstalled", async ({ context, logger }) => {
+      await installationStore.deleteInstallation({ teamId: context.teamId }, logger);
+      installationClients.delete(context.teamId);
+    });
+  }
+
+  await forEachWorkspace(({ client }) => ensureWorkspaceReady(client));
+
+  // Warm the Notion cache in the background; answers fall back to fetching on demand meanwhile
+  forEachWorkspace(() => prewarmWorkspaceCache()).catch((e) => {
+    app.logger.warn(`[NotionCache] Pre-warm failed: ${e?.message ?? e}`);
+  });
 
   // Register all handlers
   registerAppHomeHandlers(app, app.logger);
   registerSlashCommand(app, ctx);
   registerDmHandler(app, ctx);
   registerChannelHandler(app, ctx);
+  registerFeedbackHandler(app, ctx);
+  registerReviewHandlers(app, ctx);
+  registerCorrectionHandlers(app, ctx);
+  registerVerificationHandlers(app);
 
-  app.logger.info(`Watching channels: ${config.watchChannels.join(", ")}`);
-  app.logger.info(`Resolved watchChannelIds: ${[...ctx.watchChannelIds].join(", ") || "(none)"}`);
-  app.logger.info(`Knowledge areas configured: ${getAllKnowledgeAreas().length}`);
   app.logger.info(`Claude model: ${config.claudeModel}`);
 
   const port = Number(process.env.PORT ?? 3000);
   await app.start(port);
-  app.logger.info(`Bot started (Socket Mode).`);
+  app.logger.info(
+    multiWorkspace
+      ? `Bot started (Socket Mode, multi-workspace) — install at http://localhost:${config.multiWorkspace.installerPort}/slack/install`
+      : `Bot started (Socket Mode).`
+  );
 
   // ─── Periodic jobs ───────────────────────────────────────────────────────
 
   // Refresh channel resolutions hourly
   setInterval(async () => {
-    try {
-      const refreshed = await resolveWatchChannels(app.client, config.watchChannels, app.logger);
-      ctx.watchChannelIds = refreshed.channelIds;
-      ctx.channelIdToName = refreshed.idToName;
-      app.logger.info("Refreshed Slack channel cache.");
-    } catch (e) {
-      app.logger.warn(`Failed refreshing channel cache: ${e?.message ?? e}`);
-    }
+    await forEachWorkspace(async ({ client }) => {
+      try {
+        await refreshWatchChannels(client);
+        app.logger.info("Refreshed Slack channel cache.");
+      } catch (e) {
+        app.logger.warn(`Failed refreshing channel cache: ${e?.message ?? e}`);
+      }
+    });
+  }, 60 * 60 * 1000).unref();
+
+  // Report Notion request volume, retries and throttling hourly
+  setInterval(() => {
+    const m = getNotionRequestMetrics();
+    if (m.requests === 0) return;
+    app.logger.info(
+      `[Notion] ${m.requests} request(s) so far: ${m.retries} retried, ${m.rateLimited} rate-limited, ` +
+        `${m.failures} failed, ${Math.round(m.throttledMs / 1000)}s spent waiting for a slot`
+    );
   }, 60 * 60 * 1000).unref();
 
+  // Evict Notion pages edited since they were cached
+  const { notionChanges } = config;
+  if (notionChanges.pollIntervalMs > 0) {
+    setInterval(async () => {
+      await forEachWorkspace(async () => {
+        try {
+          await checkNotionChanges(ctx, app.logger);
+        } catch (e) {
+          app.logger.warn(`[NotionChanges] Failed checking for page changes: ${e?.message ?? e}`);
+        }
+      });
+    }, notionChanges.pollIntervalMs).unref();
+  }
+
+  if (notionChanges.webhookPort > 0) {
+    startNotionWebhookServer({
+      port: notionChanges.webhookPort,
+      path: notionChanges.webhookPath,
+      verificationToken: notionChanges.webhookVerificationToken,
+      // A Notion integration can be shared by several workspaces — evict wherever the page is cached
+      onPageChanged: (pageIds) => forEachWorkspace(async () => {
+        evictNotionPages(ctx, pageIds, app.logger);
+      }),
+      logger: app.logger,
+    }).unref();
+  }
+
   // Escalation + correction checks
   setInterval(async () => {
-    try {
-      await runPeriodicChecks(app, ctx);
-      const cleaned = await cleanupOldEscalations();
-      if (cleaned > 0) app.logger.info(`[Escalation] Cleaned up ${cleaned} old escalation(s)`);
-      const cleanedAnswers = await cleanupOldFaqAnswers(30, app.logger);
-      if (cleanedAnswers > 0) app.logger.info(`[AnswerTracker] Cleaned up ${cleanedAnswers} old FAQ answer(s)`);
-    } catch (e) {
-      app.logger.error(`[Periodic] Failed running periodic checks: ${e?.message ?? e}`);
-    }
+    await forEachWorkspace(async (workspaceApp) => {
+      try {
+        await runPeriodicChecks(workspaceApp, ctx);
+        const cleaned = await cleanupOldEscalations();
+        if (cleaned > 0) app.logger.info(`[Escalation] Cleaned up ${cleaned} old escalation(s)`);
+        const cleanedAnswers = await cleanupOldFaqAnswers(30, app.logger);
+        if (cleanedAnswers > 0) app.logger.info(`[AnswerTracker] Cleaned up ${cleanedAnswers} old FAQ answer(s)`);
+      } catch (e) {
+        app.logger.error(`[Periodic] Failed running periodic checks: ${e?.message ?? e}`);
+      }
+    });
   }, config.escalationCheckIntervalMs).unref();
 
   // Initial check shortly after startup
   setTimeout(async () => {
-    app.logger.info(`[Periodic] Running initial escalation check`);
-    await checkPendingEscalations(app, ctx).catch((e) => {
-      app.logger.error(`[Escalation] Initial check failed: ${e?.message ?? e}`);
-    });
-    app.logger.info(`[Periodic] Running initial correction check`);
-    await checkPendingCorrections(app, ctx).catch((e) => {
-      app.logger.error(`[Correction] Initial check failed: ${e?.message ?? e}`);
+    await forEachWorkspace(async (workspaceApp) => {
+      app.logger.info(`[Periodic] Running initial escalation check`);
+      await checkPendingEscalations(workspaceApp, ctx).catch((e) => {
+        app.logger.error(`[Escalation] Initial check failed: ${e?.message ?? e}`);
+      });
+      app.logger.info(`[Periodic] Running initial correction check`);
+      await checkPendingCorrections(workspaceApp, ctx).catch((e) => {
+        app.logger.error(`[Correction] Initial check failed: ${e?.message ?? e}`);
+      });
     });
   }, 30000).unref();
 }
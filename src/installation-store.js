@@ -0,0 +1,63 @@
+import { getSharedStore } from "./storage.js";
+
+// Slack OAuth installations for multi-workspace mode, keyed by team ID
+const DOCUMENT_NAME = "slack-installations";
+
+async function loadInstallations() {
+  const data = await getSharedStore().loadDocument(DOCUMENT_NAME, null);
+  return data && typeof data.installations === "object" ? data : { installations: {} };
+}
+
+/**
+ * Bolt InstallationStore backed by the active storage backend.
+ * Installations are shared data, so they live outside any workspace namespace.
+ */
+export function createInstallationStore() {
+  return {
+    async storeInstallation(installation, logger) {
+      if (installation.isEnterpriseInstall) {
+        throw new Error("Org-wide installs aren't supported — install the bot to each workspace instead");
+      }
+      const data = await loadInstallations();
+      data.installations[installation.team.id] = installation;
+      await getSharedStore().saveDocument(DOCUMENT_NAME, data);
+      if (logger) {
+        logger.info(`[Install] Stored installation for workspace ${installation.team.name ?? ""} (${installation.team.id})`);
+      }
+    },
+
+    async fetchInstallation(query) {
+      const data = await loadInstallations();
+      const installation = query.teamId ? data.installations[query.teamId] : null;
+      if (!installation) {
+        throw new Error(`No installation found for workspace ${query.teamId ?? query.enterpriseId}`);
+      }
+      return installation;
+    },
+
+    async deleteInstallation(query, logger) {
+      const data = await loadInstallations();
+      if (!query.teamId || !data.installations[query.teamId]) return;
+      delete data.installations[query.teamId];
+      await getSharedStore().saveDocument(DOCUMENT_NAME, data);
+      if (logger) {
+        logger.info(`[Install] Removed installation for workspace ${query.teamId}`);
+      }
+    },
+  };
+}
+
+/**
+ * List every installed workspace as { teamId, teamName, botToken, botUserId }.
+ */
+export async function listInstallations() {
+  const data = await loadInstallations();
+  return Object.values(data.installations)
+    .filter((i) => i.bot?.token)
+    .map((i) => ({
+      teamId: i.team.id,
+      teamName: i.team.name ?? "",
+      botToken: i.bot.token,
+      botUserId: i.bot.userId ?? null,
+    }));
+}
@@ -1,5 +1,8 @@
 import {
   getEscalationsReadyToSynthesize,
+  getEscalationsAwaitingResponse,
+  recordEscalationReminder,
+  markEscalationPendingReview,
   markEscalationComplete,
   markEscalationSkipped,
   cleanupOldEscalations,
@@ -9,29 +12,188 @@ import {
   markAnswerCorrected,
   markAnswerProcessed,
   cleanupOldFaqAnswers,
+  setCorrectionProposal,
+  recordCorrectionMessage,
 } from "./answer-tracker.js";
 import {
   getKnowledgeAreaById,
+  getAllKnowledgeAreas,
   getLeadUserIds,
+  getTeamMembers,
+  getAreaFaqSource,
 } from "./knowledge-areas.js";
 import {
   synthesizeFaqEntry,
   checkResponsesSubstantive,
   checkIfCorrection,
 } from "./llm.js";
+import { extractPageId, findBlockByContent } from "./notion.js";
+import { getKnowledgeSource, getSourceUrl } from "./knowledge-sources.js";
+import { sendDmToUser, truncate, getUserDisplayNames } from "./slack-helpers.js";
 import {
-  appendFaqEntry,
-  analyzePageStructure,
-  extractPageId,
-  findBlockByContent,
-} from "./notion.js";
-import { sendDmToUser } from "./slack-helpers.js";
-import { setPendingDm } from "./dm-handler.js";
+  formatDuration,
+  formatFaqReviewBlocks,
+  formatCorrectionBlocks,
+  formatFaqLink,
+  formatFaqVerificationBlocks,
+  formatWeeklyDigestBlocks,
+} from "./formatters.js";
+import { trackFaqReview, recordReviewMessage, cleanupOldFaqReviews } from "./review-tracker.js";
+import {
+  recordFaqEntryCreated,
+  getStaleFaqEntries,
+  getLastVerificationBatchAt,
+  createVerificationBatch,
+  recordVerificationMessage,
+  getBatchEntries,
+  cleanupOldVerificationBatches,
+} from "./verification-tracker.js";
+import { computeAreaDigest } from "./analytics.js";
+import { getLastDigestAt, recordDigestSent } from "./digest-tracker.js";
 
 const GENERAL_FAQ_AREA_ID = "general-faq";
 
+// Follow-ups for unanswered escalations, one per elapsed SLA period
+const SLA_STAGE_REMIND_LEADS = 1;
+const SLA_STAGE_WIDEN = 2;
+const SLA_STAGE_UNANSWERED = 3;
+
+/**
+ * Let people whose question was linked to this escalation know it's been answered.
+ */
+export async function notifyDuplicateAskers(app, escalation, faqUrl, logger) {
+  if (!escalation.duplicateAskers?.length) return;
+
+  let threadLink = "the original thread";
+  try {
+    const res = await app.client.chat.getPermalink({ channel: escalation.channel, message_ts: escalation.threadTs });
+    if (res.permalink) threadLink = `<${res.permalink}|the original thread>`;
+  } catch (err) {
+    logger.warn(`[Escalation] Could not get permalink for escalation ${escalation.id}: ${err?.message ?? err}`);
+  }
+
+  for (const asker of escalation.duplicateAskers) {
+    try {
+      const faqPart = faqUrl ? ` and added to the FAQ: ${formatFaqLink(faqUrl)}` : "";
+      await app.client.chat.postMessage({
+        channel: asker.channel,
+        thread_ts: asker.threadTs,
+        text: `<@${asker.userId}> Your question was answered in ${threadLink}${faqPart}`,
+        mrkdwn: true,
+      });
+    } catch (err) {
+      logger.warn(`[Escalation] Failed to notify duplicate asker <@${asker.userId}>: ${err?.message ?? err}`);
+    }
+  }
+}
+
+/**
+ * Write a synthesized entry to the FAQ, announce it in the escalation thread
+ * and close the escalation. Also used when a queued review is approved.
+ * FAQ databases get a new row, with the users who answered as its Owner.
+ *
+ * @param {object} entry - source is a descriptor as from getAreaFaqSource.
+ *   appendedEntry is an entry an earlier attempt already wrote, which is reused
+ *   instead of appending again; onAppended is called as soon as a new one is written.
+ * @returns {Promise<string>} link to the new FAQ entry
+ */
+export async function publishFaqEntry(app, ctx, escalation, {
+  productAreaId,
+  areaName,
+  source,
+  formatStyle,
+  question,
+  answer,
+  answeredBy = [],
+  appendedEntry = null,
+  onAppended = null,
+}) {
+  const logger = app.logger;
+
+  let appended = appendedEntry;
+  if (!appended) {
+    const owner = source.type === "notion-database" ? await getUserDisplayNames(app.client, answeredBy) : "";
+    appended = await getKnowledgeSource(source, { ttlMs: ctx.config.notionCacheTtlMs })
+      .appendEntry({ question, answer, formatStyle, owner }, logger);
+    if (onAppended) await onAppended(appended);
+  } else {
+    logger.info(`[Escalation] FAQ entry ${appended.entryId} was already written, not appending it again`);
+  }
+  const { entryId, url: faqUrl } = appended;
+  await recordFaqEntryCreated({ productAreaId, source, entryId, url: faqUrl, question, text: answer }, logger);
+
+  // The escalation may have been cleaned up while a review sat in the queue
+  if (!escalation) return faqUrl;
+
+  if (escalation.productAreaId === GENERAL_FAQ_AREA_ID) {
+    await app.client.chat.postMessage({
+      channel: escalation.channel,
+      thread_ts: escalation.threadTs,
+      text: `I've added this to the *General FAQ*:\n\n*Q:* ${question}\n\n${formatFaqLink(faqUrl)}`,
+      mrkdwn: true,
+    });
+  } else {
+    const ownerPings = escalation.ownerUserIds.map((id) => `<@${id}>`).join(" ");
+    await app.client.chat.postMessage({
+      channel: escalation.channel,
+      thread_ts: escalation.threadTs,
+      text: `${ownerPings} Thanks for the responses! I've updated the *${areaName} FAQ* with a new entry:\n\n*Q:* ${question}\n\n${formatFaqLink(faqUrl)}`,
+      mrkdwn: true,
+    });
+  }
+
+  await notifyDuplicateAskers(app, escalation, faqUrl, logger);
+  await markEscalationComplete(escalation.id, faqUrl);
+  logger.info(`[Escalation] Successfully updated FAQ for escalation ${escalation.id}`);
+
+  return faqUrl;
+}
+
+/**
+ * Queue a synthesized entry for approval and DM the owners who answered,
+ * instead of writing it to the FAQ straight away.
+ */
+async function requestFaqReview(app, escalation, { areaName, source, formatStyle, question, answer, reviewerUserIds }) {
+  const logger = app.logger;
+
+  const review = await trackFaqReview(
+    {
+      escalationId: escalation.id,
+      productAreaId: escalation.productAreaId,
+      areaName,
+      source,
+      formatStyle,
+      originalQuestion: escalation.originalQuestion,
+      question,
+      answer,
+      reviewerUserIds,
+    },
+    logger
+  );
+  await markEscalationPendingReview(escalation.id, review.id);
+
+  for (const userId of review.reviewerUserIds) {
+    try {
+      const dm = await app.client.conversations.open({ users: userId });
+      const dmChannelId = dm.channel?.id;
+      if (!dmChannelId) continue;
+
+      const msg = await app.client.chat.postMessage({
+        channel: dmChannelId,
+        text: `A new entry for the ${areaName} FAQ is waiting for your approval.`,
+        blocks: formatFaqReviewBlocks(review),
+      });
+      await recordReviewMessage(review.id, { userId, channel: dmChannelId, ts: msg.ts });
+    } catch (err) {
+      logger.warn(`[Review] Failed to DM reviewer <@${userId}> for review ${review.id}: ${err?.message ?? err}`);
+    }
+  }
+
+  logger.info(`[Review] Sent FAQ entry for escalation ${escalation.id} to ${review.reviewerUserIds.length} reviewer(s)`);
+}
+
 export async function checkPendingEscalations(app, ctx) {
-  const { config, anthropic, notionCache } = ctx;
+  const { config, anthropic } = ctx;
   const logger = app.logger;
 
   const readyToSynthesize = getEscalationsReadyToSynthesize();
@@ -44,12 +206,12 @@ export async function checkPendingEscalations(app, ctx) {
     logger.info(`[Escalation] Processing escalation ${escalation.id}`);
     try {
       const isGeneralFaq = escalation.productAreaId === GENERAL_FAQ_AREA_ID;
-      let notionPageId;
+      let source;
       let areaName;
       let responderUserIds;
 
       if (isGeneralFaq) {
-        notionPageId = config.generalFaq.notionPageUrl;
+        source = { type: "notion-page", id: config.generalFaq.notionPageUrl };
         areaName = "General FAQ";
         responderUserIds = [...config.generalFaq.adminUserIds];
       } else {
@@ -58,14 +220,14 @@ export async function checkPendingEscalations(app, ctx) {
           await markEscalationSkipped(escalation.id, "knowledge_area_deleted");
           continue;
         }
-        notionPageId = area.notionPageId;
+        source = getAreaFaqSource(area);
         areaName = area.name;
         responderUserIds = area.ownerUserIds;
       }
 
       let formatStyle = null;
       try {
-        formatStyle = await analyzePageStructure(notionPageId, logger);
+        formatStyle = await getKnowledgeSource(source).getFormatStyle(logger);
       } catch (err) {
         logger.warn(`[Escalation] Failed to analyze FAQ structure for "${areaName}": ${err?.message ?? err}`);
       }
@@ -78,14 +240,13 @@ export async function checkPendingEscalations(app, ctx) {
 
       const messages = res.messages ?? [];
 
-      const ownerResponses = messages
-        .filter((m) => {
-          if (!m.user || !m.text) return false;
-          if (m.ts <= escalation.messageTs) return false;
-          if (m.bot_id) return false;
-          return responderUserIds.includes(m.user);
-        })
-        .map((m) => m.text);
+      const ownerMessages = messages.filter((m) => {
+        if (!m.user || !m.text) return false;
+        if (m.ts <= escalation.messageTs) return false;
+        if (m.bot_id) return false;
+        return responderUserIds.includes(m.user);
+      });
+      const ownerResponses = ownerMessages.map((m) => m.text);
 
       if (ownerResponses.length === 0) {
         await markEscalationSkipped(escalation.id, "no_responses_found");
@@ -99,7 +260,18 @@ export async function checkPendingEscalations(app, ctx) {
         continue;
       }
 
-      const synthesis = await synthesizeFaqEntry(anthropic, config.claudeModel, escalation.originalQuestion, ownerResponses, formatStyle);
+      // A slice of the FAQ tells synthesis which language to write the entry in
+      let faqExcerpt = "";
+      try {
+        faqExcerpt = truncate(await ctx.readKnowledgeSource(source) ?? "", 1500);
+      } catch (err) {
+        logger.warn(`[Escalation] Failed to read FAQ for "${areaName}": ${err?.message ?? err}`);
+      }
+
+      const synthesis = await synthesizeFaqEntry(anthropic, config.claudeModel, escalation.originalQuestion, ownerResponses, formatStyle, {
+        faqExcerpt,
+        faqLanguage: config.multilingual.faqLanguage,
+      });
 
       if (!synthesis.should_add_to_faq) {
         if (!isGeneralFaq) {
@@ -110,39 +282,38 @@ export async function checkPendingEscalations(app, ctx) {
             mrkdwn: true,
           });
         }
+        await notifyDuplicateAskers(app, escalation, null, logger);
         await markEscalationComplete(escalation.id);
         continue;
       }
 
-      const faqUrl = await appendFaqEntry(
-        notionPageId,
-        synthesis.question,
-        synthesis.answer,
-        formatStyle,
-        logger
-      );
+      const requireApproval = isGeneralFaq
+        ? config.generalFaq.requireApproval
+        : !!getKnowledgeAreaById(escalation.productAreaId)?.requireFaqApproval;
 
-      notionCache.delete(notionPageId);
+      const answeredBy = [...new Set(ownerMessages.map((m) => m.user))];
 
-      if (isGeneralFaq) {
-        await app.client.chat.postMessage({
-          channel: escalation.channel,
-          thread_ts: escalation.threadTs,
-          text: `I've added this to the *General FAQ*:\n\n*Q:* ${synthesis.question}\n\n<${faqUrl}|View in Notion>`,
-          mrkdwn: true,
-        });
-      } else {
-        const ownerPings = escalation.ownerUserIds.map((id) => `<@${id}>`).join(" ");
-        await app.client.chat.postMessage({
-          channel: escalation.channel,
-          thread_ts: escalation.threadTs,
-          text: `${ownerPings} Thanks for the responses! I've updated the *${areaName} FAQ* with a new entry:\n\n*Q:* ${synthesis.question}\n\n<${faqUrl}|View in Notion>`,
-          mrkdwn: true,
+      if (requireApproval) {
+        await requestFaqReview(app, escalation, {
+          areaName,
+          source,
+          formatStyle,
+          question: synthesis.question,
+          answer: synthesis.answer,
+          reviewerUserIds: answeredBy,
         });
+        continue;
       }
 
-      await markEscalationComplete(escalation.id, faqUrl);
-      logger.info(`[Escalation] Successfully updated FAQ for escalation ${escalation.id}`);
+      await publishFaqEntry(app, ctx, escalation, {
+        productAreaId: escalation.productAreaId,
+        areaName,
+        source,
+        formatStyle,
+        question: synthesis.question,
+        answer: synthesis.answer,
+        answeredBy,
+      });
     } catch (err) {
       logger.error(`[Escalation] Error processing escalation ${escalation.id}: ${err?.message ?? err}`);
     }
@@ -195,6 +366,16 @@ export async function checkPendingCorrections(app, ctx) {
         })
         .map((m) => ({ userId: m.user, text: m.text }));
 
+      // Owners who marked the answer "not helpful" count as replies, even without a message
+      for (const f of trackedAnswer.feedback ?? []) {
+        if (f.verdict === "not_helpful" && correctionOwnerIds.includes(f.userId)) {
+          ownerReplies.push({
+            userId: f.userId,
+            text: "(Marked the bot's answer as not helpful / incorrect via feedback, without further comment.)",
+          });
+        }
+      }
+
       if (ownerReplies.length === 0) {
         await markAnswerProcessed(trackedAnswer.id, { reason: "no_owner_replies_found" }, logger);
         continue;
@@ -245,7 +426,7 @@ export async function checkPendingCorrections(app, ctx) {
 async function handleFaqCorrection({ app, ctx, trackedAnswer, correctionResult, channelName, areaName, correctionOwnerIds, logger }) {
   const { config } = ctx;
   const isGeneralFaq = trackedAnswer.productAreaId === GENERAL_FAQ_AREA_ID;
-  let notionPageId;
+  let source; // descriptor of the FAQ holding the answer's evidence
   let leadUserIds;
   let blockInfo = null;
 
@@ -263,7 +444,7 @@ async function handleFaqCorrection({ app, ctx, trackedAnswer, correctionResult,
         try {
           blockInfo = await findBlockByContent(subPageId, trackedAnswer.evidence, logger);
           if (blockInfo) {
-            notionPageId = subPageId;
+            source = { type: "notion-page", id: subPageId };
             logger.info(`[Correction] Evidence block found in KB sub-page ${subPageId.slice(0, 8)}... (block: ${blockInfo.blockId.slice(0, 8)})`);
             break;
           }
@@ -278,14 +459,14 @@ async function handleFaqCorrection({ app, ctx, trackedAnswer, correctionResult,
       logger.info(`[Correction] No KB sub-pages stored on answer ${trackedAnswer.id} — will use legacy page`);
     }
     // Fall back to legacy page
-    if (!notionPageId) {
-      notionPageId = config.generalFaq.notionPageUrl;
-      logger.info(`[Correction] Falling back to legacy General FAQ page: ${notionPageId}`);
+    if (!source) {
+      source = { type: "notion-page", id: config.generalFaq.notionPageUrl };
+      logger.info(`[Correction] Falling back to legacy General FAQ page: ${source.id}`);
     }
   } else {
     const area = getKnowledgeAreaById(trackedAnswer.productAreaId);
     if (!area) return;
-    notionPageId = area.notionPageId;
+    source = getAreaFaqSource(area);
     leadUserIds = getLeadUserIds(trackedAnswer.productAreaId);
   }
 
@@ -296,61 +477,292 @@ async function handleFaqCorrection({ app, ctx, trackedAnswer, correctionResult,
 
   if (!blockInfo && trackedAnswer.evidence && trackedAnswer.evidence.length > 0) {
     try {
-      blockInfo = await findBlockByContent(notionPageId, trackedAnswer.evidence, logger);
+      blockInfo = await getKnowledgeSource(source).findEntry(trackedAnswer.evidence, logger);
     } catch (err) {
-      logger.warn(`[Correction] Error finding FAQ block in page ${notionPageId}: ${err?.message ?? err}`);
+      logger.warn(`[Correction] Error finding FAQ entry in ${source.id}: ${err?.message ?? err}`);
     }
   }
 
-  logger.info(`[Correction] Sending correction DM for answer ${trackedAnswer.id} — notionPage: ${notionPageId?.slice(0, 8) ?? "none"}, blockFound: ${!!blockInfo}, recipients: ${leadUserIds.length}`);
+  logger.info(`[Correction] Sending correction DM for answer ${trackedAnswer.id} — source: ${source.id?.slice(0, 8) ?? "none"}, blockFound: ${!!blockInfo}, recipients: ${leadUserIds.length}`);
 
-  const dmLines = [
-    `A correction was flagged for the *${areaName}* FAQ based on a discussion in #${channelName || "channel"}.`,
-    "",
-  ];
+  const correctionId = trackedAnswer.id;
+  const pageId = source.type === "markdown" ? null : extractPageId(source.id);
+  const proposal = await setCorrectionProposal(
+    correctionId,
+    {
+      // blockId is the entry to update in source (a block, database row or Markdown section)
+      blockId: blockInfo?.blockId || null,
+      blockUrl: blockInfo?.blockUrl || null,
+      currentText: blockInfo?.matchedText || "",
+      source,
+      pageUrl: pageId ? `https://notion.so/${pageId.replace(/-/g, "")}` : getSourceUrl(source) ?? source.id,
+      suggestedUpdate: correctionResult.suggested_update,
+      originalQuestion: trackedAnswer.originalQuestion,
+      areaName,
+      channelName,
+    },
+    logger
+  );
+  if (!proposal) return;
 
-  if (blockInfo?.blockUrl) {
-    dmLines.push(`FAQ entry: <${blockInfo.blockUrl}|View in Notion>`);
-  } else {
-    const pageId = extractPageId(notionPageId);
-    const pageUrl = `https://notion.so/${pageId?.replace(/-/g, "")}`;
-    dmLines.push(`FAQ page: <${pageUrl}|View in Notion>`);
+  for (const leadId of leadUserIds) {
+    try {
+      const dm = await app.client.conversations.open({ users: leadId });
+      const dmChannelId = dm.channel?.id;
+      if (!dmChannelId) {
+        logger.warn(`[Correction] Failed to open DM channel with <@${leadId}>`);
+        continue;
+      }
+
+      const msg = await app.client.chat.postMessage({
+        channel: dmChannelId,
+        text: `A correction was flagged for the ${areaName} FAQ — approve, edit or dismiss the suggested update.`,
+        blocks: formatCorrectionBlocks(correctionId, proposal),
+      });
+      await recordCorrectionMessage(correctionId, { userId: leadId, channel: dmChannelId, ts: msg.ts });
+    } catch (err) {
+      logger.warn(`[Correction] Failed to DM <@${leadId}> about correction ${correctionId}: ${err?.message ?? err}`);
+    }
   }
+}
 
-  dmLines.push("");
-  dmLines.push("*Suggested update:*");
-  dmLines.push(correctionResult.suggested_update);
-  dmLines.push("");
-  dmLines.push("Should I go ahead and update this FAQ entry? Reply *yes* to approve, or tell me what to change.");
+/**
+ * Follow up on escalations nobody has replied to. One SLA period after the
+ * escalation or the previous follow-up, the bot escalates one step: DM the tagged leads, then DM the remaining leads and
+ * team members, then post an "unanswered" notice in the thread.
+ * General FAQ escalations are watched silently, so they're left alone.
+ */
+export async function checkEscalationSlas(app, ctx) {
+  const { config } = ctx;
+  const logger = app.logger;
+  const now = Date.now();
 
-  const dmMessage = dmLines.join("\n");
-  const correctionId = trackedAnswer.id;
+  for (const escalation of getEscalationsAwaitingResponse()) {
+    if (escalation.productAreaId === GENERAL_FAQ_AREA_ID) continue;
 
-  for (const leadId of leadUserIds) {
-    const success = await sendDmToUser(app.client, leadId, dmMessage, logger);
-    if (success) {
-      setPendingDm(leadId, {
-        intent: "faq_correction_approval",
-        partialData: {
-          correctionId,
-          blockId: blockInfo?.blockId || null,
-          blockUrl: blockInfo?.blockUrl || null,
-          notionPageId,
-          subPageId: isGeneralFaq ? notionPageId : null,
-          suggestedUpdate: correctionResult.suggested_update,
-          originalQuestion: trackedAnswer.originalQuestion,
-          areaName,
-          channelName,
-        },
-      });
+    const area = getKnowledgeAreaById(escalation.productAreaId);
+    if (!area) continue;
+
+    // 0 disables reminders for an area
+    const slaHours = area.escalationSlaHours ?? config.escalationSla.defaultHours;
+    if (!slaHours || slaHours <= 0) continue;
+
+    const stage = escalation.reminderStage ?? 0;
+    if (stage >= SLA_STAGE_UNANSWERED) continue;
+
+    // A full SLA period between follow-ups, even for escalations that are long overdue
+    // (e.g. after a restart or on first deploy) — never several stages back to back
+    const slaMs = slaHours * 60 * 60 * 1000;
+    const waitingMs = now - new Date(escalation.escalatedAt).getTime();
+    const sinceLastMs = now - new Date(escalation.lastReminderAt ?? escalation.escalatedAt).getTime();
+    if (sinceLastMs < slaMs) continue;
+
+    try {
+      let threadLink = "the thread";
+      try {
+        const res = await app.client.chat.getPermalink({ channel: escalation.channel, message_ts: escalation.messageTs });
+        if (res.permalink) threadLink = `<${res.permalink}|the thread>`;
+      } catch (err) {
+        logger.warn(`[SLA] Could not get permalink for escalation ${escalation.id}: ${err?.message ?? err}`);
+      }
+
+      const question = `> ${truncate(escalation.translatedQuestion || escalation.originalQuestion, 500)}`;
+      const waited = formatDuration(waitingMs);
+      let notified = [];
+
+      if (stage + 1 === SLA_STAGE_REMIND_LEADS) {
+        const targets = escalation.pingedUserIds?.length ? escalation.pingedUserIds : getLeadUserIds(area.id);
+        for (const userId of targets) {
+          const sent = await sendDmToUser(
+            app.client,
+            userId,
+            `:hourglass: Reminder: this *${area.name}* question in <#${escalation.channel}> has been waiting ${waited} without a reply:\n\n${question}\n\nCould you take a look in ${threadLink}?`,
+            logger
+          );
+          if (sent) notified.push(userId);
+        }
+      } else if (stage + 1 === SLA_STAGE_WIDEN) {
+        const alreadyAsked = new Set([...(escalation.pingedUserIds || []), ...(escalation.notifiedUserIds || [])]);
+        const targets = [...new Set([...getLeadUserIds(area.id), ...getTeamMembers(area.id).map((m) => m.userId)])]
+          .filter((id) => !alreadyAsked.has(id));
+        for (const userId of targets) {
+          const sent = await sendDmToUser(
+            app.client,
+            userId,
+            `:raising_hand: A *${area.name}* question in <#${escalation.channel}> has gone ${waited} without an answer from the tagged leads. You're on the ${area.name} team — can you help?\n\n${question}\n\nReply in ${threadLink}.`,
+            logger
+          );
+          if (sent) notified.push(userId);
+        }
+      } else {
+        await app.client.chat.postMessage({
+          channel: escalation.channel,
+          thread_ts: escalation.threadTs,
+          text: `:warning: This question is still unanswered after ${waited}. I've reminded the *${area.name}* team — if it's urgent, try reaching them directly.`,
+          mrkdwn: true,
+        });
+      }
+
+      await recordEscalationReminder(escalation.id, stage + 1, notified, logger);
+      logger.info(`[SLA] Escalation ${escalation.id} (${area.name}) at stage ${stage + 1} after ${waited}`);
+    } catch (err) {
+      logger.error(`[SLA] Error following up on escalation ${escalation.id}: ${err?.message ?? err}`);
     }
   }
 }
 
+// A batch DM carries 4 blocks per entry, and Slack allows 50 per message
+const MAX_VERIFICATION_BATCH_SIZE = 12;
+
+/**
+ * Ask each area's leads (the admins, for the General FAQ) whether its oldest
+ * unconfirmed FAQ entries are still accurate — one batch DM per area at most
+ * every intervalDays. Only entries the bot has written, corrected or cited are tracked.
+ */
+export async function checkStaleFaqEntries(app, ctx) {
+  const { config } = ctx;
+  const logger = app.logger;
+  const { maxAgeDays, batchSize, intervalDays } = config.faqVerification;
+
+  const targets = getAllKnowledgeAreas().map((area) => ({
+    productAreaId: area.id,
+    areaName: area.name,
+    recipients: getLeadUserIds(area.id),
+  }));
+  if (config.generalFaq.enabled) {
+    targets.push({ productAreaId: GENERAL_FAQ_AREA_ID, areaName: "General", recipients: [...config.generalFaq.adminUserIds] });
+  }
+
+  for (const { productAreaId, areaName, recipients } of targets) {
+    const lastBatchAt = getLastVerificationBatchAt(productAreaId);
+    if (lastBatchAt && Date.now() - new Date(lastBatchAt).getTime() < intervalDays * 24 * 60 * 60 * 1000) continue;
+    if (recipients.length === 0) continue;
+
+    const stale = getStaleFaqEntries(productAreaId, maxAgeDays).slice(0, Math.min(batchSize, MAX_VERIFICATION_BATCH_SIZE));
+    if (stale.length === 0) continue;
+
+    try {
+      const batch = await createVerificationBatch({ productAreaId, areaName, entryIds: stale.map((e) => e.id) }, logger);
+      for (const userId of recipients) {
+        try {
+          const dm = await app.client.conversations.open({ users: userId });
+          const dmChannelId = dm.channel?.id;
+          if (!dmChannelId) continue;
+
+          const msg = await app.client.chat.postMessage({
+            channel: dmChannelId,
+            text: `${stale.length} ${areaName} FAQ entr(ies) could use a check — are they still accurate?`,
+            blocks: formatFaqVerificationBlocks(batch, getBatchEntries(batch)),
+          });
+          await recordVerificationMessage(batch.id, { userId, channel: dmChannelId, ts: msg.ts });
+        } catch (err) {
+          logger.warn(`[Verification] Failed to DM <@${userId}> about batch ${batch.id}: ${err?.message ?? err}`);
+        }
+      }
+      logger.info(`[Verification] Asked ${recipients.length} lead(s) to verify ${stale.length} ${areaName} FAQ entr(ies)`);
+    } catch (err) {
+      logger.error(`[Verification] Error sending verification batch for ${areaName}: ${err?.message ?? err}`);
+    }
+  }
+}
+
+// Open escalations in a digest get thread links; the rest are only listed
+const MAX_DIGEST_THREAD_LINKS = 8;
+
+/**
+ * Post each area's weekly digest — to its digestChannelId, the configured
+ * channel, or its leads' DMs (the admins', for the General FAQ). Sent on the
+ * configured day once the hour has passed, at most once every six days.
+ */
+export async function sendWeeklyDigests(app, ctx) {
+  const { config } = ctx;
+  const logger = app.logger;
+  const { dayOfWeek, hour, channelId } = config.weeklyDigest;
+
+  const now = new Date();
+  if (now.getDay() !== dayOfWeek || now.getHours() < hour) return;
+
+  const targets = getAllKnowledgeAreas().map((area) => ({
+    area,
+    channelId: area.digestChannelId || channelId,
+    recipients: getLeadUserIds(area.id),
+  }));
+  if (config.generalFaq.enabled) {
+    targets.push({ area: { id: GENERAL_FAQ_AREA_ID, name: "General" }, channelId, recipients: [...config.generalFaq.adminUserIds] });
+  }
+
+  const sinceIso = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
+  for (const { area, channelId: targetChannelId, recipients } of targets) {
+    const lastSentAt = getLastDigestAt(area.id);
+    if (lastSentAt && now.getTime() - new Date(lastSentAt).getTime() < 6 * 24 * 60 * 60 * 1000) continue;
+    if (!targetChannelId && recipients.length === 0) continue;
+
+    try {
+      const digest = await computeAreaDigest(area, sinceIso);
+      const isEmpty = digest.answeredCount + digest.partialCount + digest.escalationsOpened === 0 &&
+        [digest.openEscalations, digest.newFaqEntries, digest.correctionsApplied, digest.newTeamMembers].every((list) => list.length === 0);
+      if (isEmpty) {
+        logger.info(`[Digest] Nothing to report for ${area.name} this week`);
+        await recordDigestSent(area.id, now.toISOString());
+        continue;
+      }
+
+      const threadUrls = new Map();
+      for (const escalation of digest.openEscalations.slice(0, MAX_DIGEST_THREAD_LINKS)) {
+        try {
+          const res = await app.client.chat.getPermalink({ channel: escalation.channel, message_ts: escalation.threadTs });
+          if (res.permalink) threadUrls.set(escalation.id, res.permalink);
+        } catch (err) {
+          logger.warn(`[Digest] Could not get permalink for escalation ${escalation.id}: ${err?.message ?? err}`);
+        }
+      }
+
+      const message = {
+        text: `Weekly digest for ${area.name}: ${digest.answeredCount} answered, ${digest.openEscalations.length} still open`,
+        blocks: formatWeeklyDigestBlocks(area.name, digest, { threadUrls }),
+      };
+      if (targetChannelId) {
+        await app.client.chat.postMessage({ channel: targetChannelId, ...message });
+      } else {
+        for (const userId of recipients) {
+          try {
+            const dm = await app.client.conversations.open({ users: userId });
+            if (dm.channel?.id) await app.client.chat.postMessage({ channel: dm.channel.id, ...message });
+          } catch (err) {
+            logger.warn(`[Digest] Failed to DM <@${userId}> the ${area.name} digest: ${err?.message ?? err}`);
+          }
+        }
+      }
+
+      await recordDigestSent(area.id, now.toISOString());
+      logger.info(`[Digest] Sent the ${area.name} weekly digest to ${targetChannelId ? `channel ${targetChannelId}` : `${recipients.length} lead(s)`}`);
+    } catch (err) {
+      logger.error(`[Digest] Error sending the ${area.name} weekly digest: ${err?.message ?? err}`);
+    }
+  }
+}
+
+/**
+ * Run every periodic job for the current workspace. Jobs only use `app.client`
+ * and `app.logger`, so multi-workspace mode passes each workspace's own pair.
+ */
 export async function runPeriodicChecks(app, ctx) {
   try {
     await checkPendingEscalations(app, ctx);
+    if (ctx.config.escalationSla.enabled) {
+      await checkEscalationSlas(app, ctx);
+    }
     await cleanupOldEscalations();
+    await cleanupOldFaqReviews();
+
+    if (ctx.config.faqVerification.enabled) {
+      await checkStaleFaqEntries(app, ctx);
+      await cleanupOldVerificationBatches();
+    }
+
+    if (ctx.config.weeklyDigest.enabled) {
+      await sendWeeklyDigests(app, ctx);
+    }
 
     if (ctx.config.features.faqCorrection) {
       await checkPendingCorrections(app, ctx);
@@ -1,26 +1,28 @@
 import fs from "node:fs/promises";
 import fsSync from "node:fs";
 import path from "node:path";
-import { fileURLToPath } from "node:url";
 import crypto from "node:crypto";
+import { getStore } from "./storage.js";
+import { workspaceState, getWorkspaceConfigDir } from "./workspaces.js";
+import { extractPageId, isNotionDatabase } from "./notion.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Seed config: git-tracked, defines area structure (name, description, notion, keywords, seedLeadUserIds).
+// Lives in src/config/, or src/config/workspaces/<teamId>/ for additional workspaces.
+const seedConfigPath = () => path.join(getWorkspaceConfigDir(), "knowledge-areas.json");
+const legacyConfigPath = () => path.join(getWorkspaceConfigDir(), "product-areas.json");
 
-// Seed config: git-tracked, defines area structure (name, description, notion, keywords, seedLeadUserIds)
-const CONFIG_PATH = path.join(__dirname, "config", "knowledge-areas.json");
-const LEGACY_CONFIG_PATH = path.join(__dirname, "config", "product-areas.json");
+// Runtime roster: kept in the data store, holds learned leads/teamMembers with descriptions
+const ROSTER_DOCUMENT = "team-roster";
 
-// Runtime roster: gitignored, stores learned leads/teamMembers with descriptions
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
-const ROSTER_PATH = path.join(DATA_DIR, "team-roster.json");
+// Per-workspace state (a single entry in single-workspace mode)
+const state = workspaceState(() => ({
+  // In-memory merged state — what the rest of the app sees
+  knowledgeAreas: { areas: [] },
 
-// In-memory merged state — what the rest of the app sees
-let knowledgeAreas = { areas: [] };
-
-// Raw stores for separate persistence
-let seedConfig = { areas: [] };
-let roster = {}; // { [areaId]: { leads: [...], teamMembers: [...] } }
+  // Raw stores for separate persistence
+  seedConfig: { areas: [] },
+  roster: {}, // { [areaId]: { leads: [...], teamMembers: [...] } }
+}));
 
 function generateId(name) {
   const slug = name
@@ -64,15 +66,23 @@ function bootstrapRosterEntry(seedLeadUserIds, createdAt) {
 function mergeConfigAndRoster(logger = null) {
   const merged = [];
 
-  for (const seed of seedConfig.areas) {
-    const rosterEntry = roster[seed.id];
+  for (const seed of state().seedConfig.areas) {
+    const rosterEntry = state().roster[seed.id];
 
     const area = {
       id: seed.id,
       name: seed.name,
       description: seed.description || "",
-      notionPageId: seed.notionPageId,
+      notionPageId: seed.notionPageId ?? null,
+      notionDatabaseId: seed.notionDatabaseId ?? null,
+      databaseProperties: seed.databaseProperties ?? null,
+      markdownPath: seed.markdownPath ?? null,
+      markdownBaseUrl: seed.markdownBaseUrl ?? null,
       keywords: seed.keywords || [],
+      escalationSlaHours: seed.escalationSlaHours ?? null,
+      requireFaqApproval: seed.requireFaqApproval ?? false,
+      digestChannelId: seed.digestChannelId ?? null,
+      confidencePolicy: normalizeConfidencePolicy(seed.confidencePolicy),
       createdAt: seed.createdAt,
       updatedAt: seed.updatedAt,
     };
@@ -84,7 +94,7 @@ function mergeConfigAndRoster(logger = null) {
       const entry = bootstrapRosterEntry(seed.seedLeadUserIds, seed.createdAt);
       area.leads = entry.leads;
       area.teamMembers = entry.teamMembers;
-      roster[seed.id] = entry;
+      state().roster[seed.id] = entry;
       if (logger) {
         logger.info(`[Config] Bootstrapped roster for "${seed.name}" from ${(seed.seedLeadUserIds || []).length} seed lead(s)`);
       }
@@ -95,65 +105,71 @@ function mergeConfigAndRoster(logger = null) {
   }
 
   // Warn about orphaned roster entries (area removed from seed but roster data remains)
-  for (const areaId of Object.keys(roster)) {
-    if (!seedConfig.areas.some((s) => s.id === areaId)) {
+  for (const areaId of Object.keys(state().roster)) {
+    if (!state().seedConfig.areas.some((s) => s.id === areaId)) {
       if (logger) {
         logger.warn(`[Config] Orphaned roster entry for area ID "${areaId}" (not in seed config)`);
       }
     }
   }
 
-  knowledgeAreas = { areas: merged };
+  state().knowledgeAreas = { areas: merged };
 }
 
 // ─── Persistence ────────────────────────────────────────────────────────────
 
-async function ensureDataDir() {
-  const dir = path.dirname(ROSTER_PATH);
-  await fs.mkdir(dir, { recursive: true });
-}
-
 /**
- * Save the roster file (data/team-roster.json).
+ * Save the roster document (data/team-roster.json with the JSON backend).
  * Called by all team-mutating operations.
  */
 async function saveRoster(logger = null) {
   // Sync in-memory area state back to the roster object
-  for (const area of knowledgeAreas.areas) {
-    roster[area.id] = {
+  for (const area of state().knowledgeAreas.areas) {
+    state().roster[area.id] = {
       leads: area.leads || [],
       teamMembers: area.teamMembers || [],
     };
     recomputeOwnerUserIds(area);
   }
 
-  await ensureDataDir();
-  await fs.writeFile(ROSTER_PATH, JSON.stringify(roster, null, 2), "utf8");
+  await getStore().saveDocument(ROSTER_DOCUMENT, state().roster);
   if (logger) {
-    logger.info(`[Roster] Saved roster for ${Object.keys(roster).length} area(s) to ${ROSTER_PATH}`);
+    logger.info(`[Roster] Saved roster for ${Object.keys(state().roster).length} area(s) (${getStore().backend} store)`);
   }
 }
 
+async function writeSeedConfig() {
+  const configPath = seedConfigPath();
+  await fs.mkdir(path.dirname(configPath), { recursive: true });
+  await fs.writeFile(configPath, JSON.stringify(state().seedConfig, null, 2), "utf8");
+}
+
 /**
  * Save the seed config file (src/config/knowledge-areas.json).
  * Called by structural CRUD ops (add/remove/update area properties).
  */
 async function saveConfig(logger = null) {
   // Sync in-memory area state back to seed config (only seed-level fields)
-  seedConfig.areas = knowledgeAreas.areas.map((area) => ({
+  state().seedConfig.areas = state().knowledgeAreas.areas.map((area) => ({
     id: area.id,
     name: area.name,
     description: area.description || "",
-    notionPageId: area.notionPageId,
+    ...getAreaSourceFields(area),
+    ...(area.databaseProperties ? { databaseProperties: area.databaseProperties } : {}),
+    ...(area.markdownBaseUrl ? { markdownBaseUrl: area.markdownBaseUrl } : {}),
     seedLeadUserIds: (area.leads || []).map((m) => m.userId),
     keywords: area.keywords || [],
+    ...(area.escalationSlaHours != null ? { escalationSlaHours: area.escalationSlaHours } : {}),
+    ...(area.requireFaqApproval ? { requireFaqApproval: true } : {}),
+    ...(area.digestChannelId ? { digestChannelId: area.digestChannelId } : {}),
+    ...(area.confidencePolicy ? { confidencePolicy: area.confidencePolicy } : {}),
     createdAt: area.createdAt,
     updatedAt: area.updatedAt,
   }));
 
-  await fs.writeFile(CONFIG_PATH, JSON.stringify(seedConfig, null, 2), "utf8");
+  await writeSeedConfig();
   if (logger) {
-    logger.info(`[Config] Saved ${seedConfig.areas.length} knowledge area(s) to ${CONFIG_PATH}`);
+    logger.info(`[Config] Saved ${state().seedConfig.areas.length} knowledge area(s) to ${seedConfigPath()}`);
   }
 }
 
@@ -175,7 +191,7 @@ export async function saveKnowledgeAreas(logger = null) {
 async function migrateIfNeeded(logger = null) {
   let needsMigration = false;
 
-  for (const seed of seedConfig.areas) {
+  for (const seed of state().seedConfig.areas) {
     // If the config still has the old leads/teamMembers/ownerUserIds fields, migrate them
     if (Array.isArray(seed.leads) || Array.isArray(seed.teamMembers) || Array.isArray(seed.ownerUserIds)) {
       needsMigration = true;
@@ -189,7 +205,7 @@ async function migrateIfNeeded(logger = null) {
     logger.info(`[Migration] Detected pre-split config format, migrating leads/teamMembers to roster...`);
   }
 
-  for (const seed of seedConfig.areas) {
+  for (const seed of state().seedConfig.areas) {
     // Build roster entry from existing data
     let leads = [];
     let teamMembers = [];
@@ -213,7 +229,7 @@ async function migrateIfNeeded(logger = null) {
 
     // Only write to roster if there's actual data to preserve
     if (leads.length > 0 || teamMembers.length > 0) {
-      roster[seed.id] = { leads, teamMembers };
+      state().roster[seed.id] = { leads, teamMembers };
       if (logger) {
         logger.info(`[Migration] Migrated "${seed.name}": ${leads.length} lead(s), ${teamMembers.length} team member(s)`);
       }
@@ -229,9 +245,8 @@ async function migrateIfNeeded(logger = null) {
   }
 
   // Persist both files
-  await fs.writeFile(CONFIG_PATH, JSON.stringify(seedConfig, null, 2), "utf8");
-  await ensureDataDir();
-  await fs.writeFile(ROSTER_PATH, JSON.stringify(roster, null, 2), "utf8");
+  await writeSeedConfig();
+  await getStore().saveDocument(ROSTER_DOCUMENT, state().roster);
 
   if (logger) {
     logger.info(`[Migration] Migration complete. Seed config and roster files written.`);
@@ -249,38 +264,38 @@ export async function loadKnowledgeAreas(logger = null) {
   let configLoaded = false;
 
   try {
-    const data = await fs.readFile(CONFIG_PATH, "utf8");
-    seedConfig = JSON.parse(data);
-    if (!Array.isArray(seedConfig.areas)) {
-      seedConfig.areas = [];
+    const data = await fs.readFile(seedConfigPath(), "utf8");
+    state().seedConfig = JSON.parse(data);
+    if (!Array.isArray(state().seedConfig.areas)) {
+      state().seedConfig.areas = [];
     }
     configLoaded = true;
     if (logger) {
-      logger.info(`[Config] Loaded ${seedConfig.areas.length} knowledge area(s) from seed config`);
+      logger.info(`[Config] Loaded ${state().seedConfig.areas.length} knowledge area(s) from seed config`);
     }
   } catch (err) {
     if (err.code === "ENOENT") {
       // knowledge-areas.json doesn't exist — try migrating from product-areas.json
       try {
-        const legacyData = await fs.readFile(LEGACY_CONFIG_PATH, "utf8");
-        seedConfig = JSON.parse(legacyData);
-        if (!Array.isArray(seedConfig.areas)) {
-          seedConfig.areas = [];
+        const legacyData = await fs.readFile(legacyConfigPath(), "utf8");
+        state().seedConfig = JSON.parse(legacyData);
+        if (!Array.isArray(state().seedConfig.areas)) {
+          state().seedConfig.areas = [];
         }
         // Write it as the new knowledge-areas.json
-        await fs.writeFile(CONFIG_PATH, JSON.stringify(seedConfig, null, 2), "utf8");
+        await writeSeedConfig();
         configLoaded = true;
         if (logger) {
-          logger.info(`[Migration] Migrated ${seedConfig.areas.length} area(s) from product-areas.json → knowledge-areas.json`);
+          logger.info(`[Migration] Migrated ${state().seedConfig.areas.length} area(s) from product-areas.json → knowledge-areas.json`);
         }
       } catch (legacyErr) {
         if (legacyErr.code === "ENOENT") {
           // Neither file exists — fresh install
-          seedConfig = { areas: [] };
-          await fs.writeFile(CONFIG_PATH, JSON.stringify(seedConfig, null, 2), "utf8");
+          state().seedConfig = { areas: [] };
+          await writeSeedConfig();
           configLoaded = true;
           if (logger) {
-            logger.info(`[Config] Created new seed config at ${CONFIG_PATH}`);
+            logger.info(`[Config] Created new seed config at ${seedConfigPath()}`);
           }
         } else {
           if (logger) logger.error(`[Config] Error loading legacy config: ${legacyErr?.message ?? legacyErr}`);
@@ -298,24 +313,21 @@ export async function loadKnowledgeAreas(logger = null) {
 
   // 3. Load roster
   try {
-    const data = await fs.readFile(ROSTER_PATH, "utf8");
-    roster = JSON.parse(data);
-    if (typeof roster !== "object" || Array.isArray(roster)) {
-      roster = {};
-    }
-    if (logger) {
-      logger.info(`[Roster] Loaded roster with ${Object.keys(roster).length} area(s) from ${ROSTER_PATH}`);
-    }
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      roster = {};
+    const data = await getStore().loadDocument(ROSTER_DOCUMENT, null);
+    if (data) {
+      state().roster = typeof data === "object" && !Array.isArray(data) ? data : {};
       if (logger) {
-        logger.info(`[Roster] No roster file found, will bootstrap from seed config`);
+        logger.info(`[Roster] Loaded roster with ${Object.keys(state().roster).length} area(s) (${getStore().backend} store)`);
       }
     } else {
-      if (logger) logger.error(`[Roster] Error loading roster: ${err?.message ?? err}`);
-      throw err;
+      state().roster = {};
+      if (logger) {
+        logger.info(`[Roster] No roster found, will bootstrap from seed config`);
+      }
     }
+  } catch (err) {
+    if (logger) logger.error(`[Roster] Error loading roster: ${err?.message ?? err}`);
+    throw err;
   }
 
   // 4. Merge
@@ -325,25 +337,108 @@ export async function loadKnowledgeAreas(logger = null) {
   await saveRoster(logger);
 
   if (logger) {
-    logger.info(`[Config] Merged ${knowledgeAreas.areas.length} knowledge area(s) into memory`);
+    logger.info(`[Config] Merged ${state().knowledgeAreas.areas.length} knowledge area(s) into memory`);
   }
 
-  return knowledgeAreas;
+  return state().knowledgeAreas;
 }
 
 // ─── Read helpers ───────────────────────────────────────────────────────────
 
 export function getAllKnowledgeAreas() {
-  return [...knowledgeAreas.areas];
+  return [...state().knowledgeAreas.areas];
 }
 
 export function getKnowledgeAreaById(id) {
-  return knowledgeAreas.areas.find((a) => a.id === id) || null;
+  return state().knowledgeAreas.areas.find((a) => a.id === id) || null;
+}
+
+// An area's FAQ lives in exactly one of these
+const SOURCE_FIELDS = ["notionPageId", "notionDatabaseId", "markdownPath"];
+
+function getAreaSourceFields(area) {
+  const field = SOURCE_FIELDS.find((f) => area[f]) ?? "notionPageId";
+  return { [field]: area[field] ?? null };
+}
+
+const CONFIDENCE_THRESHOLDS = ["clarifyBelow", "prefaceBelow", "tagLeadsBelow"];
+
+/**
+ * Keep only the thresholds an area overrides, or null if it uses the defaults for all of them
+ */
+function normalizeConfidencePolicy(policy) {
+  const overrides = Object.fromEntries(
+    CONFIDENCE_THRESHOLDS
+      .filter((key) => Number.isFinite(policy?.[key]))
+      .map((key) => [key, policy[key]])
+  );
+  return Object.keys(overrides).length ? overrides : null;
+}
+
+/**
+ * An area's confidence thresholds, falling back to the configured defaults:
+ * - clarifyBelow: classification confidence below which the asker picks the area
+ * - prefaceBelow: below this, answers open with "I think this is about …" and tag a lead
+ * - tagLeadsBelow: answer confidence below which a lead is tagged to double-check
+ */
+export function getAreaConfidencePolicy(area, defaults) {
+  return { ...defaults, ...area?.confidencePolicy };
+}
+
+/**
+ * The Notion page/database URL or Markdown path an area's FAQ lives in
+ */
+export function getAreaSourceId(area) {
+  return area.markdownPath || area.notionDatabaseId || area.notionPageId;
+}
+
+/**
+ * What kind of source an area's FAQ lives in, for display: "Notion", "Notion database" or "Markdown"
+ */
+export function getAreaSourceLabel(area) {
+  if (area.markdownPath) return "Markdown";
+  return area.notionDatabaseId ? "Notion database" : "Notion";
+}
+
+/**
+ * Where to read and write an area's FAQ — a descriptor for getKnowledgeSource()
+ */
+export function getAreaFaqSource(area) {
+  if (area.markdownPath) {
+    return { type: "markdown", id: area.markdownPath, title: area.name, baseUrl: area.markdownBaseUrl ?? "" };
+  }
+  if (area.notionDatabaseId) {
+    return { type: "notion-database", id: area.notionDatabaseId, title: area.name, databaseProperties: area.databaseProperties ?? null };
+  }
+  return { type: "notion-page", id: area.notionPageId, title: area.name };
+}
+
+/**
+ * Area fields for a FAQ location someone typed: { notionDatabaseId } for a Notion
+ * database, { notionPageId } for a page, { markdownPath } for an existing Markdown
+ * file or folder, or null if it is none of these. Spread into addKnowledgeArea/updateKnowledgeArea.
+ */
+export async function resolveAreaSource(value, logger = null) {
+  const trimmed = (value || "").trim();
+  if (!trimmed) return null;
+
+  if (!extractPageId(trimmed)) {
+    const stat = await fs.stat(path.resolve(trimmed)).catch(() => null);
+    const isMarkdown = stat?.isDirectory() || (stat?.isFile() && /\.(md|markdown)$/i.test(trimmed));
+    return isMarkdown ? { markdownPath: trimmed } : null;
+  }
+
+  try {
+    if (await isNotionDatabase(trimmed)) return { notionDatabaseId: trimmed };
+  } catch (err) {
+    if (logger) logger.warn(`[Config] Could not check whether ${trimmed} is a database, treating it as a page: ${err?.message ?? err}`);
+  }
+  return { notionPageId: trimmed };
 }
 
 export function getKnowledgeAreaByName(name) {
   const lower = name.toLowerCase();
-  return knowledgeAreas.areas.find((a) => a.name.toLowerCase() === lower) || null;
+  return state().knowledgeAreas.areas.find((a) => a.name.toLowerCase() === lower) || null;
 }
 
 // ─── Lead / Team Member helpers ─────────────────────────────────────────────
@@ -373,14 +468,14 @@ export function getTeamMembers(areaId) {
 }
 
 export function isLeadForAnyArea(userId) {
-  for (const area of knowledgeAreas.areas) {
+  for (const area of state().knowledgeAreas.areas) {
     if ((area.leads ?? []).some((m) => m.userId === userId)) return area;
   }
   return null;
 }
 
 export function isTeamMemberForAnyArea(userId) {
-  for (const area of knowledgeAreas.areas) {
+  for (const area of state().knowledgeAreas.areas) {
     if ((area.leads ?? []).some((m) => m.userId === userId)) return area;
     if ((area.teamMembers ?? []).some((m) => m.userId === userId)) return area;
   }
@@ -583,9 +678,9 @@ export async function touchMemberActivity(areaId, userId, logger = null) {
 
 // ─── Knowledge area CRUD (write to seed config + roster) ────────────────────
 
-export async function addKnowledgeArea({ name, description = "", notionPageId, ownerUserIds = [], keywords = [] }, logger = null) {
-  if (!name || !notionPageId) {
-    throw new Error("Name and notionPageId are required");
+export async function addKnowledgeArea({ name, description = "", notionPageId, notionDatabaseId, markdownPath, ownerUserIds = [], keywords = [], requireFaqApproval = false, confidencePolicy = null }, logger = null) {
+  if (!name || !(notionPageId || notionDatabaseId || markdownPath)) {
+    throw new Error("Name and notionPageId, notionDatabaseId or markdownPath are required");
   }
 
   if (getKnowledgeAreaByName(name)) {
@@ -599,7 +694,11 @@ export async function addKnowledgeArea({ name, description = "", notionPageId, o
     id: generateId(name),
     name: name.trim(),
     description: (description || "").trim(),
-    notionPageId: notionPageId.trim(),
+    notionPageId: notionDatabaseId || markdownPath ? null : notionPageId.trim(),
+    notionDatabaseId: notionDatabaseId && !markdownPath ? notionDatabaseId.trim() : null,
+    databaseProperties: null,
+    markdownPath: markdownPath ? markdownPath.trim() : null,
+    markdownBaseUrl: null,
     leads: leadIds.map((userId) => ({
       userId,
       description: "",
@@ -609,17 +708,20 @@ export async function addKnowledgeArea({ name, description = "", notionPageId, o
     teamMembers: [],
     ownerUserIds: leadIds,
     keywords: Array.isArray(keywords) ? keywords.map((k) => k.trim().toLowerCase()) : [],
+    requireFaqApproval: !!requireFaqApproval,
+    digestChannelId: null,
+    confidencePolicy: normalizeConfidencePolicy(confidencePolicy),
     createdAt: now,
   };
 
-  knowledgeAreas.areas.push(area);
+  state().knowledgeAreas.areas.push(area);
   await saveConfig(logger);
   await saveRoster(logger);
 
   if (logger) {
     logger.info(`[Config] Added knowledge area: "${area.name}" (ID: ${area.id})`);
     logger.info(`[Config]   Description: ${area.description || "(none)"}`);
-    logger.info(`[Config]   Notion Page: ${area.notionPageId.slice(0, 30)}...`);
+    logger.info(`[Config]   FAQ (${getAreaSourceLabel(area)}): ${getAreaSourceId(area).slice(0, 30)}...`);
     logger.info(`[Config]   Leads: ${area.leads.length} user(s)`);
     logger.info(`[Config]   Keywords: ${area.keywords.join(", ") || "none"}`);
   }
@@ -628,15 +730,15 @@ export async function addKnowledgeArea({ name, description = "", notionPageId, o
 }
 
 export async function removeKnowledgeArea(id, logger = null) {
-  const index = knowledgeAreas.areas.findIndex((a) => a.id === id);
+  const index = state().knowledgeAreas.areas.findIndex((a) => a.id === id);
   if (index === -1) {
     if (logger) logger.warn(`[Config] Attempted to remove knowledge area with ID "${id}" but not found`);
     return false;
   }
 
-  const area = knowledgeAreas.areas[index];
-  knowledgeAreas.areas.splice(index, 1);
-  delete roster[id];
+  const area = state().knowledgeAreas.areas[index];
+  state().knowledgeAreas.areas.splice(index, 1);
+  delete state().roster[id];
 
   await saveConfig(logger);
   await saveRoster(logger);
@@ -661,8 +763,14 @@ export async function updateKnowledgeArea(id, updates, logger = null) {
     name: area.name,
     description: area.description || "",
     notionPageId: area.notionPageId,
+    notionDatabaseId: area.notionDatabaseId,
+    markdownPath: area.markdownPath,
     ownerUserIds: [...(area.ownerUserIds || [])],
     keywords: [...(area.keywords || [])],
+    escalationSlaHours: area.escalationSlaHours ?? null,
+    requireFaqApproval: !!area.requireFaqApproval,
+    digestChannelId: area.digestChannelId ?? null,
+    confidencePolicy: area.confidencePolicy,
   };
 
   let configChanged = false;
@@ -670,13 +778,37 @@ export async function updateKnowledgeArea(id, updates, logger = null) {
 
   if (updates.name !== undefined) { area.name = updates.name.trim(); configChanged = true; }
   if (updates.description !== undefined) { area.description = (updates.description || "").trim(); configChanged = true; }
-  if (updates.notionPageId !== undefined) { area.notionPageId = updates.notionPageId.trim(); configChanged = true; }
+  // An area reads from a page, a database or a Markdown folder — setting one clears the others
+  const sourceField = SOURCE_FIELDS.find((f) => updates[f] !== undefined);
+  if (sourceField) {
+    for (const field of SOURCE_FIELDS) area[field] = null;
+    area[sourceField] = updates[sourceField].trim();
+    configChanged = true;
+  }
   if (updates.keywords !== undefined) {
     area.keywords = Array.isArray(updates.keywords)
       ? updates.keywords.map((k) => k.trim().toLowerCase())
       : [];
     configChanged = true;
   }
+  if (updates.requireFaqApproval !== undefined) {
+    area.requireFaqApproval = !!updates.requireFaqApproval;
+    configChanged = true;
+  }
+  if (updates.escalationSlaHours !== undefined) {
+    // null falls back to the global default; 0 turns reminders off for this area
+    area.escalationSlaHours = updates.escalationSlaHours;
+    configChanged = true;
+  }
+  if (updates.digestChannelId !== undefined) {
+    // null sends the weekly digest to the configured default (or the leads' DMs)
+    area.digestChannelId = updates.digestChannelId?.trim() || null;
+    configChanged = true;
+  }
+  if (updates.confidencePolicy !== undefined) {
+    area.confidencePolicy = normalizeConfidencePolicy(updates.confidencePolicy);
+    configChanged = true;
+  }
 
   // Updating leads via ownerUserIds (from App Home UI or set-leads command)
   if (updates.ownerUserIds !== undefined) {
@@ -713,12 +845,30 @@ export async function updateKnowledgeArea(id, updates, logger = null) {
     if (updates.notionPageId && updates.notionPageId !== oldValues.notionPageId) {
       logger.info(`[Config]   Notion Page updated`);
     }
+    if (updates.notionDatabaseId && updates.notionDatabaseId !== oldValues.notionDatabaseId) {
+      logger.info(`[Config]   Notion Database updated`);
+    }
+    if (updates.markdownPath && updates.markdownPath !== oldValues.markdownPath) {
+      logger.info(`[Config]   Markdown path updated`);
+    }
     if (updates.ownerUserIds) {
       logger.info(`[Config]   Leads: ${oldValues.ownerUserIds.length} -> ${area.leads.length}`);
     }
     if (updates.keywords) {
       logger.info(`[Config]   Keywords: ${oldValues.keywords.length} -> ${area.keywords.length}`);
     }
+    if (updates.requireFaqApproval !== undefined && !!updates.requireFaqApproval !== oldValues.requireFaqApproval) {
+      logger.info(`[Config]   Require FAQ approval: ${oldValues.requireFaqApproval} -> ${area.requireFaqApproval}`);
+    }
+    if (updates.escalationSlaHours !== undefined && updates.escalationSlaHours !== oldValues.escalationSlaHours) {
+      logger.info(`[Config]   Escalation SLA: ${oldValues.escalationSlaHours ?? "default"} -> ${area.escalationSlaHours ?? "default"} hour(s)`);
+    }
+    if (updates.digestChannelId !== undefined && area.digestChannelId !== oldValues.digestChannelId) {
+      logger.info(`[Config]   Digest channel: ${oldValues.digestChannelId ?? "default"} -> ${area.digestChannelId ?? "default"}`);
+    }
+    if (updates.confidencePolicy !== undefined && JSON.stringify(area.confidencePolicy) !== JSON.stringify(oldValues.confidencePolicy)) {
+      logger.info(`[Config]   Confidence policy: ${JSON.stringify(oldValues.confidencePolicy ?? "default")} -> ${JSON.stringify(area.confidencePolicy ?? "default")}`);
+    }
   }
 
   return area;
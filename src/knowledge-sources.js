@@ -0,0 +1,462 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+  fetchKbHierarchy,
+  analyzePageStructure,
+  appendFaqEntry,
+  findBlockByContent,
+  findBlockInOutline,
+  updateFaqBlock,
+  deleteFaqBlock,
+  addCommentToBlock,
+  extractPageId,
+  listFaqDatabaseRows,
+  findFaqDatabaseRow,
+  createFaqDatabaseRow,
+  updateFaqDatabaseRow,
+  markFaqDatabaseRowVerified,
+  deleteFaqDatabaseRow,
+} from "./notion.js";
+import { getCachedNotionContent, getCachedPageOutline, getNotionCache } from "./notion-cache.js";
+
+/**
+ * Where an FAQ lives. Plain data, so it can be stored on reviews and correction
+ * proposals and turned back into a source later with getKnowledgeSource().
+ *
+ * @typedef {object} SourceDescriptor
+ * @property {"notion-page"|"notion-database"|"markdown"} type
+ * @property {string} id - Notion page/database URL or ID, or a Markdown file/folder path
+ * @property {string} [title]
+ * @property {object} [databaseProperties] - notion-database: property name overrides
+ * @property {string} [baseUrl] - markdown: URL the path is appended to for links, e.g. a GitHub tree
+ */
+
+/**
+ * What the bot needs from an FAQ, whatever stores it. An "entry" is one Q&A:
+ * a Notion block, a database row or a Markdown section.
+ *
+ * @typedef {object} KnowledgeSource
+ * @property {string} type
+ * @property {string} id
+ * @property {(logger?: object) => Promise<string>} read - the whole FAQ as markdown-like text
+ * @property {(logger?: object) => Promise<{ id: string, title: string }[]>} list - documents in the source
+ * @property {(entry: { question: string, answer: string, formatStyle?: object, owner?: string }, logger?: object) => Promise<{ entryId: string, url: string }>} appendEntry -
+ *   add a Q&A and return its entryId and a link to it
+ * @property {(entryId: string, newText: string, logger?: object, options?: { note?: string }) => Promise<string>} updateEntry -
+ *   replace an entry's answer and return a link to it; note is an audit trail where the source keeps one
+ * @property {(searchTexts: string[], logger?: object) => Promise<{ blockId: string, blockUrl: string, matchedText: string } | null>} findEntry -
+ *   the entry containing one of the texts; blockId is the entryId for updateEntry
+ * @property {(entryId: string, logger?: object) => Promise<void>} deleteEntry - remove an entry
+ * @property {(entryId: string, logger?: object) => Promise<void>} verifyEntry -
+ *   record that an entry was confirmed accurate, where the source keeps that (a database's Last verified)
+ * @property {(logger?: object) => Promise<object|null>} getFormatStyle - layout hints for synthesis (see analyzePageStructure)
+ */
+
+// ─── Notion ─────────────────────────────────────────────────────────────────
+
+async function addAuditComment(blockId, note, logger, options = {}) {
+  if (!note) return;
+  try {
+    await addCommentToBlock(blockId, note, logger, options);
+  } catch (err) {
+    if (logger) logger.warn(`[Sources] Failed to add Notion comment (non-blocking): ${err?.message ?? err}`);
+  }
+}
+
+function createNotionPageSource({ id, title = "" }, { ttlMs }) {
+  return {
+    type: "notion-page",
+    id,
+    read: (logger = null) => getCachedNotionContent(id, { ttlMs, logger }),
+    async list(logger = null) {
+      const subPages = await fetchKbHierarchy(id, logger, 1);
+      return [{ id, title }, ...subPages.map((page) => ({ id: page.pageId, title: page.title }))];
+    },
+    async appendEntry({ question, answer, formatStyle = null }, logger = null) {
+      const url = await appendFaqEntry(id, question, answer, formatStyle, logger);
+      getNotionCache().delete(id);
+      return { entryId: url.split("#")[1], url };
+    },
+    async updateEntry(blockId, newText, logger = null, { note = "" } = {}) {
+      const url = await updateFaqBlock(blockId, newText, logger);
+      getNotionCache().delete(id);
+      await addAuditComment(blockId, note, logger);
+      return url;
+    },
+    async deleteEntry(blockId, logger = null) {
+      await deleteFaqBlock(blockId, logger);
+      getNotionCache().delete(id);
+    },
+    verifyEntry: async () => {},
+    async findEntry(searchTexts, logger = null) {
+      // Search the block outline kept with the cached page instead of walking it in Notion
+      const outline = await getCachedPageOutline(id, { ttlMs, logger });
+      return outline ? findBlockInOutline(id, outline, searchTexts) : findBlockByContent(id, searchTexts, logger);
+    },
+    getFormatStyle: (logger = null) => analyzePageStructure(id, logger),
+  };
+}
+
+function createNotionDatabaseSource({ id, databaseProperties = null }, { ttlMs }) {
+  const properties = databaseProperties ?? {};
+  return {
+    type: "notion-database",
+    id,
+    read: (logger = null) => getCachedNotionContent(id, { ttlMs, logger, database: true, databaseProperties: properties }),
+    async list() {
+      const rows = await listFaqDatabaseRows(id, properties);
+      return rows.map((row) => ({ id: row.id, title: row.question }));
+    },
+    async appendEntry({ question, answer, owner = "" }, logger = null) {
+      const url = await createFaqDatabaseRow(id, { question, answer, owner }, properties, logger);
+      getNotionCache().delete(id);
+      return { entryId: extractPageId(url), url };
+    },
+    async updateEntry(rowId, newText, logger = null, { note = "" } = {}) {
+      const url = await updateFaqDatabaseRow(rowId, newText, properties, logger);
+      getNotionCache().delete(id);
+      await addAuditComment(rowId, note, logger, { isPage: true });
+      return url;
+    },
+    async deleteEntry(rowId, logger = null) {
+      await deleteFaqDatabaseRow(rowId, logger);
+      getNotionCache().delete(id);
+    },
+    async verifyEntry(rowId, logger = null) {
+      if (await markFaqDatabaseRowVerified(rowId, properties, logger)) getNotionCache().delete(id);
+    },
+    findEntry: (searchTexts, logger = null) => findFaqDatabaseRow(id, searchTexts, properties, logger),
+    // Rows have no layout to match
+    getFormatStyle: async () => null,
+  };
+}
+
+// ─── Markdown ───────────────────────────────────────────────────────────────
+// A Markdown file, or a folder of them (e.g. docs/faq in a repo), read from disk
+// on every call. Each heading starts an entry; new entries go to faq.md in a
+// folder. Entry IDs are "<file>#<heading>", with the file relative to the source
+// and "#<n>" added for the nth section with a heading used more than once.
+
+const MARKDOWN_EXTENSIONS = new Set([".md", ".markdown"]);
+const MARKDOWN_FAQ_FILE = "faq.md";
+
+function normalizeText(text) {
+  return (text || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// GitHub-style heading anchor
+function slugify(heading) {
+  return heading
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+async function listMarkdownFiles(root) {
+  const stat = await fs.stat(root);
+  if (stat.isFile()) return [root];
+
+  const files = [];
+  async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) await walk(fullPath);
+      else if (MARKDOWN_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) files.push(fullPath);
+    }
+  }
+  await walk(root);
+  return files;
+}
+
+/**
+ * Split Markdown into sections: each heading and the lines under it, up to the
+ * next heading of any level. Headings inside code fences don't count.
+ *
+ * @returns {{ heading: string, headingLine: number, bodyStart: number, bodyEnd: number }[]}
+ */
+function parseSections(lines) {
+  const sections = [];
+  let inFence = false;
+  lines.forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (!match) return;
+    if (sections.length > 0) sections.at(-1).bodyEnd = i;
+    sections.push({ heading: match[1], headingLine: i, bodyStart: i + 1, bodyEnd: lines.length });
+  });
+  return sections;
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, content, "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+// Read-modify-write edits run one at a time per file, so overlapping writes
+// (a review approval and a correction, say) can't drop each other's changes
+const markdownWriteQueues = new Map(); // file path -> Promise
+
+function withFileLock(filePath, fn) {
+  const previous = markdownWriteQueues.get(filePath) ?? Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  markdownWriteQueues.set(filePath, next);
+  return next;
+}
+
+/**
+ * Which of the sections sharing its heading this one is, counting from 1.
+ * Entry IDs and anchors of repeated headings carry it so each stays distinct.
+ */
+function headingOccurrence(sections, section) {
+  return sections.filter((s) => s.headingLine <= section.headingLine && s.heading === section.heading).length;
+}
+
+function createMarkdownSource({ id, title = "", baseUrl = "" }) {
+  const root = path.resolve(id);
+
+  // Paths in entry IDs are relative to the source; links are relative to the working directory
+  const relativeToSource = async (filePath) => {
+    const stat = await fs.stat(root).catch(() => null);
+    return stat?.isFile() ? path.basename(filePath) : path.relative(root, filePath);
+  };
+  const resolveEntryFile = async (relPath) => {
+    const stat = await fs.stat(root).catch(() => null);
+    return stat?.isFile() ? root : path.join(root, relPath);
+  };
+  // GitHub numbers repeated heading anchors: #faq, #faq-1, #faq-2...
+  const link = (filePath, heading = "", occurrence = 1) => {
+    const relPath = path.relative(process.cwd(), filePath).split(path.sep).join("/");
+    const anchor = heading ? `#${slugify(heading)}${occurrence > 1 ? `-${occurrence - 1}` : ""}` : "";
+    return baseUrl ? `${baseUrl.replace(/\/?$/, "/")}${relPath}${anchor}` : `${relPath}${anchor}`;
+  };
+  // "<file>#<heading>", plus "#<n>" from the second section with the same heading on
+  const entryIdFor = (relPath, heading, occurrence) => `${relPath}#${heading}${occurrence > 1 ? `#${occurrence}` : ""}`;
+
+  // Edit the section an entry ID points at while holding its file's lock.
+  // edit(lines, section) changes lines in place; the result is written back.
+  async function editEntry(entryId, edit) {
+    const hashIndex = entryId.indexOf("#");
+    const relPath = entryId.slice(0, hashIndex);
+    const target = entryId.slice(hashIndex + 1);
+    const filePath = await resolveEntryFile(relPath);
+
+    return withFileLock(filePath, async () => {
+      const lines = (await fs.readFile(filePath, "utf8")).split("\n");
+      const sections = parseSections(lines);
+      // A heading that itself ends in "#<n>" wins over the occurrence suffix
+      let heading = target;
+      let occurrence = 1;
+      const suffix = target.match(/^(.*)#(\d+)$/);
+      if (!sections.some((s) => s.heading === target) && suffix) {
+        heading = suffix[1];
+        occurrence = Number(suffix[2]);
+      }
+      const section = sections.filter((s) => s.heading === heading)[occurrence - 1];
+      if (!section) throw new Error(`FAQ entry "${target}" not found in ${relPath || id}`);
+
+      edit(lines, section);
+      await writeFileAtomic(filePath, `${lines.join("\n").replace(/\n*$/, "")}\n`);
+      return { filePath, heading, occurrence };
+    });
+  }
+
+  async function readFiles() {
+    const files = await listMarkdownFiles(root);
+    return Promise.all(files.map(async (filePath) => ({ filePath, text: await fs.readFile(filePath, "utf8") })));
+  }
+
+  return {
+    type: "markdown",
+    id,
+    async read(logger = null) {
+      try {
+        const files = await readFiles();
+        return files.map((file) => file.text.trim()).filter(Boolean).join("\n\n");
+      } catch (err) {
+        if (logger) logger.error(`[Sources] Failed to read Markdown FAQ ${id}: ${err?.message ?? err}`);
+        return "";
+      }
+    },
+
+    async list() {
+      const files = await readFiles();
+      return Promise.all(files.map(async ({ filePath, text }) => ({
+        id: await relativeToSource(filePath),
+        title: text.match(/^#\s+(.+)$/m)?.[1]?.trim() || title || path.basename(filePath, path.extname(filePath)),
+      })));
+    },
+
+    async appendEntry({ question, answer }, logger = null) {
+      const stat = await fs.stat(root).catch(() => null);
+      const filePath = stat?.isFile() ? root : path.join(root, MARKDOWN_FAQ_FILE);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      const heading = question.replace(/\s+/g, " ").trim();
+      const occurrence = await withFileLock(filePath, async () => {
+        const existing = await fs.readFile(filePath, "utf8").catch(() => "");
+        const separator = existing && !existing.endsWith("\n\n") ? (existing.endsWith("\n") ? "\n" : "\n\n") : "";
+        await writeFileAtomic(filePath, `${existing}${separator}## ${heading}\n\n${answer.trim()}\n`);
+        return parseSections(existing.split("\n")).filter((s) => s.heading === heading).length + 1;
+      });
+
+      if (logger) logger.info(`[Sources] Appended FAQ entry to ${link(filePath)}`);
+      return { entryId: entryIdFor(await relativeToSource(filePath), heading, occurrence), url: link(filePath, heading, occurrence) };
+    },
+
+    async updateEntry(entryId, newText, logger = null) {
+      const { filePath, heading, occurrence } = await editEntry(entryId, (lines, section) => {
+        const atEnd = section.bodyEnd >= lines.length;
+        lines.splice(section.bodyStart, section.bodyEnd - section.bodyStart, "", newText.trim(), ...(atEnd ? [] : [""]));
+      });
+
+      if (logger) logger.info(`[Sources] Updated FAQ entry "${heading}" in ${link(filePath)}`);
+      return link(filePath, heading, occurrence);
+    },
+
+    async deleteEntry(entryId, logger = null) {
+      const { filePath, heading } = await editEntry(entryId, (lines, section) => {
+        lines.splice(section.headingLine, section.bodyEnd - section.headingLine);
+      });
+      if (logger) logger.info(`[Sources] Deleted FAQ entry "${heading}" from ${link(filePath)}`);
+    },
+
+    // The file's git history is the record
+    verifyEntry: async () => {},
+
+    async findEntry(searchTexts, logger = null) {
+      const normalizedSearchTexts = (searchTexts || []).map(normalizeText).filter(Boolean);
+      if (normalizedSearchTexts.length === 0) return null;
+
+      let files;
+      try {
+        files = await readFiles();
+      } catch (err) {
+        if (logger) logger.error(`[Sources] Failed to read Markdown FAQ ${id}: ${err?.message ?? err}`);
+        return null;
+      }
+
+      let bestMatch = null;
+      let bestMatchScore = 0;
+      for (const { filePath, text } of files) {
+        const lines = text.split("\n");
+        const sections = parseSections(lines);
+        for (const section of sections) {
+          const body = lines.slice(section.bodyStart, section.bodyEnd).join("\n").trim();
+          const normalizedSectionText = normalizeText(`${section.heading}\n${body}`);
+          for (const searchText of normalizedSearchTexts) {
+            const score = normalizedSectionText.includes(searchText) ? searchText.length / normalizedSectionText.length : 0;
+            if (score > bestMatchScore) {
+              bestMatchScore = score;
+              bestMatch = { filePath, section, body, occurrence: headingOccurrence(sections, section) };
+            }
+          }
+        }
+      }
+
+      if (!bestMatch) {
+        if (logger) logger.warn(`[Sources] No matching Markdown FAQ entry found for any of the search texts`);
+        return null;
+      }
+      const { filePath, section, body, occurrence } = bestMatch;
+      return {
+        blockId: entryIdFor(await relativeToSource(filePath), section.heading, occurrence),
+        blockUrl: link(filePath, section.heading, occurrence),
+        matchedText: body || section.heading,
+      };
+    },
+
+    // New entries are written as "## Question" headings with the answer below
+    getFormatStyle: async () => null,
+  };
+}
+
+// ─── Selection ──────────────────────────────────────────────────────────────
+
+/**
+ * Build the source for a descriptor. Plain strings are Notion page URLs/IDs,
+ * as stored by older reviews and correction proposals.
+ *
+ * @param {SourceDescriptor|string} descriptor
+ * @param {{ ttlMs?: number }} options - how long Notion content may be served from cache
+ * @returns {KnowledgeSource}
+ */
+export function getKnowledgeSource(descriptor, { ttlMs = 0 } = {}) {
+  const source = typeof descriptor === "string" ? { type: "notion-page", id: descriptor } : descriptor;
+  switch (source?.type) {
+    case "notion-page":
+      return createNotionPageSource(source, { ttlMs });
+    case "notion-database":
+      return createNotionDatabaseSource(source, { ttlMs });
+    case "markdown":
+      return createMarkdownSource(source);
+    default:
+      throw new Error(`Unknown knowledge source type: ${source?.type}`);
+  }
+}
+
+/**
+ * Where a person can open the whole FAQ: the Notion URL/ID, or the Markdown
+ * path under its base URL (null without one — a local path isn't a link).
+ *
+ * @param {SourceDescriptor} descriptor
+ * @returns {string|null}
+ */
+export function getSourceUrl(descriptor) {
+  if (descriptor.type !== "markdown") return descriptor.id;
+  if (!descriptor.baseUrl) return null;
+  const relPath = path.relative(process.cwd(), path.resolve(descriptor.id)).split(path.sep).join("/");
+  return `${descriptor.baseUrl.replace(/\/?$/, "/")}${relPath}`;
+}
+
+/**
+ * Resolve each evidence snippet to a deep link on the entry that backs it.
+ * Sources are searched in order and the first match wins. Snippets that can't
+ * be located (paraphrased, or spread across several entries) are left out.
+ *
+ * @param {(SourceDescriptor|string)[]} sources - Sources the answer was drawn from
+ * @param {string[]} evidence - Evidence snippets returned by askClaude
+ * @param {object} logger - Optional logger
+ * @param {{ ttlMs?: number }} options - cache age to accept; pass the one the answer was read with
+ *   so Notion pages are searched in their cached block outline instead of being refetched
+ * @returns {Promise<{text: string, blockUrl: string, entryId: string, entryText: string, source: SourceDescriptor}[]>}
+ */
+export async function resolveEvidenceCitations(sources, evidence, logger = null, { ttlMs = 0 } = {}) {
+  const snippets = (evidence || []).filter((e) => e && e.trim()).slice(0, 3);
+  const citations = [];
+  const seenUrls = new Set();
+  const descriptors = sources.filter(Boolean).map((source) => (typeof source === "string" ? { type: "notion-page", id: source } : source));
+
+  for (const snippet of snippets) {
+    // A multi-line snippet rarely lives in one block, so also try each substantial line
+    const lines = snippet
+      .split("\n")
+      .map((l) => l.replace(/^[\s>*•-]+/, "").trim())
+      .filter((l) => l.length >= 20);
+    const searchTexts = [snippet, ...lines];
+
+    for (const descriptor of descriptors) {
+      try {
+        const match = await getKnowledgeSource(descriptor, { ttlMs }).findEntry(searchTexts);
+        if (!match) continue;
+        if (!seenUrls.has(match.blockUrl)) {
+          seenUrls.add(match.blockUrl);
+          citations.push({ text: snippet, blockUrl: match.blockUrl, entryId: match.blockId, entryText: match.matchedText, source: descriptor });
+        }
+        break;
+      } catch (err) {
+        if (logger) logger.warn(`[Sources] Citation lookup failed in ${String(descriptor.id).slice(0, 8)}: ${err?.message ?? err}`);
+      }
+    }
+  }
+
+  if (logger && snippets.length > 0) {
+    logger.info(`[Sources] Resolved ${citations.length}/${snippets.length} evidence snippet(s) to source entries`);
+  }
+
+  return citations;
+}
@@ -17,8 +17,21 @@ export const CLASSIFICATION_SCHEMA = {
       type: "number",
       description: "Confidence score 0-1 for the classification.",
     },
+    alternative_area_ids: {
+      type: "array",
+      items: { type: "string" },
+      description: "IDs of up to 2 other knowledge areas the question could plausibly belong to, most likely first. Empty if the classification is clear.",
+    },
+    language: {
+      type: "string",
+      description: "The language the message is written in, named in English (e.g. \"English\", \"German\", \"Spanish\").",
+    },
+    translated_question: {
+      type: "string",
+      description: "The message translated into the FAQ language given in the instructions, or repeated unchanged if it's already in that language.",
+    },
   },
-  required: ["is_question", "product_area_id", "confidence"],
+  required: ["is_question", "product_area_id", "confidence", "alternative_area_ids", "language", "translated_question"],
   additionalProperties: false,
 };
 
@@ -52,8 +65,12 @@ export const ANSWER_SCHEMA = {
       type: "boolean",
       description: "True if the answer has significant gaps the FAQ doesn't cover and a knowledge area owner should weigh in. False if the FAQ fully addresses the question.",
     },
+    answer_confidence: {
+      type: "number",
+      description: "Confidence 0-1 that the answer is correct and actually addresses the question, given the FAQ content.",
+    },
   },
-  required: ["answer_found_in_faq", "answer", "evidence", "follow_up_questions", "faq_topics", "needs_escalation"],
+  required: ["answer_found_in_faq", "answer", "evidence", "follow_up_questions", "faq_topics", "needs_escalation", "answer_confidence"],
   additionalProperties: false,
 };
 
@@ -322,9 +339,67 @@ export const KB_PAGE_SELECTION_SCHEMA = {
   additionalProperties: false,
 };
 
+export const DUPLICATE_CHECK_SCHEMA = {
+  type: "object",
+  properties: {
+    duplicate_of_id: {
+      type: "string",
+      description:
+        "ID of the earlier question that asks the same thing (same problem, same subject). Empty string if none of them does.",
+    },
+    rationale: {
+      type: "string",
+      description: "Brief explanation of the decision.",
+    },
+  },
+  required: ["duplicate_of_id", "rationale"],
+  additionalProperties: false,
+};
+
+export const QUESTION_TRANSLATION_SCHEMA = {
+  type: "object",
+  properties: {
+    language: {
+      type: "string",
+      description: "The language the message is written in, named in English (e.g. \"English\", \"German\", \"Spanish\").",
+    },
+    translated_question: {
+      type: "string",
+      description: "The message translated into the target language, or repeated unchanged if it's already in that language.",
+    },
+  },
+  required: ["language", "translated_question"],
+  additionalProperties: false,
+};
+
+export const QUESTION_PREFILTER_SCHEMA = {
+  type: "object",
+  properties: {
+    results: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", description: "ID of the message being scored." },
+          question_probability: {
+            type: "number",
+            description: "Probability 0-1 that the message is asking for information or help someone could answer.",
+          },
+          reason: { type: "string", description: "A few words on why." },
+        },
+        required: ["id", "question_probability", "reason"],
+        additionalProperties: false,
+      },
+      description: "One result per message, in any order.",
+    },
+  },
+  required: ["results"],
+  additionalProperties: false,
+};
+
 // ─── LLM Functions ──────────────────────────────────────────────────────────
 
-export async function classifyQuestion(anthropic, model, text, knowledgeAreas, channelName = null) {
+export async function classifyQuestion(anthropic, model, text, knowledgeAreas, channelName = null, faqLanguage = "English") {
   const areasDescription = knowledgeAreas
     .map((a) => {
       let desc = `- ID: "${a.id}"\n  Name: "${a.name}"`;
@@ -381,7 +456,10 @@ Additional rules:
 - Match only if the question SUBSTANTIVELY relates to the knowledge area's domain
 - If the question IS a genuine substantive question but doesn't fit any specific knowledge area, set product_area_id="general" (NOT null)
 - If the question is NOT a genuine question at all (fails the is_question criteria), set product_area_id=null
-- Set confidence based on how clearly the message is seeking genuine information
+- Set confidence based on how clearly the message is seeking genuine information and how clearly it belongs to the chosen area
+- List other areas it could plausibly belong to in alternative_area_ids
+- Messages may be written in any language; judge them the same way whatever the language
+- Set language to the language the message is written in, and translated_question to the message translated into ${faqLanguage} (the FAQ's language) for searching the FAQ
 `.trim();
 
   const resp = await anthropic.beta.messages.create({
@@ -400,6 +478,80 @@ Additional rules:
   return JSON.parse(raw);
 }
 
+/**
+ * Score a batch of Slack messages on whether they're genuine asks, with a cheap model,
+ * before any of them get full classification. Returns a Map of message ID → { probability, reason }.
+ */
+export async function scoreQuestionCandidates(anthropic, model, messages) {
+  const system = `
+You screen Slack messages for a bot that answers questions from internal documentation.
+For each message, estimate the probability that it is asking for information or help that someone could answer.
+
+Count as asks:
+- Direct questions, with or without a question mark
+- Imperative or indirect requests for information ("need the VPN config", "looking for the refund policy", "anyone have the onboarding doc")
+
+Score low:
+- Rhetorical questions, jokes, greetings, thanks, reactions and status updates
+- Messages that mention a topic without asking anything about it
+
+Messages may be in any language. Score every message and use the IDs given.
+`.trim();
+
+  const user = messages
+    .map((m) => `[${m.id}]${m.channelName ? ` (#${m.channelName})` : ""} ${m.text}`)
+    .join("\n\n");
+
+  const resp = await anthropic.beta.messages.create({
+    model,
+    max_tokens: 100 + 60 * messages.length,
+    betas: ["structured-outputs-2025-11-13"],
+    system,
+    messages: [{ role: "user", content: user }],
+    output_format: {
+      type: "json_schema",
+      schema: QUESTION_PREFILTER_SCHEMA,
+    },
+  });
+
+  const raw = resp?.content?.[0]?.text ?? "";
+  const result = JSON.parse(raw);
+
+  const validIds = new Set(messages.map((m) => m.id));
+  return new Map(
+    (result.results ?? [])
+      .filter((r) => validIds.has(r.id))
+      .map((r) => [r.id, { probability: r.question_probability, reason: r.reason }])
+  );
+}
+
+/**
+ * Detect a question's language and translate it for searching the FAQ, for when
+ * classification (which does this too) is skipped.
+ */
+export async function translateQuestion(anthropic, model, text, targetLanguage = "English") {
+  const system = `
+You prepare Slack questions for searching an FAQ written in ${targetLanguage}.
+Identify the language the question is written in and translate it into ${targetLanguage}, keeping product names, code and error messages as they are.
+If it's already in ${targetLanguage}, repeat it unchanged.
+`.trim();
+
+  const resp = await anthropic.beta.messages.create({
+    model,
+    max_tokens: 400,
+    betas: ["structured-outputs-2025-11-13"],
+    system,
+    messages: [{ role: "user", content: text }],
+    output_format: {
+      type: "json_schema",
+      schema: QUESTION_TRANSLATION_SCHEMA,
+    },
+  });
+
+  const raw = resp?.content?.[0]?.text ?? "";
+  return JSON.parse(raw);
+}
+
 export async function selectKbPages(anthropic, model, questionText, hierarchy) {
   const indent = (depth) => "  ".repeat(depth - 1);
   const pageList = hierarchy
@@ -443,7 +595,52 @@ ${pageList}
   return result;
 }
 
-export async function askClaude(anthropic, model, { questionText, threadContext, faqContent, areaName }) {
+export async function checkDuplicateQuestion(anthropic, model, questionText, candidates) {
+  const candidateList = candidates
+    .map((c) => `- ID: "${c.id}"\n  Question: ${c.question}`)
+    .join("\n\n");
+
+  const system = `
+You are checking whether a new Slack question repeats one that was asked recently.
+
+Rules:
+- Only pick an earlier question if answering it would also answer the new one (e.g. the same outage, error or how-to).
+- Questions that merely share a topic or keywords are NOT duplicates.
+- Only use the IDs provided — do not invent IDs. Return an empty string if there is no duplicate.
+`.trim();
+
+  const user = `
+NEW QUESTION:
+${questionText}
+
+RECENT QUESTIONS:
+${candidateList}
+`.trim();
+
+  const resp = await anthropic.beta.messages.create({
+    model,
+    max_tokens: 200,
+    betas: ["structured-outputs-2025-11-13"],
+    system,
+    messages: [{ role: "user", content: user }],
+    output_format: {
+      type: "json_schema",
+      schema: DUPLICATE_CHECK_SCHEMA,
+    },
+  });
+
+  const raw = resp?.content?.[0]?.text ?? "";
+  const result = JSON.parse(raw);
+
+  const validIds = new Set(candidates.map((c) => c.id));
+  return validIds.has(result.duplicate_of_id) ? result.duplicate_of_id : null;
+}
+
+export async function askClaude(anthropic, model, { questionText, threadContext, faqContent, areaName, language = null }) {
+  const languageRule = language
+    ? `- The question is written in ${language}. Write answer and follow_up_questions in ${language}.`
+    : "- Write answer and follow_up_questions in the language the question is written in.";
+
   const system = `
 You are FAQ Helper, an internal Slack bot for the "${areaName}" knowledge area.
 
@@ -458,6 +655,8 @@ You MUST follow these rules:
 - If answer_found_in_faq=true, provide 1-3 evidence snippets from the FAQ that support your answer.
 - Set needs_escalation=true when the FAQ covers PART of the question but has significant gaps that an owner should fill in.
 - Set needs_escalation=false when the FAQ fully addresses the question.
+${languageRule}
+- Copy evidence snippets verbatim from the FAQ, in the FAQ's own language — never translate them.
 
 Write answers in concise Slack mrkdwn. Bullets are welcome. Keep it practical.
 `.trim();
@@ -493,11 +692,17 @@ ${faqContent}
   parsed.faq_topics = Array.isArray(parsed.faq_topics) ? parsed.faq_topics : [];
   parsed.answer = typeof parsed.answer === "string" ? parsed.answer : "";
   parsed.needs_escalation = parsed.needs_escalation === true;
+  parsed.answer_confidence = typeof parsed.answer_confidence === "number" ? parsed.answer_confidence : 1;
 
   return parsed;
 }
 
-export async function synthesizeFaqEntry(anthropic, model, originalQuestion, ownerResponses, formatStyle) {
+export async function synthesizeFaqEntry(anthropic, model, originalQuestion, ownerResponses, formatStyle, { faqExcerpt = "", faqLanguage = "English" } = {}) {
+  // Entries are written in the FAQ's language, whatever language the thread was in
+  const languageRule = faqExcerpt
+    ? "- Write the question and answer in the same language as the existing FAQ excerpt below, translating the original question and responses if needed"
+    : `- Write the question and answer in ${faqLanguage}, translating the original question and responses if needed`;
+
   const system = `
 You are an FAQ writer. Given an original question and responses from knowledge area owners, synthesize a clear Q&A entry suitable for an FAQ document.
 
@@ -505,6 +710,7 @@ Rules:
 - The question should be generalized (not specific to one person's situation)
 - The answer should be comprehensive but concise
 - Only set should_add_to_faq=true if this is generally useful knowledge (not a one-off edge case)
+${languageRule}
 ${formatStyle?.layout === "toggle"
     ? "\nThe existing FAQ mostly uses TOGGLE-style questions, where each question is a single line and the answer lives inside the toggle body. Write a concise, single-line question and an answer that will read naturally as the body of a toggle (no extra headings or repeated 'Q:'/'A:' prefixes)."
     : "\nThe existing FAQ mostly uses flat question headings with a following answer paragraph. Write a concise, single-line question suitable for a heading and an answer that will read naturally as the following paragraph (no repeated 'Q:'/'A:' prefixes)."}
@@ -516,7 +722,7 @@ ${originalQuestion}
 
 OWNER RESPONSES:
 ${ownerResponses.map((r, i) => `Response ${i + 1}: ${r}`).join("\n\n")}
-`.trim();
+${faqExcerpt ? `\nEXISTING FAQ EXCERPT (for its language only):\n${faqExcerpt}\n` : ""}`.trim();
 
   const resp = await anthropic.beta.messages.create({
     model,
@@ -0,0 +1,242 @@
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
+import {
+  fetchPageContentWithBlocks,
+  fetchKbHierarchy,
+  getPageLastEditedTime,
+  fetchFaqDatabaseContent,
+  getFaqDatabaseLastEditedTime,
+} from "./notion.js";
+
+const DOCUMENT_NAME = "notion-cache";
+
+// Coalesce bursts of cache writes into one save
+const SAVE_DEBOUNCE_MS = 5 * 1000;
+
+/**
+ * Map whose set/delete/clear also schedule a save, so every caller that touches
+ * ctx.notionCache (answers, FAQ writes, change detection) is persisted.
+ */
+function createPersistedMap(onChange) {
+  const map = new Map();
+  const { set, delete: remove, clear } = Map.prototype;
+  map.set = (key, value) => {
+    set.call(map, key, value);
+    onChange();
+    return map;
+  };
+  map.delete = (key) => {
+    const existed = remove.call(map, key);
+    if (existed) onChange();
+    return existed;
+  };
+  map.clear = () => {
+    clear.call(map);
+    onChange();
+  };
+  return map;
+}
+
+// Per-workspace caches (a single entry in single-workspace mode)
+const state = workspaceState(() => {
+  const cache = {
+    saveTimer: null,
+    kbHierarchyCache: { data: null, fetchedAt: 0 },
+  };
+  // pageId → { content, fetchedAt, lastEditedTime, database?, blocks? }
+  cache.notionCache = createPersistedMap(() => scheduleSave(cache));
+  return cache;
+});
+
+function scheduleSave(cache, store = getStore()) {
+  if (cache.saveTimer) return;
+  cache.saveTimer = setTimeout(() => {
+    cache.saveTimer = null;
+    // Best-effort — a lost write only costs a refetch after the next restart
+    writeCache(cache, store).catch(() => {});
+  }, SAVE_DEBOUNCE_MS);
+  cache.saveTimer.unref?.();
+}
+
+function writeCache(cache, store) {
+  return store.saveDocument(DOCUMENT_NAME, {
+    pages: Object.fromEntries(cache.notionCache),
+    kbHierarchy: cache.kbHierarchyCache,
+  });
+}
+
+export function getNotionCache() {
+  return state().notionCache;
+}
+
+export function getKbHierarchyCache() {
+  return state().kbHierarchyCache;
+}
+
+/**
+ * Load cached page content and the KB hierarchy saved by a previous run
+ */
+export async function loadNotionCache(logger = null) {
+  const data = await getStore().loadDocument(DOCUMENT_NAME, null);
+  const cache = state();
+
+  // Fill the existing map in place — handlers may already hold a reference to it
+  Map.prototype.clear.call(cache.notionCache);
+  for (const [pageId, entry] of Object.entries(data?.pages ?? {})) {
+    if (typeof entry?.content === "string") {
+      Map.prototype.set.call(cache.notionCache, pageId, entry);
+    }
+  }
+  if (Array.isArray(data?.kbHierarchy?.data)) {
+    cache.kbHierarchyCache.data = data.kbHierarchy.data;
+    cache.kbHierarchyCache.fetchedAt = data.kbHierarchy.fetchedAt ?? 0;
+  }
+
+  if (logger) {
+    const hierarchy = cache.kbHierarchyCache.data ? `, KB hierarchy of ${cache.kbHierarchyCache.data.length} page(s)` : "";
+    logger.info(`[NotionCache] Loaded ${cache.notionCache.size} cached page(s)${hierarchy}`);
+  }
+  return cache.notionCache;
+}
+
+/**
+ * Save the caches now instead of waiting for the debounce
+ */
+export async function saveNotionCache() {
+  const cache = state();
+  if (cache.saveTimer) {
+    clearTimeout(cache.saveTimer);
+    cache.saveTimer = null;
+  }
+  await writeCache(cache, getStore());
+}
+
+/**
+ * Schedule a save after mutating the KB hierarchy cache in place
+ */
+export function markKbHierarchyChanged() {
+  scheduleSave(state());
+}
+
+/**
+ * Edit time of a cached page, or of an FAQ database for entries marked database
+ */
+export function getSourceLastEditedTime(pageId, { database = false } = {}) {
+  return database ? getFaqDatabaseLastEditedTime(pageId) : getPageLastEditedTime(pageId);
+}
+
+/**
+ * Get page content, fetching it when the cached copy is older than ttlMs.
+ * Serves the stale copy if Notion is unreachable.
+ *
+ * @param {{ ttlMs: number, logger?: object, database?: boolean, databaseProperties?: object }} options -
+ *   database when pageId is an FAQ database, with any property name overrides
+ */
+export async function getCachedNotionContent(pageId, { ttlMs, logger = null, database = false, databaseProperties = null }) {
+  const { notionCache } = state();
+  const cached = notionCache.get(pageId);
+  if (cached && Date.now() - cached.fetchedAt < ttlMs) {
+    return cached.content;
+  }
+
+  try {
+    // Read the edit time before the content — an edit in between just triggers one more refetch
+    let lastEditedTime = null;
+    try {
+      lastEditedTime = await getSourceLastEditedTime(pageId, { database });
+    } catch (err) {
+      if (logger) logger.debug(`[NotionCache] No last_edited_time for ${pageId}: ${err?.message ?? err}`);
+    }
+    // Pages keep an outline of their blocks so citations resolve without refetching
+    const { content, blocks = null } = database
+      ? { content: await fetchFaqDatabaseContent(pageId, databaseProperties ?? {}, logger) }
+      : await fetchPageContentWithBlocks(pageId, logger);
+    notionCache.set(pageId, { content, fetchedAt: Date.now(), lastEditedTime, ...(database ? { database: true } : { blocks }) });
+    return content;
+  } catch (err) {
+    if (logger) logger.error(`[Notion] Failed to fetch page ${pageId}: ${err?.message ?? err}`);
+    if (cached?.content) return cached.content;
+    return "";
+  }
+}
+
+/**
+ * Outline of a page's top-level blocks (see fetchPageContentWithBlocks), fetched along
+ * with its content when the cached copy is older than ttlMs. null for copies cached
+ * before outlines were kept, until they're next refetched.
+ */
+export async function getCachedPageOutline(pageId, { ttlMs, logger = null }) {
+  await getCachedNotionContent(pageId, { ttlMs, logger });
+  return state().notionCache.get(pageId)?.blocks ?? null;
+}
+
+/**
+ * Get the KB hierarchy under rootUrl, refetching it when older than ttlMs.
+ */
+export async function getCachedKbHierarchy(rootUrl, { ttlMs, logger = null }) {
+  if (!rootUrl) return [];
+
+  const { kbHierarchyCache } = state();
+  const now = Date.now();
+  if (kbHierarchyCache.data && now - kbHierarchyCache.fetchedAt < ttlMs) {
+    return kbHierarchyCache.data;
+  }
+
+  try {
+    const hierarchy = await fetchKbHierarchy(rootUrl, logger);
+    kbHierarchyCache.data = hierarchy;
+    kbHierarchyCache.fetchedAt = now;
+    markKbHierarchyChanged();
+    return hierarchy;
+  } catch (err) {
+    if (logger) logger.error(`[KB] Failed to fetch hierarchy: ${err?.message ?? err}`);
+    // Return stale data if available
+    if (kbHierarchyCache.data) return kbHierarchyCache.data;
+    return [];
+  }
+}
+
+/**
+ * Bring the cache up to date for the given pages, one at a time to stay under
+ * Notion's rate limit. Cached copies whose last_edited_time hasn't moved are kept
+ * (one cheap request instead of a full page fetch); the rest are refetched.
+ *
+ * @param {(string|{ pageId: string, database: boolean, databaseProperties?: object })[]} pageIds -
+ *   page IDs, or FAQ databases with the same options as getCachedNotionContent
+ * @returns {Promise<{ revalidated: number, fetched: number }>}
+ */
+export async function prewarmNotionCache(pageIds, { ttlMs, logger = null }) {
+  const { notionCache } = state();
+  const stats = { revalidated: 0, fetched: 0 };
+
+  const sources = new Map();
+  for (const source of pageIds.filter(Boolean)) {
+    const { pageId, ...options } = typeof source === "string" ? { pageId: source } : source;
+    if (pageId) sources.set(pageId, options);
+  }
+
+  for (const [pageId, { database = false, databaseProperties = null }] of sources) {
+    const cached = notionCache.get(pageId);
+    if (cached?.lastEditedTime) {
+      try {
+        if ((await getSourceLastEditedTime(pageId, { database })) === cached.lastEditedTime) {
+          notionCache.set(pageId, { ...cached, fetchedAt: Date.now() });
+          stats.revalidated++;
+          continue;
+        }
+      } catch (err) {
+        if (logger) logger.warn(`[NotionCache] Could not revalidate ${pageId}: ${err?.message ?? err}`);
+      }
+    }
+
+    // Expire the copy so getCachedNotionContent refetches it (keeping it as the fallback)
+    if (cached) Map.prototype.set.call(notionCache, pageId, { ...cached, fetchedAt: 0 });
+    await getCachedNotionContent(pageId, { ttlMs, logger, database, databaseProperties });
+    stats.fetched++;
+  }
+
+  if (logger) {
+    logger.info(`[NotionCache] Pre-warmed ${stats.revalidated + stats.fetched} page(s): ${stats.revalidated} unchanged, ${stats.fetched} fetched`);
+  }
+  return stats;
+}
@@ -0,0 +1,220 @@
+import http from "node:http";
+import crypto from "node:crypto";
+import { extractPageId } from "./notion.js";
+import { workspaceState } from "./workspaces.js";
+import { markKbHierarchyChanged, getSourceLastEditedTime } from "./notion-cache.js";
+
+// Notion rounds last_edited_time down to the minute
+const EDIT_TIME_RESOLUTION_MS = 60 * 1000;
+
+// Webhook payloads are small JSON events — refuse anything bigger
+const MAX_WEBHOOK_BODY_BYTES = 256 * 1024;
+
+// Per-workspace last_edited_time seen for each polled page, keyed by normalized page ID
+const seenEditTimes = workspaceState(() => new Map());
+
+const pageKey = (pageId) => extractPageId(String(pageId)) ?? String(pageId);
+
+/**
+ * Drop the given pages from the content cache, and the KB hierarchy if any of
+ * them is the KB root or one of its sub-pages. Everything else stays cached.
+ *
+ * @returns {number} number of cached pages evicted
+ */
+export function evictNotionPages(ctx, pageIds, logger = null) {
+  const keys = new Set(pageIds.map(pageKey));
+  const { notionCache, kbHierarchyCache, config } = ctx;
+
+  let evicted = 0;
+  for (const cachedId of [...notionCache.keys()]) {
+    if (keys.has(pageKey(cachedId))) {
+      notionCache.delete(cachedId);
+      evicted++;
+    }
+  }
+
+  if (kbHierarchyCache?.data) {
+    const rootUrl = config.generalFaq.kbRootPageUrl;
+    const touchesHierarchy =
+      (rootUrl && keys.has(pageKey(rootUrl))) ||
+      kbHierarchyCache.data.some((page) => keys.has(pageKey(page.pageId)));
+    if (touchesHierarchy) {
+      kbHierarchyCache.data = null;
+      kbHierarchyCache.fetchedAt = 0;
+      markKbHierarchyChanged();
+      if (logger) logger.info(`[NotionChanges] KB hierarchy invalidated`);
+    }
+  }
+
+  if (logger && evicted > 0) {
+    logger.info(`[NotionChanges] Evicted ${evicted} cached page(s): ${[...keys].map((k) => k.slice(0, 8)).join(", ")}`);
+  }
+  return evicted;
+}
+
+/**
+ * Poll last_edited_time for every page the current workspace has cached (and the
+ * KB hierarchy pages) and evict the ones edited since they were fetched.
+ *
+ * @returns {Promise<string[]>} normalized IDs of the pages that changed
+ */
+export async function checkNotionChanges(ctx, logger = null) {
+  const { notionCache, kbHierarchyCache, config } = ctx;
+  const seen = seenEditTimes();
+  const now = Date.now();
+
+  // Page → when our copy was fetched and the edit time recorded with it.
+  // Expired entries are refetched on next use anyway.
+  const tracked = new Map();
+  for (const [pageId, entry] of notionCache) {
+    if (now - entry.fetchedAt < config.notionCacheTtlMs) {
+      tracked.set(pageKey(pageId), { fetchedAt: entry.fetchedAt, lastEditedTime: entry.lastEditedTime ?? null, database: !!entry.database });
+    }
+  }
+  if (kbHierarchyCache?.data) {
+    const hierarchyPageIds = kbHierarchyCache.data.map((page) => page.pageId);
+    if (config.generalFaq.kbRootPageUrl) hierarchyPageIds.push(config.generalFaq.kbRootPageUrl);
+    for (const pageId of hierarchyPageIds) {
+      const key = pageKey(pageId);
+      const entry = tracked.get(key);
+      tracked.set(key, {
+        fetchedAt: Math.min(entry?.fetchedAt ?? Infinity, kbHierarchyCache.fetchedAt),
+        lastEditedTime: entry?.lastEditedTime ?? null,
+        database: false,
+      });
+    }
+  }
+
+  const changed = [];
+  for (const [key, { fetchedAt, lastEditedTime, database }] of tracked) {
+    let editedAt;
+    try {
+      editedAt = await getSourceLastEditedTime(key, { database });
+    } catch (err) {
+      if (logger) logger.warn(`[NotionChanges] Could not check page ${key.slice(0, 8)}: ${err?.message ?? err}`);
+      continue;
+    }
+
+    // Prefer the edit time stored with the cached copy — it describes exactly that content
+    const previous = lastEditedTime ?? seen.get(key);
+    seen.set(key, editedAt);
+
+    // No recorded edit time: the minute-rounded edit time may fall just before our
+    // fetch, so treat an edit within the same minute as newer than the cached copy
+    const isChanged = previous === undefined
+      ? Date.parse(editedAt) + EDIT_TIME_RESOLUTION_MS > fetchedAt
+      : previous !== editedAt;
+    if (isChanged) changed.push(key);
+  }
+
+  if (changed.length > 0) {
+    if (logger) logger.info(`[NotionChanges] ${changed.length} of ${tracked.size} tracked page(s) changed`);
+    evictNotionPages(ctx, changed, logger);
+  }
+  return changed;
+}
+
+// ─── Webhooks ───────────────────────────────────────────────────────────────
+
+/**
+ * Check Notion's X-Notion-Signature header: "sha256=" + HMAC-SHA256 of the raw
+ * body keyed with the subscription's verification token.
+ */
+export function verifyNotionSignature(rawBody, signature, verificationToken) {
+  if (typeof signature !== "string" || !verificationToken) return false;
+  const expected = `sha256=${crypto.createHmac("sha256", verificationToken).update(rawBody).digest("hex")}`;
+  return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Pages affected by a Notion webhook event: the page itself, plus its parent page
+ * for events that change the parent's sub-page list (created, moved, deleted),
+ * or its database for FAQ database rows. Database events affect the database.
+ */
+export function getChangedPageIds(event) {
+  const type = String(event?.type ?? "");
+  if (event?.entity?.type === "database" && type.startsWith("database.")) return [event.entity.id];
+  if (event?.entity?.type !== "page" || !type.startsWith("page.")) return [];
+  const pageIds = [event.entity.id];
+  const parent = event.data?.parent;
+  if ((parent?.type === "page" || parent?.type === "database") && parent.id) pageIds.push(parent.id);
+  return pageIds;
+}
+
+/**
+ * Start the optional HTTP endpoint for Notion webhook subscriptions. Signed page
+ * events are acknowledged and handed to onPageChanged(pageIds).
+ *
+ * The first request of a new subscription carries a verification_token instead
+ * of an event; until a token is configured it is logged so it can be pasted
+ * back into Notion and set as NOTION_WEBHOOK_VERIFICATION_TOKEN.
+ */
+export function startNotionWebhookServer({ port, path = "/notion/webhook", verificationToken = "", onPageChanged, logger }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== "POST" || req.url.split("?")[0] !== path) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_WEBHOOK_BODY_BYTES) {
+        res.writeHead(413).end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", async () => {
+      try {
+        const rawBody = Buffer.concat(chunks).toString("utf8");
+        let payload;
+        try {
+          payload = JSON.parse(rawBody);
+        } catch {
+          res.writeHead(400).end();
+          return;
+        }
+        if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+          res.writeHead(400).end();
+          return;
+        }
+
+        // Only a subscription that isn't set up yet needs its token logged
+        if (payload.verification_token && !verificationToken) {
+          logger.warn(`[NotionWebhook] Verification token received: ${payload.verification_token} — paste it into the Notion subscription and set NOTION_WEBHOOK_VERIFICATION_TOKEN`);
+          res.writeHead(200).end();
+          return;
+        }
+
+        if (!verifyNotionSignature(rawBody, req.headers["x-notion-signature"], verificationToken)) {
+          logger.warn(`[NotionWebhook] Rejected event with a missing or invalid signature`);
+          res.writeHead(401).end();
+          return;
+        }
+
+        // Acknowledge first — Notion retries slow deliveries
+        res.writeHead(200).end();
+
+        const pageIds = getChangedPageIds(payload);
+        if (pageIds.length === 0) return;
+        logger.info(`[NotionWebhook] ${payload.type} for page ${String(pageIds[0]).slice(0, 8)}`);
+        await onPageChanged(pageIds);
+      } catch (err) {
+        logger.error(`[NotionWebhook] Failed to handle a webhook request: ${err?.message ?? err}`);
+        if (!res.headersSent) res.writeHead(500).end();
+      }
+    });
+  });
+
+  server.on("error", (err) => {
+    logger.error(`[NotionWebhook] Webhook server error on port ${port}: ${err?.message ?? err}`);
+  });
+  server.listen(port, () => {
+    logger.info(`[NotionWebhook] Listening for Notion events on port ${port} at ${path}`);
+  });
+  return server;
+}
@@ -0,0 +1,159 @@
+// Notion allows an average of ~3 requests/second per integration
+const DEFAULT_REQUESTS_PER_SECOND = 3;
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30 * 1000;
+
+// Safe to retry whatever the request: Notion rejected it before applying it
+const NOT_APPLIED_STATUSES = new Set([409, 429, 503]);
+const NOT_APPLIED_CODES = new Set(["rate_limited", "conflict_error", "service_unavailable"]);
+
+// Only safe for reads: the request may have been applied before the failure
+const TRANSIENT_STATUSES = new Set([500, 502, 504]);
+const TRANSIENT_CODES = new Set([
+  "internal_server_error",
+  "notionhq_client_request_timeout",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+]);
+
+// Client methods that only read, so a transient failure can be retried blindly
+const READ_METHODS = new Set(["retrieve", "list", "query", "search"]);
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function errorCode(err) {
+  return err?.code ?? err?.cause?.code ?? null;
+}
+
+function isRateLimited(err) {
+  return err?.status === 429 || errorCode(err) === "rate_limited";
+}
+
+function isRetryable(err, idempotent) {
+  if (NOT_APPLIED_STATUSES.has(err?.status) || NOT_APPLIED_CODES.has(errorCode(err))) return true;
+  return idempotent && (TRANSIENT_STATUSES.has(err?.status) || TRANSIENT_CODES.has(errorCode(err)));
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or an HTTP date), if any.
+ */
+function getRetryAfterMs(err) {
+  const headers = err?.headers;
+  const value = typeof headers?.get === "function" ? headers.get("retry-after") : headers?.["retry-after"];
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create a request scheduler shared by every call made with one Notion integration.
+ * Requests start at most requestsPerSecond apart; rate-limited, conflicting and
+ * unavailable responses are retried after Retry-After (pausing the whole queue for
+ * a 429) or a jittered exponential backoff, and so are transient failures of reads.
+ */
+export function createNotionScheduler({
+  requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseBackoffMs = BASE_BACKOFF_MS,
+  logger = null,
+  sleep = defaultSleep,
+} = {}) {
+  const intervalMs = 1000 / requestsPerSecond;
+  let nextSlotAt = 0;
+  let pending = 0;
+
+  const metrics = {
+    requests: 0, // attempts sent, including retries
+    retries: 0,
+    rateLimited: 0, // 429 responses
+    failures: 0, // calls that failed after all retries
+    throttledMs: 0, // total time requests waited for a slot
+    maxPending: 0,
+  };
+
+  async function waitForSlot() {
+    const now = Date.now();
+    const startAt = Math.max(now, nextSlotAt);
+    nextSlotAt = startAt + intervalMs;
+    if (startAt > now) {
+      metrics.throttledMs += startAt - now;
+      await sleep(startAt - now);
+    }
+  }
+
+  /**
+   * Run fn() in the next free slot, retrying it as described above.
+   *
+   * @param {string} label - method name for logs, e.g. "blocks.children.list"
+   * @param {() => Promise<any>} fn
+   * @param {{ idempotent?: boolean }} options - false for writes
+   */
+  async function run(label, fn, { idempotent = true } = {}) {
+    pending++;
+    metrics.maxPending = Math.max(metrics.maxPending, pending);
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await waitForSlot();
+        metrics.requests++;
+        try {
+          return await fn();
+        } catch (err) {
+          const rateLimited = isRateLimited(err);
+          if (rateLimited) metrics.rateLimited++;
+          if (attempt >= maxRetries || !isRetryable(err, idempotent)) {
+            metrics.failures++;
+            throw err;
+          }
+
+          const backoffMs = Math.min(MAX_BACKOFF_MS, baseBackoffMs * 2 ** attempt);
+          const delayMs = getRetryAfterMs(err) ?? Math.round(backoffMs / 2 + Math.random() * (backoffMs / 2));
+          metrics.retries++;
+          if (logger) {
+            logger.warn(`[Notion] ${label} failed (${err?.status ?? errorCode(err) ?? err?.message}), retry ${attempt + 1}/${maxRetries} in ${delayMs}ms`);
+          }
+
+          if (rateLimited) {
+            // The limit is per integration — hold every queued request, not just this one
+            nextSlotAt = Math.max(nextSlotAt, Date.now() + delayMs);
+          } else {
+            await sleep(delayMs);
+          }
+        }
+      }
+    } finally {
+      pending--;
+    }
+  }
+
+  return {
+    run,
+    getMetrics: () => ({ ...metrics, pending }),
+  };
+}
+
+/**
+ * Wrap a Notion client (or anything shaped like one) so every method call,
+ * e.g. client.blocks.children.list(...), goes through the scheduler.
+ */
+export function withNotionScheduler(client, scheduler) {
+  const wrap = (target, path) =>
+    new Proxy(target, {
+      get(obj, prop) {
+        const value = obj[prop];
+        if (typeof prop !== "string") return value;
+        if (typeof value === "function") {
+          const label = [...path, prop].join(".");
+          return (...args) => scheduler.run(label, () => value.apply(obj, args), { idempotent: READ_METHODS.has(prop) });
+        }
+        if (value && typeof value === "object") return wrap(value, [...path, prop]);
+        return value;
+      },
+    });
+  return wrap(client, []);
+}
@@ -1,9 +1,50 @@
 import { Client } from "@notionhq/client";
+import { workspaceState } from "./workspaces.js";
+import { createNotionScheduler, withNotionScheduler } from "./notion-scheduler.js";
 
-let notion = null;
+// One client per workspace, since each workspace brings its own Notion integration token
+const notionClient = workspaceState(() => ({ client: null }));
 
-export function initNotion(apiKey) {
-  notion = new Client({ auth: apiKey });
+// One request scheduler per integration token — Notion's rate limit is per integration,
+// so workspaces sharing the fallback NOTION_API_KEY share its budget
+const schedulers = new Map();
+
+/**
+ * @param {string} apiKey
+ * @param {{ requestsPerSecond?: number, maxRetries?: number, logger?: object }} options
+ */
+export function initNotion(apiKey, options = {}) {
+  if (!schedulers.has(apiKey)) {
+    schedulers.set(apiKey, createNotionScheduler(options));
+  }
+  notionClient().client = withNotionScheduler(new Client({ auth: apiKey }), schedulers.get(apiKey));
+}
+
+/**
+ * Use an already-built client instead of an API key (e.g. the in-memory fake in test/fakes).
+ * Calls still go through a scheduler; pass one to control its rate.
+ */
+export function setNotionClient(client, scheduler = createNotionScheduler()) {
+  schedulers.set(client, scheduler);
+  notionClient().client = withNotionScheduler(client, scheduler);
+}
+
+/**
+ * Request, retry and rate-limit counters summed over every Notion integration in use.
+ */
+export function getNotionRequestMetrics() {
+  const total = { requests: 0, retries: 0, rateLimited: 0, failures: 0, throttledMs: 0, pending: 0 };
+  for (const scheduler of schedulers.values()) {
+    const metrics = scheduler.getMetrics();
+    for (const key of Object.keys(total)) total[key] += metrics[key];
+  }
+  return total;
+}
+
+function getNotion() {
+  const { client } = notionClient();
+  if (!client) throw new Error("Notion client not initialized");
+  return client;
 }
 
 /**
@@ -46,7 +87,7 @@ export function extractPageId(urlOrId) {
  * Returns a flat array of { pageId, title, depth, parentTitle }.
  */
 export async function fetchKbHierarchy(rootPageUrl, logger = null, maxDepth = 3) {
-  if (!notion) throw new Error("Notion client not initialized");
+  const notion = getNotion();
 
   const rootId = extractPageId(rootPageUrl);
   if (!rootId) throw new Error(`Invalid KB root page URL: ${rootPageUrl}`);
@@ -59,43 +100,103 @@ export async function fetchKbHierarchy(rootPageUrl, logger = null, maxDepth = 3)
     if (depth > maxDepth) return;
 
     let cursor;
-    try {
-      do {
-        const response = await notion.blocks.children.list({
-          block_id: parentId,
-          start_cursor: cursor,
-          page_size: 100,
-        });
-
-        for (const block of response.results) {
-          if (block.type === "child_page") {
-            const title = block.child_page?.title || "Untitled";
-            const pageId = block.id.replace(/-/g, "");
-            results.push({ pageId, title, depth, parentTitle });
-            // Recurse into sub-pages
-            await crawl(block.id, title, depth + 1);
-          }
-        }
+    do {
+      const response = await notion.blocks.children.list({
+        block_id: parentId,
+        start_cursor: cursor,
+        page_size: 100,
+      });
 
-        cursor = response.has_more ? response.next_cursor : undefined;
-      } while (cursor);
-    } catch (err) {
-      if (logger) {
-        logger.error(`[Notion] Error crawling children of ${parentId.slice(0, 8)}: ${err?.message ?? err}`);
+      for (const block of response.results) {
+        if (block.type === "child_page") {
+          const title = block.child_page?.title || "Untitled";
+          const pageId = block.id.replace(/-/g, "");
+          results.push({ pageId, title, depth, parentTitle });
+          // Recurse into sub-pages
+          await crawl(block.id, title, depth + 1);
+        }
       }
-    }
+
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
   }
 
-  await crawl(rootId, null, 1);
+  // Fail the whole crawl rather than return a partial hierarchy — callers keep the last full one.
+  // Transient errors and rate limits were already retried by the scheduler.
+  try {
+    await crawl(rootId, null, 1);
+  } catch (err) {
+    if (logger) {
+      logger.error(`[Notion] KB hierarchy crawl failed after ${results.length} sub-page(s): ${err?.message ?? err}`);
+    }
+    throw err;
+  }
 
   if (logger) logger.info(`[Notion] KB hierarchy: found ${results.length} sub-page(s)`);
   return results;
 }
 
+// Blocks nested deeper than this are left out of page content
+const MAX_BLOCK_DEPTH = 8;
+
+// Rows inlined per child database (across all of its data sources)
+const MAX_DATABASE_ROWS = 100;
+
+function richTextToPlain(richText = []) {
+  return richText.map((t) => t.plain_text || "").join("");
+}
+
+/**
+ * Render a database property value as text ("" when empty or not meaningful as text)
+ */
+function propertyToText(prop) {
+  if (!prop) return "";
+  switch (prop.type) {
+    case "title":
+    case "rich_text":
+      return richTextToPlain(prop[prop.type]);
+    case "number":
+      return prop.number == null ? "" : String(prop.number);
+    case "select":
+    case "status":
+      return prop[prop.type]?.name ?? "";
+    case "multi_select":
+      return (prop.multi_select ?? []).map((option) => option.name).join(", ");
+    case "date":
+      if (!prop.date?.start) return "";
+      return prop.date.end ? `${prop.date.start} → ${prop.date.end}` : prop.date.start;
+    case "checkbox":
+      return prop.checkbox ? "Yes" : "No";
+    case "url":
+    case "email":
+    case "phone_number":
+      return prop[prop.type] ?? "";
+    case "people":
+      return (prop.people ?? []).map((person) => person.name).filter(Boolean).join(", ");
+    case "files":
+      return (prop.files ?? []).map((file) => file.name).filter(Boolean).join(", ");
+    case "unique_id":
+      return prop.unique_id?.number == null ? "" : `${prop.unique_id.prefix ? `${prop.unique_id.prefix}-` : ""}${prop.unique_id.number}`;
+    case "formula":
+      return propertyToText({ type: prop.formula?.type, ...prop.formula });
+    case "rollup":
+      if (prop.rollup?.type === "array") return prop.rollup.array.map(propertyToText).filter(Boolean).join(", ");
+      return propertyToText({ type: prop.rollup?.type, ...prop.rollup });
+    case "string":
+      return prop.string ?? "";
+    case "boolean":
+      return prop.boolean ? "Yes" : "No";
+    default:
+      // relation, created_by, last_edited_time, ... — IDs and metadata, not content
+      return "";
+  }
+}
+
 /**
- * Convert Notion block to markdown-like text
+ * Convert Notion block to markdown-like text.
+ * Container blocks (tables, columns, synced blocks, databases) are rendered by renderBlocks.
  */
-function blockToText(block) {
+function blockToText(block, listNumber = 1) {
   const type = block.type;
   const content = block[type];
 
@@ -103,7 +204,8 @@ function blockToText(block) {
 
   // Extract rich text
   const richText = content.rich_text || content.text || [];
-  const text = richText.map((t) => t.plain_text || "").join("");
+  const text = richTextToPlain(richText);
+  const caption = richTextToPlain(content.caption);
 
   switch (type) {
     case "paragraph":
@@ -117,11 +219,15 @@ function blockToText(block) {
     case "bulleted_list_item":
       return `- ${text}`;
     case "numbered_list_item":
-      return `1. ${text}`;
+      return `${listNumber}. ${text}`;
+    case "to_do":
+      return `- [${content.checked ? "x" : " "}] ${text}`;
     case "quote":
       return `> ${text}`;
     case "code":
-      return `\`\`\`\n${text}\n\`\`\``;
+      return `\`\`\`${content.language && content.language !== "plain text" ? content.language : ""}\n${text}\n\`\`\``;
+    case "equation":
+      return `$$${content.expression ?? ""}$$`;
     case "divider":
       return "---";
     case "toggle":
@@ -129,42 +235,230 @@ function blockToText(block) {
     case "callout":
       const emoji = content.icon?.emoji || "";
       return `${emoji} ${text}`;
+    case "child_page":
+      return `## ${content.title || "Untitled"}`;
+    case "bookmark":
+    case "embed":
+    case "link_preview":
+      return caption ? `[${caption}](${content.url})` : content.url ?? "";
+    case "image":
+    case "video":
+    case "audio":
+    case "file":
+    case "pdf":
+      // Only the caption says anything about the file
+      return caption ? `[${type}: ${caption}]` : "";
+    case "table_of_contents":
+    case "breadcrumb":
+      return "";
     default:
       return text;
   }
 }
 
 /**
- * Fetch all blocks from a Notion page and convert to markdown text
+ * List every child block of a page or block, following pagination
+ */
+async function listBlockChildren(notion, blockId) {
+  const blocks = [];
+  let cursor;
+  do {
+    const response = await notion.blocks.children.list({
+      block_id: blockId,
+      start_cursor: cursor,
+      page_size: 100,
+    });
+    blocks.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  return blocks;
+}
+
+/**
+ * Render table_row children as a markdown table. The first row is the header
+ * row, which is what Notion's "header row" option marks as well.
+ */
+function tableToMarkdown(rows) {
+  const cells = rows
+    .filter((row) => row.type === "table_row")
+    .map((row) => row.table_row.cells.map((cell) => richTextToPlain(cell).replace(/\|/g, "\\|").replace(/\n/g, " ")));
+  if (cells.length === 0) return "";
+
+  const width = Math.max(...cells.map((row) => row.length));
+  const line = (row) => `| ${Array.from({ length: width }, (_, i) => row[i] ?? "").join(" | ")} |`;
+  return [line(cells[0]), line(Array(width).fill("---")), ...cells.slice(1).map(line)].join("\n");
+}
+
+/**
+ * Query rows (pages) of a data source, following pagination until limit rows.
+ * May return a few more than limit; callers slice.
+ */
+async function queryDataSourceRows(notion, dataSourceId, limit) {
+  const rows = [];
+  let cursor;
+  do {
+    const response = await notion.dataSources.query({
+      data_source_id: dataSourceId,
+      start_cursor: cursor,
+      page_size: 100,
+    });
+    rows.push(...response.results);
+    cursor = response.has_more && rows.length < limit ? response.next_cursor : undefined;
+  } while (cursor);
+  return rows;
+}
+
+/**
+ * Render an inline database: its title, then one line per row with the row's
+ * title and non-empty properties.
+ */
+async function databaseToText(notion, block) {
+  const title = block.child_database?.title || "Untitled database";
+  const database = await notion.databases.retrieve({ database_id: block.id });
+
+  const rows = [];
+  for (const dataSource of database.data_sources ?? []) {
+    rows.push(...(await queryDataSourceRows(notion, dataSource.id, MAX_DATABASE_ROWS - rows.length)));
+    if (rows.length >= MAX_DATABASE_ROWS) break;
+  }
+
+  const lines = rows.slice(0, MAX_DATABASE_ROWS).map((row) => {
+    const properties = Object.entries(row.properties ?? {});
+    const rowTitle = propertyToText(properties.find(([, prop]) => prop.type === "title")?.[1]) || "Untitled";
+    const details = properties
+      .filter(([, prop]) => prop.type !== "title")
+      .map(([name, prop]) => [name, propertyToText(prop)])
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}: ${value}`);
+    return details.length > 0 ? `- ${rowTitle} — ${details.join("; ")}` : `- ${rowTitle}`;
+  });
+  if (rows.length > MAX_DATABASE_ROWS) lines.push(`- … more rows not shown`);
+
+  return [`### ${title}`, ...lines].join("\n");
+}
+
+/**
+ * Convert blocks to text, recursing into children. Nested children are indented
+ * under their parent; layout containers (columns, synced blocks) are flattened
+ * into the surrounding level.
+ *
+ * @param {Set<string>} visited - synced blocks being rendered further up, to stop reference loops
+ * @param {object[]} [outline] - filled with { blockId, text, content } per block at this level
+ * @returns {Promise<string[]>} one entry per rendered block
+ */
+async function renderBlocks(notion, blocks, { depth, visited, logger, outline = null }) {
+  const lines = [];
+  let listNumber = 0;
+
+  // Children of a block, or [] if they can't be fetched (the rest of the page still renders)
+  const childrenOf = async (blockId) => {
+    try {
+      return await listBlockChildren(notion, blockId);
+    } catch (err) {
+      if (logger) logger.warn(`[Notion] Skipping children of block ${blockId.slice(0, 8)}: ${err?.message ?? err}`);
+      return [];
+    }
+  };
+  const render = (children, childDepth) => renderBlocks(notion, children, { depth: childDepth, visited, logger });
+
+  // Lines for one block and everything nested in it
+  const renderBlock = async (block, listNumber) => {
+    const out = [];
+
+    switch (block.type) {
+      case "table": {
+        const table = tableToMarkdown(await childrenOf(block.id));
+        if (table) out.push(table);
+        return out;
+      }
+
+      case "column_list":
+      case "column":
+        if (depth < MAX_BLOCK_DEPTH) out.push(...(await render(await childrenOf(block.id), depth + 1)));
+        return out;
+
+      case "synced_block": {
+        // A copy renders its original's content
+        const sourceId = block.synced_block?.synced_from?.block_id ?? block.id;
+        if (visited.has(sourceId) || depth >= MAX_BLOCK_DEPTH) return out;
+        visited.add(sourceId);
+        out.push(...(await render(await childrenOf(sourceId), depth + 1)));
+        visited.delete(sourceId);
+        return out;
+      }
+
+      case "child_database":
+        try {
+          out.push(await databaseToText(notion, block));
+        } catch (err) {
+          // Linked databases the integration can't see fail here
+          if (logger) logger.warn(`[Notion] Skipping database ${block.id.slice(0, 8)}: ${err?.message ?? err}`);
+        }
+        return out;
+
+      case "link_to_page":
+        if (block.link_to_page?.page_id) {
+          out.push(`→ See "${await getPageTitle(block.link_to_page.page_id)}"`);
+        }
+        return out;
+    }
+
+    const text = blockToText(block, listNumber);
+    if (text) out.push(text);
+
+    // Handle nested blocks (children)
+    if (block.has_children && depth < MAX_BLOCK_DEPTH) {
+      const childLines = await render(await childrenOf(block.id), depth + 1);
+      if (childLines.length > 0) {
+        // Indent child content
+        const indented = childLines
+          .join("\n\n")
+          .split("\n")
+          .map((line) => `  ${line}`)
+          .join("\n");
+        out.push(indented);
+      }
+    }
+
+    return out;
+  };
+
+  for (const block of blocks) {
+    listNumber = block.type === "numbered_list_item" ? listNumber + 1 : 0;
+    const blockLines = await renderBlock(block, listNumber);
+    lines.push(...blockLines);
+    if (outline) outline.push({ blockId: block.id, text: getBlockText(block), content: blockLines.join("\n\n") });
+  }
+
+  return lines;
+}
+
+/**
+ * Fetch all blocks from a Notion page and convert to markdown text, including
+ * nested children, tables, columns, synced blocks and inline database rows.
  */
 export async function fetchPageContent(pageId, logger = null) {
-  if (!notion) throw new Error("Notion client not initialized");
+  return (await fetchPageContentWithBlocks(pageId, logger)).content;
+}
+
+/**
+ * fetchPageContent, plus an outline of the page's top-level blocks — their IDs,
+ * own text and rendered content — so citations can be found without refetching.
+ *
+ * @returns {Promise<{ content: string, blocks: { blockId: string, text: string, content: string }[] }>}
+ */
+export async function fetchPageContentWithBlocks(pageId, logger = null) {
+  const notion = getNotion();
 
   const normalizedId = extractPageId(pageId);
   if (!normalizedId) throw new Error(`Invalid page ID: ${pageId}`);
 
   if (logger) logger.info(`[Notion] Fetching page content for page ID: ${normalizedId.slice(0, 8)}...`);
 
-  const blocks = [];
-  let cursor;
-  let fetchCount = 0;
-
+  let blocks;
   try {
-    do {
-      const response = await notion.blocks.children.list({
-        block_id: normalizedId,
-        start_cursor: cursor,
-        page_size: 100,
-      });
-
-      blocks.push(...response.results);
-      fetchCount++;
-      cursor = response.has_more ? response.next_cursor : undefined;
-    } while (cursor);
-
-    if (logger) {
-      logger.info(`[Notion] Fetched ${blocks.length} blocks from page (${fetchCount} API calls)`);
-    }
+    blocks = await listBlockChildren(notion, normalizedId);
+    if (logger) logger.info(`[Notion] Fetched ${blocks.length} top-level blocks from page`);
   } catch (err) {
     if (logger) {
       logger.error(`[Notion] Error fetching page content: ${err?.message ?? err}`);
@@ -172,36 +466,15 @@ export async function fetchPageContent(pageId, logger = null) {
     throw err;
   }
 
-  // Convert blocks to text
-  const lines = [];
-  for (const block of blocks) {
-    const text = blockToText(block);
-    if (text) lines.push(text);
-
-    // Handle nested blocks (children)
-    if (block.has_children) {
-      try {
-        const childContent = await fetchPageContent(block.id, logger);
-        if (childContent) {
-          // Indent child content
-          const indented = childContent
-            .split("\n")
-            .map((line) => `  ${line}`)
-            .join("\n");
-          lines.push(indented);
-        }
-      } catch {
-        // Skip if we can't fetch children
-      }
-    }
-  }
+  const outline = [];
+  const lines = await renderBlocks(notion, blocks, { depth: 0, visited: new Set(), logger, outline });
 
   const content = lines.join("\n\n");
   if (logger) {
     logger.info(`[Notion] Converted page to text: ${content.length} characters`);
   }
 
-  return content;
+  return { content, blocks: outline };
 }
 
 /**
@@ -218,7 +491,7 @@ export async function fetchPageContent(pageId, logger = null) {
  * }
  */
 export async function analyzePageStructure(pageId, logger = null) {
-  if (!notion) throw new Error("Notion client not initialized");
+  const notion = getNotion();
 
   const normalizedId = extractPageId(pageId);
   if (!normalizedId) throw new Error(`Invalid page ID: ${pageId}`);
@@ -344,7 +617,7 @@ export async function analyzePageStructure(pageId, logger = null) {
  * Returns the URL to the newly created block
  */
 export async function appendFaqEntry(pageId, question, answer, formatStyle = null, logger = null) {
-  if (!notion) throw new Error("Notion client not initialized");
+  const notion = getNotion();
 
   const normalizedId = extractPageId(pageId);
   if (!normalizedId) throw new Error(`Invalid page ID: ${pageId}`);
@@ -443,9 +716,9 @@ export async function appendFaqEntry(pageId, question, answer, formatStyle = nul
       children: blocks,
     });
 
-    // Get the heading block ID for the link
-    const headingBlock = response.results.find((b) => b.type === "heading_3");
-    const blockId = headingBlock?.id || response.results[0]?.id;
+    // Link to the question block (a heading or toggle), not the divider before it
+    const questionBlock = response.results.find((b) => b.type !== "divider");
+    const blockId = questionBlock?.id || response.results[0]?.id;
 
     // Construct the URL to the block
     // Format: https://notion.so/page-id#block-id
@@ -471,7 +744,7 @@ export async function appendFaqEntry(pageId, question, answer, formatStyle = nul
  * Get page title for display purposes
  */
 export async function getPageTitle(pageId, logger = null) {
-  if (!notion) throw new Error("Notion client not initialized");
+  const notion = getNotion();
 
   const normalizedId = extractPageId(pageId);
   if (!normalizedId) throw new Error(`Invalid page ID: ${pageId}`);
@@ -496,6 +769,20 @@ export async function getPageTitle(pageId, logger = null) {
   }
 }
 
+/**
+ * Get a page's last_edited_time (ISO string, rounded down to the minute by Notion).
+ * Edits to any block on the page, its title or its sub-page list move it forward.
+ */
+export async function getPageLastEditedTime(pageId) {
+  const notion = getNotion();
+
+  const normalizedId = extractPageId(pageId);
+  if (!normalizedId) throw new Error(`Invalid page ID: ${pageId}`);
+
+  const page = await notion.pages.retrieve({ page_id: normalizedId });
+  return page.last_edited_time;
+}
+
 /**
  * Extract text content from a block
  */
@@ -517,6 +804,48 @@ function normalizeText(text) {
     .trim();
 }
 
+/**
+ * findBlockByContent against a page outline from fetchPageContentWithBlocks,
+ * without any Notion requests. Matches in a block's own text win by how much of
+ * the block they cover; matches only in nested content point at the top-level block.
+ */
+export function findBlockInOutline(pageId, outline, searchTexts) {
+  const normalizedPageId = extractPageId(pageId);
+  const normalizedSearchTexts = (searchTexts || []).map(normalizeText).filter(Boolean);
+  if (!normalizedPageId || normalizedSearchTexts.length === 0) return null;
+
+  let bestMatch = null;
+  let bestMatchScore = 0;
+
+  for (const block of outline || []) {
+    const ownText = normalizeText(block.text);
+    const nestedText = normalizeText(block.content);
+
+    for (const searchText of normalizedSearchTexts) {
+      let score = 0;
+      let matchedText = block.text;
+      if (ownText && ownText.includes(searchText)) {
+        score = searchText.length / ownText.length;
+      } else if (nestedText.includes(searchText)) {
+        score = 0.9; // same priority findBlockByContent gives a match in children
+        matchedText = block.content;
+      }
+      if (score > bestMatchScore) {
+        bestMatchScore = score;
+        bestMatch = { blockId: block.blockId, matchedText };
+      }
+    }
+  }
+
+  if (!bestMatch) return null;
+
+  return {
+    blockId: bestMatch.blockId,
+    blockUrl: `https://notion.so/${normalizedPageId.replace(/-/g, "")}#${bestMatch.blockId.replace(/-/g, "")}`,
+    matchedText: bestMatch.matchedText,
+  };
+}
+
 /**
  * Find a block in a Notion page by matching its content against search text.
  * Returns the block ID and URL if found.
@@ -527,7 +856,7 @@ function normalizeText(text) {
  * @returns {Promise<{blockId: string, blockUrl: string, matchedText: string} | null>}
  */
 export async function findBlockByContent(pageId, searchTexts, logger = null) {
-  if (!notion) throw new Error("Notion client not initialized");
+  const notion = getNotion();
 
   const normalizedPageId = extractPageId(pageId);
   if (!normalizedPageId) throw new Error(`Invalid page ID: ${pageId}`);
@@ -651,9 +980,27 @@ export async function findBlockByContent(pageId, searchTexts, logger = null) {
   };
 }
 
+/**
+ * The blocks holding the answer to a flat-layout question heading: its following
+ * siblings, up to the next heading or divider.
+ */
+async function listAnswerBlocks(notion, heading) {
+  const parentId = heading.parent?.page_id ?? heading.parent?.block_id;
+  if (!parentId) return [];
+  const siblings = await listBlockChildren(notion, parentId);
+  const index = siblings.findIndex((b) => b.id.replace(/-/g, "") === heading.id.replace(/-/g, ""));
+  const answer = [];
+  for (const block of siblings.slice(index + 1)) {
+    if (block.type === "divider" || block.type.startsWith("heading_")) break;
+    answer.push(block);
+  }
+  return answer;
+}
+
 /**
  * Update an existing FAQ block's answer content in-place.
  * For toggle blocks: replaces all children with new paragraph block(s).
+ * For question headings: replaces the answer blocks below the heading.
  * For other blocks (paragraph, etc.): replaces the block's rich_text directly.
  *
  * @param {string} blockId - The block ID to update
@@ -662,7 +1009,7 @@ export async function findBlockByContent(pageId, searchTexts, logger = null) {
  * @returns {Promise<string>} The block URL
  */
 export async function updateFaqBlock(blockId, newText, logger = null) {
-  if (!notion) throw new Error("Notion client not initialized");
+  const notion = getNotion();
   if (!blockId) throw new Error("No block ID provided");
 
   if (logger) {
@@ -707,6 +1054,19 @@ export async function updateFaqBlock(blockId, newText, logger = null) {
       block_id: blockId,
       children: newChildren,
     });
+  } else if (block.type.startsWith("heading_")) {
+    // Keep the question; the first answer block takes the new text and the rest go
+    const [first, ...rest] = await listAnswerBlocks(notion, block);
+    if (!first) throw new Error("FAQ question has no answer block to update");
+    await notion.blocks.update({
+      block_id: first.id,
+      [first.type]: {
+        rich_text: [{ type: "text", text: { content: newText } }],
+      },
+    });
+    for (const extra of rest) {
+      await notion.blocks.delete({ block_id: extra.id });
+    }
   } else {
     // Directly update the block's rich text (paragraph, bulleted_list_item, etc.)
     const blockType = block.type;
@@ -746,6 +1106,24 @@ export async function updateFaqBlock(blockId, newText, logger = null) {
   return blockUrl;
 }
 
+/**
+ * Delete an FAQ entry: the block itself (a toggle takes its children with it),
+ * plus the answer blocks below it when it is a question heading.
+ */
+export async function deleteFaqBlock(blockId, logger = null) {
+  const notion = getNotion();
+  if (!blockId) throw new Error("No block ID provided");
+
+  const block = await notion.blocks.retrieve({ block_id: blockId });
+  const answerBlocks = block.type.startsWith("heading_") ? await listAnswerBlocks(notion, block) : [];
+
+  if (logger) logger.info(`[Notion] Deleting FAQ block ${blockId.slice(0, 8)}... (${block.type}, ${answerBlocks.length} answer block(s))`);
+  for (const answerBlock of answerBlocks) {
+    await notion.blocks.delete({ block_id: answerBlock.id });
+  }
+  await notion.blocks.delete({ block_id: blockId });
+}
+
 /**
  * Add a comment to a Notion block using the Comments API.
  * Note: The Notion integration must have "Insert comments" capability enabled.
@@ -753,10 +1131,11 @@ export async function updateFaqBlock(blockId, newText, logger = null) {
  * @param {string} blockId - The block ID to comment on (can include dashes)
  * @param {string} commentText - The comment text to add
  * @param {object} logger - Optional logger
+ * @param {{ isPage?: boolean }} options - isPage for a page-level comment, e.g. on a database row
  * @returns {Promise<{commentId: string, discussionId: string} | null>}
  */
-export async function addCommentToBlock(blockId, commentText, logger = null) {
-  if (!notion) throw new Error("Notion client not initialized");
+export async function addCommentToBlock(blockId, commentText, logger = null, { isPage = false } = {}) {
+  const notion = getNotion();
 
   if (!blockId) {
     if (logger) logger.warn(`[Notion] No block ID provided for comment`);
@@ -778,7 +1157,7 @@ export async function addCommentToBlock(blockId, commentText, logger = null) {
 
   try {
     const response = await notion.comments.create({
-      parent: { block_id: normalizedBlockId },
+      parent: isPage ? { page_id: normalizedBlockId } : { block_id: normalizedBlockId },
       rich_text: [
         {
           type: "text",
@@ -806,3 +1185,317 @@ export async function addCommentToBlock(blockId, commentText, logger = null) {
     throw err;
   }
 }
+
+// ─── FAQ databases ──────────────────────────────────────────────────────────
+// A knowledge area can be backed by a Notion database where each row is one
+// Q&A, instead of a page. Property names can be overridden per area.
+
+export const FAQ_DATABASE_PROPERTIES = Object.freeze({
+  question: "Question",
+  answer: "Answer",
+  tags: "Tags",
+  owner: "Owner",
+  lastVerified: "Last verified",
+});
+
+// Rows read from one FAQ database
+const MAX_FAQ_DATABASE_ROWS = 1000;
+
+// Notion caps a rich text item at 2000 characters
+const MAX_RICH_TEXT_CHARS = 2000;
+
+function textToRichText(text) {
+  const chunks = [];
+  for (let i = 0; i < text.length && chunks.length < 100; i += MAX_RICH_TEXT_CHARS) {
+    chunks.push({ type: "text", text: { content: text.slice(i, i + MAX_RICH_TEXT_CHARS) } });
+  }
+  return chunks;
+}
+
+/**
+ * Property value for a pages.create/update call, or null for types we don't write
+ */
+function propertyValue(type, value) {
+  switch (type) {
+    case "title":
+    case "rich_text":
+      return { [type]: textToRichText(value) };
+    case "select":
+      return { select: { name: value.replace(/,/g, " ").slice(0, 100) } };
+    case "multi_select":
+      return { multi_select: value.split(",").map((v) => v.trim()).filter(Boolean).map((name) => ({ name })) };
+    case "date":
+      return { date: { start: value } };
+    default:
+      return null;
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const rowUrl = (row) => row.url ?? `https://notion.so/${row.id.replace(/-/g, "")}`;
+
+/**
+ * Resolve a database URL or ID to the data source holding its rows
+ * (since Notion API 2025-09-03 a database can have several; FAQs use the first).
+ */
+async function getFaqDataSource(notion, databaseId) {
+  const normalizedId = extractPageId(databaseId);
+  if (!normalizedId) throw new Error(`Invalid database ID: ${databaseId}`);
+
+  const database = await notion.databases.retrieve({ database_id: normalizedId });
+  const dataSourceId = database.data_sources?.[0]?.id;
+  if (!dataSourceId) throw new Error(`Notion database ${normalizedId.slice(0, 8)} has no data source`);
+  return { dataSourceId, lastEditedTime: database.last_edited_time ?? null };
+}
+
+/**
+ * Read one row as a Q&A. The question falls back to the row's title property.
+ */
+function readFaqRow(row, names) {
+  const props = row.properties ?? {};
+  const titleProp = Object.values(props).find((prop) => prop.type === "title");
+  return {
+    id: row.id,
+    url: rowUrl(row),
+    question: propertyToText(props[names.question]) || propertyToText(titleProp),
+    answer: propertyToText(props[names.answer]),
+    tags: propertyToText(props[names.tags]),
+    owner: propertyToText(props[names.owner]),
+    lastVerified: propertyToText(props[names.lastVerified]),
+  };
+}
+
+async function fetchFaqRows(notion, databaseId, names) {
+  const { dataSourceId } = await getFaqDataSource(notion, databaseId);
+  const rows = await queryDataSourceRows(notion, dataSourceId, MAX_FAQ_DATABASE_ROWS);
+  return rows.slice(0, MAX_FAQ_DATABASE_ROWS).map((row) => readFaqRow(row, names));
+}
+
+/**
+ * List an FAQ database's rows as { id, url, question, answer, tags, owner, lastVerified }
+ */
+export async function listFaqDatabaseRows(databaseId, properties = {}) {
+  return fetchFaqRows(getNotion(), databaseId, { ...FAQ_DATABASE_PROPERTIES, ...properties });
+}
+
+/**
+ * Check whether a Notion URL or ID points at a database rather than a page
+ */
+export async function isNotionDatabase(urlOrId) {
+  const notion = getNotion();
+  const normalizedId = extractPageId(urlOrId);
+  if (!normalizedId) return false;
+
+  try {
+    await notion.databases.retrieve({ database_id: normalizedId });
+    return true;
+  } catch (err) {
+    // Notion answers a page ID with a validation error (or not found if it isn't shared)
+    if (err?.status === 400 || err?.status === 404) return false;
+    throw err;
+  }
+}
+
+/**
+ * Fetch every row of an FAQ database as markdown-like text: a heading per
+ * question, then its answer and metadata. Rows without an Answer property
+ * value use the row page's body instead.
+ *
+ * @param {string} databaseId - Database URL or ID
+ * @param {object} properties - Property name overrides for FAQ_DATABASE_PROPERTIES
+ */
+export async function fetchFaqDatabaseContent(databaseId, properties = {}, logger = null) {
+  const notion = getNotion();
+  const names = { ...FAQ_DATABASE_PROPERTIES, ...properties };
+
+  if (logger) logger.info(`[Notion] Fetching FAQ database ${String(databaseId).slice(0, 30)}...`);
+  const rows = await fetchFaqRows(notion, databaseId, names);
+
+  const entries = [];
+  for (const row of rows) {
+    if (!row.question) continue;
+
+    let answer = row.answer;
+    if (!answer) {
+      const body = await renderBlocks(notion, await listBlockChildren(notion, row.id), { depth: 0, visited: new Set(), logger });
+      answer = body.join("\n\n");
+    }
+
+    const meta = [
+      row.tags && `Tags: ${row.tags}`,
+      row.owner && `Owner: ${row.owner}`,
+      row.lastVerified && `Last verified: ${row.lastVerified}`,
+    ].filter(Boolean);
+    entries.push([`## ${row.question}`, answer, meta.join(" · ")].filter(Boolean).join("\n"));
+  }
+
+  const content = entries.join("\n\n");
+  if (logger) logger.info(`[Notion] Converted ${entries.length} FAQ row(s) to text: ${content.length} characters`);
+  return content;
+}
+
+/**
+ * Latest edit across an FAQ database: its schema or any of its rows.
+ * (A row edit doesn't move the database's own last_edited_time.)
+ */
+export async function getFaqDatabaseLastEditedTime(databaseId) {
+  const notion = getNotion();
+  const { dataSourceId, lastEditedTime } = await getFaqDataSource(notion, databaseId);
+  const response = await notion.dataSources.query({
+    data_source_id: dataSourceId,
+    sorts: [{ timestamp: "last_edited_time", direction: "descending" }],
+    page_size: 1,
+  });
+  const latestRowEdit = response.results[0]?.last_edited_time ?? null;
+  return [lastEditedTime, latestRowEdit].filter(Boolean).sort().at(-1) ?? null;
+}
+
+/**
+ * Find the FAQ row whose question or answer contains one of the search texts.
+ * Same result shape as findBlockByContent, with the row standing in for the block.
+ *
+ * @returns {Promise<{blockId: string, blockUrl: string, matchedText: string} | null>}
+ */
+export async function findFaqDatabaseRow(databaseId, searchTexts, properties = {}, logger = null) {
+  const notion = getNotion();
+  const names = { ...FAQ_DATABASE_PROPERTIES, ...properties };
+
+  const normalizedSearchTexts = (searchTexts || []).map(normalizeText).filter(Boolean);
+  if (normalizedSearchTexts.length === 0) return null;
+
+  let rows;
+  try {
+    rows = await fetchFaqRows(notion, databaseId, names);
+  } catch (err) {
+    if (logger) logger.error(`[Notion] Error fetching FAQ rows for search: ${err?.message ?? err}`);
+    return null;
+  }
+
+  let bestMatch = null;
+  let bestMatchScore = 0;
+  for (const row of rows) {
+    const normalizedRowText = normalizeText(`${row.question}\n${row.answer}`);
+    if (!normalizedRowText) continue;
+    for (const searchText of normalizedSearchTexts) {
+      const score = normalizedRowText.includes(searchText) ? searchText.length / normalizedRowText.length : 0;
+      if (score > bestMatchScore) {
+        bestMatchScore = score;
+        bestMatch = row;
+      }
+    }
+  }
+
+  if (!bestMatch) {
+    if (logger) logger.warn(`[Notion] No matching FAQ row found for any of the search texts`);
+    return null;
+  }
+  if (logger) logger.info(`[Notion] Found matching FAQ row: ${bestMatch.id} ("${bestMatch.question.slice(0, 60)}")`);
+  return { blockId: bestMatch.id, blockUrl: bestMatch.url, matchedText: bestMatch.answer || bestMatch.question };
+}
+
+/**
+ * Add a Q&A row to an FAQ database, filling in whichever of the Question,
+ * Answer, Owner and Last verified properties the database has. Without an
+ * Answer property, the answer becomes the row's page body.
+ *
+ * @param {{ question: string, answer: string, owner?: string }} entry - owner: who answered, by name
+ * @returns {Promise<string>} URL of the new row
+ */
+export async function createFaqDatabaseRow(databaseId, { question, answer, owner = "" }, properties = {}, logger = null) {
+  const notion = getNotion();
+  const names = { ...FAQ_DATABASE_PROPERTIES, ...properties };
+
+  const { dataSourceId } = await getFaqDataSource(notion, databaseId);
+  const dataSource = await notion.dataSources.retrieve({ data_source_id: dataSourceId });
+  const schema = dataSource.properties ?? {};
+
+  const values = {};
+  const setValue = (name, value) => {
+    const propValue = value && schema[name] ? propertyValue(schema[name].type, value) : null;
+    if (propValue) values[name] = propValue;
+    return !!propValue;
+  };
+
+  // Every row needs its title set — it holds the question unless a separate Question property does
+  const titleName = Object.keys(schema).find((name) => schema[name].type === "title");
+  if (!setValue(names.question, question) || titleName !== names.question) {
+    if (titleName) values[titleName] = propertyValue("title", question);
+  }
+  const answerInProperty = setValue(names.answer, answer);
+  setValue(names.owner, owner);
+  setValue(names.lastVerified, today());
+
+  if (logger) {
+    logger.info(`[Notion] Creating FAQ row in database ${String(databaseId).slice(0, 30)} (${Object.keys(values).join(", ")})`);
+  }
+
+  const page = await notion.pages.create({
+    parent: { type: "data_source_id", data_source_id: dataSourceId },
+    properties: values,
+    ...(answerInProperty
+      ? {}
+      : {
+          children: answer
+            .split(/\n\n+/)
+            .filter(Boolean)
+            .map((p) => ({ object: "block", type: "paragraph", paragraph: { rich_text: textToRichText(p) } })),
+        }),
+  });
+
+  const url = rowUrl(page);
+  if (logger) logger.info(`[Notion] Created FAQ row: ${url}`);
+  return url;
+}
+
+/**
+ * Replace an FAQ row's answer and mark it verified today.
+ *
+ * @returns {Promise<string>} URL of the row
+ */
+export async function updateFaqDatabaseRow(rowId, newAnswer, properties = {}, logger = null) {
+  const notion = getNotion();
+  const names = { ...FAQ_DATABASE_PROPERTIES, ...properties };
+
+  const page = await notion.pages.retrieve({ page_id: rowId });
+  const answerProp = page.properties?.[names.answer];
+  const answerValue = answerProp ? propertyValue(answerProp.type, newAnswer) : null;
+  if (!answerValue) {
+    throw new Error(`FAQ row has no text "${names.answer}" property to update`);
+  }
+
+  const values = { [names.answer]: answerValue };
+  if (page.properties?.[names.lastVerified]?.type === "date") {
+    values[names.lastVerified] = propertyValue("date", today());
+  }
+
+  if (logger) logger.info(`[Notion] Updating FAQ row ${rowId.slice(0, 8)}... (${newAnswer.length} characters)`);
+  await notion.pages.update({ page_id: rowId, properties: values });
+  return rowUrl(page);
+}
+
+/**
+ * Set an FAQ row's Last verified to today, when the database has that column.
+ *
+ * @returns {Promise<boolean>} whether the row has a date column to set
+ */
+export async function markFaqDatabaseRowVerified(rowId, properties = {}, logger = null) {
+  const notion = getNotion();
+  const names = { ...FAQ_DATABASE_PROPERTIES, ...properties };
+
+  const page = await notion.pages.retrieve({ page_id: rowId });
+  if (page.properties?.[names.lastVerified]?.type !== "date") return false;
+
+  if (logger) logger.info(`[Notion] Marking FAQ row ${rowId.slice(0, 8)}... verified`);
+  await notion.pages.update({ page_id: rowId, properties: { [names.lastVerified]: propertyValue("date", today()) } });
+  return true;
+}
+
+/**
+ * Move an FAQ row to the trash (restorable from Notion for 30 days).
+ */
+export async function deleteFaqDatabaseRow(rowId, logger = null) {
+  const notion = getNotion();
+  if (logger) logger.info(`[Notion] Trashing FAQ row ${rowId.slice(0, 8)}...`);
+  await notion.pages.update({ page_id: rowId, in_trash: true });
+}
@@ -0,0 +1,124 @@
+import { looksLikeQuestion } from "./slack-helpers.js";
+import { scoreQuestionCandidates } from "./llm.js";
+import { workspaceState } from "./workspaces.js";
+
+// One batcher per workspace and pre-filter settings, so workspaces never share a prompt
+const batchers = workspaceState(() => new Map()); // "model:windowMs:maxBatchSize" -> { anthropic, batcher }
+
+/**
+ * Queue messages for the pre-filter model and score everything that arrives within
+ * windowMs of the first one (or maxBatchSize messages) in a single call.
+ * score() resolves to { probability, reason }, or null if the model skipped the message.
+ */
+export function createQuestionBatcher({ anthropic, model, windowMs = 1500, maxBatchSize = 10, logger = null }) {
+  let pending = [];
+  let timer = null;
+  let nextId = 1;
+
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batch = pending;
+    pending = [];
+    if (batch.length === 0) return;
+
+    try {
+      const scores = await scoreQuestionCandidates(
+        anthropic,
+        model,
+        batch.map(({ id, text, channelName }) => ({ id, text, channelName }))
+      );
+      if (logger) logger.debug(`[QuestionFilter] Scored ${batch.length} message(s) in one call`);
+      for (const item of batch) item.resolve(scores.get(item.id) ?? null);
+    } catch (err) {
+      for (const item of batch) item.reject(err);
+    }
+  }
+
+  return {
+    score(text, channelName = null) {
+      return new Promise((resolve, reject) => {
+        pending.push({ id: `m${nextId++}`, text, channelName, resolve, reject });
+        if (pending.length >= maxBatchSize) {
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, windowMs);
+        }
+      });
+    },
+  };
+}
+
+function getBatcher(anthropic, settings, logger) {
+  const key = [settings.model, settings.batchWindowMs, settings.maxBatchSize].join(":");
+  const cached = batchers().get(key);
+  if (cached?.anthropic === anthropic) return cached.batcher;
+
+  const batcher = createQuestionBatcher({
+    anthropic,
+    model: settings.model,
+    windowMs: settings.batchWindowMs,
+    maxBatchSize: settings.maxBatchSize,
+    logger,
+  });
+  batchers().set(key, { anthropic, batcher });
+  return batcher;
+}
+
+/**
+ * Cheap first pass: "question" if it looks like one, "unlikely" if it's too short or
+ * has no words to be an ask (thanks, emoji, links), otherwise "maybe".
+ */
+export function heuristicVerdict(text) {
+  if (looksLikeQuestion(text)) return "question";
+  const words = (text ?? "")
+    .replace(/<[^>]+>/g, " ") // mentions, channels, links
+    .replace(/:[a-z0-9_+-]+:/gi, " ") // emoji
+    .split(/\s+/)
+    .filter((w) => /\p{L}/u.test(w));
+  return words.length < 3 ? "unlikely" : "maybe";
+}
+
+/**
+ * Decide whether a message should go on to full classification.
+ * Without the pre-filter only messages that look like questions pass. With it, anything
+ * but obvious chatter is scored by the pre-filter model and has to reach the channel's
+ * threshold. @-mentions always pass. Returns { pass, stage, reason, probability }.
+ */
+export async function detectQuestion(ctx, { text, channelName = null, channelRule = null, isBotMention = false }, logger) {
+  const settings = ctx.config.questionPrefilter;
+  const where = channelName ? `#${channelName}` : "channel";
+  const drop = (stage, reason, probability = null) => {
+    // Heuristic drops are most channel chatter, so they only show up in debug logs
+    logger[stage === "prefilter" ? "info" : "debug"](`[QuestionFilter] Dropped message in ${where} at ${stage}: ${reason} — "${text.substring(0, 80)}"`);
+    return { pass: false, stage, reason, probability };
+  };
+
+  if (isBotMention) return { pass: true, stage: "mention", reason: "bot was @-mentioned", probability: null };
+
+  const verdict = heuristicVerdict(text);
+  if (!settings.enabled) {
+    return verdict === "question"
+      ? { pass: true, stage: "heuristic", reason: "looks like a question", probability: null }
+      : drop("heuristic", "no question mark or question opener");
+  }
+  if (verdict === "unlikely") return drop("heuristic", "too short to be a question");
+
+  let score;
+  try {
+    score = await getBatcher(ctx.anthropic, settings, logger).score(text, channelName);
+  } catch (err) {
+    logger.warn(`[QuestionFilter] Pre-filter failed, falling back to the heuristic: ${err?.message ?? err}`);
+  }
+  if (!score) {
+    return verdict === "question"
+      ? { pass: true, stage: "heuristic", reason: "looks like a question (pre-filter unavailable)", probability: null }
+      : drop("heuristic", "no question mark or question opener (pre-filter unavailable)");
+  }
+
+  const threshold = channelRule?.questionThreshold ?? settings.threshold;
+  if (score.probability < threshold) {
+    return drop("prefilter", `${score.reason} (${score.probability.toFixed(2)} < ${threshold})`, score.probability);
+  }
+  return { pass: true, stage: "prefilter", reason: score.reason, probability: score.probability };
+}
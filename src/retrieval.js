@@ -0,0 +1,239 @@
+/**
+ * Local retrieval over Notion FAQ content.
+ *
+ * Pages fetched by fetchPageContent are chunked into Q&A-sized passages and
+ * indexed with BM25. Only the top-k passages for a question are handed to
+ * askClaude, so large wikis no longer get silently truncated. An optional
+ * embedding provider can be registered to blend vector similarity into the score.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const DEFAULT_MAX_PASSAGE_CHARS = 1200;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "how",
+  "i", "if", "in", "is", "it", "of", "on", "or", "our", "that", "the", "this", "to", "was",
+  "we", "what", "when", "where", "which", "who", "why", "will", "with", "you", "your",
+]);
+
+// pageId -> { content, index }
+const indexCache = new Map();
+
+// Optional async (texts: string[]) => number[][]
+let embeddingProvider = null;
+
+/**
+ * Register a local embedding function to blend with BM25 scores.
+ * Pass null to go back to BM25 only.
+ */
+export function setEmbeddingProvider(provider) {
+  embeddingProvider = typeof provider === "function" ? provider : null;
+  // Cached indexes were built without (or with different) vectors
+  indexCache.clear();
+}
+
+export function tokenize(text) {
+  return (text ?? "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+function isBoundary(block) {
+  return (
+    /^#{1,3} /.test(block) ||
+    /^> /.test(block) ||
+    /^(q|question)[:\s]/i.test(block)
+  );
+}
+
+/**
+ * Split page text (blocks separated by blank lines) into passages.
+ * A new passage starts at every heading, toggle or "Q:" line, and long
+ * sections are split once they exceed maxPassageChars.
+ *
+ * @returns {{ id: string, pageId: string, title: string, section: string, text: string }[]}
+ */
+export function chunkContent(content, { pageId = "", title = "", maxPassageChars = DEFAULT_MAX_PASSAGE_CHARS } = {}) {
+  const passages = [];
+  let section = "";
+  let current = [];
+  let currentLength = 0;
+  let headingOnly = false;
+
+  const flush = () => {
+    const text = current.join("\n\n").trim();
+    if (text) {
+      passages.push({ id: `${pageId}:${passages.length}`, pageId, title, section, text });
+    }
+    current = [];
+    currentLength = 0;
+    headingOnly = false;
+  };
+
+  // Child blocks are indented, so "blank" separator lines may hold spaces
+  for (const raw of (content ?? "").split(/\n[ \t]*\n/)) {
+    const block = raw.replace(/\s+$/, "");
+    if (!block.trim()) continue;
+
+    if (block.trim() === "---") {
+      flush();
+      continue;
+    }
+
+    const heading = block.match(/^#{1,3} (.+)/);
+    if (isBoundary(block)) {
+      // Keep a heading attached to the question or text that follows it
+      if (!headingOnly) flush();
+      if (heading && /^#{1,2} /.test(block)) section = heading[1].trim();
+    } else if (currentLength + block.length > maxPassageChars && current.length > 0) {
+      flush();
+    }
+
+    headingOnly = Boolean(heading) && (headingOnly || current.length === 0);
+    current.push(block);
+    currentLength += block.length;
+  }
+  flush();
+
+  return passages;
+}
+
+/**
+ * Build a BM25 index over passages.
+ */
+export function buildIndex(passages) {
+  const docs = passages.map((p) => {
+    const tokens = tokenize(`${p.section} ${p.text}`);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { length: tokens.length, tf };
+  });
+
+  const df = new Map();
+  for (const d of docs) {
+    for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  }
+
+  const avgLength = docs.length ? docs.reduce((sum, d) => sum + d.length, 0) / docs.length : 0;
+
+  return { passages, docs, df, avgLength, vectors: null };
+}
+
+function bm25Scores(index, queryTokens) {
+  const n = index.docs.length;
+  return index.docs.map((d) => {
+    let score = 0;
+    for (const t of queryTokens) {
+      const freq = d.tf.get(t);
+      if (!freq) continue;
+      const df = index.df.get(t) || 0;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      const norm = freq + BM25_K1 * (1 - BM25_B + BM25_B * (d.length / (index.avgLength || 1)));
+      score += idf * ((freq * (BM25_K1 + 1)) / norm);
+    }
+    return score;
+  });
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+/**
+ * Score passages in one or more indexes against a query and return the top k.
+ *
+ * @returns {Promise<Array<object & { score: number }>>}
+ */
+export async function searchIndexes(indexes, query, topK = 8) {
+  const queryTokens = [...new Set(tokenize(query))];
+  const scored = [];
+
+  let queryVector = null;
+  if (embeddingProvider && indexes.some((ix) => ix.vectors)) {
+    [queryVector] = await embeddingProvider([query]);
+  }
+
+  for (const index of indexes) {
+    const bm25 = bm25Scores(index, queryTokens);
+    const maxBm25 = Math.max(0, ...bm25);
+    index.passages.forEach((p, i) => {
+      let score = maxBm25 > 0 ? bm25[i] / maxBm25 : 0;
+      if (queryVector && index.vectors?.[i]) {
+        score = 0.5 * score + 0.5 * cosine(queryVector, index.vectors[i]);
+      }
+      scored.push({ ...p, score });
+    });
+  }
+
+  return scored
+    .filter((p) => p.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Get (or build) the index for a page, rebuilding whenever its content changes.
+ */
+async function getPageIndex(pageId, title, content, maxPassageChars) {
+  const cached = indexCache.get(pageId);
+  if (cached && cached.content === content) return cached.index;
+
+  const index = buildIndex(chunkContent(content, { pageId, title, maxPassageChars }));
+  if (embeddingProvider && index.passages.length > 0) {
+    index.vectors = await embeddingProvider(index.passages.map((p) => `${p.section}\n${p.text}`));
+  }
+
+  indexCache.set(pageId, { content, index });
+  return index;
+}
+
+/**
+ * Read FAQ sources (Notion through the shared content cache), index them, and
+ * return the top-k passages for a question plus a ready-to-send context string.
+ *
+ * @param {object} ctx - Shared context (readKnowledgeSource, logger)
+ * @param {{ type: string, id: string, title?: string }[]} sources - source descriptors, see getAreaFaqSource
+ * @param {string} question
+ * @param {{ topK?: number, maxPassageChars?: number }} options
+ * @returns {Promise<{ passages: object[], content: string, pageIds: string[] }>}
+ */
+export async function retrievePassages(ctx, sources, question, { topK = 8, maxPassageChars = DEFAULT_MAX_PASSAGE_CHARS } = {}) {
+  const logger = ctx.logger;
+  const indexes = [];
+
+  for (const source of sources) {
+    try {
+      const content = await ctx.readKnowledgeSource(source);
+      if (!content) continue;
+      indexes.push(await getPageIndex(source.id, source.title || "", content, maxPassageChars));
+    } catch (err) {
+      if (logger) logger.warn(`[Retrieval] Failed to index page ${source.id}: ${err?.message ?? err}`);
+    }
+  }
+
+  const passages = await searchIndexes(indexes, question, topK);
+  const content = passages
+    .map((p) => {
+      const label = [p.title, p.section].filter(Boolean).join(" › ");
+      return label ? `--- ${label} ---\n${p.text}` : p.text;
+    })
+    .join("\n\n");
+  const pageIds = [...new Set(passages.map((p) => p.pageId))];
+
+  if (logger) {
+    const total = indexes.reduce((sum, ix) => sum + ix.passages.length, 0);
+    logger.info(`[Retrieval] Selected ${passages.length} of ${total} passage(s) from ${indexes.length} page(s)`);
+  }
+
+  return { passages, content, pageIds };
+}
@@ -0,0 +1,197 @@
+import { formatFaqReviewBlocks } from "./formatters.js";
+import { getEscalationById, markEscalationSkipped } from "./escalation-tracker.js";
+import { getFaqReviewById, updateFaqReviewDraft, resolveFaqReview, recordReviewEntryAppended } from "./review-tracker.js";
+import { reviseSuggestedUpdate } from "./llm.js";
+import { publishFaqEntry, notifyDuplicateAskers } from "./jobs.js";
+
+// Reviews being published right now, so a double-click (or two reviewers) can't write twice
+const reviewsInFlight = new Set();
+
+/**
+ * Re-render every reviewer's DM so they all see the current draft or decision.
+ */
+async function refreshReviewMessages(client, review, logger) {
+  for (const msg of review.messages ?? []) {
+    try {
+      await client.chat.update({
+        channel: msg.channel,
+        ts: msg.ts,
+        text: `FAQ entry for ${review.areaName}: ${review.status}`,
+        blocks: formatFaqReviewBlocks(review),
+      });
+    } catch (err) {
+      logger.warn(`[Review] Failed to update review DM for <@${msg.userId}>: ${err?.message ?? err}`);
+    }
+  }
+}
+
+function buildEditModal(review) {
+  return {
+    type: "modal",
+    callback_id: "faq_review_edit_modal",
+    private_metadata: review.id,
+    title: { type: "plain_text", text: "Edit FAQ entry" },
+    submit: { type: "plain_text", text: "Revise" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `*Current draft*\n*Q:* ${review.question}\n\n*A:* ${review.answer}`.slice(0, 3000) },
+      },
+      {
+        type: "input",
+        block_id: "feedback_block",
+        element: {
+          type: "plain_text_input",
+          action_id: "feedback_input",
+          multiline: true,
+          placeholder: { type: "plain_text", text: "e.g. Mention that this only applies to the Enterprise plan" },
+        },
+        label: { type: "plain_text", text: "What should change?" },
+      },
+    ],
+  };
+}
+
+/**
+ * The FAQ a review's entry goes to. Reviews queued before knowledge sources
+ * existed only carry notionPageId, plus notionDatabaseId for databases.
+ */
+function getReviewSource(review) {
+  if (review.source) return review.source;
+  if (review.notionDatabaseId) {
+    return { type: "notion-database", id: review.notionDatabaseId, databaseProperties: review.databaseProperties ?? null };
+  }
+  return { type: "notion-page", id: review.notionPageId };
+}
+
+/**
+ * Look up a review from a button click, telling the clicker if it's already been handled.
+ */
+async function getPendingReview(reviewId, body, client) {
+  const review = getFaqReviewById(reviewId);
+  if (review && review.status === "pending") return review;
+
+  await client.chat.postEphemeral({
+    channel: body.channel?.id ?? body.container?.channel_id,
+    user: body.user.id,
+    text: review
+      ? "This FAQ entry was already handled by another reviewer — no action needed!"
+      : "I couldn't find this FAQ review anymore.",
+  }).catch(() => {});
+  return null;
+}
+
+export function registerReviewHandlers(app, ctx) {
+  app.action("faq_review_approve", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    const reviewId = action.value;
+    // Claim before the first await, so a second click arriving meanwhile sees it
+    if (reviewsInFlight.has(reviewId)) return;
+    reviewsInFlight.add(reviewId);
+
+    try {
+      const review = await getPendingReview(reviewId, body, client);
+      if (!review) return;
+
+      logger.info(`[Review] <@${body.user.id}> approved review ${reviewId}`);
+
+      const faqUrl = await publishFaqEntry({ client, logger }, { ...ctx, logger }, getEscalationById(review.escalationId), {
+        productAreaId: review.productAreaId,
+        areaName: review.areaName,
+        source: getReviewSource(review),
+        formatStyle: review.formatStyle,
+        question: review.question,
+        answer: review.answer,
+        answeredBy: review.reviewerUserIds,
+        appendedEntry: review.appendedEntry ?? null,
+        onAppended: ({ entryId, url }) => recordReviewEntryAppended(reviewId, { entryId, url }),
+      });
+
+      await resolveFaqReview(reviewId, { status: "approved", decidedBy: body.user.id, faqUrl }, logger);
+      await refreshReviewMessages(client, review, logger);
+    } catch (err) {
+      logger.error(`[Review] Error approving review ${reviewId}: ${err?.message ?? err}`);
+      await client.chat.postEphemeral({
+        channel: body.channel?.id ?? body.container?.channel_id,
+        user: body.user.id,
+        text: `I ran into an error adding this to the FAQ: ${err?.message ?? "unknown error"}. Try again in a bit.`,
+      }).catch(() => {});
+    } finally {
+      reviewsInFlight.delete(reviewId);
+    }
+  });
+
+  app.action("faq_review_reject", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    const reviewId = action.value;
+    if (reviewsInFlight.has(reviewId)) return;
+    reviewsInFlight.add(reviewId);
+
+    try {
+      const review = await getPendingReview(reviewId, body, client);
+      if (!review) return;
+
+      logger.info(`[Review] <@${body.user.id}> rejected review ${reviewId}`);
+      await resolveFaqReview(reviewId, { status: "rejected", decidedBy: body.user.id }, logger);
+      await markEscalationSkipped(review.escalationId, "rejected_in_review");
+      // Repeat askers attached while this was in review still get pointed at the thread
+      const escalation = getEscalationById(review.escalationId);
+      if (escalation) await notifyDuplicateAskers({ client, logger }, escalation, null, logger);
+      await refreshReviewMessages(client, review, logger);
+    } catch (err) {
+      logger.error(`[Review] Error rejecting review ${reviewId}: ${err?.message ?? err}`);
+    } finally {
+      reviewsInFlight.delete(reviewId);
+    }
+  });
+
+  app.action("faq_review_edit", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    try {
+      const review = await getPendingReview(action.value, body, client);
+      if (!review) return;
+
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildEditModal(review),
+      });
+    } catch (err) {
+      logger.error(`[Review] Error opening edit modal: ${err?.message ?? err}`);
+    }
+  });
+
+  // Edits are applied by Claude from the reviewer's feedback, then re-sent for approval
+  app.view("faq_review_edit_modal", async ({ ack, body, view, client, logger }) => {
+    await ack();
+    const reviewId = view.private_metadata;
+    const feedback = view.state.values.feedback_block.feedback_input.value?.trim();
+
+    try {
+      const review = getFaqReviewById(reviewId);
+      if (!review || review.status !== "pending" || !feedback) return;
+
+      const revised = await reviseSuggestedUpdate(ctx.anthropic, ctx.config.claudeModel, {
+        originalQuestion: review.question,
+        currentSuggestion: review.answer,
+        feedback,
+      });
+
+      if (!revised) {
+        const dm = review.messages.find((m) => m.userId === body.user.id);
+        if (dm) {
+          await client.chat.postMessage({
+            channel: dm.channel,
+            text: "I couldn't generate a revision from that feedback. Could you try rephrasing?",
+          });
+        }
+        return;
+      }
+
+      const updated = await updateFaqReviewDraft(reviewId, revised, body.user.id, logger);
+      if (updated) await refreshReviewMessages(client, updated, logger);
+    } catch (err) {
+      logger.error(`[Review] Error revising review ${reviewId}: ${err?.message ?? err}`);
+    }
+  });
+}
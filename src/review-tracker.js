@@ -0,0 +1,193 @@
+import crypto from "node:crypto";
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
+
+const DOCUMENT_NAME = "faq-reviews";
+const ARCHIVE_COLLECTION = "faq_reviews";
+
+// Per-workspace review queue (a single entry in single-workspace mode)
+const state = workspaceState(() => ({ faqReviews: { reviews: [] } }));
+
+/**
+ * Generate a unique review ID
+ */
+function generateReviewId() {
+  return `rev_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+}
+
+/**
+ * Load pending FAQ reviews from the active store
+ */
+export async function loadFaqReviews(logger = null) {
+  const data = await getStore().loadDocument(DOCUMENT_NAME, null);
+  if (data) {
+    state().faqReviews = data;
+    if (!Array.isArray(state().faqReviews.reviews)) {
+      state().faqReviews.reviews = [];
+    }
+    if (logger) {
+      logger.info(`[Review] Loaded ${state().faqReviews.reviews.length} FAQ review(s)`);
+    }
+  } else {
+    state().faqReviews = { reviews: [] };
+    await saveFaqReviews();
+  }
+  return state().faqReviews;
+}
+
+/**
+ * Save FAQ reviews to the active store
+ */
+export async function saveFaqReviews() {
+  await getStore().saveDocument(DOCUMENT_NAME, state().faqReviews);
+}
+
+/**
+ * Queue a synthesized FAQ entry for approval before it is written to the FAQ.
+ * source is the descriptor of the FAQ it will be added to (see getAreaFaqSource).
+ */
+export async function trackFaqReview(
+  {
+    escalationId,
+    productAreaId,
+    areaName,
+    source,
+    formatStyle,
+    originalQuestion,
+    question,
+    answer,
+    reviewerUserIds,
+  },
+  logger = null
+) {
+  const review = {
+    id: generateReviewId(),
+    escalationId,
+    productAreaId,
+    areaName,
+    source,
+    formatStyle: formatStyle || null,
+    originalQuestion,
+    question,
+    answer,
+    reviewerUserIds: reviewerUserIds || [],
+    messages: [], // DMs carrying the review buttons: { userId, channel, ts }
+    createdAt: new Date().toISOString(),
+    status: "pending", // pending, approved, rejected
+  };
+
+  state().faqReviews.reviews.push(review);
+  await saveFaqReviews();
+
+  if (logger) {
+    logger.info(`[Review] Queued FAQ entry ${review.id} for review (escalation ${escalationId})`);
+    logger.info(`[Review]   Area: ${areaName}, Reviewers: ${review.reviewerUserIds.length} user(s)`);
+  }
+
+  return review;
+}
+
+/**
+ * Remember a DM that carries the review buttons, so it can be updated once decided
+ */
+export async function recordReviewMessage(id, { userId, channel, ts }) {
+  const review = getFaqReviewById(id);
+  if (!review) return false;
+
+  review.messages.push({ userId, channel, ts });
+  await saveFaqReviews();
+  return true;
+}
+
+/**
+ * Remember the FAQ entry an approval wrote, so a retry after a later step
+ * failed doesn't write it a second time
+ */
+export async function recordReviewEntryAppended(id, { entryId, url }) {
+  const review = getFaqReviewById(id);
+  if (!review) return false;
+
+  review.appendedEntry = { entryId, url };
+  await saveFaqReviews();
+  return true;
+}
+
+/**
+ * Replace the draft answer after an edit
+ */
+export async function updateFaqReviewDraft(id, answer, editedBy, logger = null) {
+  const review = getFaqReviewById(id);
+  if (!review || review.status !== "pending") return null;
+
+  review.answer = answer;
+  review.editedBy = editedBy;
+  review.editedAt = new Date().toISOString();
+  await saveFaqReviews();
+
+  if (logger) {
+    logger.info(`[Review] <@${editedBy}> revised the draft for review ${id}`);
+  }
+
+  return review;
+}
+
+/**
+ * Mark a review as approved (and published) or rejected
+ */
+export async function resolveFaqReview(id, { status, decidedBy, faqUrl = null }, logger = null) {
+  const review = getFaqReviewById(id);
+  if (!review || review.status !== "pending") return false;
+
+  review.status = status;
+  review.decidedBy = decidedBy;
+  review.decidedAt = new Date().toISOString();
+  if (faqUrl) {
+    review.faqUrl = faqUrl;
+  }
+
+  await saveFaqReviews();
+
+  if (logger) {
+    logger.info(`[Review] Review ${id} ${status} by <@${decidedBy}>`);
+  }
+
+  return true;
+}
+
+/**
+ * Get a review by ID
+ */
+export function getFaqReviewById(id) {
+  return state().faqReviews.reviews.find((r) => r.id === id) || null;
+}
+
+/**
+ * Get all reviews still waiting for a decision
+ */
+export function getPendingFaqReviews() {
+  return state().faqReviews.reviews.filter((r) => r.status === "pending");
+}
+
+/**
+ * Cleanup decided reviews older than maxAgeDays. Removed reviews are handed to
+ * the store's archive first.
+ */
+export async function cleanupOldFaqReviews(maxAgeDays = 30) {
+  const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+
+  const before = state().faqReviews.reviews.length;
+  const expired = [];
+  state().faqReviews.reviews = state().faqReviews.reviews.filter((r) => {
+    if (r.status === "pending") return true;
+    if (new Date(r.decidedAt || r.createdAt) > cutoff) return true;
+    expired.push(r);
+    return false;
+  });
+
+  if (state().faqReviews.reviews.length !== before) {
+    await getStore().archiveRecords(ARCHIVE_COLLECTION, expired);
+    await saveFaqReviews();
+  }
+
+  return before - state().faqReviews.reviews.length;
+}
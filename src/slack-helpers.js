@@ -22,8 +22,9 @@ export function looksLikeQuestion(text) {
   const t = (text ?? "").trim().toLowerCase();
   if (!t) return false;
 
-  if (t.includes("?")) return true;
+  if (t.includes("?") || t.includes("¿")) return true;
 
+  // English, then German and Spanish openers
   const starters = [
     "how",
     "how do",
@@ -46,6 +47,26 @@ export function looksLikeQuestion(text) {
     "do we",
     "does it",
     "is it",
+    "wie ",
+    "wann ",
+    "wer ",
+    "warum ",
+    "wieso ",
+    "welche",
+    "können ",
+    "gibt es",
+    "weiß jemand",
+    "hat jemand",
+    "cómo ",
+    "qué ",
+    "cuándo ",
+    "dónde ",
+    "quién ",
+    "por qué ",
+    "cuál",
+    "puedo ",
+    "se puede",
+    "alguien sabe",
   ];
 
   return starters.some((s) => t.startsWith(s));
@@ -108,6 +129,32 @@ export async function resolveWatchChannels(client, watchChannelNames, logger = n
   return { channelIds: new Set([...found.values()]), idToName: reverse };
 }
 
+/**
+ * Find a channel from a command argument: <#C123|name>, <#C123>, #name or name.
+ * Returns { id, name, isPrivate, isMember }, or null if it can't be found.
+ */
+export async function resolveChannelReference(client, ref, logger = null) {
+  const mention = (ref ?? "").match(/^<#([CG][A-Z0-9]+)(?:\|([^>]*))?>$/);
+  let id = mention?.[1] ?? null;
+  let name = mention?.[2] || null;
+
+  if (!id) {
+    name = (ref ?? "").replace(/^#/, "").trim().toLowerCase();
+    if (!name) return null;
+    const { channelIds } = await resolveWatchChannels(client, [name]);
+    id = [...channelIds][0] ?? null;
+    if (!id) return null;
+  }
+
+  try {
+    const { channel } = await client.conversations.info({ channel: id });
+    return { id, name: channel?.name ?? name, isPrivate: !!channel?.is_private, isMember: !!channel?.is_member };
+  } catch (err) {
+    if (logger) logger.warn(`[Channels] Could not look up channel ${id}: ${err?.message ?? err}`);
+    return mention ? { id, name, isPrivate: false, isMember: false } : null;
+  }
+}
+
 export async function initSlackIdentity(client) {
   const auth = await client.auth.test();
   return auth.user_id ?? null;
@@ -199,6 +246,22 @@ export async function resolveUsersByName(client, names, logger = null) {
 /**
  * Send a DM to a user
  */
+/**
+ * Comma-separated display names for the given users (falling back to their IDs)
+ */
+export async function getUserDisplayNames(client, userIds) {
+  const names = [];
+  for (const userId of userIds) {
+    try {
+      const res = await client.users.info({ user: userId });
+      names.push(res.user?.profile?.display_name || res.user?.real_name || res.user?.name || userId);
+    } catch {
+      names.push(userId);
+    }
+  }
+  return names.join(", ");
+}
+
 export async function sendDmToUser(client, userId, message, logger = null) {
   try {
     const dmResult = await client.conversations.open({ users: userId });
@@ -1,6 +1,7 @@
-import { normalizeQuotes, fetchAllUsers, resolveUsersByName } from "./slack-helpers.js";
+import { normalizeQuotes, fetchAllUsers, resolveUsersByName, resolveChannelReference } from "./slack-helpers.js";
 import { formatRosterArea } from "./formatters.js";
-import { extractPageId } from "./notion.js";
+import { getWatchedChannels, watchChannel, unwatchChannel } from "./watch-channels.js";
+import { getChannelRule } from "./channel-rules.js";
 import {
   getAllKnowledgeAreas,
   getKnowledgeAreaByName,
@@ -11,14 +12,18 @@ import {
   addTeamMember,
   promoteToLead,
   demoteToTeamMember,
+  getAreaSourceId,
+  getAreaSourceLabel,
+  resolveAreaSource,
 } from "./knowledge-areas.js";
 
 export function registerSlashCommand(app, ctx) {
-  const { config } = ctx;
-  const commandName = config.slashCommand || "/kbot";
+  // Registered once, so every workspace shares the main config's command name
+  const commandName = ctx.config.slashCommand || "/kbot";
 
-  app.command(commandName, async ({ command, ack, respond }) => {
+  app.command(commandName, async ({ command, ack, respond, client }) => {
     await ack();
+    const { config } = ctx;
 
     const normalizedText = normalizeQuotes(command.text.trim());
     const args = normalizedText.split(/\s+/);
@@ -54,10 +59,14 @@ export function registerSlashCommand(app, ctx) {
             if (area.description) {
               lines.push(`  _${area.description}_`);
             }
-            lines.push(`  Notion: \`${area.notionPageId.slice(0, 30)}...\``);
+            lines.push(`  ${getAreaSourceLabel(area)}: \`${getAreaSourceId(area).slice(0, 30)}...\``);
             lines.push(`  :star: Leads: ${leadsList}`);
             lines.push(`  :busts_in_silhouette: Team: ${teamList}`);
             lines.push(`  Keywords: ${area.keywords.join(", ") || "_none_"}`);
+            if (area.requireFaqApproval) {
+              lines.push(`  :lock: New FAQ entries need approval`);
+            }
+            lines.push(`  Escalation SLA: ${area.escalationSlaHours === 0 ? "off" : `${area.escalationSlaHours ?? config.escalationSla.defaultHours}h`}`);
             lines.push("");
           }
 
@@ -73,16 +82,17 @@ export function registerSlashCommand(app, ctx) {
           const ownersMatch = normalizedText.match(/owners?:"([^"]+)"/i);
           const descriptionMatch = normalizedText.match(/description:"([^"]+)"/i);
           const keywordsMatch = normalizedText.match(/keywords?:([^\s]+)/i);
+          const markdownMatch = normalizedText.match(/markdown:"?([^\s"]+)"?/i);
 
-          if (!nameMatch || !urlMatch) {
+          if (!nameMatch || !(urlMatch || markdownMatch)) {
             await respond({
-              text: `Usage: \`${commandName} add "Name" <notion_url> owners:"Name1,Name2" description:"What this area covers" keywords:key1,key2\``,
+              text: `Usage: \`${commandName} add "Name" <notion_url | markdown:path> owners:"Name1,Name2" description:"What this area covers" keywords:key1,key2\``,
             });
             return;
           }
 
           const name = nameMatch[1];
-          const notionPageId = urlMatch[0];
+          const sourceValue = markdownMatch ? markdownMatch[1] : urlMatch[0];
           const description = descriptionMatch ? descriptionMatch[1] : "";
           const keywords = keywordsMatch
             ? keywordsMatch[1].split(",").map((k) => k.trim()).filter(Boolean)
@@ -94,17 +104,18 @@ export function registerSlashCommand(app, ctx) {
             const ownerNames = ownersMatch[1].split(",").map((n) => n.trim()).filter(Boolean);
             if (ownerNames.length > 0) {
               app.logger.info(`[Slash] Looking up owners by name: ${ownerNames.join(", ")}`);
-              const resolvedIds = await resolveUsersByName(app.client, ownerNames, app.logger);
+              const resolvedIds = await resolveUsersByName(client, ownerNames, app.logger);
               ownerUserIds = resolvedIds;
             }
           }
 
-          if (!extractPageId(notionPageId)) {
-            await respond({ text: "Invalid Notion page URL or ID." });
+          const faqSource = await resolveAreaSource(sourceValue, app.logger);
+          if (!faqSource) {
+            await respond({ text: "Invalid Notion page URL or ID, or Markdown path." });
             return;
           }
 
-          const area = await addKnowledgeArea({ name, description, notionPageId, ownerUserIds, keywords }, app.logger);
+          const area = await addKnowledgeArea({ name, description, ...faqSource, ownerUserIds, keywords }, app.logger);
           const ownersList = ownerUserIds.length ? ownerUserIds.map((id) => `<@${id}>`).join(", ") : "_No owners_";
           await respond({
             text: `Added knowledge area *${area.name}* (ID: \`${area.id}\`)\nOwners: ${ownersList}${description ? `\n_${description}_` : ""}`,
@@ -158,7 +169,7 @@ export function registerSlashCommand(app, ctx) {
             const ownerNames = ownersMatch[1].split(",").map((n) => n.trim()).filter(Boolean);
             if (ownerNames.length > 0) {
               app.logger.info(`[Slash] Looking up leads by name: ${ownerNames.join(", ")}`);
-              ownerUserIds = await resolveUsersByName(app.client, ownerNames, app.logger);
+              ownerUserIds = await resolveUsersByName(client, ownerNames, app.logger);
             }
           }
 
@@ -199,7 +210,7 @@ export function registerSlashCommand(app, ctx) {
             const memberNames = membersMatch[1].split(",").map((n) => n.trim()).filter(Boolean);
             if (memberNames.length > 0) {
               app.logger.info(`[Slash] Looking up team members by name: ${memberNames.join(", ")}`);
-              memberUserIds = await resolveUsersByName(app.client, memberNames, app.logger);
+              memberUserIds = await resolveUsersByName(client, memberNames, app.logger);
             }
           }
 
@@ -310,6 +321,63 @@ export function registerSlashCommand(app, ctx) {
           break;
         }
 
+        case "set-approval": {
+          app.logger.info(`[Slash] Set-approval command from user ${command.user_id}`);
+          const matches = normalizedText.match(/set-approval\s+"([^"]+)"\s+(on|off)/i);
+
+          if (!matches) {
+            await respond({
+              text: `Usage: \`${commandName} set-approval "Name" <on|off>\``,
+            });
+            return;
+          }
+
+          const area = getKnowledgeAreaByName(matches[1]);
+          if (!area) {
+            await respond({ text: `Knowledge area "${matches[1]}" not found.` });
+            return;
+          }
+
+          const requireFaqApproval = matches[2].toLowerCase() === "on";
+          await updateKnowledgeArea(area.id, { requireFaqApproval }, app.logger);
+          await respond({
+            text: requireFaqApproval
+              ? `New *${area.name}* FAQ entries will now be DMed to the responding lead for approval before they're added to Notion.`
+              : `New *${area.name}* FAQ entries will be added to Notion automatically.`,
+          });
+          break;
+        }
+
+        case "set-sla": {
+          app.logger.info(`[Slash] Set-sla command from user ${command.user_id}`);
+          const matches = normalizedText.match(/set-sla\s+"([^"]+)"\s+(\d+(?:\.\d+)?|default|off)/i);
+
+          if (!matches) {
+            await respond({
+              text: `Usage: \`${commandName} set-sla "Name" <hours|default|off>\``,
+            });
+            return;
+          }
+
+          const area = getKnowledgeAreaByName(matches[1]);
+          if (!area) {
+            await respond({ text: `Knowledge area "${matches[1]}" not found.` });
+            return;
+          }
+
+          const value = matches[2].toLowerCase();
+          const escalationSlaHours = value === "default" ? null : value === "off" ? 0 : Number(value);
+          await updateKnowledgeArea(area.id, { escalationSlaHours }, app.logger);
+
+          const summary = escalationSlaHours === null
+            ? `the default (${config.escalationSla.defaultHours}h)`
+            : escalationSlaHours === 0 ? "off" : `${escalationSlaHours}h`;
+          await respond({
+            text: `Escalation SLA for *${area.name}* set to ${summary}.`,
+          });
+          break;
+        }
+
         case "lookup": {
           app.logger.info(`[Slash] Lookup command from user ${command.user_id}`);
           const searchTerm = args.slice(1).join(" ").trim().replace(/^"|"$/g, "");
@@ -319,7 +387,7 @@ export function registerSlashCommand(app, ctx) {
             return;
           }
 
-          const allUsers = await fetchAllUsers(app.client);
+          const allUsers = await fetchAllUsers(client);
           const wanted = searchTerm.toLowerCase();
 
           const matches = allUsers
@@ -364,25 +432,80 @@ export function registerSlashCommand(app, ctx) {
           break;
         }
 
+        case "watch":
+        case "unwatch": {
+          app.logger.info(`[Slash] ${subcommand} command from user ${command.user_id}`);
+          const ref = args.slice(1).join(" ").trim();
+
+          if (!ref) {
+            const names = [...ctx.watchChannelIds].map((id) => {
+              const name = ctx.channelIdToName.get(id);
+              return `• ${name ? `#${name}` : id} (\`${id}\`)`;
+            });
+            const watchedFromSlack = getWatchedChannels().length;
+            await respond({
+              text: names.length
+                ? `*Watching ${names.length} channel(s):*\n${names.join("\n")}\n\n_${watchedFromSlack} added from Slack. Usage: \`${commandName} ${subcommand} #channel\`_`
+                : `Not watching any channels. Usage: \`${commandName} watch #channel\``,
+            });
+            return;
+          }
+
+          const channel = await resolveChannelReference(client, ref, app.logger);
+          if (!channel) {
+            await respond({ text: `Channel ${ref} not found. Make sure the bot can see it, or pick it with #.` });
+            return;
+          }
+          const label = channel.name ? `<#${channel.id}|${channel.name}>` : `<#${channel.id}>`;
+
+          if (subcommand === "unwatch") {
+            await unwatchChannel(ctx, channel, app.logger);
+            const rule = getChannelRule(channel.id, channel.name);
+            await respond({
+              text: `Stopped watching ${label}.` +
+                (rule ? ` It still has a channel rule, so remove that in the App Home to stop answering there entirely.` : ""),
+            });
+            return;
+          }
+
+          if (!channel.isMember) {
+            if (channel.isPrivate || !config.channelWatching.autoJoin) {
+              await respond({ text: `I'm not in ${label} yet. Invite me with \`/invite @${config.botName}\` in that channel and I'll start watching it.` });
+              return;
+            }
+            await client.conversations.join({ channel: channel.id });
+            app.logger.info(`[Channels] Joined #${channel.name ?? channel.id}`);
+          }
+
+          await watchChannel(ctx, channel, command.user_id, app.logger);
+          await respond({ text: `Now watching ${label} — I'll answer questions there from now on.` });
+          break;
+        }
+
         case "help":
         default: {
           await respond({
             text: `*${config.botName} Commands:*
 • \`${commandName} list\` - List all knowledge areas with leads and team members
-• \`${commandName} add "Name" <notion_url> owners:"Name1,Name2" description:"..." keywords:key1,key2\` - Add a knowledge area
+• \`${commandName} add "Name" <notion_url | markdown:path> owners:"Name1,Name2" description:"..." keywords:key1,key2\` - Add a knowledge area
 • \`${commandName} remove <name or id>\` - Remove a knowledge area
 • \`${commandName} set-leads "Name" leads:"Lead1,Lead2"\` - Set leads (tagged on escalations)
 • \`${commandName} set-team "Name" members:"Member1,Member2"\` - Add team members (recognized experts, not tagged)
 • \`${commandName} promote "Name" @user\` - Promote a team member to lead
 • \`${commandName} demote "Name" @user\` - Demote a lead to team member
 • \`${commandName} set-description "Name" "Description"\` - Update area description
+• \`${commandName} set-approval "Name" <on|off>\` - Require a lead's approval before new FAQ entries are written to Notion
+• \`${commandName} set-sla "Name" <hours|default|off>\` - Hours without a reply before unanswered escalations are followed up
 • \`${commandName} roster ["Area Name"]\` - Inspect the learned team roster (leads, members, descriptions, activity)
 • \`${commandName} lookup <name>\` - Look up a user by name to get their ID
+• \`${commandName} watch [#channel]\` - Start answering questions in a channel (or list watched channels)
+• \`${commandName} unwatch #channel\` - Stop answering questions in a channel
 • \`${commandName} help\` - Show this help message
 
 _Leads get @-tagged on escalations. Team members are recognized as experts (bot won't answer their questions) but aren't tagged._
 _Team members can also be auto-discovered when they provide substantive answers in threads._
 _The roster is stored separately from config, so team data persists across deployments._
+_Inviting the bot to a channel also starts watching it._
 
 You can also manage knowledge areas from the App Home tab.`,
           });
@@ -0,0 +1,226 @@
+import fs from "node:fs/promises";
+import fsSync from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createRequire } from "node:module";
+import { DEFAULT_WORKSPACE, getWorkspaceId, isDefaultWorkspace } from "./workspaces.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const DEFAULT_DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+// Active store — set by initStorage(), lazily defaults to the JSON adapter
+let store = null;
+
+// ─── JSON file adapter ──────────────────────────────────────────────────────
+
+/**
+ * Store each document as data/<name>.json (the original on-disk layout).
+ * Names may contain "/" (workspace namespaces), which become subdirectories.
+ * Writes are serialized per document and go through a temp file + rename,
+ * so overlapping saves can never leave a half-written file behind.
+ * Archived records are dropped, matching the pre-storage behavior.
+ */
+export function createJsonFileStore(dataDir = DEFAULT_DATA_DIR) {
+  const writeQueues = new Map(); // name -> Promise
+
+  function docPath(name) {
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  async function writeAtomic(name, data) {
+    const filePath = docPath(name);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  return {
+    backend: "json",
+    dataDir,
+
+    async loadDocument(name, fallback = null) {
+      try {
+        const data = await fs.readFile(docPath(name), "utf8");
+        return JSON.parse(data);
+      } catch (err) {
+        if (err.code === "ENOENT") return fallback;
+        throw err;
+      }
+    },
+
+    saveDocument(name, data) {
+      // Snapshot now so later in-memory mutations don't leak into a queued write
+      const snapshot = JSON.parse(JSON.stringify(data));
+      const previous = writeQueues.get(name) ?? Promise.resolve();
+      const next = previous.catch(() => {}).then(() => writeAtomic(name, snapshot));
+      writeQueues.set(name, next);
+      return next;
+    },
+
+    async archiveRecords() {
+      return 0;
+    },
+
+    async listArchivedRecords() {
+      return [];
+    },
+
+    async close() {
+      await Promise.allSettled([...writeQueues.values()]);
+    },
+  };
+}
+
+// ─── SQLite adapter ─────────────────────────────────────────────────────────
+
+/**
+ * Store documents as rows in an embedded SQLite database.
+ * Archived records (e.g. escalations removed by the 30-day cleanup) are kept
+ * in an archive table so history outlives the in-memory working set.
+ * On first load of a document, an existing data/<name>.json is imported.
+ */
+export function createSqliteStore(dbPath, dataDir = DEFAULT_DATA_DIR) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error(`SQLite storage requires the optional "better-sqlite3" package: ${err?.message ?? err}`);
+  }
+
+  fsSync.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      name TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS archive (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      archived_at TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+    CREATE INDEX IF NOT EXISTS archive_by_time ON archive (collection, archived_at);
+  `);
+
+  const selectDoc = db.prepare("SELECT data FROM documents WHERE name = ?");
+  const upsertDoc = db.prepare(`
+    INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `);
+  const upsertArchived = db.prepare(`
+    INSERT INTO archive (collection, id, data, archived_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data, archived_at = excluded.archived_at
+  `);
+  const selectArchived = db.prepare(
+    "SELECT data FROM archive WHERE collection = ? AND archived_at >= ? ORDER BY archived_at"
+  );
+
+  const archiveMany = db.transaction((collection, records, now) => {
+    for (const record of records) {
+      upsertArchived.run(collection, String(record.id), JSON.stringify(record), now);
+    }
+  });
+
+  function importLegacyJson(name) {
+    const legacyPath = path.join(dataDir, `${name}.json`);
+    try {
+      const raw = fsSync.readFileSync(legacyPath, "utf8");
+      JSON.parse(raw); // validate before importing
+      upsertDoc.run(name, raw, new Date().toISOString());
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    backend: "sqlite",
+    dataDir,
+
+    async loadDocument(name, fallback = null) {
+      const row = selectDoc.get(name);
+      if (row) return JSON.parse(row.data);
+      return importLegacyJson(name) ?? fallback;
+    },
+
+    async saveDocument(name, data) {
+      upsertDoc.run(name, JSON.stringify(data), new Date().toISOString());
+    },
+
+    async archiveRecords(collection, records) {
+      if (!records?.length) return 0;
+      archiveMany(collection, records, new Date().toISOString());
+      return records.length;
+    },
+
+    async listArchivedRecords(collection, sinceIso = "") {
+      return selectArchived.all(collection, sinceIso).map((row) => JSON.parse(row.data));
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+// ─── Active store ───────────────────────────────────────────────────────────
+
+/**
+ * Select the storage backend. Call once during bootstrap, before any tracker loads.
+ */
+export function initStorage({ backend = "json", dataDir = DEFAULT_DATA_DIR, sqlitePath = "" } = {}, logger = null) {
+  if (backend === "sqlite") {
+    const dbPath = sqlitePath || path.join(dataDir, "knowledge-bot.db");
+    store = createSqliteStore(dbPath, dataDir);
+    if (logger) logger.info(`[Storage] Using SQLite backend at ${dbPath}`);
+  } else {
+    if (backend !== "json" && logger) {
+      logger.warn(`[Storage] Unknown storage backend "${backend}", falling back to JSON files`);
+    }
+    store = createJsonFileStore(dataDir);
+    if (logger) logger.info(`[Storage] Using JSON file backend in ${dataDir}`);
+  }
+  return store;
+}
+
+/**
+ * Prefix every document and archive collection with a workspace namespace, so
+ * each Slack workspace gets its own escalations, answers, roster and pending DMs.
+ */
+function createWorkspaceStore(base, teamId) {
+  const prefix = `workspaces/${teamId}/`;
+  return {
+    backend: base.backend,
+    dataDir: base.dataDir,
+    workspaceId: teamId,
+    loadDocument: (name, fallback = null) => base.loadDocument(prefix + name, fallback),
+    saveDocument: (name, data) => base.saveDocument(prefix + name, data),
+    archiveRecords: (collection, records) => base.archiveRecords(prefix + collection, records),
+    listArchivedRecords: (collection, sinceIso = "") => base.listArchivedRecords(prefix + collection, sinceIso),
+    close: () => base.close(),
+  };
+}
+
+/**
+ * Get the active store (JSON files under DATA_DIR unless initStorage() chose otherwise),
+ * namespaced to the current workspace. The default workspace keeps the original layout.
+ */
+export function getStore(teamId = getWorkspaceId()) {
+  if (!store) store = createJsonFileStore(DEFAULT_DATA_DIR);
+  return isDefaultWorkspace(teamId) ? store : createWorkspaceStore(store, teamId);
+}
+
+/**
+ * Get the un-namespaced store, for data shared by every workspace (e.g. Slack installations).
+ */
+export function getSharedStore() {
+  return getStore(DEFAULT_WORKSPACE);
+}
@@ -0,0 +1,181 @@
+import { formatFaqVerificationBlocks } from "./formatters.js";
+import { getKnowledgeSource } from "./knowledge-sources.js";
+import {
+  getFaqEntryById,
+  getVerificationBatchById,
+  getBatchEntries,
+  resolveFaqEntryVerification,
+} from "./verification-tracker.js";
+
+// Entries being verified, rewritten or deleted right now, so a double-click can't act twice
+const entriesInFlight = new Set();
+
+/**
+ * Re-render every lead's DM for the entry's batch so they all see the current decisions.
+ */
+async function refreshVerificationMessages(client, entry, logger) {
+  const batch = getVerificationBatchById(entry.verification?.batchId);
+  if (!batch) return;
+
+  for (const msg of batch.messages ?? []) {
+    try {
+      await client.chat.update({
+        channel: msg.channel,
+        ts: msg.ts,
+        text: `FAQ entries to verify for ${batch.areaName}`,
+        blocks: formatFaqVerificationBlocks(batch, getBatchEntries(batch)),
+      });
+    } catch (err) {
+      logger.warn(`[Verification] Failed to update verification DM for <@${msg.userId}>: ${err?.message ?? err}`);
+    }
+  }
+}
+
+function buildUpdateModal(entry) {
+  return {
+    type: "modal",
+    callback_id: "faq_verify_update_modal",
+    private_metadata: entry.id,
+    title: { type: "plain_text", text: "Update FAQ entry" },
+    submit: { type: "plain_text", text: "Update" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      ...(entry.question
+        ? [{ type: "section", text: { type: "mrkdwn", text: `*Q:* ${entry.question}`.slice(0, 3000) } }]
+        : []),
+      {
+        type: "input",
+        block_id: "entry_block",
+        element: {
+          type: "plain_text_input",
+          action_id: "entry_input",
+          multiline: true,
+          ...(entry.text ? { initial_value: entry.text.slice(0, 3000) } : {}),
+        },
+        label: { type: "plain_text", text: "What should it say now?" },
+      },
+    ],
+  };
+}
+
+/**
+ * Look up an entry from a button click, telling the clicker if it's already been settled.
+ */
+async function getPendingEntry(entryId, body, client) {
+  const entry = getFaqEntryById(entryId);
+  if (entry && entry.verification?.status === "pending") return entry;
+
+  await client.chat.postEphemeral({
+    channel: body.channel?.id ?? body.container?.channel_id,
+    user: body.user.id,
+    text: entry
+      ? "This FAQ entry was already handled by another lead — no action needed!"
+      : "I couldn't find this FAQ entry anymore.",
+  }).catch(() => {});
+  return null;
+}
+
+export function registerVerificationHandlers(app) {
+  app.action("faq_verify_confirm", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    const entryId = action.value;
+    if (entriesInFlight.has(entryId)) return;
+
+    try {
+      const entry = await getPendingEntry(entryId, body, client);
+      if (!entry) return;
+
+      entriesInFlight.add(entryId);
+      logger.info(`[Verification] <@${body.user.id}> confirmed entry ${entryId}`);
+
+      await getKnowledgeSource(entry.source).verifyEntry(entry.entryId, logger);
+      await resolveFaqEntryVerification(entryId, { status: "verified", decidedBy: body.user.id }, logger);
+      await refreshVerificationMessages(client, entry, logger);
+    } catch (err) {
+      logger.error(`[Verification] Error confirming entry ${entryId}: ${err?.message ?? err}`);
+      await client.chat.postEphemeral({
+        channel: body.channel?.id ?? body.container?.channel_id,
+        user: body.user.id,
+        text: `I ran into an error marking this entry as verified: ${err?.message ?? "unknown error"}. Try again in a bit.`,
+      }).catch(() => {});
+    } finally {
+      entriesInFlight.delete(entryId);
+    }
+  });
+
+  app.action("faq_verify_update", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    try {
+      const entry = await getPendingEntry(action.value, body, client);
+      if (!entry) return;
+
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildUpdateModal(entry),
+      });
+    } catch (err) {
+      logger.error(`[Verification] Error opening update modal: ${err?.message ?? err}`);
+    }
+  });
+
+  app.view("faq_verify_update_modal", async ({ ack, body, view, client, logger }) => {
+    await ack();
+    const entryId = view.private_metadata;
+    const text = view.state.values.entry_block.entry_input.value?.trim();
+    if (!text || entriesInFlight.has(entryId)) return;
+
+    try {
+      const entry = getFaqEntryById(entryId);
+      if (!entry || entry.verification?.status !== "pending") return;
+
+      entriesInFlight.add(entryId);
+      logger.info(`[Verification] <@${body.user.id}> updated entry ${entryId}`);
+
+      const url = await getKnowledgeSource(entry.source).updateEntry(entry.entryId, text, logger, {
+        note: `Updated by <@${body.user.id}> during FAQ verification`,
+      });
+      if (url) entry.url = url;
+      await resolveFaqEntryVerification(entryId, { status: "updated", decidedBy: body.user.id, text }, logger);
+      await refreshVerificationMessages(client, entry, logger);
+    } catch (err) {
+      logger.error(`[Verification] Error updating entry ${entryId}: ${err?.message ?? err}`);
+      const batch = getVerificationBatchById(getFaqEntryById(entryId)?.verification?.batchId);
+      const dm = batch?.messages.find((m) => m.userId === body.user.id);
+      if (dm) {
+        await client.chat.postMessage({
+          channel: dm.channel,
+          text: `I couldn't update that FAQ entry: ${err?.message ?? "unknown error"}. Try again in a bit.`,
+        }).catch(() => {});
+      }
+    } finally {
+      entriesInFlight.delete(entryId);
+    }
+  });
+
+  app.action("faq_verify_delete", async ({ ack, body, action, client, logger }) => {
+    await ack();
+    const entryId = action.value;
+    if (entriesInFlight.has(entryId)) return;
+
+    try {
+      const entry = await getPendingEntry(entryId, body, client);
+      if (!entry) return;
+
+      entriesInFlight.add(entryId);
+      logger.info(`[Verification] <@${body.user.id}> deleted entry ${entryId}`);
+
+      await getKnowledgeSource(entry.source).deleteEntry(entry.entryId, logger);
+      await resolveFaqEntryVerification(entryId, { status: "deleted", decidedBy: body.user.id }, logger);
+      await refreshVerificationMessages(client, entry, logger);
+    } catch (err) {
+      logger.error(`[Verification] Error deleting entry ${entryId}: ${err?.message ?? err}`);
+      await client.chat.postEphemeral({
+        channel: body.channel?.id ?? body.container?.channel_id,
+        user: body.user.id,
+        text: `I ran into an error deleting this entry: ${err?.message ?? "unknown error"}. Try again in a bit.`,
+      }).catch(() => {});
+    } finally {
+      entriesInFlight.delete(entryId);
+    }
+  });
+}
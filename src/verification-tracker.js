@@ -0,0 +1,249 @@
+import crypto from "node:crypto";
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
+
+const DOCUMENT_NAME = "faq-entries";
+const ARCHIVE_COLLECTION = "faq_verification_batches";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-workspace FAQ entry history and verification batches (a single entry in single-workspace mode)
+const state = workspaceState(() => ({ faqEntries: { entries: [], batches: [] } }));
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+}
+
+// Notion IDs come with and without dashes; Markdown entry IDs are headings and keep theirs
+const entryKey = (source, entryId) => `${source.id}::${source.type === "markdown" ? entryId : String(entryId).replace(/-/g, "")}`;
+
+/**
+ * When an entry was last known to be right: created, updated or verified — or,
+ * for entries the bot only ever cited, when it first saw them.
+ */
+export function getLastConfirmedAt(entry) {
+  return [entry.createdAt, entry.updatedAt, entry.verifiedAt, entry.firstSeenAt]
+    .filter(Boolean)
+    .sort()
+    .at(-1);
+}
+
+/**
+ * Load FAQ entry history from the active store
+ */
+export async function loadFaqEntries(logger = null) {
+  const data = await getStore().loadDocument(DOCUMENT_NAME, null);
+  if (data) {
+    state().faqEntries = data;
+    if (!Array.isArray(state().faqEntries.entries)) state().faqEntries.entries = [];
+    if (!Array.isArray(state().faqEntries.batches)) state().faqEntries.batches = [];
+    if (logger) {
+      logger.info(`[Verification] Loaded ${state().faqEntries.entries.length} tracked FAQ entr(ies)`);
+    }
+  } else {
+    state().faqEntries = { entries: [], batches: [] };
+    await saveFaqEntries();
+  }
+  return state().faqEntries;
+}
+
+/**
+ * Save FAQ entry history to the active store
+ */
+export async function saveFaqEntries() {
+  await getStore().saveDocument(DOCUMENT_NAME, state().faqEntries);
+}
+
+/**
+ * Find or start the record for an entry. Doesn't save.
+ */
+function upsertEntry({ productAreaId, source, entryId, url, text, question }) {
+  const k = entryKey(source, entryId);
+  let entry = state().faqEntries.entries.find((e) => e.key === k);
+  if (!entry) {
+    entry = {
+      id: generateId("ent"),
+      key: k,
+      productAreaId,
+      source,
+      entryId,
+      firstSeenAt: new Date().toISOString(),
+      citationCount: 0,
+      status: "active", // active, deleted
+    };
+    state().faqEntries.entries.push(entry);
+  }
+  if (url) entry.url = url;
+  if (text) entry.text = text;
+  if (question) entry.question = question;
+  return entry;
+}
+
+/**
+ * Record an entry the bot just added to an FAQ. text is the answer.
+ */
+export async function recordFaqEntryCreated({ productAreaId, source, entryId, url, question, text }, logger = null) {
+  if (!entryId) return null;
+  const entry = upsertEntry({ productAreaId, source, entryId, url, text, question });
+  entry.createdAt = new Date().toISOString();
+  await saveFaqEntries();
+  if (logger) logger.info(`[Verification] Tracking new FAQ entry ${entry.id}`);
+  return entry;
+}
+
+/**
+ * Record an entry the bot just rewrote (a correction or a verification update)
+ */
+export async function recordFaqEntryUpdated({ productAreaId, source, entryId, url, text }, logger = null) {
+  if (!entryId) return null;
+  const entry = upsertEntry({ productAreaId, source, entryId, url, text });
+  entry.updatedAt = new Date().toISOString();
+  await saveFaqEntries();
+  if (logger) logger.info(`[Verification] FAQ entry ${entry.id} updated`);
+  return entry;
+}
+
+/**
+ * Record the entries an answer cited (see resolveEvidenceCitations)
+ */
+export async function recordFaqEntriesCited(productAreaId, citations) {
+  const cited = (citations || []).filter((c) => c.entryId && c.source);
+  if (cited.length === 0) return;
+
+  const now = new Date().toISOString();
+  for (const citation of cited) {
+    const entry = upsertEntry({
+      productAreaId,
+      source: citation.source,
+      entryId: citation.entryId,
+      url: citation.blockUrl,
+      text: citation.entryText,
+    });
+    entry.lastCitedAt = now;
+    entry.citationCount = (entry.citationCount ?? 0) + 1;
+  }
+  await saveFaqEntries();
+}
+
+/**
+ * Active entries of an area not confirmed for maxAgeDays and not already asked
+ * about within that time. Entries still being cited come first, since a stale
+ * answer there is actively misleading people; then the oldest.
+ */
+export function getStaleFaqEntries(productAreaId, maxAgeDays) {
+  const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS).toISOString();
+  return state().faqEntries.entries
+    .filter((e) => e.productAreaId === productAreaId && e.status === "active")
+    .filter((e) => getLastConfirmedAt(e) <= cutoff)
+    .filter((e) => !e.verificationRequestedAt || e.verificationRequestedAt <= cutoff)
+    .sort((a, b) => (b.lastCitedAt ?? "").localeCompare(a.lastCitedAt ?? "") || getLastConfirmedAt(a).localeCompare(getLastConfirmedAt(b)));
+}
+
+/**
+ * When an area's leads were last sent a verification batch, or null
+ */
+export function getLastVerificationBatchAt(productAreaId) {
+  return state().faqEntries.batches
+    .filter((b) => b.productAreaId === productAreaId)
+    .map((b) => b.createdAt)
+    .sort()
+    .at(-1) ?? null;
+}
+
+/**
+ * Start a verification batch: the entries a set of DMs asks leads to confirm
+ */
+export async function createVerificationBatch({ productAreaId, areaName, entryIds }, logger = null) {
+  const now = new Date().toISOString();
+  const batch = {
+    id: generateId("ver"),
+    productAreaId,
+    areaName,
+    entryIds,
+    messages: [], // DMs carrying the batch: { userId, channel, ts }
+    createdAt: now,
+  };
+
+  for (const entry of getBatchEntries(batch)) {
+    entry.verificationRequestedAt = now;
+    entry.verification = { batchId: batch.id, status: "pending" }; // pending, verified, updated, deleted
+  }
+  state().faqEntries.batches.push(batch);
+  await saveFaqEntries();
+
+  if (logger) logger.info(`[Verification] Created batch ${batch.id} with ${entryIds.length} entr(ies) for ${areaName}`);
+  return batch;
+}
+
+/**
+ * Remember a DM that carries a batch, so it can be updated as entries are decided
+ */
+export async function recordVerificationMessage(batchId, { userId, channel, ts }) {
+  const batch = getVerificationBatchById(batchId);
+  if (!batch) return false;
+
+  batch.messages.push({ userId, channel, ts });
+  await saveFaqEntries();
+  return true;
+}
+
+/**
+ * Settle a pending verification: "verified" (still accurate), "updated" (rewritten
+ * with text) or "deleted". Returns the entry, or null if it was already settled.
+ */
+export async function resolveFaqEntryVerification(id, { status, decidedBy, text = null }, logger = null) {
+  const entry = getFaqEntryById(id);
+  if (!entry || entry.verification?.status !== "pending") return null;
+
+  const now = new Date().toISOString();
+  entry.verification = { ...entry.verification, status, decidedBy, decidedAt: now };
+  if (status === "verified") {
+    entry.verifiedAt = now;
+    entry.verifiedBy = decidedBy;
+  } else if (status === "updated") {
+    entry.updatedAt = now;
+    if (text) entry.text = text;
+  } else if (status === "deleted") {
+    entry.status = "deleted";
+    entry.deletedAt = now;
+  }
+  await saveFaqEntries();
+
+  if (logger) logger.info(`[Verification] Entry ${id} ${status} by <@${decidedBy}>`);
+  return entry;
+}
+
+export function getFaqEntryById(id) {
+  return state().faqEntries.entries.find((e) => e.id === id) || null;
+}
+
+export function getVerificationBatchById(id) {
+  return state().faqEntries.batches.find((b) => b.id === id) || null;
+}
+
+/**
+ * The entries a batch asks about, in order
+ */
+export function getBatchEntries(batch) {
+  return batch.entryIds.map(getFaqEntryById).filter(Boolean);
+}
+
+/**
+ * Cleanup verification batches older than maxAgeDays, and entries deleted that
+ * long ago. Removed batches are handed to the store's archive first.
+ */
+export async function cleanupOldVerificationBatches(maxAgeDays = 30) {
+  const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS).toISOString();
+  const { faqEntries } = state();
+
+  const expired = faqEntries.batches.filter((b) => b.createdAt <= cutoff);
+  const entriesBefore = faqEntries.entries.length;
+  faqEntries.entries = faqEntries.entries.filter((e) => e.status !== "deleted" || e.deletedAt > cutoff);
+
+  if (expired.length === 0 && faqEntries.entries.length === entriesBefore) return 0;
+
+  faqEntries.batches = faqEntries.batches.filter((b) => b.createdAt > cutoff);
+  if (expired.length > 0) await getStore().archiveRecords(ARCHIVE_COLLECTION, expired);
+  await saveFaqEntries();
+  return expired.length;
+}
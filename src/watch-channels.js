@@ -0,0 +1,87 @@
+import { getStore } from "./storage.js";
+import { workspaceState } from "./workspaces.js";
+
+const DOCUMENT_NAME = "watch-channels";
+
+// Per-workspace channels watched or unwatched from Slack, on top of WATCH_CHANNELS
+// (a single entry in single-workspace mode)
+const state = workspaceState(() => ({ watched: { channels: [], unwatched: [] } }));
+
+/**
+ * Load channels watched from Slack from the active store
+ */
+export async function loadWatchedChannels(logger = null) {
+  const data = await getStore().loadDocument(DOCUMENT_NAME, null);
+  state().watched = {
+    channels: Array.isArray(data?.channels) ? data.channels : [],
+    unwatched: Array.isArray(data?.unwatched) ? data.unwatched : [],
+  };
+  if (logger && state().watched.channels.length > 0) {
+    logger.info(`[Channels] Loaded ${state().watched.channels.length} channel(s) watched from Slack`);
+  }
+  return state().watched;
+}
+
+async function saveWatchedChannels() {
+  await getStore().saveDocument(DOCUMENT_NAME, state().watched);
+}
+
+/**
+ * Channels added with `watch` or by inviting the bot: { id, name, addedBy, addedAt }
+ */
+export function getWatchedChannels() {
+  return [...state().watched.channels];
+}
+
+/**
+ * Whether a channel was unwatched from Slack, so WATCH_CHANNELS shouldn't bring it back
+ */
+export function isChannelUnwatched(id, name = null) {
+  return state().watched.unwatched.some((c) => c.id === id || (name && c.name === name));
+}
+
+/**
+ * Merge channels watched from Slack into resolved WATCH_CHANNELS, dropping unwatched ones.
+ * Takes and returns { channelIds, idToName } as from resolveWatchChannels.
+ */
+export function applyWatchedChannels({ channelIds, idToName }) {
+  for (const channel of state().watched.channels) {
+    channelIds.add(channel.id);
+    if (channel.name) idToName.set(channel.id, channel.name);
+  }
+  for (const id of [...channelIds]) {
+    if (isChannelUnwatched(id, idToName.get(id))) channelIds.delete(id);
+  }
+  return { channelIds, idToName };
+}
+
+/**
+ * Start watching a channel now and across restarts
+ */
+export async function watchChannel(ctx, { id, name = null }, addedBy, logger = null) {
+  const { watched } = state();
+  watched.unwatched = watched.unwatched.filter((c) => c.id !== id);
+  if (!watched.channels.some((c) => c.id === id)) {
+    watched.channels.push({ id, name, addedBy, addedAt: new Date().toISOString() });
+  }
+  await saveWatchedChannels();
+
+  ctx.watchChannelIds.add(id);
+  if (name) ctx.channelIdToName.set(id, name);
+  if (logger) logger.info(`[Channels] Now watching ${name ? `#${name}` : id} (${id}), added by ${addedBy}`);
+}
+
+/**
+ * Stop watching a channel now and across restarts, including one listed in WATCH_CHANNELS
+ */
+export async function unwatchChannel(ctx, { id, name = null }, logger = null) {
+  const { watched } = state();
+  watched.channels = watched.channels.filter((c) => c.id !== id);
+  if (!watched.unwatched.some((c) => c.id === id)) {
+    watched.unwatched.push({ id, name, unwatchedAt: new Date().toISOString() });
+  }
+  await saveWatchedChannels();
+
+  ctx.watchChannelIds.delete(id);
+  if (logger) logger.info(`[Channels] Stopped watching ${name ? `#${name}` : id} (${id})`);
+}
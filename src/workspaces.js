@@ -0,0 +1,61 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Team-specific config (bot-config.json, knowledge-areas.json, workspaces/) — CONFIG_DIR overrides src/config
+export const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, "config");
+
+// Workspace ID used in single-workspace mode (SLACK_BOT_TOKEN) and for shared data like installations
+export const DEFAULT_WORKSPACE = "default";
+
+const currentWorkspace = new AsyncLocalStorage();
+
+/**
+ * Run fn with trackers, caches, config and the Notion client scoped to one Slack workspace.
+ * Everything awaited inside fn (including Bolt listeners) sees the same workspace.
+ */
+export function runInWorkspace(teamId, fn) {
+  const id = teamId || DEFAULT_WORKSPACE;
+  // Workspace IDs become directory and document names — only allow Slack-style IDs
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid workspace ID: ${id}`);
+  }
+  return currentWorkspace.run(id, fn);
+}
+
+/**
+ * Get the Slack team ID of the workspace being served (DEFAULT_WORKSPACE outside runInWorkspace).
+ */
+export function getWorkspaceId() {
+  return currentWorkspace.getStore() ?? DEFAULT_WORKSPACE;
+}
+
+export function isDefaultWorkspace(teamId = getWorkspaceId()) {
+  return teamId === DEFAULT_WORKSPACE;
+}
+
+/**
+ * Directory holding a workspace's bot-config.json and knowledge-areas.json.
+ * The default workspace uses CONFIG_DIR itself, so single-workspace setups are unchanged.
+ */
+export function getWorkspaceConfigDir(teamId = getWorkspaceId()) {
+  return isDefaultWorkspace(teamId) ? CONFIG_DIR : path.join(CONFIG_DIR, "workspaces", teamId);
+}
+
+/**
+ * Create per-workspace module state. Returns a getter that builds init() the first
+ * time each workspace asks for it and hands back the same object afterwards.
+ */
+export function workspaceState(init) {
+  const byWorkspace = new Map();
+  return () => {
+    const id = getWorkspaceId();
+    if (!byWorkspace.has(id)) {
+      byWorkspace.set(id, init());
+    }
+    return byWorkspace.get(id);
+  };
+}
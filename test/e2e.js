@@ -0,0 +1,1035 @@
+/**
+ * End-to-end test — drives the escalation loop through the real handlers and jobs
+ * against the in-memory fakes in test/fakes: a question nobody has answered is
+ * escalated, the area lead replies in the thread, and checkPendingEscalations
+ * writes the synthesized entry to the (fake) Notion FAQ page. Then checks that
+ * Notion change detection evicts only edited pages from the cache, that the
+ * cache is persisted and revalidated on warm start, and that areas backed by a
+ * Notion database or a Markdown folder read, add and correct entries.
+ * No network access or test framework required; exits 0 on success, 1 on failure.
+ *
+ * Usage: node test/e2e.js
+ */
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// Inject minimal env vars so config.js doesn't throw on missing secrets
+process.env.SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN || "xoxb-test";
+process.env.SLACK_APP_TOKEN = process.env.SLACK_APP_TOKEN || "xapp-test";
+process.env.SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET || "test-secret";
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || "sk-ant-test";
+process.env.NOTION_API_KEY = process.env.NOTION_API_KEY || "ntn_test";
+
+// Keep knowledge-areas.json and the data store out of the working tree
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "knowledge-bot-e2e-"));
+process.env.CONFIG_DIR = path.join(tmpDir, "config");
+process.env.DATA_DIR = path.join(tmpDir, "data");
+await fs.mkdir(process.env.CONFIG_DIR, { recursive: true });
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  FAIL: ${label}`);
+  }
+}
+
+async function run() {
+  console.log("E2E test: escalation → owner reply → FAQ update\n");
+
+  // Import after CONFIG_DIR is set, since config.js and workspaces.js read it at load time
+  const { default: config } = await import("../src/config.js");
+  const { initStorage, getStore } = await import("../src/storage.js");
+  const {
+    setNotionClient,
+    fetchPageContent,
+    fetchKbHierarchy,
+    appendFaqEntry,
+    findFaqDatabaseRow,
+    updateFaqDatabaseRow,
+    updateFaqBlock,
+    deleteFaqBlock,
+  } = await import("../src/notion.js");
+  const { createNotionScheduler } = await import("../src/notion-scheduler.js");
+  const { runInWorkspace } = await import("../src/workspaces.js");
+  const { loadKnowledgeAreas, getAllKnowledgeAreas, addKnowledgeArea, updateKnowledgeArea, addTeamMember, resolveAreaSource, getAreaFaqSource } = await import("../src/knowledge-areas.js");
+  const { getKnowledgeSource, resolveEvidenceCitations } = await import("../src/knowledge-sources.js");
+  const { loadEscalations, getAllEscalations, trackEscalation, markEscalationPendingReview, cleanupOldEscalations } = await import("../src/escalation-tracker.js");
+  const { loadFaqAnswers, getAllFaqAnswers, trackFaqAnswer, setCorrectionProposal, cleanupOldFaqAnswers } = await import("../src/answer-tracker.js");
+  const { computeAreaMetrics } = await import("../src/analytics.js");
+  const { loadFaqEntries, recordFaqEntriesCited, getFaqEntryById } = await import("../src/verification-tracker.js");
+  const { registerVerificationHandlers } = await import("../src/verification-handler.js");
+  const { trackFaqReview, getFaqReviewById } = await import("../src/review-tracker.js");
+  const { registerReviewHandlers } = await import("../src/review-handler.js");
+  const { registerFeedbackHandler } = await import("../src/feedback-handler.js");
+  const { registerCorrectionHandlers } = await import("../src/correction-handler.js");
+  const { loadDigests } = await import("../src/digest-tracker.js");
+  const { loadChannelRules, setChannelRule, removeChannelRule } = await import("../src/channel-rules.js");
+  const { registerChannelHandler, loadAreaChoices } = await import("../src/channel-handler.js");
+  const { detectQuestion } = await import("../src/question-detection.js");
+  const { registerSlashCommand } = await import("../src/slash-commands.js");
+  const { loadWatchedChannels, applyWatchedChannels } = await import("../src/watch-channels.js");
+  const { checkPendingEscalations, checkEscalationSlas, checkStaleFaqEntries, sendWeeklyDigests, publishFaqEntry } = await import("../src/jobs.js");
+  const { checkNotionChanges, evictNotionPages, getChangedPageIds, startNotionWebhookServer } = await import("../src/notion-changes.js");
+  const notionCacheMod = await import("../src/notion-cache.js");
+  const llm = await import("../src/llm.js");
+  const { createFakeNotion, notionBlock, apiError } = await import("./fakes/notion.js");
+  const { createFakeSlack, createFakeApp, createFakeLogger } = await import("./fakes/slack.js");
+  const { createFakeAnthropic } = await import("./fakes/anthropic.js");
+
+  initStorage({ backend: "json", dataDir: process.env.DATA_DIR });
+
+  // ── Fakes ──
+  const notion = createFakeNotion();
+  const faqPageId = notion.addPage("Sales FAQ", [
+    notionBlock.heading(2, "Sales FAQ"),
+    notionBlock.toggle("Q: Do we offer annual billing?", [notionBlock.paragraph("A: Yes, annual plans get two months free.")]),
+    notionBlock.toggle("Q: Who approves custom contracts?", [notionBlock.paragraph("A: The sales lead for the region.")]),
+  ]);
+  // Real request scheduling and retries, minus the waiting
+  const scheduler = createNotionScheduler({ requestsPerSecond: 1000, baseBackoffMs: 1 });
+  setNotionClient(notion.client, scheduler);
+
+  const slack = createFakeSlack({
+    botUserId: "UBOT",
+    channels: [
+      { id: "C1", name: "sales-questions" },
+      { id: "C7", name: "billing-help" },
+      { id: "C8", name: "partners", is_member: false },
+      { id: "C9", name: "onboarding", is_member: false },
+    ],
+    users: [{ id: "ULEAD", name: "lead" }, { id: "UASKER", name: "asker" }],
+  });
+  const app = createFakeApp(slack.client);
+
+  // ── Bot state ──
+  await loadKnowledgeAreas();
+  await loadEscalations();
+  await loadFaqAnswers();
+  await loadFaqEntries();
+  await loadDigests();
+  const area = await addKnowledgeArea({ name: "Sales", notionPageId: faqPageId, ownerUserIds: ["ULEAD"] });
+
+  const anthropic = createFakeAnthropic(new Map([
+    [llm.CLASSIFICATION_SCHEMA, () => ({ is_question: true, product_area_id: area.id, confidence: 0.95 })],
+    [llm.ANSWER_SCHEMA, () => ({
+      answer_found_in_faq: false,
+      answer: "",
+      evidence: [],
+      follow_up_questions: ["Which region is the customer in?"],
+      faq_topics: [],
+      needs_escalation: true,
+    })],
+    [llm.LEAD_SELECTION_SCHEMA, () => ({ selected_user_ids: ["ULEAD"], rationale: "Only lead" })],
+    [llm.DESCRIPTION_UPDATE_SCHEMA, () => ({ changed: false, updated_description: "" })],
+    [llm.SUBSTANTIVE_CHECK_SCHEMA, () => ({ has_substantive_answer: true, rationale: "Clear policy answer" })],
+    [llm.SYNTHESIS_SCHEMA, () => ({
+      question: "Can customers pay by wire transfer?",
+      answer: "Yes, for annual plans over $10k. Ask finance for the wire details.",
+      should_add_to_faq: true,
+    })],
+  ]));
+
+  const notionCache = notionCacheMod.getNotionCache();
+  const ttlMs = config.notionCacheTtlMs;
+  const ctx = {
+    config: { ...config, synthesisDelayMs: 0 },
+    anthropic,
+    notionCache,
+    kbHierarchyCache: notionCacheMod.getKbHierarchyCache(),
+    watchChannelIds: new Set(["C1"]),
+    channelIdToName: new Map([["C1", "sales-questions"]]),
+    botUserId: "UBOT",
+    getNotionContent: (pageId) => notionCacheMod.getCachedNotionContent(pageId, { ttlMs }),
+    readKnowledgeSource: (source) => getKnowledgeSource(source, { ttlMs }).read(),
+    getKbHierarchy: async () => [],
+    logger: app.logger,
+  };
+  registerChannelHandler(app, ctx);
+
+  // ── 1. Unanswerable question is escalated to the area lead ──
+  const question = slack.postUserMessage({ channel: "C1", user: "UASKER", text: "Can customers pay by wire transfer?" });
+  await app.dispatchEvent(question);
+
+  const escalationMsg = slack.botMessages("C1", question.ts)[0];
+  assert(escalationMsg, "bot replies in the question's thread");
+  assert(escalationMsg?.text.includes("<@ULEAD>"), "escalation pings the area lead");
+  assert(anthropic.callsFor(llm.CLASSIFICATION_SCHEMA).length === 1, "question is classified once");
+
+  const [escalation] = getAllEscalations();
+  assert(escalation?.productAreaId === area.id, "escalation is tracked for the Sales area");
+  assert(escalation?.status === "awaiting_response", "escalation awaits a response");
+  console.log("  escalation ✓");
+
+  // ── 2. Lead answers in the thread ──
+  await app.dispatchEvent(slack.postUserMessage({
+    channel: "C1",
+    user: "ULEAD",
+    thread_ts: question.ts,
+    text: "Yes — wire transfer is fine for annual plans over $10k, finance has the details.",
+  }));
+  assert(getAllEscalations()[0]?.status === "ready_to_synthesize", "owner reply starts synthesis");
+  console.log("  owner reply ✓");
+
+  // ── 3. Periodic job synthesizes and appends the FAQ entry ──
+  await checkPendingEscalations({ client: slack.client, logger: app.logger }, ctx);
+
+  const completed = getAllEscalations()[0];
+  assert(completed?.status === "completed", "escalation is completed");
+  assert(completed?.faqUrl?.startsWith("https://"), "escalation records the FAQ block URL");
+
+  const content = await fetchPageContent(faqPageId);
+  assert(content.includes("Q: Can customers pay by wire transfer?"), "FAQ page has the new question");
+  assert(content.includes("annual plans over $10k"), "FAQ page has the synthesized answer");
+  assert(content.includes("Do we offer annual billing?"), "existing FAQ entries are kept");
+
+  const announcement = slack.botMessages("C1", question.ts).at(-1);
+  assert(announcement?.text.includes("updated the *Sales FAQ*"), "thread is told the FAQ was updated");
+  console.log("  FAQ update ✓");
+
+  // ── 4. Change detection evicts only the pages that were edited ──
+  const supportPageId = notion.addPage("Support FAQ", [notionBlock.paragraph("Support hours are 9–5 CET.")]);
+  const cachePages = async () => {
+    for (const pageId of [faqPageId, supportPageId]) {
+      notionCache.delete(pageId);
+      await ctx.getNotionContent(pageId);
+    }
+  };
+
+  await cachePages();
+  assert((await checkNotionChanges(ctx)).length === 0, "unchanged pages stay cached");
+
+  await notion.client.blocks.children.append({ block_id: faqPageId, children: [notionBlock.paragraph("Edited by a lead.")] });
+  const changed = await checkNotionChanges(ctx);
+  assert(changed.length === 1 && !notionCache.has(faqPageId), "edited page is evicted");
+  assert(notionCache.has(supportPageId), "other pages stay cached");
+
+  ctx.kbHierarchyCache.data = [{ pageId: supportPageId.replace(/-/g, ""), title: "Support FAQ", depth: 1 }];
+  ctx.kbHierarchyCache.fetchedAt = Date.now();
+  const webhookEvent = { type: "page.content_updated", entity: { id: supportPageId, type: "page" }, data: {} };
+  evictNotionPages(ctx, getChangedPageIds(webhookEvent));
+  assert(!notionCache.has(supportPageId), "webhook event evicts the page");
+  assert(ctx.kbHierarchyCache.data === null, "webhook event for a KB page invalidates the hierarchy");
+
+  const webhookWarnings = [];
+  const changedByWebhook = [];
+  const webhookServer = startNotionWebhookServer({
+    port: 0,
+    verificationToken: "secret_test",
+    onPageChanged: (pageIds) => changedByWebhook.push(...pageIds),
+    logger: { ...createFakeLogger(), warn: (msg) => webhookWarnings.push(msg) },
+  });
+  await new Promise((resolve) => webhookServer.once("listening", resolve));
+  try {
+    const postWebhook = (body, headers = {}) => fetch(`http://127.0.0.1:${webhookServer.address().port}/notion/webhook`, { method: "POST", body, headers });
+    assert((await postWebhook("null")).status === 400 && (await postWebhook("1")).status === 400, "webhook bodies that aren't objects are rejected");
+    assert((await postWebhook(JSON.stringify(webhookEvent))).status === 401, "unsigned webhook events are rejected");
+    const tokenResponse = await postWebhook(JSON.stringify({ verification_token: "forged" }));
+    assert(tokenResponse.status === 401 && !webhookWarnings.some((w) => w.includes("forged")), "verification tokens are ignored once one is configured");
+    const signedBody = JSON.stringify(webhookEvent);
+    const signature = `sha256=${crypto.createHmac("sha256", "secret_test").update(signedBody).digest("hex")}`;
+    assert((await postWebhook(signedBody, { "x-notion-signature": signature })).status === 200, "signed webhook events are accepted");
+    assert(changedByWebhook.join() === supportPageId, "signed webhook events report the changed page");
+  } finally {
+    await new Promise((resolve) => webhookServer.close(resolve));
+  }
+  console.log("  change detection ✓");
+
+  // ── 5. Cache survives a restart and unchanged pages aren't refetched ──
+  await cachePages();
+  await notionCacheMod.saveNotionCache();
+  await notionCacheMod.loadNotionCache();
+  assert(notionCache.get(supportPageId)?.lastEditedTime, "cached pages are persisted with last_edited_time");
+
+  const warm = await notionCacheMod.prewarmNotionCache([faqPageId, supportPageId], { ttlMs });
+  assert(warm.revalidated === 2 && warm.fetched === 0, "pre-warm keeps unchanged pages");
+
+  await notion.client.blocks.children.append({ block_id: supportPageId, children: [notionBlock.paragraph("Weekend support on request.")] });
+  const rewarm = await notionCacheMod.prewarmNotionCache([faqPageId, supportPageId], { ttlMs });
+  assert(rewarm.revalidated === 1 && rewarm.fetched === 1, "pre-warm refetches edited pages");
+  assert(notionCache.get(supportPageId)?.content.includes("Weekend support"), "refetched page has the edit");
+  console.log("  persistent cache ✓");
+
+  // ── 6. Rate limits and transient errors are retried; unsafe writes are not ──
+  const before = scheduler.getMetrics();
+  notion.failNext(apiError(429, { "retry-after": "0" }), apiError(502));
+  assert((await fetchPageContent(supportPageId)).includes("Weekend support"), "reads succeed after a 429 and a 502");
+  const after = scheduler.getMetrics();
+  assert(after.retries - before.retries === 2 && after.rateLimited - before.rateLimited === 1, "retries and rate limits are counted");
+
+  notion.failNext(apiError(502));
+  const appendFailed = await appendFaqEntry(supportPageId, "Q?", "A.").then(() => false, () => true);
+  assert(appendFailed, "a write that may have been applied is not retried");
+
+  notion.addPage("Escalations", [], { parentId: supportPageId });
+  notion.failNext(...Array(6).fill(apiError(500)));
+  const crawlFailed = await fetchKbHierarchy(supportPageId).then(() => false, () => true);
+  assert(crawlFailed, "a KB crawl that keeps failing throws instead of returning a partial hierarchy");
+  assert((await fetchKbHierarchy(supportPageId)).length === 1, "KB crawl succeeds once Notion recovers");
+  console.log("  request retries ✓");
+
+  // ── 7. Answers hidden in tables, toggles, columns, synced blocks and databases are read ──
+  const pricingPageId = notion.addPage("Pricing FAQ", [
+    notionBlock.table([["Plan", "Seats"], ["Team", "up to 50"], ["Enterprise", "unlimited"]]),
+    notionBlock.bulletWith("Discounts", [notionBlock.toggle("Nonprofits?", [notionBlock.paragraph("40% off any plan.")])]),
+    notionBlock.columns([notionBlock.paragraph("Billed monthly")], [notionBlock.todo("Annual billing", true)]),
+    notionBlock.synced([notionBlock.paragraph("Prices exclude VAT.")]),
+    notionBlock.linkToPage(supportPageId),
+  ]);
+  const [syncedBlock] = (await notion.client.blocks.children.list({ block_id: pricingPageId })).results.filter((b) => b.type === "synced_block");
+  await notion.client.blocks.children.append({ block_id: pricingPageId, children: [notionBlock.syncedCopy(syncedBlock.id)] });
+  notion.addDatabase("Add-ons", [{ Name: "SSO", Price: "$4/seat", Plans: ["Team", "Enterprise"] }], { parentId: pricingPageId });
+
+  const pricing = await fetchPageContent(pricingPageId);
+  assert(pricing.includes("| Plan | Seats |\n| --- | --- |\n| Team | up to 50 |"), "tables are rendered as markdown tables");
+  assert(pricing.includes("    40% off any plan."), "nested toggle children are indented under their parents");
+  assert(pricing.includes("Billed monthly") && pricing.includes("- [x] Annual billing"), "column contents and to-dos are included");
+  assert(pricing.split("Prices exclude VAT.").length === 3, "synced block copies render their original's content");
+  assert(pricing.includes('→ See "Support FAQ"'), "links to pages show the linked page's title");
+  assert(pricing.includes("### Add-ons\n- SSO — Price: $4/seat; Plans: Team, Enterprise"), "inline database rows are listed with their properties");
+  console.log("  rich page content ✓");
+
+  // ── 8. An area backed by a Notion database reads, adds and corrects rows ──
+  const faqDatabaseId = notion.addDatabase("Support FAQ database", [
+    { Question: "How do I reset 2FA?", Answer: "Ask IT in #it-help.", Tags: ["security"], Owner: "Dana", "Last verified": "2026-01-31" },
+  ]);
+  assert((await resolveAreaSource(faqDatabaseId)).notionDatabaseId === faqDatabaseId, "database URLs are recognised");
+  assert((await resolveAreaSource(supportPageId)).notionPageId === supportPageId, "page URLs stay pages");
+
+  const dbArea = await addKnowledgeArea({ name: "Support", ...(await resolveAreaSource(faqDatabaseId)), ownerUserIds: ["ULEAD"] });
+  const dbSource = getAreaFaqSource(dbArea);
+  const dbContent = await ctx.readKnowledgeSource(dbSource);
+  assert(dbContent.includes("## How do I reset 2FA?\nAsk IT in #it-help.\nTags: security · Owner: Dana · Last verified: 2026-01-31"), "database rows are read as Q&A entries");
+
+  const rowUrl = await publishFaqEntry(app, ctx, null, {
+    productAreaId: dbArea.id,
+    areaName: dbArea.name,
+    source: dbSource,
+    question: "Can I use a hardware key?",
+    answer: "Yes, YubiKeys are supported.",
+    answeredBy: ["ULEAD"],
+  });
+  assert(rowUrl.startsWith("https://") && !notionCache.has(dbSource.id), "synthesis adds a row and evicts the cached database");
+  const today = new Date().toISOString().slice(0, 10);
+  const withNewRow = await ctx.readKnowledgeSource(dbSource);
+  assert(withNewRow.includes(`## Can I use a hardware key?\nYes, YubiKeys are supported.\nOwner: lead · Last verified: ${today}`), "new rows get an owner and a verification date");
+
+  const row = await findFaqDatabaseRow(faqDatabaseId, ["ask it in #it-help"]);
+  assert(row?.matchedText === "Ask IT in #it-help.", "corrections find the row by its answer");
+  await checkNotionChanges(ctx); // settle pages edited by earlier steps
+  assert((await checkNotionChanges(ctx)).length === 0, "unchanged databases stay cached");
+  await updateFaqDatabaseRow(row.blockId, "Open a ticket at it.example.com.");
+  assert((await checkNotionChanges(ctx)).length === 1 && !notionCache.has(dbSource.id), "row edits evict the cached database");
+  const corrected = await ctx.readKnowledgeSource(dbSource);
+  assert(corrected.includes(`Open a ticket at it.example.com.\nTags: security · Owner: Dana · Last verified: ${today}`), "corrections replace the answer and re-verify the row");
+  console.log("  FAQ database ✓");
+
+  // ── 9. An area backed by a Markdown folder reads, adds, finds and corrects entries ──
+  const docsDir = path.join(tmpDir, "docs", "faq");
+  await fs.mkdir(path.join(docsDir, "billing"), { recursive: true });
+  await fs.writeFile(path.join(docsDir, "billing", "refunds.md"), "# Refunds\n\n## Can I get a refund?\n\nWithin 30 days of purchase, from the billing page.\n\n## Do refunds include tax?\n\nYes, tax is refunded too.\n");
+  await fs.mkdir(path.join(docsDir, ".git"));
+  await fs.writeFile(path.join(docsDir, ".git", "notes.md"), "## Hidden\n\nNot part of the FAQ.\n");
+
+  assert((await resolveAreaSource(docsDir)).markdownPath === docsDir, "existing folders are recognised as Markdown sources");
+  const mdArea = await addKnowledgeArea({ name: "Docs", ...(await resolveAreaSource(docsDir)), ownerUserIds: ["ULEAD"] });
+  const mdSource = getAreaFaqSource(mdArea);
+  const docs = getKnowledgeSource(mdSource);
+  const mdContent = await ctx.readKnowledgeSource(mdSource);
+  assert(mdContent.includes("## Can I get a refund?\n\nWithin 30 days") && !mdContent.includes("Hidden"), "Markdown files are read, skipping dot folders");
+  assert((await docs.list()).some((doc) => doc.id === path.join("billing", "refunds.md") && doc.title === "Refunds"), "Markdown sources list their files");
+
+  const mdUrl = await publishFaqEntry(app, ctx, null, {
+    productAreaId: mdArea.id,
+    areaName: mdArea.name,
+    source: mdSource,
+    question: "Is there a student discount?",
+    answer: "Yes, 50% off with a school email.",
+  });
+  const faqFile = await fs.readFile(path.join(docsDir, "faq.md"), "utf8");
+  assert(faqFile === "## Is there a student discount?\n\nYes, 50% off with a school email.\n", "synthesis appends a section to faq.md");
+  assert(mdUrl.endsWith("faq.md#is-there-a-student-discount"), "new entries link to their heading anchor");
+
+  const entry = await docs.findEntry(["Within 30 days of purchase"]);
+  assert(entry?.blockId === `${path.join("billing", "refunds.md")}#Can I get a refund?`, "corrections find the section holding the evidence");
+  const mdCitations = await resolveEvidenceCitations([mdSource], ["Within 30 days of purchase, from the billing page."]);
+  assert(mdCitations[0]?.blockUrl.endsWith("refunds.md#can-i-get-a-refund"), "evidence is cited with a link to its section");
+
+  await docs.updateEntry(entry.blockId, "Within 60 days of purchase.");
+  const refunds = await fs.readFile(path.join(docsDir, "billing", "refunds.md"), "utf8");
+  assert(refunds === "# Refunds\n\n## Can I get a refund?\n\nWithin 60 days of purchase.\n\n## Do refunds include tax?\n\nYes, tax is refunded too.\n", "corrections replace only the section's text");
+  console.log("  Markdown FAQ ✓");
+
+  // ── 10. Stale FAQ entries are sent to leads to confirm, update or delete ──
+  registerVerificationHandlers(app);
+  const taxCitations = await resolveEvidenceCitations([mdSource], ["Yes, tax is refunded too."]);
+  await recordFaqEntriesCited(mdArea.id, taxCitations);
+
+  const verifyCtx = { ...ctx, config: { ...ctx.config, faqVerification: { ...config.faqVerification, maxAgeDays: 0 } } };
+  await checkStaleFaqEntries(app, verifyCtx);
+  const verificationDm = (areaName) => slack.messages.find((m) => m.channel === "DULEAD" && m.text.includes(`${areaName} FAQ entr(ies) could use a check`));
+  const pendingEntryIds = (msg) => msg.blocks.filter((b) => b.type === "actions").map((b) => b.elements[0].value);
+
+  const docsDm = verificationDm("Docs");
+  const [taxEntryId, discountEntryId] = pendingEntryIds(docsDm ?? { blocks: [] });
+  assert(verificationDm("Sales") && verificationDm("Support") && docsDm, "each area's leads get a batch of stale entries");
+  assert(getFaqEntryById(taxEntryId)?.text === "Yes, tax is refunded too." && getFaqEntryById(discountEntryId)?.question === "Is there a student discount?", "entries still being cited are asked about first");
+
+  await checkStaleFaqEntries(app, verifyCtx);
+  assert(slack.messages.filter((m) => m.text?.includes("could use a check")).length === 3, "batches aren't resent within the interval");
+
+  const supportDm = verificationDm("Support");
+  const [rowEntryId] = pendingEntryIds(supportDm);
+  await app.dispatchAction("faq_verify_confirm", { value: rowEntryId, user: "ULEAD", channel: "DULEAD", messageTs: supportDm.ts });
+  assert(getFaqEntryById(rowEntryId)?.verifiedBy === "ULEAD", "confirming marks the entry verified");
+  assert(supportDm.edited && pendingEntryIds(supportDm).length === 0 && JSON.stringify(supportDm.blocks).includes("Confirmed still accurate by <@ULEAD>"), "the DM shows the decision");
+  await app.dispatchAction("faq_verify_confirm", { value: rowEntryId, user: "ULEAD", channel: "DULEAD", messageTs: supportDm.ts });
+  assert(slack.ephemerals.at(-1)?.text.includes("already handled"), "settled entries can't be decided twice");
+
+  await app.dispatchAction("faq_verify_update", { value: taxEntryId, user: "ULEAD", channel: "DULEAD", messageTs: docsDm.ts });
+  const updateModal = slack.views.at(-1)?.view;
+  assert(updateModal?.callback_id === "faq_verify_update_modal" && updateModal.blocks.at(-1).element.initial_value === "Yes, tax is refunded too.", "updating opens a modal with the current text");
+  await app.dispatchView("faq_verify_update_modal", {
+    user: "ULEAD",
+    privateMetadata: taxEntryId,
+    values: { entry_block: { entry_input: { value: "Only sales tax is refunded." } } },
+  });
+  await app.dispatchAction("faq_verify_delete", { value: discountEntryId, user: "ULEAD", channel: "DULEAD", messageTs: docsDm.ts });
+  const refundsAfter = await fs.readFile(path.join(docsDir, "billing", "refunds.md"), "utf8");
+  assert(refundsAfter.endsWith("## Do refunds include tax?\n\nOnly sales tax is refunded.\n"), "updates rewrite the entry in the FAQ");
+  assert(!(await fs.readFile(path.join(docsDir, "faq.md"), "utf8")).includes("student discount"), "deletes remove the entry from the FAQ");
+
+  const salesDm = verificationDm("Sales");
+  await app.dispatchAction("faq_verify_delete", { value: pendingEntryIds(salesDm)[0], user: "ULEAD", channel: "DULEAD", messageTs: salesDm.ts });
+  const salesAfter = await fetchPageContent(faqPageId);
+  assert(!salesAfter.includes("wire transfer") && salesAfter.includes("Do we offer annual billing?"), "deleting a Notion entry removes only its block");
+
+  // Entries laid out as a heading followed by paragraphs are updated and deleted as a unit
+  const flatPageId = notion.addPage("Flat FAQ", [
+    notionBlock.heading(3, "How long is onboarding?"),
+    notionBlock.paragraph("Two weeks."),
+    notionBlock.paragraph("Longer for enterprise."),
+    notionBlock.heading(3, "Who runs onboarding?"),
+    notionBlock.paragraph("Customer success."),
+  ]);
+  const flatHeadings = (await notion.client.blocks.children.list({ block_id: flatPageId })).results.filter((b) => b.type === "heading_3");
+  await updateFaqBlock(flatHeadings[0].id, "Three weeks.");
+  await deleteFaqBlock(flatHeadings[1].id);
+  const flatContent = await fetchPageContent(flatPageId);
+  assert(flatContent.includes("Three weeks.") && !flatContent.includes("Longer for enterprise") && !flatContent.includes("Customer success"), "heading entries update and delete their answer blocks");
+  console.log("  FAQ verification ✓");
+
+  // ── 11. Weekly digests roll up each area's week for its leads or a channel ──
+  await addTeamMember(area.id, "UNEW", "Handles invoicing", "auto-detected");
+  await trackEscalation({
+    channel: "C1",
+    threadTs: "1700009999.000100",
+    messageTs: "1700009999.000100",
+    productAreaId: dbArea.id,
+    originalQuestion: "Can SSO be enforced per team?",
+    ownerUserIds: ["ULEAD"],
+    faqTopics: ["SSO", "sso", "Teams"],
+  });
+  await updateKnowledgeArea(dbArea.id, { digestChannelId: "C1" });
+
+  const digestCtx = { ...ctx, config: { ...ctx.config, weeklyDigest: { ...config.weeklyDigest, dayOfWeek: new Date().getDay(), hour: 0 } } };
+  await sendWeeklyDigests(app, digestCtx);
+  const digestText = (channel, areaName) => {
+    const msg = slack.messages.find((m) => m.channel === channel && m.blocks?.[0]?.text?.text === `Weekly digest: ${areaName}`);
+    return msg ? msg.blocks.map((b) => b.text?.text ?? "").join("\n") : "";
+  };
+  const salesDigest = digestText("DULEAD", "Sales");
+  assert(salesDigest.includes("New FAQ entries (1)") && salesDigest.includes("Can customers pay by wire transfer?"), "the digest lists FAQ entries added this week");
+  assert(salesDigest.includes("<@UNEW> — Handles invoicing _(auto-detected)_"), "the digest lists auto-discovered team members");
+  const supportDigest = digestText("C1", "Support");
+  assert(supportDigest.includes("Still waiting on an answer (1)") && supportDigest.includes("|thread>"), "open escalations link to their thread, in the area's digest channel");
+  assert(supportDigest.includes("sso (1)\n• teams (1)"), "missing topics are counted once per question");
+  assert(!digestText("DULEAD", "Docs"), "areas with nothing to report are skipped");
+
+  const digestCount = slack.messages.filter((m) => m.blocks?.[0]?.text?.text?.startsWith("Weekly digest")).length;
+  await sendWeeklyDigests(app, digestCtx);
+  assert(slack.messages.filter((m) => m.blocks?.[0]?.text?.text?.startsWith("Weekly digest")).length === digestCount, "digests go out once a week");
+  console.log("  weekly digest ✓");
+
+  // ── 12. Channel rules bind areas, restrict routing and limit when the bot answers ──
+  await loadChannelRules({ "#random": { mode: "mention" } });
+  ctx.channelIdToName.set("C2", "random");
+  const classifyCalls = () => anthropic.callsFor(llm.CLASSIFICATION_SCHEMA).length;
+
+  const chatter = slack.postUserMessage({ channel: "C2", user: "UASKER", text: "Does anyone know how invoices are numbered?" });
+  await app.dispatchEvent(chatter);
+  assert(slack.botMessages("C2", chatter.ts).length === 0, "mention-only channels ignore questions without an @-mention");
+  const mention = slack.postUserMessage({ channel: "C2", user: "UASKER", text: "<@UBOT> how are credit notes numbered?" });
+  await app.dispatchEvent(mention);
+  assert(slack.botMessages("C2", mention.ts).length === 1, "mention-only channels answer @-mentions");
+
+  await setChannelRule("C3", { boundAreaId: "Docs" });
+  const classifiedBefore = classifyCalls();
+  const bound = slack.postUserMessage({ channel: "C3", user: "UASKER", text: "Do refunds cover shipping costs?" });
+  await app.dispatchEvent(bound);
+  assert(classifyCalls() === classifiedBefore, "bound channels skip classification");
+  assert(getAllEscalations().at(-1)?.productAreaId === mdArea.id && getAllEscalations().at(-1)?.threadTs === bound.ts, "bound channels route to their area");
+
+  await setChannelRule("C4", { allowedAreaIds: ["Support"], generalFaq: false });
+  const restricted = slack.postUserMessage({ channel: "C4", user: "UASKER", text: "What discount do resellers get?" });
+  await app.dispatchEvent(restricted);
+  const classifierPrompt = anthropic.callsFor(llm.CLASSIFICATION_SCHEMA).at(-1)?.params.system ?? "";
+  assert(classifierPrompt.includes(`"${dbArea.id}"`) && !classifierPrompt.includes(`"${area.id}"`), "the classifier only sees the channel's allowed areas");
+  assert(slack.botMessages("C4", restricted.ts).length === 0, "disallowed areas aren't answered and the General KB is skipped");
+  console.log("  channel rules ✓");
+
+  // ── 13. Channels are watched and unwatched from Slack, and persist across restarts ──
+  registerSlashCommand(app, ctx);
+  const kbot = (text) => app.dispatchCommand("/kbot", { user: "ULEAD", text });
+
+  let replies = await kbot("watch <#C7|billing-help>");
+  assert(ctx.watchChannelIds.has("C7") && replies[0]?.text.includes("Now watching"), "watch starts watching the channel immediately");
+  const watchedQuestion = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "How do I change the billing contact?" });
+  await app.dispatchEvent(watchedQuestion);
+  assert(slack.botMessages("C7", watchedQuestion.ts).length === 1, "questions in a newly watched channel are handled");
+
+  replies = await kbot("watch #partners");
+  assert(!ctx.watchChannelIds.has("C8") && replies[0]?.text.includes("/invite"), "channels the bot isn't in need an invite unless auto-join is on");
+  ctx.config = { ...ctx.config, channelWatching: { ...ctx.config.channelWatching, autoJoin: true } };
+  await kbot("watch #partners");
+  assert(ctx.watchChannelIds.has("C8") && (await slack.client.conversations.info({ channel: "C8" })).channel.is_member, "auto-join joins public channels before watching");
+
+  await app.dispatchEvent({ type: "member_joined_channel", user: "UBOT", channel: "C9", inviter: "ULEAD" });
+  assert(ctx.watchChannelIds.has("C9") && ctx.channelIdToName.get("C9") === "onboarding", "inviting the bot watches the channel");
+  await app.dispatchEvent({ type: "member_joined_channel", user: "UASKER", channel: "C1" });
+
+  replies = await kbot("unwatch sales-questions");
+  assert(!ctx.watchChannelIds.has("C1") && replies[0]?.text.includes("Stopped watching"), "unwatch stops watching, even channels from WATCH_CHANNELS");
+  const unwatchedQuestion = slack.postUserMessage({ channel: "C1", user: "UASKER", text: "Do we offer annual billing?" });
+  await app.dispatchEvent(unwatchedQuestion);
+  assert(slack.botMessages("C1", unwatchedQuestion.ts).length === 0, "unwatched channels are ignored");
+
+  // After a restart, WATCH_CHANNELS is resolved again and the Slack changes are re-applied
+  await loadWatchedChannels();
+  const restored = applyWatchedChannels({ channelIds: new Set(["C1"]), idToName: new Map([["C1", "sales-questions"]]) });
+  assert(["C7", "C8", "C9"].every((id) => restored.channelIds.has(id)) && !restored.channelIds.has("C1"), "watched and unwatched channels persist across restarts");
+
+  await kbot("watch sales-questions");
+  assert(ctx.watchChannelIds.has("C1"), "unwatched channels can be watched again");
+  console.log("  watch channels ✓");
+
+  // ── 14. The question pre-filter scores messages in batches before full classification ──
+  ctx.config = { ...ctx.config, questionPrefilter: { ...ctx.config.questionPrefilter, enabled: true, batchWindowMs: 20 } };
+  anthropic.responders.set(llm.QUESTION_PREFILTER_SCHEMA, (params) => ({
+    results: [...params.messages[0].content.matchAll(/^\[(\w+)\](?: \(#[\w-]+\))? (.*)$/gm)].map(([, id, text]) => ({
+      id,
+      question_probability: /^need /i.test(text) ? 0.9 : 0.1,
+      reason: /^need /i.test(text) ? "asks for a config" : "rhetorical",
+    })),
+  }));
+  const prefilterCalls = () => anthropic.callsFor(llm.QUESTION_PREFILTER_SCHEMA);
+  const classifiedBeforePrefilter = classifyCalls();
+
+  await Promise.all([
+    "need the VPN config for the Berlin office",
+    "why is everything always broken on mondays?",
+    "thanks!",
+  ].map((text) => app.dispatchEvent(slack.postUserMessage({ channel: "C7", user: "UASKER", text }))));
+  assert(prefilterCalls().length === 1 && prefilterCalls()[0].result.results.length === 2, "messages arriving together are scored in one pre-filter call, skipping obvious chatter");
+  assert(classifyCalls() === classifiedBeforePrefilter + 1, "only messages above the threshold reach full classification");
+
+  await setChannelRule("C7", { questionThreshold: 0.95 });
+  await app.dispatchEvent(slack.postUserMessage({ channel: "C7", user: "UASKER", text: "need the staging database password" }));
+  assert(prefilterCalls().length === 2 && classifyCalls() === classifiedBeforePrefilter + 1, "channel rules can raise the threshold");
+  await removeChannelRule("C7");
+
+  const redelivered = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "need the Paris office wifi password" });
+  const beforeRedelivery = prefilterCalls().length;
+  await app.dispatchEvent(redelivered);
+  await app.dispatchEvent(redelivered);
+  assert(prefilterCalls().length === beforeRedelivery + 1, "a redelivered event isn't scored again");
+
+  const beforeWorkspaces = prefilterCalls().length;
+  const [inA, inB] = await Promise.all(["TPREA", "TPREB"].map((teamId) =>
+    runInWorkspace(teamId, () => detectQuestion(ctx, { text: `need the ${teamId} admin login` }, app.logger))));
+  const workspaceCalls = prefilterCalls().slice(beforeWorkspaces);
+  assert(inA.pass && inB.pass && workspaceCalls.length === 2 && workspaceCalls.every((c) => c.result.results.length === 1),
+    "messages from different workspaces are never scored in one pre-filter call");
+
+  const beforeMention = prefilterCalls().length;
+  await app.dispatchEvent(slack.postUserMessage({ channel: "C7", user: "UASKER", text: "<@UBOT> hello there" }));
+  assert(prefilterCalls().length === beforeMention, "@-mentions skip the pre-filter");
+  ctx.config = { ...ctx.config, questionPrefilter: { ...ctx.config.questionPrefilter, enabled: false } };
+  console.log("  question pre-filter ✓");
+
+  // ── 15. Questions in other languages are searched in English and answered in the asker's language ──
+  const defaultClassifier = anthropic.responders.get(llm.CLASSIFICATION_SCHEMA);
+  anthropic.responders.set(llm.CLASSIFICATION_SCHEMA, () => ({
+    is_question: true,
+    product_area_id: area.id,
+    confidence: 0.9,
+    language: "German",
+    translated_question: "Can I pay by bank transfer in euros",
+  }));
+  const german = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "Wie kann ich per Überweisung in Euro bezahlen" });
+  await app.dispatchEvent(german);
+  const germanPrompt = anthropic.callsFor(llm.ANSWER_SCHEMA).at(-1)?.params.system ?? "";
+  assert(germanPrompt.includes("written in German") && germanPrompt.includes("never translate"), "answers are written in the asker's language with evidence kept verbatim");
+  const germanEscalation = slack.botMessages("C7", german.ts)[0]?.text ?? "";
+  assert(germanEscalation.includes("Translated from German") && germanEscalation.includes("Can I pay by bank transfer in euros"), "escalations include an English summary for leads");
+  assert(getAllEscalations().at(-1)?.translatedQuestion === "Can I pay by bank transfer in euros", "the translation is kept with the escalation");
+  anthropic.responders.set(llm.CLASSIFICATION_SCHEMA, defaultClassifier);
+
+  anthropic.responders.set(llm.QUESTION_TRANSLATION_SCHEMA, () => ({ language: "Spanish", translated_question: "How are refunds processed" }));
+  const spanish = slack.postUserMessage({ channel: "C3", user: "UASKER", text: "¿Cómo se procesan los reembolsos?" });
+  await app.dispatchEvent(spanish);
+  assert(anthropic.callsFor(llm.QUESTION_TRANSLATION_SCHEMA).length === 1 && getAllEscalations().at(-1)?.translatedQuestion === "How are refunds processed", "bound channels detect the language without classifying");
+
+  const synthesisPrompt = anthropic.callsFor(llm.SYNTHESIS_SCHEMA)[0]?.params ?? {};
+  assert(synthesisPrompt.messages?.[0].content.includes("EXISTING FAQ EXCERPT") && synthesisPrompt.system.includes("same language as the existing FAQ"), "new FAQ entries are written in the FAQ's language");
+  console.log("  multilingual questions ✓");
+
+  // ── 16. Classification and answer confidence decide whether to ask, hedge or tag a lead ──
+  let classifierConfidence = 0.3;
+  anthropic.responders.set(llm.CLASSIFICATION_SCHEMA, () => ({
+    is_question: true,
+    product_area_id: area.id,
+    confidence: classifierConfidence,
+    alternative_area_ids: [dbArea.id],
+  }));
+  const unsure = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "How do I move seats between workspaces?" });
+  await app.dispatchEvent(unsure);
+  const choiceMsg = slack.botMessages("C7", unsure.ts)[0];
+  const buttons = choiceMsg?.blocks?.find((b) => b.type === "actions")?.elements ?? [];
+  assert(buttons.map((b) => b.action_id).join(",") === `clarify_area_pick_${area.id},clarify_area_pick_${dbArea.id},clarify_area_pick_${mdArea.id},clarify_area_none`, "low classification confidence asks which area, most likely first");
+
+  const ephemeralsBefore = slack.ephemerals.length;
+  await app.dispatchAction(buttons[0].action_id, { value: buttons[0].value, user: "USTRANGER", channel: "C7", messageTs: choiceMsg.ts });
+  assert(slack.ephemerals.length === ephemeralsBefore + 1 && !choiceMsg.edited, "only the asker or a team member can pick the area");
+  await app.dispatchAction(buttons[0].action_id, { value: buttons[0].value, user: "UASKER", channel: "C7", messageTs: choiceMsg.ts });
+  assert(choiceMsg.edited && choiceMsg.text.includes("picked *Sales*"), "picking an area replaces the buttons");
+  assert(getAllEscalations().at(-1)?.threadTs === unsure.ts && getAllEscalations().at(-1)?.productAreaId === area.id, "the question is answered from the picked area");
+
+  const pickedBeforeRestart = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "Can seats be shared between teams?" });
+  await app.dispatchEvent(pickedBeforeRestart);
+  const staleChoice = slack.botMessages("C7", pickedBeforeRestart.ts)[0];
+  await getStore().saveDocument("area-choices", [[`C7:${staleChoice.ts}`, Date.now()]]);
+  await loadAreaChoices();
+  const escalationsBeforeStale = getAllEscalations().length;
+  await app.dispatchAction(buttons[0].action_id, { value: staleChoice.blocks[1].elements[0].value, user: "UASKER", channel: "C7", messageTs: staleChoice.ts });
+  assert(!staleChoice.edited && getAllEscalations().length === escalationsBeforeStale, "a choice picked before a restart isn't answered again");
+
+  const defaultAnswerer = anthropic.responders.get(llm.ANSWER_SCHEMA);
+  let answerConfidence = 0.9;
+  anthropic.responders.set(llm.ANSWER_SCHEMA, () => ({
+    answer_found_in_faq: true,
+    answer: "Annual plans get two months free.",
+    evidence: ["A: Yes, annual plans get two months free."],
+    follow_up_questions: [],
+    faq_topics: [],
+    needs_escalation: false,
+    answer_confidence: answerConfidence,
+  }));
+  classifierConfidence = 0.6;
+  const hedged = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "Is there a discount when paying yearly?" });
+  await app.dispatchEvent(hedged);
+  const hedgedAnswer = slack.botMessages("C7", hedged.ts)[0]?.text ?? "";
+  assert(hedgedAnswer.startsWith("_I think this is about *Sales*") && hedgedAnswer.includes("<@ULEAD>"), "between thresholds the answer names the assumed area and tags a lead");
+
+  classifierConfidence = 0.95;
+  answerConfidence = 0.3;
+  const shaky = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "Do yearly contracts renew automatically?" });
+  await app.dispatchEvent(shaky);
+  const shakyAnswer = slack.botMessages("C7", shaky.ts)[0]?.text ?? "";
+  assert(!shakyAnswer.includes("I think this is about") && shakyAnswer.includes("<@ULEAD>"), "low answer confidence tags a lead");
+
+  await updateKnowledgeArea(area.id, { confidencePolicy: { clarifyBelow: 0.99 } });
+  const strict = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "Can invoices be sent to a shared inbox?" });
+  await app.dispatchEvent(strict);
+  assert(slack.botMessages("C7", strict.ts)[0]?.text === "Which area is this question about?", "areas can set their own thresholds");
+  const strictChoice = slack.botMessages("C7", strict.ts)[0];
+  const noneButton = strictChoice.blocks[1].elements.at(-1);
+  await app.dispatchAction(noneButton.action_id, { value: noneButton.value, user: "UASKER", channel: "C7", messageTs: strictChoice.ts });
+  const generalEscalation = getAllEscalations().at(-1);
+  assert(strictChoice.text.includes("none of these") && generalEscalation?.threadTs === strict.ts && generalEscalation.productAreaId === "general-faq",
+    "\"None of these\" escalates the question to the General FAQ admins");
+  assert(slack.botMessages("C7", strict.ts).some((m) => m.text.includes("General FAQ")), "the General FAQ escalation is posted in the thread");
+  await updateKnowledgeArea(area.id, { confidencePolicy: null });
+  anthropic.responders.set(llm.CLASSIFICATION_SCHEMA, defaultClassifier);
+  anthropic.responders.set(llm.ANSWER_SCHEMA, defaultAnswerer);
+  console.log("  confidence policy ✓");
+
+  // ── 17. Each workspace keeps its own areas, escalations and answers ──
+  const defaultCounts = [getAllKnowledgeAreas().length, getAllEscalations().length, getAllFaqAnswers().length];
+  for (const teamId of ["TWSA", "TWSB"]) {
+    await runInWorkspace(teamId, async () => {
+      await loadKnowledgeAreas();
+      await loadEscalations();
+      await loadFaqAnswers();
+      const wsArea = await addKnowledgeArea({ name: `Area ${teamId}`, notionPageId: faqPageId, ownerUserIds: [`U${teamId}`] });
+      await trackEscalation({ channel: `C${teamId}`, threadTs: "1.1", messageTs: "1.1", productAreaId: wsArea.id, originalQuestion: `Escalated in ${teamId}?`, ownerUserIds: [`U${teamId}`] });
+      await trackFaqAnswer({ channel: `C${teamId}`, threadTs: "2.1", messageTs: "2.2", productAreaId: wsArea.id, originalQuestion: `Answered in ${teamId}?`, botAnswer: "Yes." });
+    });
+  }
+  for (const teamId of ["TWSA", "TWSB"]) {
+    await runInWorkspace(teamId, async () => {
+      // Reload from the workspace's namespace in the store, as after a restart
+      await loadKnowledgeAreas();
+      await loadEscalations();
+      await loadFaqAnswers();
+      const areaNames = getAllKnowledgeAreas().map((a) => a.name);
+      assert(areaNames.length === 1 && areaNames[0] === `Area ${teamId}`, `getAllKnowledgeAreas only returns ${teamId}'s areas`);
+      const wsEscalations = getAllEscalations();
+      assert(wsEscalations.length === 1 && wsEscalations[0].channel === `C${teamId}`, `getAllEscalations only returns ${teamId}'s escalations`);
+      const wsAnswers = getAllFaqAnswers();
+      assert(wsAnswers.length === 1 && wsAnswers[0].originalQuestion === `Answered in ${teamId}?`, `getAllFaqAnswers only returns ${teamId}'s answers`);
+    });
+  }
+  assert(
+    [getAllKnowledgeAreas().length, getAllEscalations().length, getAllFaqAnswers().length].join() === defaultCounts.join(),
+    "the default workspace's data is untouched by other workspaces"
+  );
+  console.log("  per-workspace data ✓");
+
+  // ── 18. Repeat questions link to earlier threads in the same channel only ──
+  let duplicateOfId = "";
+  anthropic.responders.set(llm.DUPLICATE_CHECK_SCHEMA, () => ({ duplicate_of_id: duplicateOfId, rationale: "Same question" }));
+  const earlierAnswer = await trackFaqAnswer({
+    channel: "C7",
+    threadTs: "100.1",
+    messageTs: "100.2",
+    productAreaId: area.id,
+    originalQuestion: "How do refunds work for cancelled annual plans?",
+    botAnswer: "Refunds for cancelled annual plans are prorated by finance.",
+  });
+  duplicateOfId = earlierAnswer.id;
+
+  const elsewhere = slack.postUserMessage({ channel: "C1", user: "UASKER", text: "How do refunds work for cancelled annual plans?" });
+  await app.dispatchEvent(elsewhere);
+  const elsewhereReplies = slack.botMessages("C1", elsewhere.ts).map((m) => m.text).join("\n");
+  assert(!elsewhereReplies.includes("same question") && !elsewhereReplies.includes("prorated"), "answers from other channels are never matched or quoted");
+
+  const repeat = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "How do refunds work for cancelled annual plans?" });
+  await app.dispatchEvent(repeat);
+  const repeatReply = slack.botMessages("C7", repeat.ts)[0]?.text ?? "";
+  assert(repeatReply.includes("same question") && repeatReply.includes("prorated"), "repeats in the same channel link and quote the earlier answer");
+
+  const inReview = await trackEscalation({
+    channel: "C7",
+    threadTs: "200.1",
+    messageTs: "200.1",
+    productAreaId: area.id,
+    originalQuestion: "Can partners resell the enterprise plan?",
+    ownerUserIds: ["ULEAD"],
+  });
+  await markEscalationPendingReview(inReview.id, "review-1");
+  inReview.escalatedAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(); // older than the window
+  duplicateOfId = inReview.id;
+  const escalationsBefore = getAllEscalations().length;
+  const whileInReview = slack.postUserMessage({ channel: "C7", user: "UASKER", text: "Can partners resell the enterprise plan?" });
+  await app.dispatchEvent(whileInReview);
+  assert(getAllEscalations().length === escalationsBefore && inReview.duplicateAskers?.length === 1, "escalations waiting on review still count as open");
+  anthropic.responders.delete(llm.DUPLICATE_CHECK_SCHEMA);
+  console.log("  repeat questions ✓");
+
+  // ── 19. Overdue escalations get one SLA follow-up per period, and stale ones are cleaned up ──
+  const hoursAgo = (h) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+  const slaHours = config.escalationSla.defaultHours;
+  const overdue = await trackEscalation({
+    channel: "C7",
+    threadTs: "300.1",
+    messageTs: "300.1",
+    productAreaId: area.id,
+    originalQuestion: "Who signs off on partner discounts?",
+    ownerUserIds: ["ULEAD"],
+  });
+  overdue.escalatedAt = hoursAgo(slaHours * 4); // e.g. left over from before a restart
+  await checkEscalationSlas({ client: slack.client, logger: app.logger }, ctx);
+  await checkEscalationSlas({ client: slack.client, logger: app.logger }, ctx);
+  assert(overdue.reminderStage === 1, "a long-overdue escalation gets only the first follow-up at once");
+  overdue.lastReminderAt = hoursAgo(slaHours);
+  await checkEscalationSlas({ client: slack.client, logger: app.logger }, ctx);
+  assert(overdue.reminderStage === 2, "the next follow-up waits a full SLA period after the previous one");
+
+  overdue.escalatedAt = hoursAgo(24 * 40);
+  overdue.lastReminderAt = hoursAgo(24 * 2);
+  inReview.escalatedAt = hoursAgo(24 * 40);
+  const forgotten = await trackEscalation({
+    channel: "C7",
+    threadTs: "400.1",
+    messageTs: "400.1",
+    productAreaId: area.id,
+    originalQuestion: "Is there a nonprofit discount?",
+    ownerUserIds: ["ULEAD"],
+  });
+  forgotten.escalatedAt = hoursAgo(24 * 40);
+  await cleanupOldEscalations();
+  const remainingIds = new Set(getAllEscalations().map((e) => e.id));
+  assert(remainingIds.has(overdue.id) && remainingIds.has(inReview.id), "cleanup keeps escalations still being followed up or reviewed");
+  assert(!remainingIds.has(forgotten.id), "cleanup drops escalations with no activity for 30 days");
+  console.log("  escalation SLAs ✓");
+
+  // ── 20. Citations come from the cached page instead of walking it again ──
+  const salesSource = { type: "notion-page", id: faqPageId };
+  await getKnowledgeSource(salesSource, { ttlMs }).read();
+  const listChildren = notion.client.blocks.children.list;
+  let childListCalls = 0;
+  notion.client.blocks.children.list = (...args) => {
+    childListCalls++;
+    return listChildren(...args);
+  };
+  try {
+    const cached = await resolveEvidenceCitations([salesSource], ["A: Yes, annual plans get two months free."], null, { ttlMs });
+    assert(cached[0]?.blockUrl.startsWith(`https://notion.so/${faqPageId.replace(/-/g, "")}#`), "evidence is cited with a link to its block");
+    assert(childListCalls === 0, "citations on a cached page make no Notion requests");
+  } finally {
+    notion.client.blocks.children.list = listChildren;
+  }
+  console.log("  cached citations ✓");
+
+  // ── 21. Approving a review again after a failed announcement doesn't write the entry twice ──
+  registerReviewHandlers(app, ctx);
+  const reviewed = await trackEscalation({
+    channel: "C7",
+    threadTs: "500.1",
+    messageTs: "500.1",
+    productAreaId: area.id,
+    originalQuestion: "Do resellers get a discount?",
+    ownerUserIds: ["ULEAD"],
+  });
+  const review = await trackFaqReview({
+    escalationId: reviewed.id,
+    productAreaId: area.id,
+    areaName: area.name,
+    source: { type: "notion-page", id: faqPageId },
+    originalQuestion: reviewed.originalQuestion,
+    question: "Do resellers get a discount?",
+    answer: "Yes, resellers get 20% off list price.",
+    reviewerUserIds: ["ULEAD"],
+  });
+  await markEscalationPendingReview(reviewed.id, review.id);
+
+  const postMessage = slack.client.chat.postMessage;
+  slack.client.chat.postMessage = async (args) => {
+    slack.client.chat.postMessage = postMessage;
+    throw new Error("channel_not_found");
+  };
+  await Promise.all([
+    app.dispatchAction("faq_review_approve", { value: review.id, user: "ULEAD", channel: "DULEAD", messageTs: "500.2" }),
+    app.dispatchAction("faq_review_approve", { value: review.id, user: "ULEAD", channel: "DULEAD", messageTs: "500.2" }),
+  ]);
+  assert(review.status === "pending" && review.appendedEntry?.entryId, "a failed approval remembers the entry it already wrote");
+
+  await app.dispatchAction("faq_review_approve", { value: review.id, user: "ULEAD", channel: "DULEAD", messageTs: "500.2" });
+  const resellerCount = (await fetchPageContent(faqPageId)).split("resellers get 20% off").length - 1;
+  assert(resellerCount === 1, "approving again, even with a double-click, doesn't append the entry a second time");
+  assert(getFaqReviewById(review.id).status === "approved" && review.faqUrl === review.appendedEntry.url, "the retry finishes publishing the review");
+  console.log("  review retries ✓");
+
+  // ── 22. ✅/❌ reactions and feedback buttons on answers record a verdict ──
+  registerFeedbackHandler(app, ctx);
+  const rated = await trackFaqAnswer({
+    channel: "C7",
+    threadTs: "600.1",
+    messageTs: "600.2",
+    productAreaId: area.id,
+    originalQuestion: "Do annual plans get a discount?",
+    botAnswer: "Yes, annual plans get two months free.",
+    ownerUserIds: ["ULEAD"],
+  });
+  const react = (user, reaction, itemUser = "UBOT") => app.dispatchEvent({
+    type: "reaction_added",
+    user,
+    reaction,
+    item_user: itemUser,
+    item: { type: "message", channel: "C7", ts: "600.2" },
+  });
+
+  await react("UASKER", "white_check_mark");
+  assert(rated.feedback?.length === 1 && rated.feedback[0].verdict === "helpful" && rated.feedback[0].source === "reaction", "a ✅ reaction on an answer records it as helpful");
+  await react("UASKER", "x", "UASKER");
+  await react("UASKER", "eyes");
+  assert(rated.feedback.length === 1 && rated.feedback[0].verdict === "helpful", "reactions on other people's messages and other emoji are ignored");
+
+  const feedbackEphemerals = slack.ephemerals.length;
+  await app.dispatchAction("answer_feedback_not_helpful", { value: "not_helpful", user: "USTRANGER", channel: "C7", messageTs: "600.2" });
+  const strangerVerdict = rated.feedback.find((f) => f.userId === "USTRANGER");
+  assert(strangerVerdict?.verdict === "not_helpful" && strangerVerdict.source === "button", "feedback buttons record a verdict");
+  assert(slack.ephemerals.length === feedbackEphemerals + 1 && rated.status === "active", "button feedback is acknowledged, and only owners start a correction check");
+
+  await react("ULEAD", "x");
+  assert(rated.feedback.find((f) => f.userId === "ULEAD")?.verdict === "not_helpful", "a ❌ reaction records the answer as not helpful");
+  assert(rated.status === "pending_correction" && rated.respondingOwnerIds?.includes("ULEAD"), "an owner's not-helpful verdict starts the correction check");
+  console.log("  answer feedback ✓");
+
+  // ── 23. Leads approve, edit or dismiss proposed FAQ corrections from their DM ──
+  registerCorrectionHandlers(app, ctx);
+  const [invoiceBlock] = (await notion.client.blocks.children.append({
+    block_id: faqPageId,
+    children: [notionBlock.paragraph("Invoices are due within 30 days.")],
+  })).results;
+  const proposeCorrection = async (messageTs) => {
+    const answer = await trackFaqAnswer({
+      channel: "C7",
+      threadTs: messageTs,
+      messageTs,
+      productAreaId: area.id,
+      originalQuestion: "When are invoices due?",
+      botAnswer: "Invoices are due within 30 days.",
+      ownerUserIds: ["ULEAD"],
+    });
+    await setCorrectionProposal(answer.id, {
+      blockId: invoiceBlock.id,
+      currentText: "Invoices are due within 30 days.",
+      source: { type: "notion-page", id: faqPageId },
+      pageUrl: `https://notion.so/${faqPageId.replace(/-/g, "")}`,
+      suggestedUpdate: "Invoices are due within 45 days.",
+      originalQuestion: answer.originalQuestion,
+      areaName: area.name,
+    });
+    return answer;
+  };
+  const invoiceText = async () => (await notion.client.blocks.retrieve({ block_id: invoiceBlock.id })).paragraph.rich_text.map((t) => t.plain_text).join("");
+  const blockUpdate = notion.client.blocks.update;
+  let blockUpdates = 0;
+  notion.client.blocks.update = (...args) => {
+    blockUpdates++;
+    return blockUpdate(...args);
+  };
+
+  try {
+    const approved = await proposeCorrection("700.1");
+    await app.dispatchAction("faq_correction_edit", { value: approved.id, user: "ULEAD", channel: "DULEAD", messageTs: "700.2" });
+    assert(slack.views.at(-1)?.view.callback_id === "faq_correction_edit_modal", "editing a correction opens a modal");
+    await app.dispatchView("faq_correction_edit_modal", {
+      user: "ULEAD",
+      privateMetadata: approved.id,
+      values: { suggestion_block: { suggestion_input: { value: "Invoices are due within 60 days." } } },
+    });
+    assert(approved.correctionProposal.suggestedUpdate === "Invoices are due within 60 days.", "the edit modal replaces the suggestion");
+
+    await Promise.all([
+      app.dispatchAction("faq_correction_approve", { value: approved.id, user: "ULEAD", channel: "DULEAD", messageTs: "700.2" }),
+      app.dispatchAction("faq_correction_approve", { value: approved.id, user: "ULEAD", channel: "DULEAD", messageTs: "700.2" }),
+    ]);
+    assert(await invoiceText() === "Invoices are due within 60 days." && approved.correctionProposal.status === "applied", "approving writes the suggestion to the FAQ block");
+    assert(blockUpdates === 1, "a double-click on Approve writes the block once");
+
+    const dismissed = await proposeCorrection("700.3");
+    await app.dispatchAction("faq_correction_dismiss", { value: dismissed.id, user: "ULEAD", channel: "DULEAD", messageTs: "700.4" });
+    const correctionEphemerals = slack.ephemerals.length;
+    await app.dispatchAction("faq_correction_approve", { value: dismissed.id, user: "UASKER", channel: "DUASKER", messageTs: "700.5" });
+    assert(dismissed.correctionProposal.status === "dismissed" && blockUpdates === 1, "a dismissed correction can't be approved by another lead");
+    assert(slack.ephemerals.at(-1)?.text.includes("already dismissed") && slack.ephemerals.length === correctionEphemerals + 1, "the second lead is told it was already dismissed");
+  } finally {
+    notion.client.blocks.update = blockUpdate;
+  }
+  console.log("  FAQ corrections ✓");
+
+  // ── 24. Area metrics merge live and archived records over 7, 30 and 90 days ──
+  // SQLite keeps what the 30-day cleanup archives, so older records still count
+  const sqliteStore = initStorage({ backend: "sqlite", dataDir: path.join(tmpDir, "analytics") });
+  try {
+    await runInWorkspace("TANALYTICS", async () => {
+      await loadEscalations();
+      await loadFaqAnswers();
+      const daysAgo = (d) => hoursAgo(d * 24);
+
+      const seedAnswer = async (days, fields = {}) => {
+        const answer = await trackFaqAnswer({
+          channel: "C7",
+          threadTs: `800.${days}`,
+          messageTs: `800.${days}`,
+          productAreaId: area.id,
+          originalQuestion: `Question from ${days} days ago`,
+          botAnswer: "An answer.",
+          ownerUserIds: ["ULEAD"],
+        });
+        Object.assign(answer, { answeredAt: daysAgo(days), ...fields });
+      };
+      await seedAnswer(2);
+      await seedAnswer(20, { partial: true });
+      await seedAnswer(60, { status: "processed", processedAt: daysAgo(60) });
+      await seedAnswer(120, { status: "processed", processedAt: daysAgo(120) });
+
+      const seedEscalation = async (days, responseHours, fields = {}) => {
+        const escalation = await trackEscalation({
+          channel: "C7",
+          threadTs: `900.${days}`,
+          messageTs: `900.${days}`,
+          productAreaId: area.id,
+          originalQuestion: `Escalation from ${days} days ago`,
+          ownerUserIds: ["ULEAD"],
+        });
+        const escalatedAt = daysAgo(days);
+        const firstResponseAt = new Date(new Date(escalatedAt).getTime() + responseHours * 60 * 60 * 1000).toISOString();
+        Object.assign(escalation, { escalatedAt, firstResponseAt, ...fields });
+      };
+      await seedEscalation(1, 1);
+      await seedEscalation(10, 3, { status: "completed", faqUrl: "https://notion.so/faq#entry", completedAt: daysAgo(10) });
+      await seedEscalation(45, 5, { status: "skipped", skipReason: "no_response", skippedAt: daysAgo(45) });
+      await seedEscalation(100, 7, { status: "skipped", skipReason: "no_response", skippedAt: daysAgo(100) });
+
+      await cleanupOldFaqAnswers(30);
+      await cleanupOldEscalations();
+      assert(getAllFaqAnswers().length === 2 && getAllEscalations().length === 2, "records older than 30 days move to the archive");
+
+      const hourMs = 60 * 60 * 1000;
+      const week = (await computeAreaMetrics(7)).get(area.id);
+      assert(week?.answered === 1 && week.partial === 0 && week.escalationsOpened === 1, "the 7-day window counts only this week's records");
+      assert(week.medianFirstResponseMs === hourMs, "the 7-day median time to answer");
+
+      const month = (await computeAreaMetrics(30)).get(area.id);
+      assert(month?.answered === 1 && month.partial === 1 && month.escalationsOpened === 2 && month.escalationsSynthesized === 1, "the 30-day window counts live records");
+      assert(month.medianFirstResponseMs === 2 * hourMs, "the 30-day median averages the two middle response times");
+
+      const quarter = (await computeAreaMetrics(90)).get(area.id);
+      assert(quarter?.answered === 2 && quarter.partial === 1 && quarter.escalationsOpened === 3, "the 90-day window adds archived records");
+      assert(quarter.escalationsSkipped === 1 && quarter.skipReasons.no_response === 1, "archived skips are counted with their reasons");
+      assert(quarter.medianFirstResponseMs === 3 * hourMs, "the 90-day median includes archived response times");
+    });
+  } finally {
+    await sqliteStore.close();
+    initStorage({ backend: "json", dataDir: process.env.DATA_DIR });
+  }
+  console.log("  area analytics ✓");
+
+  // ── 25. Markdown edits to one file don't overwrite each other, and repeated headings stay distinct ──
+  const shippingFile = path.join(tmpDir, "docs", "shipping.md");
+  await fs.writeFile(shippingFile, "## Do we ship abroad?\n\nOnly within the EU.\n\n## Do we ship abroad?\n\nYes, to the UK and US too.\n");
+  const shipping = getKnowledgeSource({ type: "markdown", id: shippingFile });
+  const secondEntry = await shipping.findEntry(["to the UK and US too"]);
+  assert(secondEntry?.blockId === "shipping.md#Do we ship abroad?#2" && secondEntry.blockUrl.endsWith("#do-we-ship-abroad-1"), "a repeated heading gets its own entry ID and anchor");
+  await shipping.updateEntry(secondEntry.blockId, "Yes, worldwide.");
+  assert(await fs.readFile(shippingFile, "utf8") === "## Do we ship abroad?\n\nOnly within the EU.\n\n## Do we ship abroad?\n\nYes, worldwide.\n", "updating a repeated heading changes only that entry");
+
+  const [, appended] = await Promise.all([
+    shipping.updateEntry("shipping.md#Do we ship abroad?", "Within the EU and EEA."),
+    shipping.appendEntry({ question: "How long does shipping take?", answer: "3-5 business days." }),
+    shipping.appendEntry({ question: "Do we ship abroad?", answer: "See above." }),
+  ]);
+  const shippingText = await fs.readFile(shippingFile, "utf8");
+  assert(shippingText.includes("Within the EU and EEA.") && shippingText.includes("3-5 business days.") && shippingText.includes("See above."), "overlapping writes to one file all land");
+  assert(appended.entryId === "shipping.md#How long does shipping take?", "appended entries keep plain IDs");
+  await shipping.deleteEntry("shipping.md#Do we ship abroad?#3");
+  assert(!(await fs.readFile(shippingFile, "utf8")).includes("See above.") && (await fs.readFile(shippingFile, "utf8")).includes("Yes, worldwide."), "deleting a repeated heading removes only that entry");
+  console.log("  Markdown writes ✓");
+
+  // ── Summary ──
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+    return;
+  }
+  console.log("All e2e tests passed.");
+}
+
+try {
+  await run();
+} catch (err) {
+  console.error("E2E test crashed:", err);
+  process.exitCode = 1;
+} finally {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
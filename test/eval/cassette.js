@@ -0,0 +1,75 @@
+/**
+ * Recorded Anthropic responses for the eval harness.
+ *
+ * A cassette is a JSON file mapping a hash of each request (model, system prompt,
+ * messages and output schema) to the response content. In replay mode requests are
+ * answered from the file, so a prompt change shows up as a missing recording; in
+ * record mode missing requests go to the real API and their responses are saved.
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+function requestKey(params) {
+  const material = JSON.stringify({
+    model: params.model,
+    system: params.system ?? "",
+    messages: params.messages,
+    schema: params.output_format?.schema ?? null,
+  });
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+/**
+ * Load a cassette and return an Anthropic-shaped client backed by it.
+ *
+ * @param {string} cassettePath
+ * @param {{ record?: boolean, anthropic?: object }} options - `anthropic` is the real client used when recording
+ */
+export async function createCassetteClient(cassettePath, { record = false, anthropic = null } = {}) {
+  let entries = {};
+  try {
+    entries = JSON.parse(await fs.readFile(cassettePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  async function create(kind, params) {
+    const key = requestKey(params);
+    const entry = entries[key];
+    if (entry) {
+      stats.hits++;
+      return { content: entry.content };
+    }
+    if (!record) {
+      stats.misses++;
+      const err = new Error(`No recorded response for ${params.model} request ${key.slice(0, 12)} — re-run with --record`);
+      err.cassetteMiss = true;
+      throw err;
+    }
+
+    const resp = kind === "beta"
+      ? await anthropic.beta.messages.create(params)
+      : await anthropic.messages.create(params);
+    entries[key] = {
+      model: params.model,
+      prompt: String(params.messages?.[0]?.content ?? "").slice(0, 120),
+      content: resp.content,
+    };
+    stats.recorded++;
+    return resp;
+  }
+
+  return {
+    stats,
+    beta: { messages: { create: (params) => create("beta", params) } },
+    messages: { create: (params) => create("standard", params) },
+
+    async save() {
+      await fs.mkdir(path.dirname(cassettePath), { recursive: true });
+      await fs.writeFile(cassettePath, JSON.stringify(entries, null, 2), "utf8");
+    },
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * Offline eval — replays fixture questions through the real channel handler
+ * (question detection, classification, KB page selection and answering) against
+ * recorded Anthropic responses, fixed Notion page snapshots and the Slack fakes
+ * from test/fakes, then reports routing and outcome accuracy per knowledge area.
+ *
+ * Usage:
+ *   node test/eval/run.js                        # replay every fixture in test/eval/fixtures
+ *   node test/eval/run.js --record               # call the API for unrecorded requests (needs ANTHROPIC_API_KEY)
+ *   node test/eval/run.js path/to/fixture.json   # run specific fixtures
+ *   node test/eval/run.js --model claude-opus-4-6 --fail-under 90
+ *
+ * Each fixture replays from test/eval/cassettes/<fixture name>.json. Changing a prompt
+ * or model changes the request, so re-run with --record to measure the new behavior.
+ */
+import "dotenv/config";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Anthropic from "@anthropic-ai/sdk";
+
+import { createCassetteClient } from "./cassette.js";
+import { createFakeSlack, createFakeApp, createFakeLogger } from "../fakes/slack.js";
+import { createFakeNotion } from "../fakes/notion.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const CASSETTES_DIR = path.join(__dirname, "cassettes");
+const OUTCOMES = ["found", "partial", "escalate", "clarify", "ignore"];
+const GENERAL_FAQ_AREA_ID = "general-faq";
+
+// Read before the placeholders below, so --record can tell a real key from none
+const apiKey = process.env.ANTHROPIC_API_KEY;
+
+// The bot's modules need these to load; nothing here talks to Slack or Notion.
+// Config and data go to a temp dir so the eval never touches a real install.
+process.env.SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN || "xoxb-eval";
+process.env.SLACK_APP_TOKEN = process.env.SLACK_APP_TOKEN || "xapp-eval";
+process.env.SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET || "eval-secret";
+process.env.ANTHROPIC_API_KEY = apiKey || "sk-ant-eval";
+process.env.NOTION_API_KEY = process.env.NOTION_API_KEY || "ntn_eval";
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "knowledge-bot-eval-"));
+process.env.CONFIG_DIR = path.join(tmpDir, "config");
+process.env.DATA_DIR = path.join(tmpDir, "data");
+
+// Imported after CONFIG_DIR and DATA_DIR are set, since they're read at load time
+const { default: config } = await import("../../src/config.js");
+const { initStorage } = await import("../../src/storage.js");
+const { runInWorkspace, getWorkspaceConfigDir } = await import("../../src/workspaces.js");
+const { setNotionClient } = await import("../../src/notion.js");
+const { loadKnowledgeAreas } = await import("../../src/knowledge-areas.js");
+const { getAllEscalations } = await import("../../src/escalation-tracker.js");
+const { getAllFaqAnswers } = await import("../../src/answer-tracker.js");
+const { registerChannelHandler } = await import("../../src/channel-handler.js");
+
+function parseArgs(argv) {
+  const args = { record: false, model: null, failUnder: null, fixtures: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--record") args.record = true;
+    else if (arg === "--model") args.model = argv[++i];
+    else if (arg === "--fail-under") args.failUnder = Number(argv[++i]);
+    else args.fixtures.push(path.resolve(arg));
+  }
+  return args;
+}
+
+/**
+ * Load and sanity-check a fixture file.
+ *
+ * Format:
+ *   knowledgeAreas: [{ id, name, description, keywords, notionPageId }]
+ *   pages:          { [pageId]: { title, content } } — fetchPageContent snapshots
+ *   kbHierarchy:    [{ pageId, title, depth }] — optional, enables the General KB path
+ *   generalPageId:  optional page used for "general" questions without a hierarchy
+ *   retrieval:      optional { enabled, topK, maxPassageChars }, defaults match bot-config
+ *   cases:          [{ id, question, channel?, expectedAreaId, expectedOutcome }]
+ */
+async function loadFixture(fixturePath) {
+  const fixture = JSON.parse(await fs.readFile(fixturePath, "utf8"));
+  const name = path.basename(fixturePath, ".json");
+
+  fixture.knowledgeAreas = (fixture.knowledgeAreas ?? []).map((a) => ({ description: "", keywords: [], ...a }));
+  fixture.pages = fixture.pages ?? {};
+  fixture.kbHierarchy = fixture.kbHierarchy ?? [];
+
+  for (const c of fixture.cases ?? []) {
+    if (!c.id || !c.question) throw new Error(`${name}: every case needs an id and a question`);
+    if (!OUTCOMES.includes(c.expectedOutcome)) {
+      throw new Error(`${name}/${c.id}: expectedOutcome must be one of ${OUTCOMES.join(", ")}`);
+    }
+  }
+
+  return { name, fixture };
+}
+
+/**
+ * Set up the bot for one fixture in its own workspace: the fixture's knowledge areas,
+ * a fake Slack workspace with its channels, and the channel handler reading the page
+ * snapshots and asking the cassette instead of Anthropic.
+ */
+async function createFixtureBot(fixture, teamId, anthropic, model) {
+  const configDir = getWorkspaceConfigDir(teamId);
+  await fs.mkdir(configDir, { recursive: true });
+  await fs.writeFile(
+    path.join(configDir, "knowledge-areas.json"),
+    JSON.stringify({ areas: fixture.knowledgeAreas }, null, 2),
+    "utf8"
+  );
+  await runInWorkspace(teamId, () => loadKnowledgeAreas());
+
+  // Cases without a channel are asked in a watched channel the bot knows no name for
+  const channelNames = [...new Set(fixture.cases.map((c) => c.channel).filter(Boolean))];
+  const channels = [{ id: "CUNNAMED", name: "" }, ...channelNames.map((name, i) => ({ id: `C${i + 1}`, name }))];
+  const channelIdFor = (name) => channels.find((c) => name && c.name === name)?.id ?? "CUNNAMED";
+
+  const slack = createFakeSlack({ botUserId: "UBOT", channels, users: [{ id: "UASKER", name: "asker" }] });
+  // Handler errors are logged rather than thrown, so collect them to report per case
+  const errors = [];
+  const logger = { ...createFakeLogger(), error: (...args) => errors.push(args.join(" ")) };
+  const app = createFakeApp(slack.client, logger);
+
+  const readPage = (pageId) => fixture.pages[pageId]?.content ?? "";
+  const hasKb = fixture.kbHierarchy.length > 0;
+  const ctx = {
+    config: {
+      ...config,
+      claudeModel: model,
+      generalFaq: {
+        ...config.generalFaq,
+        enabled: hasKb || !!fixture.generalPageId,
+        kbRootPageUrl: hasKb ? fixture.generalPageId || "kb-root" : "",
+        notionPageUrl: fixture.generalPageId || "",
+      },
+      retrieval: { enabled: true, topK: 8, maxPassageChars: 1200, ...fixture.retrieval },
+      // Cases are independent questions, not follow-ups or repeats of each other
+      duplicateDetection: { ...config.duplicateDetection, enabled: false },
+      questionPrefilter: { ...config.questionPrefilter, enabled: false },
+    },
+    anthropic,
+    watchChannelIds: new Set(channels.map((c) => c.id)),
+    channelIdToName: new Map(channels.filter((c) => c.name).map((c) => [c.id, c.name])),
+    botUserId: "UBOT",
+    getNotionContent: async (pageId) => readPage(pageId),
+    readKnowledgeSource: async (source) => readPage(source.id),
+    getKbHierarchy: async () => fixture.kbHierarchy,
+    logger,
+  };
+  registerChannelHandler(app, ctx);
+
+  return { teamId, slack, app, errors, channelIdFor };
+}
+
+/**
+ * Ask one question in its channel and read the outcome off what the handler did:
+ * an answer (partial if leads were tagged too), an escalation, a question back
+ * about the area, or nothing.
+ *
+ * @returns {Promise<{ areaId: string|null, outcome: string }>}
+ */
+async function runCase(bot, testCase, cassette) {
+  const { teamId, slack, app, errors, channelIdFor } = bot;
+  const channel = channelIdFor(testCase.channel);
+  const missesBefore = cassette.stats.misses;
+  errors.length = 0;
+
+  return runInWorkspace(teamId, async () => {
+    const message = slack.postUserMessage({ channel, user: "UASKER", text: testCase.question });
+    await app.dispatchEvent(message);
+
+    if (cassette.stats.misses > missesBefore) {
+      const err = new Error("not recorded");
+      err.cassetteMiss = true;
+      throw err;
+    }
+    if (errors.length > 0) throw new Error(errors[0]);
+
+    const inThread = (r) => r.channel === channel && r.threadTs === message.ts;
+    const answer = getAllFaqAnswers().find(inThread);
+    const escalation = getAllEscalations().find(inThread);
+    const record = answer ?? escalation;
+    const areaId = record ? (record.productAreaId === GENERAL_FAQ_AREA_ID ? "general" : record.productAreaId) : null;
+
+    if (answer) return { areaId, outcome: answer.partial ? "partial" : "found" };
+    if (escalation) return { areaId, outcome: "escalate" };
+    if (slack.botMessages(channel, message.ts).length > 0) return { areaId: null, outcome: "clarify" };
+    return { areaId: null, outcome: "ignore" };
+  });
+}
+
+function pct(n, total) {
+  return total ? `${Math.round((n / total) * 100)}%` : "-";
+}
+
+function printReport(name, results) {
+  const byArea = new Map();
+  for (const r of results) {
+    const key = r.case.expectedAreaId ?? "(not a question)";
+    if (!byArea.has(key)) byArea.set(key, []);
+    byArea.get(key).push(r);
+  }
+
+  const rows = [["Area", "Cases", "Routing", "Outcome", "Errors"]];
+  const addRow = (label, group) => {
+    const scored = group.filter((r) => !r.error);
+    const routed = scored.filter((r) => r.routingOk).length;
+    const outcomes = scored.filter((r) => r.outcomeOk).length;
+    rows.push([
+      label,
+      String(group.length),
+      `${routed}/${scored.length} ${pct(routed, scored.length)}`,
+      `${outcomes}/${scored.length} ${pct(outcomes, scored.length)}`,
+      String(group.length - scored.length),
+    ]);
+  };
+  for (const [areaId, group] of [...byArea.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    addRow(areaId, group);
+  }
+  addRow("Overall", results);
+
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+  console.log(`\n${name} (${results.length} case(s))`);
+  for (const row of rows) {
+    console.log(`  ${row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ")}`);
+  }
+
+  const misses = results.filter((r) => r.error || !r.routingOk || !r.outcomeOk);
+  if (misses.length > 0) {
+    console.log("\n  Mismatches:");
+    for (const r of misses) {
+      const expected = `${r.case.expectedAreaId ?? "-"}/${r.case.expectedOutcome}`;
+      const actual = r.error ? `error: ${r.error}` : `${r.areaId ?? "-"}/${r.outcome}`;
+      console.log(`    ${r.case.id}: expected ${expected}, got ${actual}`);
+    }
+  }
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  const model = args.model || config.claudeModel;
+
+  let fixturePaths = args.fixtures;
+  if (fixturePaths.length === 0) {
+    fixturePaths = (await fs.readdir(FIXTURES_DIR))
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => path.join(FIXTURES_DIR, f));
+  }
+
+  let anthropic = null;
+  if (args.record) {
+    if (!apiKey) throw new Error("--record needs ANTHROPIC_API_KEY");
+    anthropic = new Anthropic({ apiKey });
+  }
+
+  initStorage({ backend: "json", dataDir: process.env.DATA_DIR });
+  // Citation lookups find nothing in an empty workspace instead of calling Notion
+  setNotionClient(createFakeNotion().client);
+
+  console.log(`Eval: ${fixturePaths.length} fixture(s), model ${model}${args.record ? ", recording" : ""}`);
+
+  const allResults = [];
+  for (const [index, fixturePath] of fixturePaths.entries()) {
+    const { name, fixture } = await loadFixture(fixturePath);
+    const cassette = await createCassetteClient(path.join(CASSETTES_DIR, `${name}.json`), {
+      record: args.record,
+      anthropic,
+    });
+    const bot = await createFixtureBot(fixture, `eval-${index + 1}`, cassette, model);
+
+    const results = [];
+    for (const testCase of fixture.cases ?? []) {
+      try {
+        const { areaId, outcome } = await runCase(bot, testCase, cassette);
+        results.push({
+          case: testCase,
+          areaId,
+          outcome,
+          routingOk: areaId === (testCase.expectedAreaId ?? null),
+          outcomeOk: outcome === testCase.expectedOutcome,
+        });
+      } catch (err) {
+        if (!err.cassetteMiss) console.error(`  ${name}/${testCase.id} failed: ${err?.message ?? err}`);
+        results.push({ case: testCase, error: err.cassetteMiss ? "not recorded" : err?.message ?? String(err) });
+      }
+    }
+
+    if (args.record) await cassette.save();
+    printReport(name, results);
+    if (cassette.stats.misses > 0) {
+      console.log(`\n  ${cassette.stats.misses} request(s) had no recording — run with --record to capture them.`);
+    }
+    allResults.push(...results);
+  }
+
+  const scored = allResults.filter((r) => !r.error);
+  const correct = scored.filter((r) => r.routingOk && r.outcomeOk).length;
+  const accuracy = scored.length ? (correct / scored.length) * 100 : 0;
+  console.log(`\nOverall: ${correct}/${scored.length} case(s) fully correct (${accuracy.toFixed(1)}%), ${allResults.length - scored.length} error(s)`);
+
+  if (allResults.length !== scored.length) return 1;
+  if (args.failUnder != null && accuracy < args.failUnder) {
+    console.error(`Accuracy ${accuracy.toFixed(1)}% is below --fail-under ${args.failUnder}%`);
+    return 1;
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = await run();
+} catch (err) {
+  console.error("Eval crashed:", err);
+  process.exitCode = 1;
+} finally {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
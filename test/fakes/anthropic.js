@@ -0,0 +1,44 @@
+/**
+ * Anthropic client stand-in for end-to-end tests. Each structured-output call is
+ * answered by the responder registered for its schema (the *_SCHEMA constants in
+ * src/llm.js), so a test scripts the model's decisions without a network call.
+ *
+ *   const anthropic = createFakeAnthropic(new Map([
+ *     [CLASSIFICATION_SCHEMA, () => ({ is_question: true, product_area_id: "sales", ... })],
+ *   ]));
+ */
+export function createFakeAnthropic(responders = new Map()) {
+  const calls = [];
+
+  async function create(params) {
+    const schema = params.output_format?.schema ?? null;
+    const responder = responders.get(schema);
+    if (!responder) {
+      throw new Error(`No fake response registered for schema with properties: ${Object.keys(schema?.properties ?? {}).join(", ") || "(none)"}`);
+    }
+    const result = await responder(params);
+    calls.push({ schema, params, result });
+    return {
+      id: `msg_fake_${calls.length}`,
+      type: "message",
+      role: "assistant",
+      model: params.model,
+      content: [{ type: "text", text: typeof result === "string" ? result : JSON.stringify(result) }],
+      stop_reason: "end_turn",
+    };
+  }
+
+  return {
+    calls,
+    responders,
+    beta: { messages: { create } },
+    messages: { create },
+
+    /**
+     * Calls made with a given schema, oldest first.
+     */
+    callsFor(schema) {
+      return calls.filter((c) => c.schema === schema);
+    },
+  };
+}
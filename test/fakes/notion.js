@@ -0,0 +1,404 @@
+/**
+ * In-memory stand-in for the parts of @notionhq/client the bot uses:
+ * blocks (retrieve, update, delete, children.list, children.append),
+ * pages (retrieve, create, update), databases.retrieve, dataSources (retrieve,
+ * query) and comments.create. Hand `fake.client` to setNotionClient().
+ * Pages track last_edited_time, moved forward by any edit to their blocks.
+ */
+import crypto from "node:crypto";
+
+const key = (id) => String(id).replace(/-/g, "");
+
+function notFound(id) {
+  const err = new Error(`Could not find block with ID: ${id}`);
+  err.code = "object_not_found";
+  err.status = 404;
+  return err;
+}
+
+function richText(text) {
+  return [{ type: "text", text: { content: text }, plain_text: text }];
+}
+
+/**
+ * Block builders in the shape the Notion API accepts for children.append.
+ */
+export const notionBlock = {
+  paragraph: (text) => ({ object: "block", type: "paragraph", paragraph: { rich_text: richText(text) } }),
+  heading: (level, text) => ({ object: "block", type: `heading_${level}`, [`heading_${level}`]: { rich_text: richText(text) } }),
+  toggle: (text, children = []) => ({ object: "block", type: "toggle", toggle: { rich_text: richText(text), children } }),
+  bullet: (text) => ({ object: "block", type: "bulleted_list_item", bulleted_list_item: { rich_text: richText(text) } }),
+  divider: () => ({ object: "block", type: "divider", divider: {} }),
+  todo: (text, checked = false) => ({ object: "block", type: "to_do", to_do: { rich_text: richText(text), checked } }),
+  bulletWith: (text, children) => ({ object: "block", type: "bulleted_list_item", bulleted_list_item: { rich_text: richText(text), children } }),
+  table: (rows) => ({
+    object: "block",
+    type: "table",
+    table: {
+      table_width: rows[0]?.length ?? 0,
+      has_column_header: true,
+      has_row_header: false,
+      children: rows.map((cells) => ({ type: "table_row", table_row: { cells: cells.map(richText) } })),
+    },
+  }),
+  columns: (...columns) => ({
+    object: "block",
+    type: "column_list",
+    column_list: { children: columns.map((children) => ({ type: "column", column: { children } })) },
+  }),
+  synced: (children) => ({ object: "block", type: "synced_block", synced_block: { synced_from: null, children } }),
+  syncedCopy: (blockId) => ({ object: "block", type: "synced_block", synced_block: { synced_from: { type: "block_id", block_id: blockId } } }),
+  linkToPage: (pageId) => ({ object: "block", type: "link_to_page", link_to_page: { type: "page_id", page_id: pageId } }),
+};
+
+// Plain row values → database page properties: the first key is the title,
+// strings are rich text (dates if YYYY-MM-DD), arrays multi-selects, booleans checkboxes
+function rowProperties(row) {
+  return Object.fromEntries(Object.entries(row).map(([name, value], i) => {
+    if (i === 0) return [name, { type: "title", title: richText(String(value)) }];
+    if (Array.isArray(value)) return [name, { type: "multi_select", multi_select: value.map((v) => ({ name: v })) }];
+    if (typeof value === "boolean") return [name, { type: "checkbox", checkbox: value }];
+    if (typeof value === "number") return [name, { type: "number", number: value }];
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return [name, { type: "date", date: { start: value, end: null } }];
+    return [name, { type: "rich_text", rich_text: richText(String(value)) }];
+  }));
+}
+
+// Property values as sent to pages.create/update → as the API returns them
+function normalizeProperties(properties, schema) {
+  return Object.fromEntries(Object.entries(properties).map(([name, value]) => {
+    const type = schema[name]?.type ?? Object.keys(value).find((k) => k !== "type");
+    const prop = { type, ...value };
+    if (prop.title || prop.rich_text) {
+      prop[type] = prop[type].map((t) => ({ ...t, plain_text: t.text?.content ?? "" }));
+    }
+    return [name, prop];
+  }));
+}
+
+/**
+ * Error shaped like @notionhq/client's APIResponseError.
+ */
+export function apiError(status, headers = {}) {
+  const codes = { 409: "conflict_error", 429: "rate_limited", 500: "internal_server_error", 502: "bad_gateway", 503: "service_unavailable" };
+  const err = new Error(`Request to Notion API failed with status: ${status}`);
+  err.status = status;
+  err.code = codes[status] ?? "unknown";
+  err.headers = new Headers(headers);
+  return err;
+}
+
+export function createFakeNotion() {
+  const blocks = new Map(); // block id -> block
+  const children = new Map(); // parent id -> [block id]
+  const pages = new Map(); // page id -> page
+  const databases = new Map(); // database id -> database
+  const dataSources = new Map(); // data source id -> { properties (schema), rows: [page id] }
+  const comments = [];
+  const injectedErrors = []; // thrown by the next API calls, in order
+  let lastEditMs = 0;
+
+  // Strictly increasing timestamps, so back-to-back edits are distinguishable
+  // (real Notion rounds last_edited_time down to the minute)
+  function timestamp() {
+    lastEditMs = Math.max(Date.now(), lastEditMs + 1);
+    return new Date(lastEditMs).toISOString();
+  }
+
+  // Move last_edited_time forward on the block and every ancestor up to its page
+  function touch(id) {
+    const now = timestamp();
+    let current = id;
+    while (current) {
+      const page = pages.get(key(current));
+      if (page) {
+        page.last_edited_time = now;
+        return;
+      }
+      const block = blocks.get(key(current));
+      if (!block) return;
+      block.last_edited_time = now;
+      current = block.parent.page_id ?? block.parent.block_id;
+    }
+  }
+
+  // Fill in the fields the API adds (ids, plain_text, parent, has_children) and store the tree
+  function insert(parentId, input, after = null) {
+    const siblings = children.get(key(parentId)) ?? [];
+    let position = after ? siblings.indexOf(key(after)) + 1 : siblings.length;
+    const parent = pages.has(key(parentId))
+      ? { type: "page_id", page_id: pages.get(key(parentId)).id }
+      : { type: "block_id", block_id: blocks.get(key(parentId)).id };
+
+    const created = [];
+    for (const spec of input) {
+      const { children: nested = [], ...content } = spec[spec.type] ?? {};
+      if (content.rich_text) {
+        content.rich_text = content.rich_text.map((t) => ({ ...t, plain_text: t.plain_text ?? t.text?.content ?? "" }));
+      }
+      const now = timestamp();
+      const block = {
+        object: "block",
+        id: crypto.randomUUID(),
+        type: spec.type,
+        [spec.type]: content,
+        has_children: false,
+        archived: false,
+        parent,
+        created_time: now,
+        last_edited_time: now,
+      };
+      blocks.set(key(block.id), block);
+      siblings.splice(position++, 0, key(block.id));
+      if (nested.length > 0) {
+        insert(block.id, nested);
+        block.has_children = true;
+      }
+      created.push(block);
+    }
+    children.set(key(parentId), siblings);
+    touch(parentId);
+    return created;
+  }
+
+  function getBlock(id) {
+    const block = blocks.get(key(id));
+    if (!block || block.archived) throw notFound(id);
+    return block;
+  }
+
+  const client = {
+    blocks: {
+      async retrieve({ block_id }) {
+        return structuredClone(getBlock(block_id));
+      },
+
+      async update({ block_id, archived, ...props }) {
+        const block = getBlock(block_id);
+        const content = props[block.type];
+        if (content) {
+          block[block.type] = { ...block[block.type], ...content };
+          if (content.rich_text) {
+            block[block.type].rich_text = content.rich_text.map((t) => ({ ...t, plain_text: t.text?.content ?? "" }));
+          }
+        }
+        if (archived) return client.blocks.delete({ block_id });
+        touch(block.id);
+        return structuredClone(block);
+      },
+
+      async delete({ block_id }) {
+        const block = getBlock(block_id);
+        block.archived = true;
+        const parentId = block.parent.page_id ?? block.parent.block_id;
+        children.set(key(parentId), (children.get(key(parentId)) ?? []).filter((id) => id !== key(block_id)));
+        touch(parentId);
+        return structuredClone(block);
+      },
+
+      children: {
+        async list({ block_id, start_cursor, page_size = 100 }) {
+          if (!pages.has(key(block_id))) getBlock(block_id);
+          const ids = children.get(key(block_id)) ?? [];
+          const start = start_cursor ? Number(start_cursor) : 0;
+          const end = start + page_size;
+          return {
+            object: "list",
+            results: ids.slice(start, end).map((id) => structuredClone(blocks.get(id))),
+            has_more: end < ids.length,
+            next_cursor: end < ids.length ? String(end) : null,
+          };
+        },
+
+        async append({ block_id, children: input, after }) {
+          if (!pages.has(key(block_id))) {
+            getBlock(block_id).has_children = true;
+          }
+          const created = insert(block_id, input, after);
+          return { object: "list", results: created.map((b) => structuredClone(b)) };
+        },
+      },
+    },
+
+    pages: {
+      async retrieve({ page_id }) {
+        const page = pages.get(key(page_id));
+        if (!page) throw notFound(page_id);
+        return structuredClone(page);
+      },
+
+      async create({ parent, properties, children: content = [] }) {
+        const dataSource = dataSources.get(key(parent.data_source_id));
+        if (!dataSource) throw notFound(parent.data_source_id);
+        const page = addRow(parent.data_source_id, normalizeProperties(properties, dataSource.properties));
+        if (content.length > 0) insert(page.id, content);
+        return structuredClone(pages.get(key(page.id)));
+      },
+
+      async update({ page_id, properties = {}, in_trash }) {
+        const page = pages.get(key(page_id));
+        if (!page) throw notFound(page_id);
+        page.properties = { ...page.properties, ...normalizeProperties(properties, page.properties) };
+        page.last_edited_time = timestamp();
+        if (in_trash) {
+          page.in_trash = true;
+          const dataSource = dataSources.get(key(page.parent?.data_source_id ?? ""));
+          if (dataSource) dataSource.rows = dataSource.rows.filter((id) => id !== key(page_id));
+        }
+        return structuredClone(page);
+      },
+    },
+
+    databases: {
+      async retrieve({ database_id }) {
+        const database = databases.get(key(database_id));
+        if (!database) throw notFound(database_id);
+        return structuredClone(database);
+      },
+    },
+
+    dataSources: {
+      async retrieve({ data_source_id }) {
+        const dataSource = dataSources.get(key(data_source_id));
+        if (!dataSource) throw notFound(data_source_id);
+        return { object: "data_source", id: data_source_id, properties: structuredClone(dataSource.properties) };
+      },
+
+      // Supports the one sort the bot uses: by last_edited_time
+      async query({ data_source_id, start_cursor, page_size = 100, sorts = [] }) {
+        const dataSource = dataSources.get(key(data_source_id));
+        if (!dataSource) throw notFound(data_source_id);
+        const ids = [...dataSource.rows];
+        if (sorts[0]?.timestamp === "last_edited_time") {
+          const order = sorts[0].direction === "descending" ? -1 : 1;
+          ids.sort((a, b) => order * pages.get(a).last_edited_time.localeCompare(pages.get(b).last_edited_time));
+        }
+        const start = start_cursor ? Number(start_cursor) : 0;
+        const end = start + page_size;
+        return {
+          object: "list",
+          results: ids.slice(start, end).map((id) => structuredClone(pages.get(id))),
+          has_more: end < ids.length,
+          next_cursor: end < ids.length ? String(end) : null,
+        };
+      },
+    },
+
+    comments: {
+      async create({ parent, rich_text }) {
+        const comment = {
+          object: "comment",
+          id: crypto.randomUUID(),
+          discussion_id: crypto.randomUUID(),
+          parent,
+          rich_text,
+          text: rich_text.map((t) => t.text?.content ?? "").join(""),
+        };
+        comments.push(comment);
+        return comment;
+      },
+    },
+  };
+
+  // Every API method first throws the next injected error, if any
+  const withInjectedErrors = (namespace) => {
+    for (const [name, value] of Object.entries(namespace)) {
+      if (typeof value === "function") {
+        namespace[name] = async (...args) => {
+          if (injectedErrors.length > 0) throw injectedErrors.shift();
+          return value(...args);
+        };
+      } else {
+        withInjectedErrors(value);
+      }
+    }
+  };
+  withInjectedErrors(client);
+
+  function addRow(dataSourceId, properties) {
+    const id = crypto.randomUUID();
+    const now = timestamp();
+    pages.set(key(id), {
+      object: "page",
+      id,
+      url: `https://www.notion.so/${key(id)}`,
+      created_time: now,
+      last_edited_time: now,
+      parent: { type: "data_source_id", data_source_id: dataSourceId },
+      properties,
+    });
+    dataSources.get(key(dataSourceId)).rows.push(key(id));
+    return pages.get(key(id));
+  }
+
+  return {
+    client,
+    comments,
+
+    /**
+     * Make the next API calls fail, e.g. failNext(apiError(429, { "retry-after": "1" })).
+     */
+    failNext(...errors) {
+      injectedErrors.push(...errors);
+    },
+
+    /**
+     * Create a page from notionBlock specs. Pass parentId to nest it as a child_page
+     * (the way fetchKbHierarchy discovers sub-pages). Returns the page ID.
+     */
+    addPage(title, content = [], { parentId = null } = {}) {
+      const id = crypto.randomUUID();
+      const created = timestamp();
+      pages.set(key(id), {
+        object: "page",
+        id,
+        created_time: created,
+        last_edited_time: created,
+        properties: { title: { type: "title", title: richText(title) } },
+      });
+      if (parentId) {
+        const now = timestamp();
+        const block = {
+          object: "block",
+          id,
+          type: "child_page",
+          child_page: { title },
+          has_children: content.length > 0,
+          archived: false,
+          parent: { type: "page_id", page_id: pages.get(key(parentId)).id },
+          created_time: now,
+          last_edited_time: now,
+        };
+        blocks.set(key(id), block);
+        children.set(key(parentId), [...(children.get(key(parentId)) ?? []), key(id)]);
+        touch(parentId);
+      }
+      if (content.length > 0) insert(id, content);
+      return id;
+    },
+
+    /**
+     * Add a database with one data source holding the given rows, e.g.
+     * { Question: "…", Answer: "…", Tags: ["billing"], "Last verified": "2026-01-31" }.
+     * The schema comes from the first row. Pass parentId to make it an inline
+     * database (a child_database block) on that page. Returns the database ID.
+     */
+    addDatabase(title, rows, { parentId = null } = {}) {
+      const id = parentId
+        ? insert(parentId, [{ type: "child_database", child_database: { title } }])[0].id
+        : crypto.randomUUID();
+      const dataSourceId = crypto.randomUUID();
+      databases.set(key(id), {
+        object: "database",
+        id,
+        title: richText(title),
+        data_sources: [{ id: dataSourceId, name: title }],
+        last_edited_time: timestamp(),
+      });
+      const schema = Object.entries(rowProperties(rows[0] ?? {})).map(([name, prop]) => [name, { id: name, name, type: prop.type }]);
+      dataSources.set(key(dataSourceId), { properties: Object.fromEntries(schema), rows: [] });
+      for (const row of rows) addRow(dataSourceId, rowProperties(row));
+      return id;
+    },
+  };
+}
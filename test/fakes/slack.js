@@ -0,0 +1,226 @@
+/**
+ * In-memory stand-ins for the Slack Web API client and a Bolt App, so handler
+ * modules can be registered and driven without a network connection.
+ *
+ *   const slack = createFakeSlack({ channels: [{ id: "C1", name: "sales" }], users: [...] });
+ *   const app = createFakeApp(slack.client);
+ *   registerChannelHandler(app, ctx);
+ *   await app.dispatchEvent(slack.postUserMessage({ channel: "C1", user: "U1", text: "…" }));
+ */
+
+/**
+ * Logger with Bolt's interface. Silent unless DEBUG_FAKES is set.
+ */
+export function createFakeLogger() {
+  const log = (level) => (...args) => {
+    if (process.env.DEBUG_FAKES) console.log(`[${level}]`, ...args);
+  };
+  return { debug: log("debug"), info: log("info"), warn: log("warn"), error: log("error") };
+}
+
+export function createFakeSlack({ botUserId = "UBOT", channels = [], users = [] } = {}) {
+  const messages = []; // every message, in channels, threads and DMs
+  const ephemerals = [];
+  const views = [];
+  let clock = 1700000000;
+
+  const nextTs = () => `${++clock}.000100`;
+
+  function findMessage(channel, ts) {
+    const message = messages.find((m) => m.channel === channel && m.ts === ts);
+    if (!message) {
+      const err = new Error("An API error occurred: message_not_found");
+      err.data = { ok: false, error: "message_not_found" };
+      throw err;
+    }
+    return message;
+  }
+
+  const client = {
+    auth: {
+      async test() {
+        return { ok: true, user_id: botUserId };
+      },
+    },
+
+    chat: {
+      async postMessage({ channel, text, thread_ts, blocks }) {
+        const message = { channel, ts: nextTs(), thread_ts, text, blocks, user: botUserId, bot_id: "BFAKEBOT" };
+        messages.push(message);
+        return { ok: true, channel, ts: message.ts, message };
+      },
+
+      async update({ channel, ts, text, blocks }) {
+        const message = findMessage(channel, ts);
+        Object.assign(message, { text, blocks, edited: true });
+        return { ok: true, channel, ts };
+      },
+
+      async postEphemeral({ channel, user, text, thread_ts }) {
+        ephemerals.push({ channel, user, text, thread_ts });
+        return { ok: true, message_ts: nextTs() };
+      },
+
+      async getPermalink({ channel, message_ts }) {
+        return { ok: true, permalink: `https://fake.slack.com/archives/${channel}/p${message_ts.replace(".", "")}` };
+      },
+    },
+
+    conversations: {
+      async list() {
+        return { ok: true, channels: channels.map((c) => ({ is_member: true, ...c })), response_metadata: { next_cursor: "" } };
+      },
+
+      async open({ users: userId }) {
+        return { ok: true, channel: { id: `D${userId}` } };
+      },
+
+      async info({ channel }) {
+        const found = channels.find((c) => c.id === channel);
+        if (!found) throw new Error("An API error occurred: channel_not_found");
+        return { ok: true, channel: { is_private: false, is_member: true, ...found } };
+      },
+
+      async join({ channel }) {
+        const found = channels.find((c) => c.id === channel);
+        if (!found) throw new Error("An API error occurred: channel_not_found");
+        found.is_member = true;
+        return { ok: true, channel: found };
+      },
+
+      async replies({ channel, ts, limit = 1000 }) {
+        const thread = messages
+          .filter((m) => m.channel === channel && (m.ts === ts || m.thread_ts === ts))
+          .sort((a, b) => Number(a.ts) - Number(b.ts))
+          .slice(0, limit);
+        return { ok: true, messages: thread, has_more: false };
+      },
+    },
+
+    users: {
+      async list() {
+        return { ok: true, members: users, response_metadata: { next_cursor: "" } };
+      },
+
+      async info({ user }) {
+        const member = users.find((u) => u.id === user);
+        if (!member) throw new Error("An API error occurred: user_not_found");
+        return { ok: true, user: member };
+      },
+
+      async lookupByEmail({ email }) {
+        const member = users.find((u) => u.profile?.email === email);
+        if (!member) throw new Error("An API error occurred: users_not_found");
+        return { ok: true, user: member };
+      },
+    },
+
+    views: {
+      async open({ view }) {
+        views.push({ method: "open", view });
+        return { ok: true, view: { id: `V${views.length}`, ...view } };
+      },
+
+      async publish({ user_id, view }) {
+        views.push({ method: "publish", user_id, view });
+        return { ok: true };
+      },
+
+      async update({ view_id, view }) {
+        views.push({ method: "update", view_id, view });
+        return { ok: true };
+      },
+    },
+  };
+
+  return {
+    client,
+    messages,
+    ephemerals,
+    views,
+
+    /**
+     * Record a message from a person and return the matching Events API payload.
+     */
+    postUserMessage({ channel, user, text, thread_ts }) {
+      const message = { channel, ts: nextTs(), thread_ts, text, user };
+      messages.push(message);
+      return {
+        type: "message",
+        channel,
+        channel_type: channel.startsWith("D") ? "im" : "channel",
+        user,
+        text,
+        ts: message.ts,
+        ...(thread_ts ? { thread_ts } : {}),
+      };
+    },
+
+    /**
+     * Messages the bot posted in a thread (or channel when threadTs is omitted).
+     */
+    botMessages(channel, threadTs = null) {
+      return messages.filter((m) => m.channel === channel && m.bot_id && (!threadTs || m.thread_ts === threadTs));
+    },
+  };
+}
+
+function matches(constraint, value) {
+  return constraint instanceof RegExp ? constraint.test(value) : constraint === value;
+}
+
+/**
+ * Bolt App stand-in: collects listeners registered by the handler modules and
+ * lets a test dispatch events, actions, view submissions and slash commands.
+ */
+export function createFakeApp(client, logger = createFakeLogger()) {
+  const listeners = { event: [], action: [], view: [], command: [] };
+  const ack = async () => {};
+
+  async function run(kind, value, args) {
+    for (const [constraint, fn] of listeners[kind]) {
+      if (matches(constraint, value)) await fn({ ack, client, logger, context: {}, ...args });
+    }
+  }
+
+  return {
+    client,
+    logger,
+
+    event: (name, fn) => listeners.event.push([name, fn]),
+    action: (id, fn) => listeners.action.push([id, fn]),
+    view: (id, fn) => listeners.view.push([id, fn]),
+    command: (name, fn) => listeners.command.push([name, fn]),
+    use: () => {},
+
+    dispatchEvent: (event) => run("event", event.type, { event, body: { event } }),
+
+    dispatchAction: (actionId, { value, user, channel, messageTs, triggerId = "trigger" } = {}) => {
+      const action = { action_id: actionId, value };
+      const body = {
+        user: { id: user },
+        channel: { id: channel },
+        container: { channel_id: channel, message_ts: messageTs },
+        message: { ts: messageTs },
+        trigger_id: triggerId,
+        actions: [action],
+      };
+      return run("action", actionId, { action, body });
+    },
+
+    dispatchView: (callbackId, { user, privateMetadata = "", values = {} } = {}) => {
+      const view = { callback_id: callbackId, private_metadata: privateMetadata, state: { values } };
+      return run("view", callbackId, { view, body: { user: { id: user }, view } });
+    },
+
+    dispatchCommand: (name, { user, text = "", channel = "C0" } = {}) => {
+      const replies = [];
+      const command = { command: name, text, user_id: user, channel_id: channel };
+      return run("command", name, {
+        command,
+        body: command,
+        respond: async (msg) => replies.push(typeof msg === "string" ? { text: msg } : msg),
+      }).then(() => replies);
+    },
+  };
+}
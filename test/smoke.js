@@ -5,6 +5,10 @@
  * Usage: node test/smoke.js
  */
 
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
 // Inject minimal env vars so config.js doesn't throw on missing secrets
 process.env.SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN || "xoxb-test";
 process.env.SLACK_APP_TOKEN = process.env.SLACK_APP_TOKEN || "xapp-test";
@@ -38,32 +42,121 @@ async function run() {
   assert(configMod.default.features && typeof configMod.default.features === "object", "config.features is an object");
   console.log("  config.js ✓");
 
+  // ── storage ──
+  const storage = await import("../src/storage.js");
+  for (const fn of ["initStorage", "getStore", "getSharedStore", "createJsonFileStore", "createSqliteStore"]) {
+    assertFn(storage, fn, "storage");
+  }
+  const store = storage.getStore();
+  for (const fn of ["loadDocument", "saveDocument", "archiveRecords", "listArchivedRecords", "close"]) {
+    assertFn(store, fn, "store");
+  }
+
+  const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), "faq-bot-smoke-"));
+  try {
+    const jsonStore = storage.createJsonFileStore(storageDir);
+    assert((await jsonStore.loadDocument("missing", { empty: true })).empty === true, "json store returns the fallback for missing documents");
+    const doc = { reviews: [{ id: "r1" }] };
+    const firstSave = jsonStore.saveDocument("T0123/faq-reviews", doc);
+    doc.reviews.push({ id: "r2" });
+    await Promise.all([firstSave, jsonStore.saveDocument("T0123/faq-reviews", doc)]);
+    await jsonStore.close();
+    const reloaded = await storage.createJsonFileStore(storageDir).loadDocument("T0123/faq-reviews");
+    assert(reloaded?.reviews.length === 2, "json store reloads the last saved document from disk");
+    assert(await jsonStore.archiveRecords("escalations", [{ id: "e1" }]) === 0, "json store drops archived records");
+
+    await fs.writeFile(path.join(storageDir, "escalations.json"), JSON.stringify({ escalations: [{ id: "legacy" }] }), "utf8");
+    const dbPath = path.join(storageDir, "db", "faq-bot.sqlite");
+    let sqliteStore = storage.createSqliteStore(dbPath, storageDir);
+    const imported = await sqliteStore.loadDocument("escalations");
+    assert(imported?.escalations[0]?.id === "legacy", "sqlite store imports an existing json document on first load");
+    await sqliteStore.saveDocument("escalations", { escalations: [] });
+    await sqliteStore.archiveRecords("escalations", [{ id: "e1", status: "completed" }, { id: "e2", status: "skipped" }]);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const between = new Date().toISOString();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await sqliteStore.archiveRecords("escalations", [{ id: "e3", status: "completed" }]);
+    await sqliteStore.archiveRecords("faq_reviews", [{ id: "r1" }]);
+    await sqliteStore.close();
+
+    sqliteStore = storage.createSqliteStore(dbPath, storageDir);
+    assert((await sqliteStore.loadDocument("escalations"))?.escalations.length === 0, "sqlite store reloads saved documents after reopening");
+    const allArchived = await sqliteStore.listArchivedRecords("escalations");
+    assert(allArchived.map((r) => r.id).join() === "e1,e2,e3", "sqlite store keeps archived records per collection in order");
+    const recent = await sqliteStore.listArchivedRecords("escalations", between);
+    assert(recent.map((r) => r.id).join() === "e3", "sqlite store lists only records archived since the given time");
+    assert((await sqliteStore.listArchivedRecords("escalations", new Date(Date.now() + 60_000).toISOString())).length === 0,
+      "sqlite store lists nothing archived after the given time");
+    await sqliteStore.close();
+  } finally {
+    await fs.rm(storageDir, { recursive: true, force: true });
+  }
+  console.log("  storage.js ✓");
+
+  // ── workspaces ──
+  const ws = await import("../src/workspaces.js");
+  for (const fn of ["runInWorkspace", "getWorkspaceId", "isDefaultWorkspace", "getWorkspaceConfigDir", "workspaceState"]) {
+    assertFn(ws, fn, "workspaces");
+  }
+  const counters = ws.workspaceState(() => ({ count: 0 }));
+  counters().count++;
+  await ws.runInWorkspace("T0123", async () => {
+    assert(ws.getWorkspaceId() === "T0123", "runInWorkspace scopes getWorkspaceId");
+    assert(counters().count === 0, "workspaceState is separate per workspace");
+    assert(storage.getStore().workspaceId === "T0123", "getStore namespaces non-default workspaces");
+  });
+  assert(ws.getWorkspaceId() === ws.DEFAULT_WORKSPACE && counters().count === 1, "default workspace state is kept");
+  assert(storage.getStore() === storage.getSharedStore(), "default workspace uses the shared store");
+  assert(typeof configMod.getWorkspaceConfig === "function", "config exports getWorkspaceConfig");
+  assert(configMod.getWorkspaceConfig() === configMod.default, "default workspace uses the main config");
+  const installs = await import("../src/installation-store.js");
+  assertFn(installs, "createInstallationStore", "installation-store");
+  assertFn(installs, "listInstallations", "installation-store");
+  console.log("  workspaces.js ✓");
+
   // ── formatters ──
   const fmt = await import("../src/formatters.js");
-  for (const fn of ["formatAnswer", "formatPartialAnswer", "formatEscalation", "formatTimeAgo", "formatRosterArea"]) {
+  for (const fn of ["formatAnswer", "formatPartialAnswer", "formatEscalation", "formatTimeAgo", "formatDuration", "formatRosterArea", "formatAnswerBlocks", "formatFaqReviewBlocks", "formatTextDiff", "formatCorrectionBlocks", "formatFaqLink", "formatFaqVerificationBlocks", "formatWeeklyDigestBlocks", "formatAreaGuess", "formatLeadCheckRequest", "formatAreaChoiceBlocks"]) {
     assertFn(fmt, fn, "formatters");
   }
+  const cited = fmt.formatAnswer({ answer: "Yes.", citations: [{ text: "x", blockUrl: "https://notion.so/abc#def" }] }, "General");
+  assert(cited.includes("<https://notion.so/abc#def|Source>"), "formatAnswer renders Source links");
+  const longAnswer = Array.from({ length: 80 }, (_, i) => `Paragraph ${i}: ${"detail ".repeat(12)}`).join("\n\n");
+  const longSections = fmt.formatAnswerBlocks(longAnswer).filter((b) => b.type === "section");
+  assert(longSections.length > 1 && longSections.every((b) => b.text.text.length <= 3000), "formatAnswerBlocks splits long answers across sections");
+  const words = (t) => t.split(/\s+/).join(" ");
+  assert(words(longSections.map((b) => b.text.text).join(" ")) === words(longAnswer), "formatAnswerBlocks keeps all of a long answer");
+  assert(fmt.formatFaqLink("docs/faq/faq.md#sso") === "`docs/faq/faq.md#sso`", "formatFaqLink shows repo paths as code");
+  assert(fmt.formatTextDiff("takes 5 days", "takes 7 days") === "takes ~5~ *7* days", "formatTextDiff marks word changes");
+  assert(fmt.formatTextDiff("use *Team* & <Pro>", "use ~Team~") === "use ~\u2217Team\u2217 &amp; &lt;Pro&gt;~ *\u223CTeam\u223C*", "formatTextDiff escapes words before marking them");
+  const openEscalations = Array.from({ length: 10 }, (_, i) => ({ id: `e${i}`, originalQuestion: `Question ${i}?`, escalatedAt: new Date().toISOString() }));
+  const digest = fmt.formatWeeklyDigestBlocks("Sales", { answeredCount: 3, partialCount: 0, escalationsOpened: 10, openEscalations, newFaqEntries: [], correctionsApplied: [], newTeamMembers: [], topTopics: [] });
+  assert(digest.length === 3 && digest[2].text.text.endsWith("_…and 2 more_"), "formatWeeklyDigestBlocks caps long lists and skips empty sections");
   console.log("  formatters.js ✓");
 
   // ── slack-helpers ──
   const sh = await import("../src/slack-helpers.js");
   for (const fn of ["splitCsv", "truncate", "looksLikeQuestion", "alreadySeen", "normalizeQuotes",
-    "resolveWatchChannels", "initSlackIdentity", "fetchAllUsers", "resolveUsersByName",
+    "resolveWatchChannels", "resolveChannelReference", "initSlackIdentity", "fetchAllUsers", "resolveUsersByName",
     "sendDmToUser", "getThreadContext"]) {
     assertFn(sh, fn, "slack-helpers");
   }
+  assert(sh.looksLikeQuestion("Wie beantrage ich Urlaub") && sh.looksLikeQuestion("¿Dónde está la factura"), "looksLikeQuestion recognizes German and Spanish questions");
+  assert(!["hay una reunión a las 3", "como siempre, gracias", "kann sein", "wo auch immer"].some((t) => sh.looksLikeQuestion(t)), "looksLikeQuestion ignores statements that start like a question");
+  assert(sh.looksLikeQuestion("hay reunión hoy?"), "looksLikeQuestion still accepts them with a question mark");
   console.log("  slack-helpers.js ✓");
 
   // ── llm ──
   const llm = await import("../src/llm.js");
   for (const fn of ["classifyQuestion", "askClaude", "synthesizeFaqEntry",
     "checkResponsesSubstantive", "checkIfCorrection", "reviseSuggestedUpdate",
-    "analyzeThreadReply", "selectRelevantLeads", "evolveExpertiseDescription", "parseDmIntent"]) {
+    "analyzeThreadReply", "selectRelevantLeads", "evolveExpertiseDescription", "parseDmIntent", "checkDuplicateQuestion",
+    "scoreQuestionCandidates", "translateQuestion"]) {
     assertFn(llm, fn, "llm");
   }
   for (const schema of ["CLASSIFICATION_SCHEMA", "ANSWER_SCHEMA", "SYNTHESIS_SCHEMA",
     "SUBSTANTIVE_CHECK_SCHEMA", "CORRECTION_CHECK_SCHEMA", "THREAD_REPLY_ANALYSIS_SCHEMA",
-    "LEAD_SELECTION_SCHEMA", "DESCRIPTION_UPDATE_SCHEMA", "DM_INTENT_SCHEMA"]) {
+    "LEAD_SELECTION_SCHEMA", "DESCRIPTION_UPDATE_SCHEMA", "DM_INTENT_SCHEMA", "DUPLICATE_CHECK_SCHEMA"]) {
     assert(typeof llm[schema] === "object", `llm.${schema} is an object`);
   }
   console.log("  llm.js ✓");
@@ -75,24 +168,89 @@ async function run() {
     "getLeads", "getTeamMembers", "isLeadForAnyArea", "isTeamMemberForAnyArea",
     "addLead", "addTeamMember", "removeMember", "promoteToLead", "demoteToTeamMember",
     "updateMemberDescription", "touchMemberActivity", "addKnowledgeArea", "removeKnowledgeArea",
-    "updateKnowledgeArea"]) {
+    "updateKnowledgeArea", "getAreaSourceId", "getAreaSourceLabel", "getAreaFaqSource", "resolveAreaSource", "getAreaConfidencePolicy"]) {
     assertFn(ka, fn, "knowledge-areas");
   }
+  const policy = ka.getAreaConfidencePolicy({ confidencePolicy: { clarifyBelow: 0.6 } }, { clarifyBelow: 0.4, prefaceBelow: 0.7, tagLeadsBelow: 0.5 });
+  assert(policy.clarifyBelow === 0.6 && policy.prefaceBelow === 0.7, "getAreaConfidencePolicy overrides only the thresholds an area sets");
+  const dbSource = ka.getAreaFaqSource({ name: "Support", notionPageId: null, notionDatabaseId: "db1" });
+  assert(dbSource.type === "notion-database" && dbSource.id === "db1", "getAreaFaqSource marks database-backed areas");
+  const mdSource = ka.getAreaFaqSource({ name: "Docs", notionPageId: null, notionDatabaseId: null, markdownPath: "docs/faq" });
+  assert(mdSource.type === "markdown" && ka.getAreaSourceLabel({ markdownPath: "docs/faq" }) === "Markdown", "getAreaFaqSource supports Markdown folders");
+  assert(await ka.resolveAreaSource("no/such/folder") === null, "resolveAreaSource rejects unknown locations");
   console.log("  knowledge-areas.js ✓");
 
   // ── notion ──
   const notion = await import("../src/notion.js");
-  for (const fn of ["initNotion", "extractPageId", "fetchPageContent", "analyzePageStructure",
-    "appendFaqEntry", "getPageTitle", "findBlockByContent", "updateFaqBlock", "addCommentToBlock"]) {
+  for (const fn of ["initNotion", "setNotionClient", "extractPageId", "fetchPageContent", "analyzePageStructure",
+    "appendFaqEntry", "getPageTitle", "getPageLastEditedTime", "findBlockByContent", "updateFaqBlock", "addCommentToBlock", "getNotionRequestMetrics",
+    "isNotionDatabase", "fetchFaqDatabaseContent", "getFaqDatabaseLastEditedTime", "findFaqDatabaseRow",
+    "createFaqDatabaseRow", "updateFaqDatabaseRow", "listFaqDatabaseRows", "deleteFaqBlock", "markFaqDatabaseRowVerified",
+    "deleteFaqDatabaseRow"]) {
     assertFn(notion, fn, "notion");
   }
   console.log("  notion.js ✓");
 
+  // ── knowledge-sources ──
+  const ks = await import("../src/knowledge-sources.js");
+  for (const fn of ["getKnowledgeSource", "getSourceUrl", "resolveEvidenceCitations"]) {
+    assertFn(ks, fn, "knowledge-sources");
+  }
+  for (const type of ["notion-page", "notion-database", "markdown"]) {
+    const source = ks.getKnowledgeSource({ type, id: "x" });
+    assert(["read", "list", "appendEntry", "updateEntry", "deleteEntry", "verifyEntry", "findEntry"].every((m) => typeof source[m] === "function"), `${type} sources implement the interface`);
+  }
+  assert(ks.getSourceUrl({ type: "markdown", id: "docs/faq", baseUrl: "https://github.com/acme/kb/blob/main" }) === "https://github.com/acme/kb/blob/main/docs/faq", "getSourceUrl links Markdown under its base URL");
+  console.log("  knowledge-sources.js ✓");
+
+  // ── notion-scheduler ──
+  const ns = await import("../src/notion-scheduler.js");
+  for (const fn of ["createNotionScheduler", "withNotionScheduler"]) {
+    assertFn(ns, fn, "notion-scheduler");
+  }
+  const sleeps = [];
+  const scheduler = ns.createNotionScheduler({ requestsPerSecond: 1000, sleep: async (ms) => { sleeps.push(ms); } });
+  let attempts = 0;
+  const scheduled = await scheduler.run("pages.retrieve", async () => {
+    if (++attempts === 1) throw Object.assign(new Error("rate limited"), { status: 429, headers: { "retry-after": "2" } });
+    return "ok";
+  });
+  assert(scheduled === "ok" && attempts === 2, "scheduler retries a rate-limited request");
+  assert(sleeps.some((ms) => ms >= 1900), "scheduler waits for Retry-After before retrying");
+  const writeError = Object.assign(new Error("bad gateway"), { status: 502 });
+  const writeFailed = await scheduler.run("blocks.children.append", async () => { throw writeError; }, { idempotent: false }).catch((e) => e);
+  assert(writeFailed === writeError && scheduler.getMetrics().failures === 1, "scheduler does not retry a write after a 502");
+  console.log("  notion-scheduler.js ✓");
+
+  // ── notion-cache ──
+  const ncache = await import("../src/notion-cache.js");
+  for (const fn of ["loadNotionCache", "saveNotionCache", "getNotionCache", "getKbHierarchyCache", "markKbHierarchyChanged",
+    "getCachedNotionContent", "getCachedKbHierarchy", "prewarmNotionCache", "getSourceLastEditedTime"]) {
+    assertFn(ncache, fn, "notion-cache");
+  }
+  assert(ncache.getNotionCache() instanceof Map, "getNotionCache returns a Map");
+  console.log("  notion-cache.js ✓");
+
+  // ── notion-changes ──
+  const nc = await import("../src/notion-changes.js");
+  for (const fn of ["checkNotionChanges", "evictNotionPages", "verifyNotionSignature", "getChangedPageIds", "startNotionWebhookServer"]) {
+    assertFn(nc, fn, "notion-changes");
+  }
+  const crypto = await import("node:crypto");
+  const webhookBody = JSON.stringify({ type: "page.created", entity: { id: "p1", type: "page" }, data: { parent: { id: "p0", type: "page" } } });
+  const webhookSig = `sha256=${crypto.createHmac("sha256", "secret_test").update(webhookBody).digest("hex")}`;
+  assert(nc.verifyNotionSignature(webhookBody, webhookSig, "secret_test"), "verifyNotionSignature accepts a valid signature");
+  assert(!nc.verifyNotionSignature(webhookBody, webhookSig, "secret_other"), "verifyNotionSignature rejects a wrong token");
+  assert(nc.getChangedPageIds(JSON.parse(webhookBody)).join(",") === "p1,p0", "getChangedPageIds includes the parent page");
+  assert(nc.getChangedPageIds({ type: "comment.created", entity: { id: "c1", type: "comment" } }).length === 0, "getChangedPageIds ignores non-page events");
+  assert(nc.getChangedPageIds({ type: "database.content_updated", entity: { id: "d1", type: "database" } }).join(",") === "d1", "getChangedPageIds includes database events");
+  console.log("  notion-changes.js ✓");
+
   // ── escalation-tracker ──
   const et = await import("../src/escalation-tracker.js");
   for (const fn of ["loadEscalations", "saveEscalations", "trackEscalation",
-    "recordOwnerResponse", "getEscalationsReadyToSynthesize", "getEscalationsAwaitingResponse",
-    "getAllActiveEscalations", "getEscalationById", "getEscalationByThread",
+    "recordOwnerResponse", "recordEscalationReminder", "attachDuplicateAsker", "markEscalationPendingReview", "getEscalationsReadyToSynthesize", "getEscalationsAwaitingResponse",
+    "getAllActiveEscalations", "getAllEscalations", "getArchivedEscalations", "getEscalationById", "getEscalationByThread",
     "getActiveEscalationByThread", "markEscalationComplete", "markEscalationSkipped",
     "cleanupOldEscalations"]) {
     assertFn(et, fn, "escalation-tracker");
@@ -103,11 +261,27 @@ async function run() {
   const at = await import("../src/answer-tracker.js");
   for (const fn of ["loadFaqAnswers", "saveFaqAnswers", "trackFaqAnswer", "getFaqAnswerById",
     "getActiveFaqAnswerByThread", "recordCorrectionResponse", "getAnswersReadyToProcess",
-    "markAnswerProcessed", "markAnswerCorrected", "cleanupOldFaqAnswers", "getAllActiveFaqAnswers"]) {
+    "markAnswerProcessed", "markAnswerCorrected", "cleanupOldFaqAnswers", "getAllActiveFaqAnswers",
+    "getAllFaqAnswers", "getArchivedFaqAnswers", "getFaqAnswerByMessage", "recordAnswerFeedback",
+    "setCorrectionProposal", "recordCorrectionMessage", "updateCorrectionSuggestion", "resolveCorrectionProposal"]) {
     assertFn(at, fn, "answer-tracker");
   }
   console.log("  answer-tracker.js ✓");
 
+  // ── analytics ──
+  const analytics = await import("../src/analytics.js");
+  assertFn(analytics, "computeAreaMetrics", "analytics");
+  assertFn(analytics, "computeAreaDigest", "analytics");
+  assert(Array.isArray(analytics.ANALYTICS_WINDOW_DAYS), "analytics.ANALYTICS_WINDOW_DAYS is an array");
+  console.log("  analytics.js ✓");
+
+  // ── digest-tracker ──
+  const dgt = await import("../src/digest-tracker.js");
+  for (const fn of ["loadDigests", "saveDigests", "getLastDigestAt", "recordDigestSent"]) {
+    assertFn(dgt, fn, "digest-tracker");
+  }
+  console.log("  digest-tracker.js ✓");
+
   // ── dm-handler ──
   const dm = await import("../src/dm-handler.js");
   for (const fn of ["registerDmHandler", "loadPendingDms", "setPendingDm", "clearPendingDmsForCorrection"]) {
@@ -118,8 +292,98 @@ async function run() {
   // ── channel-handler ──
   const ch = await import("../src/channel-handler.js");
   assertFn(ch, "registerChannelHandler", "channel-handler");
+  assertFn(ch, "loadAreaChoices", "channel-handler");
   console.log("  channel-handler.js ✓");
 
+  // ── retrieval ──
+  const rt = await import("../src/retrieval.js");
+  for (const fn of ["setEmbeddingProvider", "tokenize", "chunkContent", "buildIndex", "searchIndexes", "retrievePassages"]) {
+    assertFn(rt, fn, "retrieval");
+  }
+  const passages = rt.chunkContent("# Billing\n\nQ: How do refunds work?\n\nRefunds take 5 days.\n\n# SSO\n\nQ: Is SAML supported?\n\nYes, via Okta.", { pageId: "p1", title: "FAQ" });
+  assert(passages.length === 2, "chunkContent splits on headings");
+  const hits = await rt.searchIndexes([rt.buildIndex(passages)], "refunds", 1);
+  assert(hits[0]?.section === "Billing", "searchIndexes ranks the matching passage first");
+  console.log("  retrieval.js ✓");
+
+  // ── duplicate-detector ──
+  const dd = await import("../src/duplicate-detector.js");
+  for (const fn of ["findDuplicateQuestion", "questionSimilarity"]) {
+    assertFn(dd, fn, "duplicate-detector");
+  }
+  assert(dd.questionSimilarity("Is the API down?", "is the api down right now?") > 0.5, "questionSimilarity matches rephrased questions");
+  assert(dd.questionSimilarity("Is the API down?", "How do I rotate SSO keys?") === 0, "questionSimilarity ignores unrelated questions");
+  console.log("  duplicate-detector.js ✓");
+
+  // ── review-tracker ──
+  const rvt = await import("../src/review-tracker.js");
+  for (const fn of ["loadFaqReviews", "saveFaqReviews", "trackFaqReview", "recordReviewMessage", "recordReviewEntryAppended",
+    "updateFaqReviewDraft", "resolveFaqReview", "getFaqReviewById", "getPendingFaqReviews", "cleanupOldFaqReviews"]) {
+    assertFn(rvt, fn, "review-tracker");
+  }
+  console.log("  review-tracker.js ✓");
+
+  // ── review-handler ──
+  const rvh = await import("../src/review-handler.js");
+  assertFn(rvh, "registerReviewHandlers", "review-handler");
+  console.log("  review-handler.js ✓");
+
+  // ── correction-handler ──
+  const corr = await import("../src/correction-handler.js");
+  assertFn(corr, "registerCorrectionHandlers", "correction-handler");
+  console.log("  correction-handler.js ✓");
+
+  // ── verification-tracker ──
+  const vt = await import("../src/verification-tracker.js");
+  for (const fn of ["loadFaqEntries", "saveFaqEntries", "recordFaqEntryCreated", "recordFaqEntryUpdated", "recordFaqEntriesCited",
+    "getStaleFaqEntries", "getLastVerificationBatchAt", "createVerificationBatch", "recordVerificationMessage",
+    "resolveFaqEntryVerification", "getFaqEntryById", "getVerificationBatchById", "getBatchEntries",
+    "getLastConfirmedAt", "cleanupOldVerificationBatches"]) {
+    assertFn(vt, fn, "verification-tracker");
+  }
+  assert(vt.getLastConfirmedAt({ firstSeenAt: "2026-01-01T00:00:00Z", verifiedAt: "2026-03-01T00:00:00Z" }) === "2026-03-01T00:00:00Z", "getLastConfirmedAt picks the latest confirmation");
+  console.log("  verification-tracker.js ✓");
+
+  // ── verification-handler ──
+  const vh = await import("../src/verification-handler.js");
+  assertFn(vh, "registerVerificationHandlers", "verification-handler");
+  console.log("  verification-handler.js ✓");
+
+  // ── feedback-handler ──
+  const fb = await import("../src/feedback-handler.js");
+  assertFn(fb, "registerFeedbackHandler", "feedback-handler");
+  console.log("  feedback-handler.js ✓");
+
+  // ── channel-rules ──
+  const cr = await import("../src/channel-rules.js");
+  for (const fn of ["loadChannelRules", "getAllChannelRules", "getChannelRule", "getChannelRuleNames", "setChannelRule",
+    "removeChannelRule", "getBoundArea", "filterAllowedAreas", "isQuietHours"]) {
+    assertFn(cr, fn, "channel-rules");
+  }
+  const overnight = { quietHours: { start: "22:00", end: "07:00", timezone: "UTC" } };
+  assert(cr.isQuietHours(overnight, new Date("2026-03-02T23:30:00Z")) && cr.isQuietHours(overnight, new Date("2026-03-02T06:59:00Z")), "isQuietHours handles windows past midnight");
+  assert(!cr.isQuietHours(overnight, new Date("2026-03-02T12:00:00Z")), "isQuietHours is false outside the window");
+  assert(cr.isQuietHours({ quietHours: { start: "09:00", end: "17:00", timezone: "Asia/Tokyo" } }, new Date("2026-03-02T01:00:00Z")), "isQuietHours uses the rule's time zone");
+  console.log("  channel-rules.js ✓");
+
+  // ── watch-channels ──
+  const wc = await import("../src/watch-channels.js");
+  for (const fn of ["loadWatchedChannels", "getWatchedChannels", "isChannelUnwatched", "applyWatchedChannels",
+    "watchChannel", "unwatchChannel"]) {
+    assertFn(wc, fn, "watch-channels");
+  }
+  console.log("  watch-channels.js ✓");
+
+  // ── question-detection ──
+  const qd = await import("../src/question-detection.js");
+  for (const fn of ["createQuestionBatcher", "heuristicVerdict", "detectQuestion"]) {
+    assertFn(qd, fn, "question-detection");
+  }
+  assert(qd.heuristicVerdict("How do I reset my password") === "question", "heuristicVerdict passes question openers");
+  assert(qd.heuristicVerdict("need the VPN config") === "maybe", "heuristicVerdict leaves imperative asks to the pre-filter");
+  assert(qd.heuristicVerdict("thanks :tada: <@U123>") === "unlikely", "heuristicVerdict drops short chatter");
+  console.log("  question-detection.js ✓");
+
   // ── app-home ──
   const ah = await import("../src/app-home.js");
   assertFn(ah, "registerAppHomeHandlers", "app-home");
@@ -132,7 +396,7 @@ async function run() {
 
   // ── jobs ──
   const jobs = await import("../src/jobs.js");
-  for (const fn of ["checkPendingEscalations", "checkPendingCorrections", "runPeriodicChecks"]) {
+  for (const fn of ["checkPendingEscalations", "publishFaqEntry", "notifyDuplicateAskers", "checkEscalationSlas", "checkPendingCorrections", "checkStaleFaqEntries", "sendWeeklyDigests", "runPeriodicChecks"]) {
     assertFn(jobs, fn, "jobs");
   }
   console.log("  jobs.js ✓");
@@ -148,10 +412,11 @@ async function run() {
     channelIdToName: new Map(),
     botUserId: null,
     getNotionContent: () => {},
+    readKnowledgeSource: () => {},
     logger: console,
   };
   const requiredKeys = ["config", "anthropic", "notionCache", "watchChannelIds",
-    "channelIdToName", "botUserId", "getNotionContent", "logger"];
+    "channelIdToName", "botUserId", "getNotionContent", "readKnowledgeSource", "logger"];
   for (const key of requiredKeys) {
     assert(key in ctx, `ctx.${key} exists`);
   }